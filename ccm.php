@@ -3,7 +3,7 @@
  * Plugin Name: CCM Tools
  * Plugin URI: https://clickclickmedia.com.au/
  * Description: CCM Tools is a WordPress utility plugin that helps administrators monitor and optimize their WordPress installation. It provides system information, database tools, and .htaccess optimization features.
- * Version: 7.44.1
+ * Version: 7.69.1
  * Requires at least: 6.0
  * Tested up to: 6.8.2
  * Requires PHP: 7.4
@@ -36,7 +36,7 @@ define('CCM_TOOLS_FILE_LOADED', true);
 
 // Define plugin constants only if they don't already exist
 if (!defined('CCM_HELPER_VERSION')) {
-    define('CCM_HELPER_VERSION', '7.44.1');
+    define('CCM_HELPER_VERSION', '7.69.1');
 }
 
 // Better duplicate detection mechanism that only checks active plugins
@@ -281,6 +281,10 @@ function ccm_tools_on_deactivate() {
     if (function_exists('ccm_tools_redis_remove_config')) {
         ccm_tools_redis_remove_config();
     }
+    wp_clear_scheduled_hook('ccm_tools_log_alerts_check');
+    wp_clear_scheduled_hook('ccm_tools_log_rotation_check');
+    wp_unschedule_hook('ccm_tools_db_job_run');
+    wp_unschedule_hook('ccm_tools_db_job_step');
 }
 
 // IMPORTANT: Load text domain only on init hook to avoid "too early" warnings
@@ -336,11 +340,25 @@ function ccm_initialize_plugin() {
     
     // Load core files
     require_once CCM_HELPER_ROOT_DIR . 'inc/system-info.php';
+    require_once CCM_HELPER_ROOT_DIR . 'inc/private-storage.php'; // Non-public folder for backups and logs
     require_once CCM_HELPER_ROOT_DIR . 'inc/htaccess.php';
+    require_once CCM_HELPER_ROOT_DIR . 'inc/htaccess-history.php'; // .htaccess snapshots and restore
+    require_once CCM_HELPER_ROOT_DIR . 'inc/htaccess-health.php'; // Post-write loopback checks
+    require_once CCM_HELPER_ROOT_DIR . 'inc/server-config.php'; // Nginx and LiteSpeed config generator
+    require_once CCM_HELPER_ROOT_DIR . 'inc/csp-builder.php'; // Content-Security-Policy builder and violation reports
     require_once CCM_HELPER_ROOT_DIR . 'inc/optimize.php';
     require_once CCM_HELPER_ROOT_DIR . 'inc/tableconverter.php';
+    require_once CCM_HELPER_ROOT_DIR . 'inc/db-backup.php'; // Pre-operation table backups and restore
+    require_once CCM_HELPER_ROOT_DIR . 'inc/db-jobs.php'; // Scheduled database maintenance jobs
+    require_once CCM_HELPER_ROOT_DIR . 'inc/db-explorer.php'; // Per-table sizes, overhead and index analysis
+    require_once CCM_HELPER_ROOT_DIR . 'inc/db-autoload.php'; // Autoloaded options auditor
+    require_once CCM_HELPER_ROOT_DIR . 'inc/db-search-replace.php'; // Serialization-safe search and replace
     require_once CCM_HELPER_ROOT_DIR . 'inc/ajax-handlers.php';
     require_once CCM_HELPER_ROOT_DIR . 'inc/error-log.php'; // Add the new error log file
+    require_once CCM_HELPER_ROOT_DIR . 'inc/log-sources.php'; // Extra log sources and parsers
+    require_once CCM_HELPER_ROOT_DIR . 'inc/log-analytics.php'; // Error trends and top offenders
+    require_once CCM_HELPER_ROOT_DIR . 'inc/log-rotation.php'; // Log rotation and archives
+    require_once CCM_HELPER_ROOT_DIR . 'inc/log-alerts.php'; // Error log alert rules
     require_once CCM_HELPER_ROOT_DIR . 'inc/update.php';  // Add GitHub update functionality
     require_once CCM_HELPER_ROOT_DIR . 'inc/woocommerce-tools.php'; // Add WooCommerce tools
     require_once CCM_HELPER_ROOT_DIR . 'inc/webp-converter.php'; // Add WebP image converter
@@ -559,6 +577,7 @@ class CCMSettings {
             wp_localize_script('ccm-tools-script', 'ccmToolsData', array(
                 'ajax_url' => admin_url('admin-ajax.php'),
                 'nonce' => wp_create_nonce('ccm-tools-nonce'),
+                'login_url' => ccm_tools_get_interim_login_url(),
                 'i18n' => array(
                     'confirmConvert' => __('Are you sure you want to convert all tables? This operation cannot be undone.', 'ccm-tools'),
                     'confirmOptimize' => __('Are you sure you want to optimize the database? This operation cannot be undone.', 'ccm-tools'),
@@ -1360,7 +1379,7 @@ class CCMSettings {
             <div class="ccm-content">
                 <div class="ccm-card">
                     <h2><?php _e('Database Optimization', 'ccm-tools'); ?></h2>
-                    <p><?php _e('Select the optimization tasks you want to run. Safe options are checked by default.', 'ccm-tools'); ?></p>
+                    <p><?php _e('Select the optimization tasks you want to run. Safe options are checked by default. Selected tasks are previewed first (dry run) and only run once you confirm.', 'ccm-tools'); ?></p>
                     
                     <div id="optimization-options" class="ccm-optimization-options">
                         <div class="ccm-loading">
@@ -1370,13 +1389,23 @@ class CCMSettings {
                     </div>
                     
                     <div class="ccm-buttons" style="margin-top: 1rem;">
-                        <button id="run-optimizations" class="ccm-button ccm-button-primary" disabled><?php _e('Run Selected Optimizations', 'ccm-tools'); ?></button>
+                        <button id="run-optimizations" class="ccm-button ccm-button-primary" disabled><?php _e('Preview Selected Optimizations', 'ccm-tools'); ?></button>
                         <button id="select-all-safe" class="ccm-button ccm-button-secondary"><?php _e('Select Safe Options', 'ccm-tools'); ?></button>
                         <button id="deselect-all" class="ccm-button ccm-button-secondary"><?php _e('Deselect All', 'ccm-tools'); ?></button>
                     </div>
                     
                     <div id="optimization-results" class="ccm-result-box" style="display: none;"></div>
                 </div>
+                
+                <?php ccm_tools_render_db_explorer_card(); ?>
+
+                <?php ccm_tools_render_autoload_card(); ?>
+
+                <?php ccm_tools_render_search_replace_card(); ?>
+
+                <?php ccm_tools_render_db_backup_card(); ?>
+
+                <?php ccm_tools_render_db_jobs_card(); ?>
             </div>
         </div>
         <?php
@@ -1404,6 +1433,9 @@ class CCMSettings {
                         ?>
                     </div>
                 </div>
+                <?php ccm_tools_render_server_config_card(); ?>
+                <?php ccm_tools_render_htaccess_history_card(); ?>
+                <?php ccm_tools_render_csp_card(); ?>
             </div>
         </div>
         <?php
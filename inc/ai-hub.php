@@ -1439,6 +1439,7 @@ function ccm_tools_ajax_ai_enable_tool(): void {
                 ];
                 $r = ccm_tools_update_htaccess('add', $options);
                 $result['success'] = !empty($r['success']);
+                $result['reverted'] = !empty($r['reverted']);
                 $result['message'] = $r['message'] ?? 'Unknown error';
             }
             break;
@@ -4,6 +4,46 @@ if (!defined('ABSPATH')) {
     exit;
 }
 
+/**
+ * Refresh the CCM Tools nonce for a long-running admin session
+ *
+ * Deliberately not nonce-checked: it is called precisely when the page's
+ * nonce has expired. The fresh nonce is only ever returned in the response
+ * body, which a cross-origin page cannot read, and only to a logged-in
+ * administrator. Logged-out callers get a flag telling the UI to prompt
+ * for a re-login instead.
+ */
+add_action('wp_ajax_ccm_tools_refresh_nonce', 'ccm_tools_ajax_refresh_nonce');
+add_action('wp_ajax_nopriv_ccm_tools_refresh_nonce', 'ccm_tools_ajax_refresh_nonce');
+function ccm_tools_ajax_refresh_nonce(): void {
+    nocache_headers();
+
+    if (!is_user_logged_in()) {
+        wp_send_json_error(array(
+            'message'    => __('Your session has expired. Please log in again.', 'ccm-tools'),
+            'logged_out' => true,
+            'login_url'  => ccm_tools_get_interim_login_url(),
+        ));
+    }
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    wp_send_json_success(array(
+        'nonce' => wp_create_nonce('ccm-tools-nonce'),
+    ));
+}
+
+/**
+ * Login URL for re-authenticating from an open admin page
+ *
+ * Uses WordPress's interim login, which shows a short "logged in" notice
+ * instead of redirecting into the dashboard.
+ */
+function ccm_tools_get_interim_login_url(): string {
+    return add_query_arg('interim-login', '1', wp_login_url());
+}
+
 // Convert Tables
 add_action('wp_ajax_ccm_tools_convert_tables', 'ccm_tools_ajax_convert_tables');
 function ccm_tools_ajax_convert_tables(): void {
@@ -206,33 +246,138 @@ function ccm_tools_ajax_run_single_optimization(): void {
         wp_send_json_error(__('No optimization task specified.', 'ccm-tools'));
     }
     
-    // Validate the task exists
+    $result = ccm_tools_run_optimization_task($task);
+    if (is_wp_error($result)) {
+        wp_send_json_error($result->get_error_message());
+    }
+    
+    wp_send_json_success($result);
+}
+
+/**
+ * AJAX handler to dry-run a single optimization task
+ * Returns the rows or tables the task would change without touching them
+ */
+add_action('wp_ajax_ccm_tools_preview_optimization', 'ccm_tools_ajax_preview_optimization');
+function ccm_tools_ajax_preview_optimization(): void {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(__('You do not have permission to perform this action.', 'ccm-tools'));
+    }
+
+    $task = isset($_POST['task']) ? sanitize_text_field($_POST['task']) : '';
+
+    if (empty($task)) {
+        wp_send_json_error(__('No optimization task specified.', 'ccm-tools'));
+    }
+
     $available = ccm_tools_get_optimization_options();
     if (!isset($available[$task])) {
         wp_send_json_error(sprintf(__('Invalid optimization task: %s', 'ccm-tools'), $task));
     }
-    
-    // Block premium options for non-premium users
+
     if (!empty($available[$task]['premium'])) {
         $is_premium = function_exists('ccm_tools_is_premium') && ccm_tools_is_premium();
         if (!$is_premium) {
             wp_send_json_error(__('This optimization requires a premium subscription.', 'ccm-tools'));
         }
     }
-    
-    // Run the single task
-    $results = ccm_tools_run_selected_optimizations(array($task));
-    $result = isset($results[$task]) ? $results[$task] : array('success' => false, 'message' => 'Task not executed');
-    
+
+    $limit = isset($_POST['limit']) ? intval($_POST['limit']) : 10;
+
+    wp_send_json_success(array_merge(
+        array(
+            'task' => $task,
+            'label' => $available[$task]['label'],
+            'risk' => $available[$task]['risk']
+        ),
+        ccm_tools_preview_optimization($task, $limit)
+    ));
+}
+
+/**
+ * AJAX handler to list orphaned metadata grouped by meta_key
+ */
+add_action('wp_ajax_ccm_tools_get_orphaned_meta', 'ccm_tools_ajax_get_orphaned_meta');
+function ccm_tools_ajax_get_orphaned_meta(): void {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(__('You do not have permission to perform this action.', 'ccm-tools'));
+    }
+
     wp_send_json_success(array(
-        'task' => $task,
-        'label' => $available[$task]['label'],
-        'success' => !empty($result['success']),
-        'message' => isset($result['message']) ? $result['message'] : '',
-        'count' => isset($result['count']) ? $result['count'] : 0
+        'groups' => ccm_tools_get_orphaned_meta_groups()
     ));
 }
 
+/**
+ * Read the type, kind and meta key of an orphaned meta group from the request
+ * The meta key is only unslashed: it is matched exactly through prepared queries
+ *
+ * @return array type, kind and meta_key
+ */
+function ccm_tools_posted_orphaned_meta_group(): array {
+    return array(
+        'type' => isset($_POST['type']) ? sanitize_key($_POST['type']) : '',
+        'kind' => isset($_POST['kind']) ? sanitize_key($_POST['kind']) : '',
+        'meta_key' => isset($_POST['meta_key']) ? wp_unslash((string) $_POST['meta_key']) : ''
+    );
+}
+
+/**
+ * AJAX handler to dry-run deleting one orphaned meta group
+ */
+add_action('wp_ajax_ccm_tools_preview_orphaned_meta', 'ccm_tools_ajax_preview_orphaned_meta');
+function ccm_tools_ajax_preview_orphaned_meta(): void {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(__('You do not have permission to perform this action.', 'ccm-tools'));
+    }
+
+    $group = ccm_tools_posted_orphaned_meta_group();
+    $preview = ccm_tools_preview_orphaned_meta($group['type'], $group['kind'], $group['meta_key'], isset($_POST['limit']) ? intval($_POST['limit']) : 10);
+    if ($preview === false) {
+        wp_send_json_error(__('Invalid metadata group.', 'ccm-tools'));
+    }
+
+    wp_send_json_success($preview);
+}
+
+/**
+ * AJAX handler to delete one batch of an orphaned meta group
+ * Called repeatedly by the progressive runner until done is true
+ */
+add_action('wp_ajax_ccm_tools_clean_orphaned_meta_batch', 'ccm_tools_ajax_clean_orphaned_meta_batch');
+function ccm_tools_ajax_clean_orphaned_meta_batch(): void {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(__('You do not have permission to perform this action.', 'ccm-tools'));
+    }
+
+    $group = ccm_tools_posted_orphaned_meta_group();
+    // Plugin groups also hold rows of live objects: each key needs its own confirmation
+    $confirmed = isset($_POST['confirm_key']) ? wp_unslash((string) $_POST['confirm_key']) : '';
+    if ($group['kind'] === 'plugin' && $confirmed !== $group['meta_key']) {
+        wp_send_json_error(__('Deleting every row with this meta key has not been confirmed.', 'ccm-tools'));
+    }
+
+    $result = ccm_tools_delete_orphaned_meta_batch($group['type'], $group['kind'], $group['meta_key']);
+    if ($result === false) {
+        global $wpdb;
+        wp_send_json_error($wpdb->last_error ?: __('Invalid metadata group.', 'ccm-tools'));
+    }
+
+    if ($result['done']) {
+        $total = (isset($_POST['deleted']) ? intval($_POST['deleted']) : 0) + $result['deleted'];
+        ccm_tools_log_activity(
+            'optimize',
+            sprintf('Orphaned %s meta "%s" (%s): %d rows deleted', $group['type'], $group['meta_key'], $group['kind'], $total)
+        );
+    }
+
+    wp_send_json_success($result);
+}
+
 // Optimize single table (AJAX)
 add_action('wp_ajax_ccm_tools_optimize_single_table', 'ccm_tools_ajax_optimize_single_table');
 function ccm_tools_ajax_optimize_single_table(): void {
@@ -256,7 +401,8 @@ function ccm_tools_ajax_optimize_single_table(): void {
 
 /**
  * AJAX handler to optimize a single table (lightweight — OPTIMIZE TABLE only)
- * Used by the progressive optimization flow to avoid timeouts on large databases
+ * Used by the progressive optimization flow to avoid timeouts on large databases,
+ * and by the Table Explorer's per-table actions (optimize, convert, analyze)
  */
 add_action('wp_ajax_ccm_tools_optimize_table_task', 'ccm_tools_ajax_optimize_table_task');
 function ccm_tools_ajax_optimize_table_task(): void {
@@ -269,6 +415,7 @@ function ccm_tools_ajax_optimize_table_task(): void {
     $do_optimize = !empty($_POST['optimize']);
     $do_collation = !empty($_POST['collation']);
     $do_engine = !empty($_POST['engine']);
+    $do_analyze = !empty($_POST['analyze']);
 
     if (empty($table_name)) {
         wp_send_json_error(__('No table name provided.', 'ccm-tools'));
@@ -350,6 +497,17 @@ function ccm_tools_ajax_optimize_table_task(): void {
         }
     }
 
+    // ANALYZE TABLE (refreshes row counts and index statistics)
+    if ($do_analyze) {
+        $result = $wpdb->query("ANALYZE TABLE `{$table_name}`");
+        if ($result === false) {
+            $messages[] = 'Analyze failed';
+            $success = false;
+        } else {
+            $messages[] = 'Analyzed';
+        }
+    }
+
     wp_send_json_success(array(
         'table' => $table_name,
         'success' => $success,
@@ -402,6 +560,28 @@ function ccm_tools_parse_htaccess_options(): array {
     return $options;
 }
 
+/**
+ * Send the result of an .htaccess write with its health check
+ *
+ * A write reverted after a failed health check is still a completed request,
+ * so it is sent as success with a warning and the check results.
+ */
+function ccm_tools_send_htaccess_result(array $result): void {
+    $health = ccm_tools_htaccess_health_html($result['health'] ?? array(), $result['baseline'] ?? array());
+    
+    if ($result['success']) {
+        ccm_tools_log_activity('htaccess', $result['message']);
+        wp_send_json_success('<p class="ccm-success"><span class="ccm-icon">✓</span>' . esc_html($result['message']) . '</p>' . $health . ccm_tools_display_htaccess());
+    } else if (!empty($result['reverted'])) {
+        wp_send_json_success('<p class="ccm-warning"><span class="ccm-icon">⚠</span>' . esc_html($result['message']) . '</p>' . $health . ccm_tools_display_htaccess());
+    } else if ($health !== '') {
+        // Written, failed the check and could not be put back
+        wp_send_json_success('<p class="ccm-error"><span class="ccm-icon">✗</span>' . esc_html($result['message']) . '</p>' . $health . ccm_tools_display_htaccess());
+    } else {
+        wp_send_json_error('<p class="ccm-error"><span class="ccm-icon">✗</span>' . esc_html($result['message']) . '</p>');
+    }
+}
+
 // Add .htaccess optimizations
 add_action('wp_ajax_ccm_tools_add_htaccess', 'ccm_tools_ajax_add_htaccess');
 function ccm_tools_ajax_add_htaccess(): void {
@@ -419,11 +599,7 @@ function ccm_tools_ajax_add_htaccess(): void {
     $options = ccm_tools_parse_htaccess_options();
     
     $result = ccm_tools_update_htaccess('add', $options);
-    if ($result['success']) {
-        wp_send_json_success('<p class="ccm-success"><span class="ccm-icon">✓</span>' . esc_html($result['message']) . '</p>' . ccm_tools_display_htaccess());
-    } else {
-        wp_send_json_error('<p class="ccm-error"><span class="ccm-icon">✗</span>' . esc_html($result['message']) . '</p>');
-    }
+    ccm_tools_send_htaccess_result($result);
 }
 
 // Update .htaccess optimizations (with new options)
@@ -438,11 +614,7 @@ function ccm_tools_ajax_update_htaccess(): void {
     $options = ccm_tools_parse_htaccess_options();
     
     $result = ccm_tools_update_htaccess('update', $options);
-    if ($result['success']) {
-        wp_send_json_success('<p class="ccm-success"><span class="ccm-icon">✓</span>' . esc_html($result['message']) . '</p>' . ccm_tools_display_htaccess());
-    } else {
-        wp_send_json_error('<p class="ccm-error"><span class="ccm-icon">✗</span>' . esc_html($result['message']) . '</p>');
-    }
+    ccm_tools_send_htaccess_result($result);
 }
 
 // Remove .htaccess optimizations
@@ -459,11 +631,41 @@ function ccm_tools_ajax_remove_htaccess(): void {
     define('CCM_HTACCESS_REMOVE_RUNNING', true);
 
     $result = ccm_tools_update_htaccess('remove');
-    if ($result['success']) {
-        wp_send_json_success('<p class="ccm-success"><span class="ccm-icon">✓</span>' . esc_html($result['message']) . '</p>' . ccm_tools_display_htaccess());
-    } else {
-        wp_send_json_error('<p class="ccm-error"><span class="ccm-icon">✗</span>' . esc_html($result['message']) . '</p>');
+    ccm_tools_send_htaccess_result($result);
+}
+
+// Preview an .htaccess add/update/remove without writing anything
+add_action('wp_ajax_ccm_tools_preview_htaccess', 'ccm_tools_ajax_preview_htaccess');
+function ccm_tools_ajax_preview_htaccess(): void {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $action = isset($_POST['htaccess_action']) ? sanitize_key(wp_unslash($_POST['htaccess_action'])) : '';
+    $options = $action === 'remove' ? array() : ccm_tools_parse_htaccess_options();
+
+    $htaccess_file = ABSPATH . '.htaccess';
+    $current_content = null;
+    if (file_exists($htaccess_file)) {
+        $current_content = is_readable($htaccess_file) ? file_get_contents($htaccess_file) : false;
+        if ($current_content === false) {
+            wp_send_json_error(array('message' => __('Failed to read .htaccess file.', 'ccm-tools')));
+        }
     }
+
+    $proposed = ccm_tools_htaccess_proposed_content($action, $options, $current_content);
+    if (!$proposed['success']) {
+        wp_send_json_error(array('message' => $proposed['message']));
+    }
+
+    wp_send_json_success(array(
+        'action' => $action,
+        'exists' => $current_content !== null,
+        'writable' => $current_content === null ? is_writable(ABSPATH) : is_writable($htaccess_file),
+        'current' => (string) $current_content,
+        'proposed' => $proposed['content'],
+    ));
 }
 
 /**
@@ -566,6 +768,8 @@ function ccm_tools_ajax_update_debug_mode(): void {
             $debug_display_enabled = true;
         }
         
+        ccm_tools_log_activity('debug', $enable ? 'WP_DEBUG enabled' : 'WP_DEBUG disabled (debug display and log also disabled)');
+        
         wp_send_json_success(array(
             'message' => $enable ? 
                 __('WP_DEBUG enabled successfully. Please note errors may be visible on the frontend depending on your display settings.', 'ccm-tools') : 
@@ -643,6 +847,8 @@ function ccm_tools_ajax_update_debug_display(): void {
             opcache_invalidate($wp_config_path, true);
         }
         
+        ccm_tools_log_activity('debug', $enable ? 'WP_DEBUG_DISPLAY enabled' : 'WP_DEBUG_DISPLAY disabled');
+        
         wp_send_json_success(array(
             'message' => $enable ? 
                 __('WP_DEBUG_DISPLAY enabled successfully. PHP errors will now be visible on the frontend.', 'ccm-tools') : 
@@ -719,6 +925,8 @@ function ccm_tools_ajax_update_debug_log(): void {
             opcache_invalidate($wp_config_path, true);
         }
         
+        ccm_tools_log_activity('debug', $enable ? 'WP_DEBUG_LOG enabled' : 'WP_DEBUG_LOG disabled');
+        
         wp_send_json_success(array(
             'message' => $enable ? 
                 __('WP_DEBUG_LOG enabled successfully. Debug logs will be saved to wp-content/debug.log', 'ccm-tools') : 
@@ -1395,9 +1603,14 @@ function ccm_tools_ajax_save_webp_settings(): void {
         'convert_on_demand' => isset($_POST['convert_on_demand']) && $_POST['convert_on_demand'] === '1',
         'convert_bg_images' => isset($_POST['convert_bg_images']) && $_POST['convert_bg_images'] === '1',
         'keep_originals' => isset($_POST['keep_originals']) && $_POST['keep_originals'] === '1',
-        'preferred_extension' => isset($_POST['preferred_extension']) ? sanitize_text_field($_POST['preferred_extension']) : 'auto'
+        'preferred_extension' => isset($_POST['preferred_extension']) ? sanitize_text_field($_POST['preferred_extension']) : 'auto',
+        'avif_enabled' => isset($_POST['avif_enabled']) && $_POST['avif_enabled'] === '1',
+        'avif_quality' => isset($_POST['avif_quality']) ? max(1, min(100, intval($_POST['avif_quality']))) : 60
     );
     
+    // Preserve settings this form doesn't edit
+    $settings = wp_parse_args($settings, ccm_tools_webp_get_settings());
+    
     // update_option returns false if value unchanged, so we check if save succeeded OR value is same
     $saved = update_option('ccm_tools_webp_settings', $settings);
     $current = get_option('ccm_tools_webp_settings');
@@ -1500,7 +1713,7 @@ function ccm_tools_ajax_import_webp_settings(): void {
     // Boolean settings
     $boolean_keys = array(
         'enabled', 'convert_on_upload', 'serve_webp', 'convert_on_demand',
-        'convert_bg_images', 'keep_original'
+        'convert_bg_images', 'keep_original', 'avif_enabled'
     );
     
     foreach ($boolean_keys as $key) {
@@ -1511,6 +1724,9 @@ function ccm_tools_ajax_import_webp_settings(): void {
     $sanitized_settings['quality'] = isset($imported_settings['quality']) 
         ? max(1, min(100, intval($imported_settings['quality']))) 
         : $defaults['quality'];
+    $sanitized_settings['avif_quality'] = isset($imported_settings['avif_quality']) 
+        ? max(1, min(100, intval($imported_settings['avif_quality']))) 
+        : $defaults['avif_quality'];
     
     // String settings
     $sanitized_settings['preferred_extension'] = isset($imported_settings['preferred_extension']) 
@@ -1548,37 +1764,68 @@ function ccm_tools_ajax_get_unconverted_images(): void {
     $offset = isset($_POST['offset']) ? intval($_POST['offset']) : 0;
     $limit = isset($_POST['limit']) ? min(50, max(1, intval($_POST['limit']))) : 10;
     
-    // Get images that haven't been converted yet
-    $images = $wpdb->get_results($wpdb->prepare(
-        "SELECT p.ID, p.post_title, p.guid 
-         FROM {$wpdb->posts} p
+    // Bulk jobs: the main pass skips images that already failed (so they are
+    // not refetched forever at offset 0); the retry pass walks only those,
+    // by ID cursor, so each is tried once.
+    $exclude_failed = !empty($_POST['exclude_failed']);
+    $failed_only = !empty($_POST['failed_only']);
+    $after_id = isset($_POST['after_id']) ? max(0, intval($_POST['after_id'])) : 0;
+    
+    $failed_where = '';
+    if ($failed_only) {
+        $failed_where = 'AND err.meta_id IS NOT NULL';
+    } elseif ($exclude_failed) {
+        $failed_where = 'AND err.meta_id IS NULL';
+    }
+    
+    // With AVIF on, an image still needs work until it has both formats
+    $settings = ccm_tools_webp_get_settings();
+    $avif_join = '';
+    $pending_where = 'pm.meta_id IS NULL';
+    if (!empty($settings['avif_enabled']) && ccm_tools_webp_avif_is_available()) {
+        $avif_join = "LEFT JOIN {$wpdb->postmeta} avif ON p.ID = avif.post_id AND avif.meta_key = '_ccm_avif_converted'";
+        $pending_where = '(pm.meta_id IS NULL OR avif.meta_id IS NULL)';
+    }
+    
+    $base_sql = "FROM {$wpdb->posts} p
          LEFT JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id AND pm.meta_key = '_ccm_webp_converted'
+         {$avif_join}
+         LEFT JOIN {$wpdb->postmeta} err ON p.ID = err.post_id AND err.meta_key = '_ccm_webp_error'
          WHERE p.post_type = 'attachment' 
          AND p.post_mime_type IN ('image/jpeg', 'image/png', 'image/gif')
-         AND pm.meta_id IS NULL
+         AND {$pending_where}
+         {$failed_where}";
+    
+    // Get images that haven't been converted yet
+    $images = $wpdb->get_results($wpdb->prepare(
+        "SELECT DISTINCT p.ID, p.post_title, p.guid 
+         {$base_sql}
+         AND p.ID > %d
          ORDER BY p.ID ASC
          LIMIT %d OFFSET %d",
+        $after_id,
         $limit,
         $offset
     ));
     
     // Get total count
-    $total = (int) $wpdb->get_var(
-        "SELECT COUNT(*) 
-         FROM {$wpdb->posts} p
-         LEFT JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id AND pm.meta_key = '_ccm_webp_converted'
-         WHERE p.post_type = 'attachment' 
-         AND p.post_mime_type IN ('image/jpeg', 'image/png', 'image/gif')
-         AND pm.meta_id IS NULL"
-    );
+    $total = (int) $wpdb->get_var("SELECT COUNT(DISTINCT p.ID) {$base_sql}");
     
     $image_list = array();
     foreach ($images as $image) {
-        $image_list[] = array(
+        $item = array(
             'id' => $image->ID,
             'title' => $image->post_title,
             'url' => wp_get_attachment_url($image->ID)
         );
+        
+        if ($failed_only) {
+            $error = get_post_meta($image->ID, '_ccm_webp_error', true);
+            $item['failed_job'] = is_array($error) ? ($error['job'] ?? '') : '';
+            $item['error'] = is_array($error) ? ($error['message'] ?? '') : '';
+        }
+        
+        $image_list[] = $item;
     }
     
     wp_send_json_success(array(
@@ -1598,16 +1845,23 @@ function ccm_tools_ajax_convert_single_image(): void {
     }
     
     $attachment_id = isset($_POST['attachment_id']) ? intval($_POST['attachment_id']) : 0;
+    $job_id = isset($_POST['job_id']) ? sanitize_key($_POST['job_id']) : '';
     
     if (!$attachment_id) {
         wp_send_json_error(array('message' => __('No attachment ID provided.', 'ccm-tools')));
     }
     
+    // Every failure is recorded on the attachment so bulk runs can skip it
+    $fail = function ($message) use ($attachment_id, $job_id) {
+        ccm_tools_webp_record_failure($attachment_id, $message, $job_id);
+        wp_send_json_error(array('message' => $message));
+    };
+    
     // Get attachment file path
     $file_path = get_attached_file($attachment_id);
     
     if (!$file_path || !file_exists($file_path)) {
-        wp_send_json_error(array('message' => __('Attachment file not found.', 'ccm-tools')));
+        $fail(__('Attachment file not found.', 'ccm-tools'));
     }
     
     // Check if it's an image type we can convert
@@ -1615,73 +1869,343 @@ function ccm_tools_ajax_convert_single_image(): void {
     $allowed_mimes = array('image/jpeg', 'image/png', 'image/gif');
     
     if (!in_array($mime_type, $allowed_mimes)) {
-        wp_send_json_error(array('message' => __('Invalid image type for conversion.', 'ccm-tools')));
+        $fail(__('Invalid image type for conversion.', 'ccm-tools'));
     }
     
-    // Get settings
+    // Get settings — a bulk job converts with the settings it started with
     $settings = ccm_tools_webp_get_settings();
     $quality = intval($settings['quality']);
     $extension = $settings['preferred_extension'];
     
-    $converted_files = array();
-    $total_source_size = 0;
-    $total_dest_size = 0;
+    $avif_enabled = !empty($settings['avif_enabled']) && ccm_tools_webp_avif_is_available();
+    $avif_quality = intval($settings['avif_quality']);
     
-    // Convert the main file
-    $main_result = ccm_tools_webp_convert_image($file_path, '', $quality, $extension);
-    if ($main_result['success']) {
-        $converted_files['full'] = $main_result;
-        $total_source_size += $main_result['source_size'];
-        $total_dest_size += $main_result['dest_size'];
+    $job = $job_id ? ccm_tools_webp_get_bulk_job() : null;
+    if ($job && $job['id'] === $job_id) {
+        $quality = intval($job['quality']);
+        $extension = $job['extension'];
+        $avif_enabled = !empty($job['avif']);
+        $avif_quality = intval($job['avif_quality'] ?? $avif_quality);
     }
     
-    // Convert all generated sizes
-    $metadata = wp_get_attachment_metadata($attachment_id);
-    if (!empty($metadata['sizes'])) {
-        $file_dir = dirname($file_path);
-        
-        foreach ($metadata['sizes'] as $size_name => $size_data) {
-            $size_file_path = $file_dir . '/' . $size_data['file'];
-            
-            if (file_exists($size_file_path)) {
-                $size_result = ccm_tools_webp_convert_image($size_file_path, '', $quality, $extension);
-                if ($size_result['success']) {
-                    $converted_files[$size_name] = $size_result;
-                    $total_source_size += $size_result['source_size'];
-                    $total_dest_size += $size_result['dest_size'];
-                }
-            }
+    // Reconverting from the report: a single format, optionally at another quality
+    $only_format = isset($_POST['format']) ? sanitize_key($_POST['format']) : '';
+    $quality_override = !empty($_POST['quality']) ? max(1, min(100, intval($_POST['quality']))) : 0;
+    if ($quality_override) {
+        if ($only_format === 'avif') {
+            $avif_quality = $quality_override;
+        } else {
+            $quality = $quality_override;
         }
     }
     
-    // Store conversion info as post meta
-    if (!empty($converted_files)) {
-        update_post_meta($attachment_id, '_ccm_webp_converted', $converted_files);
-        
+    // Only convert the format(s) still missing, unless explicitly forced
+    $force = !empty($_POST['force']);
+    $need_webp = $force || !get_post_meta($attachment_id, '_ccm_webp_converted', true);
+    $need_avif = $avif_enabled && ($force || !get_post_meta($attachment_id, '_ccm_avif_converted', true));
+    if ($only_format === 'webp') {
+        $need_webp = true;
+        $need_avif = false;
+    } elseif ($only_format === 'avif' && ccm_tools_webp_avif_is_available()) {
+        $need_webp = false;
+        $need_avif = true;
+    }
+    if (!$need_webp && !$need_avif) {
+        $need_webp = true;
+    }
+    
+    $summarise = function ($conversion) {
         $savings_percent = 0;
-        if ($total_source_size > 0) {
-            $savings_percent = round((($total_source_size - $total_dest_size) / $total_source_size) * 100, 1);
+        if ($conversion['source_size'] > 0) {
+            $savings_percent = round((($conversion['source_size'] - $conversion['dest_size']) / $conversion['source_size']) * 100, 1);
         }
-        
-        wp_send_json_success(array(
-            'attachment_id' => $attachment_id,
-            'converted_count' => count($converted_files),
-            'source_size' => $total_source_size,
-            'dest_size' => $total_dest_size,
+        return array(
+            'converted_count' => count($conversion['files']),
+            'source_size' => $conversion['source_size'],
+            'dest_size' => $conversion['dest_size'],
             'savings_percent' => $savings_percent,
-            'extension_used' => $main_result['extension_used'] ?? 'unknown',
-            'message' => sprintf(
-                __('Converted %d file(s), saved %s (%s%% reduction)', 'ccm-tools'),
-                count($converted_files),
-                size_format($total_source_size - $total_dest_size),
-                $savings_percent
-            )
-        ));
-    } else {
-        wp_send_json_error(array(
-            'message' => $main_result['message'] ?? __('Conversion failed.', 'ccm-tools')
-        ));
+            'extension_used' => $conversion['main']['extension_used'] ?? 'unknown',
+        );
+    };
+    
+    $formats = array();
+    $messages = array();
+    
+    if ($need_webp) {
+        $webp = ccm_tools_webp_convert_attachment($attachment_id, 'webp', $quality, $extension);
+        if (empty($webp['files'])) {
+            $fail($webp['main']['message'] ?? __('Conversion failed.', 'ccm-tools'));
+        }
+        
+        // Store conversion info as post meta
+        update_post_meta($attachment_id, '_ccm_webp_converted', $webp['files']);
+        $formats['webp'] = $summarise($webp);
+        $messages[] = sprintf(
+            __('Converted %d file(s), saved %s (%s%% reduction)', 'ccm-tools'),
+            $formats['webp']['converted_count'],
+            size_format($formats['webp']['source_size'] - $formats['webp']['dest_size']),
+            $formats['webp']['savings_percent']
+        );
+    }
+    
+    if ($need_avif) {
+        $avif = ccm_tools_webp_convert_attachment($attachment_id, 'avif', $avif_quality, $extension);
+        if (empty($avif['files'])) {
+            // Any WebP just written is kept; the failure queues the AVIF for a retry
+            $fail(sprintf(
+                __('AVIF conversion failed: %s', 'ccm-tools'),
+                $avif['main']['message'] ?? __('Conversion failed.', 'ccm-tools')
+            ));
+        }
+        
+        update_post_meta($attachment_id, '_ccm_avif_converted', $avif['files']);
+        $formats['avif'] = $summarise($avif);
+        $messages[] = sprintf(
+            __('AVIF: %d file(s), saved %s (%s%% reduction)', 'ccm-tools'),
+            $formats['avif']['converted_count'],
+            size_format($formats['avif']['source_size'] - $formats['avif']['dest_size']),
+            $formats['avif']['savings_percent']
+        );
     }
+    
+    delete_post_meta($attachment_id, '_ccm_webp_error');
+    
+    // Top-level fields describe the WebP result (AVIF when only AVIF ran)
+    wp_send_json_success(array_merge(
+        array('attachment_id' => $attachment_id),
+        $formats['webp'] ?? $formats['avif'],
+        array(
+            'formats' => $formats,
+            'message' => implode(' · ', $messages)
+        )
+    ));
+}
+
+// Get the persisted bulk conversion job (for Resume)
+add_action('wp_ajax_ccm_tools_webp_get_bulk_job', 'ccm_tools_ajax_webp_get_bulk_job');
+function ccm_tools_ajax_webp_get_bulk_job(): void {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+    
+    wp_send_json_success(array(
+        'job' => ccm_tools_webp_get_bulk_job(),
+        'failed_count' => ccm_tools_webp_count_failed(),
+    ));
+}
+
+// Start a new bulk conversion job
+add_action('wp_ajax_ccm_tools_webp_start_bulk_job', 'ccm_tools_ajax_webp_start_bulk_job');
+function ccm_tools_ajax_webp_start_bulk_job(): void {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+    
+    $failed_mode = isset($_POST['failed_mode']) ? sanitize_key($_POST['failed_mode']) : 'retry';
+    $total = isset($_POST['total']) ? intval($_POST['total']) : 0;
+    $workers = isset($_POST['workers']) ? intval($_POST['workers']) : 2;
+    
+    wp_send_json_success(array('job' => ccm_tools_webp_start_bulk_job($failed_mode, $total, $workers)));
+}
+
+// Save bulk job progress (also used to pause/complete/discard)
+add_action('wp_ajax_ccm_tools_webp_update_bulk_job', 'ccm_tools_ajax_webp_update_bulk_job');
+function ccm_tools_ajax_webp_update_bulk_job(): void {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+    
+    $job_id = isset($_POST['job_id']) ? sanitize_key($_POST['job_id']) : '';
+    
+    if (!empty($_POST['discard'])) {
+        $job = ccm_tools_webp_get_bulk_job();
+        if ($job && $job['id'] === $job_id) {
+            delete_option('ccm_tools_webp_bulk_job');
+        }
+        wp_send_json_success(array('job' => null));
+    }
+    
+    $fields = array();
+    foreach (array('status', 'phase') as $key) {
+        if (isset($_POST[$key])) {
+            $fields[$key] = sanitize_key($_POST[$key]);
+        }
+    }
+    foreach (array('converted', 'failed', 'retry_cursor') as $key) {
+        if (isset($_POST[$key])) {
+            $fields[$key] = intval($_POST[$key]);
+        }
+    }
+    
+    $job = ccm_tools_webp_update_bulk_job($job_id, $fields);
+    if (!$job) {
+        wp_send_json_error(array('message' => __('This conversion job was replaced or discarded.', 'ccm-tools')));
+    }
+    
+    wp_send_json_success(array('job' => $job));
+}
+
+// Record a failure the conversion request itself could not (timeout, fatal error)
+add_action('wp_ajax_ccm_tools_webp_mark_failed', 'ccm_tools_ajax_webp_mark_failed');
+function ccm_tools_ajax_webp_mark_failed(): void {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+    
+    $attachment_id = isset($_POST['attachment_id']) ? intval($_POST['attachment_id']) : 0;
+    $message = isset($_POST['message']) ? sanitize_text_field(wp_unslash($_POST['message'])) : '';
+    $job_id = isset($_POST['job_id']) ? sanitize_key($_POST['job_id']) : '';
+    
+    if (!$attachment_id || get_post_type($attachment_id) !== 'attachment') {
+        wp_send_json_error(array('message' => __('No attachment ID provided.', 'ccm-tools')));
+    }
+    
+    ccm_tools_webp_record_failure($attachment_id, $message ?: __('Conversion failed.', 'ccm-tools'), $job_id);
+    wp_send_json_success(array('attachment_id' => $attachment_id));
+}
+
+// Per-image conversion report (paged, filterable)
+add_action('wp_ajax_ccm_tools_webp_report', 'ccm_tools_ajax_webp_report');
+function ccm_tools_ajax_webp_report(): void {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+    
+    global $wpdb;
+    
+    $status = isset($_POST['status']) ? sanitize_key($_POST['status']) : 'processed';
+    $search = isset($_POST['search']) ? sanitize_text_field(wp_unslash($_POST['search'])) : '';
+    $sql = ccm_tools_webp_report_sql($status, $search);
+    
+    // IDs only — used by "Retry failed" to walk every match, not just this page
+    if (!empty($_POST['ids_only'])) {
+        $ids = $wpdb->get_col("SELECT DISTINCT p.ID {$sql} ORDER BY p.ID ASC LIMIT 50000");
+        wp_send_json_success(array('ids' => array_map('intval', $ids)));
+    }
+    
+    $per_page = isset($_POST['per_page']) ? min(100, max(10, intval($_POST['per_page']))) : 25;
+    $page = isset($_POST['page']) ? max(1, intval($_POST['page'])) : 1;
+    $total = (int) $wpdb->get_var("SELECT COUNT(DISTINCT p.ID) {$sql}");
+    $offset = ($page - 1) * $per_page;
+    
+    $ids = $wpdb->get_col("SELECT DISTINCT p.ID {$sql} ORDER BY p.ID DESC LIMIT {$per_page} OFFSET {$offset}");
+    
+    // Status counts ignore the status filter so the filter buttons can show them
+    $count_sql = ccm_tools_webp_report_sql('all', $search);
+    $counts = $wpdb->get_row(
+        "SELECT
+            COUNT(DISTINCT CASE WHEN pm.meta_id IS NOT NULL AND err.meta_id IS NULL THEN p.ID END) AS converted,
+            COUNT(DISTINCT CASE WHEN err.meta_id IS NOT NULL THEN p.ID END) AS failed,
+            COUNT(DISTINCT CASE WHEN pm.meta_id IS NULL AND err.meta_id IS NULL THEN p.ID END) AS pending
+         {$count_sql}",
+        ARRAY_A
+    );
+    
+    wp_send_json_success(array(
+        'rows' => array_map('ccm_tools_webp_report_row', $ids),
+        'total' => $total,
+        'page' => $page,
+        'pages' => max(1, (int) ceil($total / $per_page)),
+        'counts' => array_map('intval', (array) $counts),
+    ));
+}
+
+// Delete generated WebP/AVIF files for selected attachments
+add_action('wp_ajax_ccm_tools_webp_delete_converted', 'ccm_tools_ajax_webp_delete_converted');
+function ccm_tools_ajax_webp_delete_converted(): void {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+    
+    $ids = isset($_POST['ids']) ? array_filter(array_map('intval', (array) $_POST['ids'])) : array();
+    if (empty($ids)) {
+        wp_send_json_error(array('message' => __('No images selected.', 'ccm-tools')));
+    }
+    
+    $images = 0;
+    $files = 0;
+    foreach (array_slice($ids, 0, 200) as $attachment_id) {
+        if (get_post_type($attachment_id) !== 'attachment') {
+            continue;
+        }
+        $files += ccm_tools_webp_delete_attachment_files($attachment_id);
+        $images++;
+    }
+    
+    wp_send_json_success(array(
+        'message' => sprintf(__('Removed converted files for %d image(s) (%d file(s) deleted).', 'ccm-tools'), $images, $files),
+        'images' => $images,
+        'deleted_files' => $files,
+    ));
+}
+
+/**
+ * Download the conversion report as CSV
+ */
+add_action('wp_ajax_ccm_tools_webp_export_report', 'ccm_tools_ajax_webp_export_report');
+function ccm_tools_ajax_webp_export_report(): void {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_die(__('You do not have permission to perform this action.', 'ccm-tools'));
+    }
+    
+    global $wpdb;
+    
+    $status = isset($_POST['status']) ? sanitize_key($_POST['status']) : 'processed';
+    $search = isset($_POST['search']) ? sanitize_text_field(wp_unslash($_POST['search'])) : '';
+    $sql = ccm_tools_webp_report_sql($status, $search);
+    
+    nocache_headers();
+    header('Content-Type: text/csv; charset=utf-8');
+    header('Content-Disposition: attachment; filename="webp-conversion-report-' . gmdate('Y-m-d-H-i-s') . '.csv"');
+    
+    if (ob_get_level()) {
+        ob_end_clean();
+    }
+    
+    // Titles and paths are user content — stop spreadsheets treating them as formulas
+    $cell = function ($value) {
+        $value = (string) $value;
+        return preg_match('/^[=+\-@]/', $value) ? "'" . $value : $value;
+    };
+    
+    $out = fopen('php://output', 'w');
+    fputcsv($out, array('ID', 'File', 'Title', 'Status', 'Files', 'Original Bytes', 'WebP Bytes', 'AVIF Bytes', 'Savings %', 'Quality', 'Error', 'Attempts', 'Failed At (UTC)'));
+    
+    // Stream in chunks by ID so huge libraries don't exhaust memory
+    $last_id = 0;
+    do {
+        $ids = $wpdb->get_col("SELECT DISTINCT p.ID {$sql} AND p.ID > {$last_id} ORDER BY p.ID ASC LIMIT 500");
+        foreach ($ids as $attachment_id) {
+            $row = ccm_tools_webp_report_row($attachment_id);
+            fputcsv($out, array(
+                $row['id'],
+                $cell($row['file']),
+                $cell($row['title']),
+                $row['status'],
+                $row['files'],
+                $row['original_size'],
+                $row['webp_size'],
+                $row['avif_size'],
+                $row['savings_percent'] ?? '',
+                $row['quality'] ?? '',
+                $cell($row['error']),
+                $row['attempts'],
+                $row['failed_at'] ? gmdate('Y-m-d H:i:s', $row['failed_at']) : '',
+            ));
+            $last_id = (int) $attachment_id;
+        }
+        flush();
+    } while (count($ids) === 500);
+    
+    fclose($out);
+    wp_die();
 }
 
 // Test WebP conversion with uploaded file
@@ -1725,27 +2249,101 @@ function ccm_tools_ajax_test_webp_conversion(): void {
         wp_send_json_error(array('message' => __('Failed to save uploaded file.', 'ccm-tools')));
     }
     
-    // Get settings
+    // Get settings — the sliders may be ahead of the saved settings
     $settings = ccm_tools_webp_get_settings();
-    $quality = intval($settings['quality']);
+    $quality = !empty($_POST['quality']) ? max(1, min(100, intval($_POST['quality']))) : intval($settings['quality']);
+    $avif_quality = !empty($_POST['avif_quality']) ? max(1, min(100, intval($_POST['avif_quality']))) : intval($settings['avif_quality']);
     $extension = $settings['preferred_extension'];
     
     // Perform conversion
     $result = ccm_tools_webp_convert_image($source_path, '', $quality, $extension);
     
+    // AVIF is compared whenever the server can produce it, even if not yet enabled
+    $avif_result = null;
+    if (ccm_tools_webp_avif_is_available()) {
+        $avif_result = ccm_tools_webp_convert_image($source_path, '', $avif_quality, $extension, 'avif');
+    }
+    
     // Get image dimensions
     $image_info = getimagesize($source_path);
     $width = $image_info[0] ?? 0;
     $height = $image_info[1] ?? 0;
     
+    // Visual comparison: inline previews (no files left on disk) plus extra
+    // conversions at each requested quality. Skipped for very large uploads
+    // to keep the response a sensible size.
+    $preview_limit = 8 * MB_IN_BYTES;
+    $previews = filesize($source_path) <= $preview_limit;
+    $original_preview = '';
+    $variants = array();
+    
+    if ($previews) {
+        $original_preview = ccm_tools_webp_data_uri($source_path, $real_mime);
+        
+        $compare_format = (isset($_POST['compare_format']) && $_POST['compare_format'] === 'avif' && $avif_result) ? 'avif' : 'webp';
+        $requested = isset($_POST['qualities']) ? array_map('intval', (array) $_POST['qualities']) : array();
+        $requested[] = $compare_format === 'avif' ? $avif_quality : $quality;
+        $requested = array_slice(array_unique(array_filter($requested, function ($q) {
+            return $q >= 1 && $q <= 100;
+        })), 0, 6);
+        sort($requested);
+        
+        $path_info = pathinfo($source_path);
+        foreach ($requested as $variant_quality) {
+            $variant_path = $path_info['dirname'] . '/' . $path_info['filename'] . '-q' . $variant_quality . '.' . $compare_format;
+            $variant = ccm_tools_webp_convert_image($source_path, $variant_path, $variant_quality, $extension, $compare_format);
+            
+            $variants[] = array(
+                'format' => $compare_format,
+                'quality' => $variant_quality,
+                'success' => $variant['success'],
+                'message' => $variant['message'],
+                'size' => $variant['success'] ? size_format($variant['dest_size']) : '',
+                'bytes' => $variant['dest_size'],
+                'savings_percent' => $variant['savings_percent'],
+                'preview' => $variant['success'] ? ccm_tools_webp_data_uri($variant_path, 'image/' . $compare_format) : ''
+            );
+            
+            if (file_exists($variant_path)) {
+                unlink($variant_path);
+            }
+        }
+    }
+    
     // Clean up temp files
     if (file_exists($source_path)) {
         unlink($source_path);
     }
-    if ($result['success'] && file_exists($result['dest_path'])) {
-        unlink($result['dest_path']);
+    foreach (array($result, $avif_result) as $converted) {
+        if ($converted && $converted['success'] && file_exists($converted['dest_path'])) {
+            unlink($converted['dest_path']);
+        }
     }
     
+    $format_summary = function ($converted, $format_quality) {
+        return array(
+            'success' => $converted['success'],
+            'message' => $converted['message'],
+            'size' => $converted['success'] ? size_format($converted['dest_size']) : '',
+            'bytes' => $converted['dest_size'],
+            'savings_percent' => $converted['savings_percent'],
+            'extension_used' => $converted['extension_used'],
+            'quality' => $format_quality
+        );
+    };
+    
+    $formats = array(
+        'original' => array(
+            'size' => size_format($result['source_size']),
+            'bytes' => $result['source_size'],
+            'type' => wp_check_filetype($source_path)['ext'] ?? ''
+        ),
+        'webp' => $format_summary($result, $quality),
+        'avif' => $avif_result
+            ? $format_summary($avif_result, $avif_quality)
+            : array('success' => false, 'message' => __('No image processing extension with AVIF support is available.', 'ccm-tools'))
+    );
+    
     if ($result['success']) {
         wp_send_json_success(array(
             'message' => $result['message'],
@@ -1754,7 +2352,11 @@ function ccm_tools_ajax_test_webp_conversion(): void {
             'savings_percent' => $result['savings_percent'],
             'extension_used' => $result['extension_used'],
             'quality' => $quality,
-            'dimensions' => $width . 'x' . $height
+            'dimensions' => $width . 'x' . $height,
+            'formats' => $formats,
+            'original_preview' => $original_preview,
+            'variants' => $variants,
+            'previews_skipped' => !$previews
         ));
     } else {
         wp_send_json_error(array('message' => $result['message']));
@@ -1790,15 +2392,15 @@ function ccm_tools_ajax_reset_webp_conversions(): void {
             );
             
             foreach ($iterator as $file) {
-                if ($file->isFile() && strtolower($file->getExtension()) === 'webp') {
+                if ($file->isFile() && in_array(strtolower($file->getExtension()), array('webp', 'avif'), true)) {
                     $webp_path = $file->getPathname();
                     
                     // Check if there's a corresponding original image (jpg/png/gif)
-                    // Only delete WebP files that have an original - don't delete native WebP uploads
-                    $original_jpg = preg_replace('/\.webp$/i', '.jpg', $webp_path);
-                    $original_jpeg = preg_replace('/\.webp$/i', '.jpeg', $webp_path);
-                    $original_png = preg_replace('/\.webp$/i', '.png', $webp_path);
-                    $original_gif = preg_replace('/\.webp$/i', '.gif', $webp_path);
+                    // Only delete WebP/AVIF files that have an original - don't delete native uploads
+                    $original_jpg = preg_replace('/\.(webp|avif)$/i', '.jpg', $webp_path);
+                    $original_jpeg = preg_replace('/\.(webp|avif)$/i', '.jpeg', $webp_path);
+                    $original_png = preg_replace('/\.(webp|avif)$/i', '.png', $webp_path);
+                    $original_gif = preg_replace('/\.(webp|avif)$/i', '.gif', $webp_path);
                     
                     if (file_exists($original_jpg) || file_exists($original_jpeg) || 
                         file_exists($original_png) || file_exists($original_gif)) {
@@ -1822,11 +2424,13 @@ function ccm_tools_ajax_reset_webp_conversions(): void {
         delete_post_meta($attachment_id, '_ccm_webp_converted');
         $reset_count++;
     }
+    delete_post_meta_by_key('_ccm_avif_converted');
     
-    // Also clear the failed conversion cache (legacy meta key)
+    // Also clear the failed conversion cache (legacy meta key) and recorded bulk failures
     $wpdb->query(
-        "DELETE FROM {$wpdb->postmeta} WHERE meta_key = '_ccm_webp_conversion_failed'"
+        "DELETE FROM {$wpdb->postmeta} WHERE meta_key IN ('_ccm_webp_conversion_failed', '_ccm_webp_error')"
     );
+    delete_option('ccm_tools_webp_bulk_job');
     
     // Clear all failed conversion transients
     $wpdb->query(
@@ -2534,6 +3138,216 @@ function ccm_tools_extract_script_handle($src) {
     return $handle;
 }
 
+/**
+ * Find the external resources a page loads, grouped by CSP fetch directive
+ *
+ * Shared by the preconnect/DNS-prefetch origin detector and the CSP builder.
+ * Only origins other than the site's own host are collected. Links, hints
+ * and attributes that could not be tied to a directive go under 'other' and
+ * 'hint'; an origin already listed under a directive is not repeated in 'other'. Inline scripts and styles, and data: images and fonts, are flagged
+ * separately because a policy has to allow them explicitly.
+ *
+ * @param string $html Page HTML
+ * @param string $site_host The site's host name
+ * @return array {origins: {directive: [origin]}, inline_script, inline_style, data_img, data_font}
+ */
+function ccm_tools_find_page_resources(string $html, string $site_host): array {
+    $origins = array();
+    $flags = array(
+        'inline_script' => false,
+        'inline_style' => false,
+        'data_img' => false,
+        'data_font' => false,
+    );
+    
+    $add = function (string $directive, string $url) use (&$origins, &$flags, $site_host) {
+        $url = trim(html_entity_decode($url, ENT_QUOTES));
+        if (stripos($url, 'data:') === 0) {
+            if (preg_match('#^data:(?:font/|application/(?:x-)?font)#i', $url)) {
+                $flags['data_font'] = true;
+            } else if (stripos($url, 'data:image/') === 0) {
+                $flags['data_img'] = true;
+            }
+            return;
+        }
+        if (strpos($url, '//') === 0) {
+            $url = 'https:' . $url;
+        }
+        $parsed = wp_parse_url($url);
+        if (empty($parsed['host']) || empty($parsed['scheme']) || !in_array(strtolower($parsed['scheme']), array('http', 'https'), true)) {
+            return;
+        }
+        if (strtolower($parsed['host']) === strtolower($site_host)) {
+            return;
+        }
+        $origin = strtolower($parsed['scheme']) . '://' . strtolower($parsed['host']) . (isset($parsed['port']) ? ':' . $parsed['port'] : '');
+        $origins[$directive][$origin] = true;
+    };
+    
+    // srcset format: "url1 1x, url2 2x"
+    $add_srcset = function (string $directive, string $srcset) use ($add) {
+        foreach (preg_split('/,\s*/', $srcset) as $part) {
+            $parts = preg_split('/\s+/', trim($part));
+            if (!empty($parts[0])) {
+                $add($directive, $parts[0]);
+            }
+        }
+    };
+    
+    if (preg_match_all('/<(script|link|img|source|video|audio|track|iframe|frame|embed|object|form|a)\b([^>]*)>/i', $html, $tags, PREG_SET_ORDER)) {
+        foreach ($tags as $tag) {
+            $name = strtolower($tag[1]);
+            $attrs = array();
+            if (preg_match_all('/([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*(?:"([^"]*)"|\'([^\']*)\'|([^\s"\'>]+))/', $tag[2], $pairs, PREG_SET_ORDER)) {
+                foreach ($pairs as $pair) {
+                    $value = $pair[4] ?? '';
+                    if ($value === '') {
+                        $value = $pair[3] ?? '';
+                    }
+                    if ($value === '') {
+                        $value = $pair[2];
+                    }
+                    $attrs[strtolower($pair[1])] = $value;
+                }
+            }
+            
+            switch ($name) {
+                case 'script':
+                    if (!empty($attrs['src'])) {
+                        $add('script-src', $attrs['src']);
+                    } else if (!preg_match('#json|template|text/html|x-tmpl#i', $attrs['type'] ?? '')) {
+                        $flags['inline_script'] = true;
+                    }
+                    break;
+                case 'link':
+                    if (empty($attrs['href'])) {
+                        break;
+                    }
+                    $rel = ' ' . strtolower($attrs['rel'] ?? '') . ' ';
+                    $as_map = array('script' => 'script-src', 'style' => 'style-src', 'font' => 'font-src', 'image' => 'img-src', 'fetch' => 'connect-src');
+                    if (strpos($rel, ' stylesheet ') !== false) {
+                        $directive = 'style-src';
+                    } else if (strpos($rel, ' modulepreload ') !== false) {
+                        $directive = 'script-src';
+                    } else if (preg_match('/ (preload|prefetch) /', $rel)) {
+                        $directive = $as_map[strtolower($attrs['as'] ?? '')] ?? 'other';
+                    } else if (strpos($rel, 'icon') !== false) {
+                        $directive = 'img-src';
+                    } else if (strpos($rel, ' manifest ') !== false) {
+                        $directive = 'manifest-src';
+                    } else if (preg_match('/ (preconnect|dns-prefetch) /', $rel)) {
+                        $directive = 'hint';
+                    } else {
+                        $directive = 'other';
+                    }
+                    $add($directive, $attrs['href']);
+                    break;
+                case 'img':
+                    foreach (array('src', 'data-src', 'data-lazy-src') as $attr) {
+                        if (!empty($attrs[$attr])) {
+                            $add('img-src', $attrs[$attr]);
+                        }
+                    }
+                    foreach (array('srcset', 'data-srcset') as $attr) {
+                        if (!empty($attrs[$attr])) {
+                            $add_srcset('img-src', $attrs[$attr]);
+                        }
+                    }
+                    break;
+                case 'source':
+                    foreach (array('srcset', 'data-srcset') as $attr) {
+                        if (!empty($attrs[$attr])) {
+                            $add_srcset('img-src', $attrs[$attr]);
+                        }
+                    }
+                    if (!empty($attrs['src'])) {
+                        $add('media-src', $attrs['src']);
+                    }
+                    break;
+                case 'video':
+                case 'audio':
+                case 'track':
+                    if (!empty($attrs['src'])) {
+                        $add('media-src', $attrs['src']);
+                    }
+                    if (!empty($attrs['poster'])) {
+                        $add('img-src', $attrs['poster']);
+                    }
+                    break;
+                case 'iframe':
+                case 'frame':
+                    foreach (array('src', 'data-src') as $attr) {
+                        if (!empty($attrs[$attr])) {
+                            $add('frame-src', $attrs[$attr]);
+                        }
+                    }
+                    break;
+                case 'embed':
+                case 'object':
+                    $add('object-src', $attrs['src'] ?? ($attrs['data'] ?? ''));
+                    break;
+                case 'form':
+                    $add('form-action', $attrs['action'] ?? '');
+                    break;
+                default:
+                    $add('other', $attrs['href'] ?? '');
+            }
+        }
+    }
+    
+    // Anything else with a src, href or data-src (custom lazy loaders, widgets)
+    if (preg_match_all('/\s(?:src|href|data-src)=["\']?(https?:\/\/[^"\'>\s]+)["\']?/i', $html, $matches)) {
+        foreach ($matches[1] as $url) {
+            $add('other', $url);
+        }
+    }
+    
+    // CSS url(): fonts, stylesheets (@import) and background images
+    if (preg_match_all('/url\s*\(\s*["\']?([^"\')\s]+)["\']?\s*\)/i', $html, $matches)) {
+        foreach ($matches[1] as $url) {
+            $path = strtolower((string) wp_parse_url($url, PHP_URL_PATH));
+            if (preg_match('/\.(woff2?|ttf|otf|eot)$/', $path)) {
+                $directive = 'font-src';
+            } else if (substr($path, -4) === '.css') {
+                $directive = 'style-src';
+            } else {
+                $directive = 'img-src';
+            }
+            $add($directive, $url);
+        }
+    }
+    
+    if (preg_match('/<style\b|\sstyle\s*=\s*["\']/i', $html)) {
+        $flags['inline_style'] = true;
+    }
+    // Event handler attributes and javascript: URLs also need 'unsafe-inline'
+    if (preg_match('/<[a-z][^>]*\son[a-z]+\s*=|href\s*=\s*["\']?\s*javascript:/i', $html)) {
+        $flags['inline_script'] = true;
+    }
+    
+    // The generic pass above also sees every tag the switch already filed:
+    // 'other' keeps only origins no directive claimed
+    if (isset($origins['other'])) {
+        foreach ($origins as $directive => $set) {
+            if ($directive !== 'other') {
+                $origins['other'] = array_diff_key($origins['other'], $set);
+            }
+        }
+        if (empty($origins['other'])) {
+            unset($origins['other']);
+        }
+    }
+    
+    foreach ($origins as $directive => $set) {
+        $list = array_keys($set);
+        sort($list);
+        $origins[$directive] = $list;
+    }
+    ksort($origins);
+    
+    return array_merge(array('origins' => $origins), $flags);
+}
+
 /**
  * Detect external origins by fetching the site's homepage
  * Uses wp_remote_get to fetch the page and parses for external resources
@@ -2569,53 +3383,12 @@ function ccm_tools_ajax_detect_external_origins(): void {
         wp_send_json_error(array('message' => __('Empty response from homepage.', 'ccm-tools')));
     }
     
+    // Every external origin the page references, whatever loads it
+    $resources = ccm_tools_find_page_resources($html, $site_host);
     $external_origins = array();
-    
-    // Patterns to find external URLs
-    // Match src="...", href="...", url(...), data-src="...", srcset="..."
-    $patterns = array(
-        '/\s(?:src|href|data-src)=["\']?(https?:\/\/[^"\'>\s]+)["\']?/i',
-        '/url\s*\(\s*["\']?(https?:\/\/[^"\')\s]+)["\']?\s*\)/i',
-        '/srcset=["\']([^"\']+)["\']/i',
-    );
-    
-    foreach ($patterns as $pattern) {
-        if (preg_match_all($pattern, $html, $matches)) {
-            foreach ($matches[1] as $url) {
-                // For srcset, we might have multiple URLs
-                if (strpos($url, ',') !== false || strpos($url, ' ') !== false) {
-                    // Parse srcset format: "url1 1x, url2 2x"
-                    $srcset_parts = preg_split('/,\s*/', $url);
-                    foreach ($srcset_parts as $part) {
-                        $parts = preg_split('/\s+/', trim($part));
-                        if (!empty($parts[0]) && filter_var($parts[0], FILTER_VALIDATE_URL)) {
-                            $parsed = wp_parse_url($parts[0]);
-                            if (!empty($parsed['host']) && $parsed['host'] !== $site_host) {
-                                $origin = $parsed['scheme'] . '://' . $parsed['host'];
-                                $external_origins[$origin] = true;
-                            }
-                        }
-                    }
-                } else {
-                    // Regular URL
-                    $parsed = wp_parse_url($url);
-                    if (!empty($parsed['host']) && $parsed['host'] !== $site_host) {
-                        $origin = $parsed['scheme'] . '://' . $parsed['host'];
-                        $external_origins[$origin] = true;
-                    }
-                }
-            }
-        }
-    }
-    
-    // Also check for preconnect/dns-prefetch that might already be in the page
-    if (preg_match_all('/<link[^>]+rel=["\'](?:preconnect|dns-prefetch)["\'][^>]+href=["\']([^"\']+)["\']/', $html, $link_matches)) {
-        foreach ($link_matches[1] as $url) {
-            $parsed = wp_parse_url($url);
-            if (!empty($parsed['host']) && $parsed['host'] !== $site_host) {
-                $origin = (isset($parsed['scheme']) ? $parsed['scheme'] : 'https') . '://' . $parsed['host'];
-                $external_origins[$origin] = true;
-            }
+    foreach ($resources['origins'] as $directive_origins) {
+        foreach ($directive_origins as $origin) {
+            $external_origins[$origin] = true;
         }
     }
     
@@ -0,0 +1,557 @@
+<?php
+/**
+ * CCM Tools — Content-Security-Policy Builder
+ *
+ * Scans a few of the site's pages with the same resource discovery the
+ * preconnect detector uses (ccm_tools_find_page_resources()) so the admin
+ * screen can propose a policy. The policy is sent as a header on front-end
+ * responses: Report-Only first, enforced only after that exact policy has
+ * been deployed Report-Only. Browsers post violations to a public
+ * admin-ajax endpoint. It is rate limited, drops repeats of a violation seen
+ * in the last minute and only writes to a small buffer; the buffer is merged
+ * into the list, aggregated per directive, blocked source and page, every
+ * few minutes and whenever the list is viewed.
+ *
+ * @package CCMTools
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// ──────────────────────────────────────────────
+// Storage
+// ──────────────────────────────────────────────
+
+/**
+ * Saved policy and deployment state
+ *
+ * @return array {policy, mode: off|report-only|enforce, report_only_hash, report_only_since, updated, user}
+ */
+function ccm_tools_csp_get(): array {
+    $csp = get_option('ccm_tools_csp', array());
+    return wp_parse_args(is_array($csp) ? $csp : array(), array(
+        'policy'            => '',
+        'mode'              => 'off',
+        'report_only_hash'  => '',
+        'report_only_since' => 0,
+        'updated'           => 0,
+        'user'              => '',
+    ));
+}
+
+/**
+ * Key that report URLs carry
+ *
+ * It is sent in the Reporting-Endpoints and CSP headers of every front-end
+ * page, so anyone can read it: it only tells reports for this policy from
+ * stray requests to the action. The endpoint's rate limits are what protect it.
+ *
+ * @return string
+ */
+function ccm_tools_csp_key(): string {
+    $key = get_option('ccm_tools_csp_key', '');
+    if (!$key) {
+        $key = wp_generate_password(32, false);
+        update_option('ccm_tools_csp_key', $key, false);
+    }
+    return $key;
+}
+
+/**
+ * URL browsers send violation reports to
+ *
+ * @return string
+ */
+function ccm_tools_csp_report_url(): string {
+    return add_query_arg(array(
+        'action' => 'ccm_tools_csp_report',
+        'key'    => ccm_tools_csp_key(),
+    ), admin_url('admin-ajax.php'));
+}
+
+/**
+ * Aggregated violation reports, most recent first
+ *
+ * @return array List of {directive, blocked, document, source, count, first, last}
+ */
+function ccm_tools_csp_get_reports(): array {
+    $reports = get_option('ccm_tools_csp_reports', array());
+    return is_array($reports) ? $reports : array();
+}
+
+/**
+ * Normalize a policy typed or generated in the admin
+ *
+ * Line breaks become directive separators, reporting directives are dropped
+ * (they are added when the header is sent) and anything outside printable
+ * ASCII is removed so the value is always a valid header.
+ *
+ * @param string $policy Raw policy
+ * @return string
+ */
+function ccm_tools_csp_sanitize_policy(string $policy): string {
+    $policy = preg_replace('/[\r\n]+/', ';', $policy);
+    $policy = preg_replace('/[^\x20-\x7E]/', '', $policy);
+
+    $directives = array();
+    foreach (explode(';', $policy) as $directive) {
+        $directive = trim(preg_replace('/\s+/', ' ', $directive));
+        if ($directive === '' || !preg_match('/^[a-z-]+( |$)/i', $directive)) {
+            continue;
+        }
+        $name = strtolower(strtok($directive, ' '));
+        if (in_array($name, array('report-uri', 'report-to'), true)) {
+            continue;
+        }
+        $directives[$name] = $directive;
+    }
+
+    return substr(implode('; ', $directives), 0, 4096);
+}
+
+// ──────────────────────────────────────────────
+// Sending the header
+// ──────────────────────────────────────────────
+
+/**
+ * Send the policy on front-end responses
+ *
+ * @return void
+ */
+function ccm_tools_csp_send_header(): void {
+    $csp = ccm_tools_csp_get();
+    if ($csp['mode'] === 'off' || $csp['policy'] === '' || headers_sent()) {
+        return;
+    }
+
+    $endpoint = ccm_tools_csp_report_url();
+    header('Reporting-Endpoints: ccm-csp="' . $endpoint . '"');
+    header(
+        ($csp['mode'] === 'enforce' ? 'Content-Security-Policy' : 'Content-Security-Policy-Report-Only') . ': '
+        . $csp['policy'] . '; report-uri ' . $endpoint . '; report-to ccm-csp'
+    );
+}
+add_action('send_headers', 'ccm_tools_csp_send_header');
+
+// ──────────────────────────────────────────────
+// Reports
+// ──────────────────────────────────────────────
+
+/**
+ * Reduce a browser report to {directive, blocked, document, source}
+ *
+ * Accepts both the report-uri format ({"csp-report": {...}}) and a Reporting
+ * API entry ({"type": "csp-violation", "body": {...}}).
+ *
+ * @param array $report Decoded report
+ * @return array|null
+ */
+function ccm_tools_csp_normalize_report(array $report) {
+    if (isset($report['csp-report']) && is_array($report['csp-report'])) {
+        $body = $report['csp-report'];
+        $directive = $body['effective-directive'] ?? ($body['violated-directive'] ?? '');
+        $blocked = $body['blocked-uri'] ?? '';
+        $document = $body['document-uri'] ?? '';
+        $source = $body['source-file'] ?? '';
+        $line = $body['line-number'] ?? 0;
+    } else if (($report['type'] ?? '') === 'csp-violation' && isset($report['body']) && is_array($report['body'])) {
+        $body = $report['body'];
+        $directive = $body['effectiveDirective'] ?? '';
+        $blocked = $body['blockedURL'] ?? '';
+        $document = $body['documentURL'] ?? ($report['url'] ?? '');
+        $source = $body['sourceFile'] ?? '';
+        $line = $body['lineNumber'] ?? 0;
+    } else {
+        return null;
+    }
+
+    // Group script-src-elem/-attr and style-src-elem/-attr under their parent
+    $directive = strtolower(strtok(trim((string) $directive), ' '));
+    $directive = preg_replace('/-(elem|attr)$/', '', $directive);
+    if (!preg_match('/^[a-z-]{3,40}$/', $directive)) {
+        return null;
+    }
+
+    $blocked = trim((string) $blocked);
+    $parsed = wp_parse_url($blocked);
+    if (!empty($parsed['host']) && !empty($parsed['scheme'])) {
+        $blocked = strtolower($parsed['scheme']) . '://' . strtolower($parsed['host']) . (isset($parsed['port']) ? ':' . $parsed['port'] : '');
+    } else {
+        // Keywords: inline, eval, wasm-eval, data, blob, self, ...
+        $blocked = strtolower(preg_replace('/[^a-z-]/i', '', strtok($blocked, ':')));
+        if ($blocked === '') {
+            $blocked = 'inline';
+        }
+    }
+
+    $path = (string) wp_parse_url((string) $document, PHP_URL_PATH);
+    $source = $source !== '' ? esc_url_raw(strtok((string) $source, '?')) . ($line ? ':' . (int) $line : '') : '';
+
+    return array(
+        'directive' => $directive,
+        'blocked'   => substr($blocked, 0, 200),
+        'document'  => substr($path !== '' ? $path : '/', 0, 200),
+        'source'    => substr($source, 0, 300),
+    );
+}
+
+/**
+ * Hash that identifies one violation in the aggregated list
+ *
+ * @param array $report Normalized report
+ * @return string
+ */
+function ccm_tools_csp_report_hash(array $report): string {
+    return md5($report['directive'] . '|' . $report['blocked'] . '|' . $report['document']);
+}
+
+/**
+ * Count a report request against the per-minute limits
+ *
+ * Site-wide first, so a flood from many addresses stops before it creates a
+ * counter per address.
+ *
+ * @return bool True when the request is over a limit
+ */
+function ccm_tools_csp_rate_limited(): bool {
+    $minute = gmdate('YmdHi');
+    $ip = isset($_SERVER['REMOTE_ADDR']) ? sanitize_text_field(wp_unslash($_SERVER['REMOTE_ADDR'])) : '';
+    $limits = array(
+        'ccm_tools_csp_rate_' . $minute                   => (int) apply_filters('ccm_tools_csp_report_rate_site', 120),
+        'ccm_tools_csp_rate_' . md5($ip . '|' . $minute) => (int) apply_filters('ccm_tools_csp_report_rate_ip', 10),
+    );
+
+    foreach ($limits as $name => $limit) {
+        $count = (int) get_transient($name);
+        if ($count >= $limit) {
+            return true;
+        }
+        set_transient($name, $count + 1, MINUTE_IN_SECONDS);
+    }
+
+    return false;
+}
+
+/**
+ * Add normalized reports to the buffer
+ *
+ * A violation already buffered in the last minute is dropped, so a page that
+ * repeats one violation on every load costs no write. The buffer holds at
+ * most 100 distinct violations between merges.
+ *
+ * @param array $items Normalized reports
+ * @return void
+ */
+function ccm_tools_csp_buffer_reports(array $items): void {
+    $buffer = get_transient('ccm_tools_csp_report_buffer');
+    $buffer = is_array($buffer) ? $buffer : array();
+    $now = time();
+    $changed = false;
+
+    foreach ($items as $item) {
+        $hash = ccm_tools_csp_report_hash($item);
+        if (isset($buffer[$hash])) {
+            if ($buffer[$hash]['last'] > $now - MINUTE_IN_SECONDS) {
+                continue;
+            }
+            $buffer[$hash]['count']++;
+            $buffer[$hash]['last'] = $now;
+            if ($item['source'] !== '') {
+                $buffer[$hash]['source'] = $item['source'];
+            }
+        } else if (count($buffer) < 100) {
+            $buffer[$hash] = array_merge($item, array('count' => 1, 'first' => $now, 'last' => $now));
+        } else {
+            continue;
+        }
+        $changed = true;
+    }
+
+    if ($changed) {
+        set_transient('ccm_tools_csp_report_buffer', $buffer, DAY_IN_SECONDS);
+    }
+}
+
+/**
+ * Merge the buffer into the stored list
+ *
+ * @return void
+ */
+function ccm_tools_csp_flush_reports(): void {
+    $buffer = get_transient('ccm_tools_csp_report_buffer');
+    if (!is_array($buffer) || empty($buffer)) {
+        return;
+    }
+    delete_transient('ccm_tools_csp_report_buffer');
+
+    $stored = array();
+    foreach (ccm_tools_csp_get_reports() as $report) {
+        $stored[ccm_tools_csp_report_hash($report)] = $report;
+    }
+
+    foreach ($buffer as $hash => $item) {
+        if (isset($stored[$hash])) {
+            $stored[$hash]['count'] += $item['count'];
+            $stored[$hash]['last'] = max($stored[$hash]['last'], $item['last']);
+            if ($item['source'] !== '') {
+                $stored[$hash]['source'] = $item['source'];
+            }
+        } else {
+            $stored[$hash] = $item;
+        }
+    }
+
+    // Keep the most recently seen entries
+    uasort($stored, function ($a, $b) {
+        return $b['last'] <=> $a['last'];
+    });
+    $limit = (int) apply_filters('ccm_tools_csp_report_limit', 300);
+    update_option('ccm_tools_csp_reports', array_slice(array_values($stored), 0, $limit), false);
+}
+
+/**
+ * Violation report endpoint
+ *
+ * Not nonce-checked on purpose: browsers post here without cookies. The key
+ * is public (it is in the page headers) and only filters out stray requests;
+ * the rate limits in ccm_tools_csp_rate_limited() bound the load, and reports
+ * go to a buffer that is merged into the stored list at most every 5 minutes.
+ */
+function ccm_tools_ajax_csp_report() {
+    nocache_headers();
+
+    $key = isset($_GET['key']) ? sanitize_text_field(wp_unslash($_GET['key'])) : '';
+    $stored = get_option('ccm_tools_csp_key', '');
+    if (!$stored || !hash_equals($stored, $key)) {
+        status_header(403);
+        exit;
+    }
+
+    if (ccm_tools_csp_get()['mode'] === 'off') {
+        status_header(204);
+        exit;
+    }
+
+    if (ccm_tools_csp_rate_limited()) {
+        status_header(429);
+        exit;
+    }
+
+    $body = json_decode((string) file_get_contents('php://input', false, null, 0, 65536), true);
+    if (is_array($body)) {
+        // The Reporting API sends a list of reports; report-uri a single object
+        $reports = isset($body['csp-report']) ? array($body) : array_slice($body, 0, 20);
+        $items = array();
+        foreach ($reports as $report) {
+            $item = is_array($report) ? ccm_tools_csp_normalize_report($report) : null;
+            if ($item) {
+                $items[] = $item;
+            }
+        }
+        ccm_tools_csp_buffer_reports($items);
+    }
+
+    if (!get_transient('ccm_tools_csp_flushed')) {
+        set_transient('ccm_tools_csp_flushed', 1, 5 * MINUTE_IN_SECONDS);
+        ccm_tools_csp_flush_reports();
+    }
+
+    status_header(204);
+    exit;
+}
+add_action('wp_ajax_ccm_tools_csp_report', 'ccm_tools_ajax_csp_report');
+add_action('wp_ajax_nopriv_ccm_tools_csp_report', 'ccm_tools_ajax_csp_report');
+
+// ──────────────────────────────────────────────
+// AJAX
+// ──────────────────────────────────────────────
+
+/**
+ * AJAX: policy state, reports and default scan targets
+ */
+function ccm_tools_ajax_csp_get() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $csp = ccm_tools_csp_get();
+    $csp['updated_label'] = $csp['updated'] ? wp_date('Y-m-d H:i', $csp['updated']) : '';
+    $csp['report_only_label'] = $csp['report_only_since'] ? wp_date('Y-m-d H:i', $csp['report_only_since']) : '';
+
+    ccm_tools_csp_flush_reports();
+    $reports = ccm_tools_csp_get_reports();
+    foreach ($reports as &$report) {
+        $report['last_label'] = sprintf(__('%s ago', 'ccm-tools'), human_time_diff($report['last']));
+    }
+    unset($report);
+
+    wp_send_json_success(array(
+        'csp'        => $csp,
+        'reports'    => $reports,
+        'report_url' => ccm_tools_csp_report_url(),
+    ));
+}
+add_action('wp_ajax_ccm_tools_csp_get', 'ccm_tools_ajax_csp_get');
+
+/**
+ * AJAX: fetch one page of this site and list the resources it loads
+ */
+function ccm_tools_ajax_csp_scan_page() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $url = isset($_POST['url']) ? esc_url_raw(wp_unslash($_POST['url'])) : '';
+    $site_host = wp_parse_url(home_url('/'), PHP_URL_HOST);
+    if ($url === '' || strtolower((string) wp_parse_url($url, PHP_URL_HOST)) !== strtolower($site_host)) {
+        wp_send_json_error(array('message' => __('Only pages of this site can be scanned.', 'ccm-tools')));
+    }
+
+    $response = wp_remote_get($url, array(
+        'timeout'    => 30,
+        'sslverify'  => apply_filters('https_local_ssl_verify', false),
+        'user-agent' => 'CCM-Tools CSP Builder',
+    ));
+    if (is_wp_error($response)) {
+        wp_send_json_error(array('message' => $response->get_error_message()));
+    }
+
+    $status = (int) wp_remote_retrieve_response_code($response);
+    $html = wp_remote_retrieve_body($response);
+    if ($status >= 400 || $html === '') {
+        wp_send_json_error(array('message' => sprintf(__('HTTP %d or empty response.', 'ccm-tools'), $status)));
+    }
+
+    wp_send_json_success(array_merge(
+        array('url' => $url, 'status' => $status),
+        ccm_tools_find_page_resources($html, $site_host)
+    ));
+}
+add_action('wp_ajax_ccm_tools_csp_scan_page', 'ccm_tools_ajax_csp_scan_page');
+
+/**
+ * AJAX: save the policy and set its mode
+ */
+function ccm_tools_ajax_csp_save() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $mode = isset($_POST['mode']) ? sanitize_key(wp_unslash($_POST['mode'])) : '';
+    if (!in_array($mode, array('off', 'report-only', 'enforce'), true)) {
+        wp_send_json_error(array('message' => __('Invalid mode.', 'ccm-tools')));
+    }
+
+    $csp = ccm_tools_csp_get();
+    $policy = $mode === 'off' ? $csp['policy'] : ccm_tools_csp_sanitize_policy(isset($_POST['policy']) ? wp_unslash($_POST['policy']) : '');
+    if ($mode !== 'off' && $policy === '') {
+        wp_send_json_error(array('message' => __('The policy is empty.', 'ccm-tools')));
+    }
+
+    // A policy is only enforced after it has run Report-Only unchanged
+    if ($mode === 'enforce' && ($csp['mode'] === 'off' || !hash_equals($csp['report_only_hash'], md5($policy)))) {
+        wp_send_json_error(array('message' => __('Deploy this exact policy in Report-Only mode and check the violations before enforcing it.', 'ccm-tools')));
+    }
+
+    if ($mode === 'report-only' && md5($policy) !== $csp['report_only_hash']) {
+        $csp['report_only_hash'] = md5($policy);
+        $csp['report_only_since'] = time();
+    }
+
+    $user = wp_get_current_user();
+    $csp['policy'] = $policy;
+    $csp['mode'] = $mode;
+    $csp['updated'] = time();
+    $csp['user'] = $user->exists() ? $user->user_login : '';
+    update_option('ccm_tools_csp', $csp, false);
+
+    $labels = array('off' => 'turned off', 'report-only' => 'deployed Report-Only', 'enforce' => 'enforced');
+    ccm_tools_log_activity('csp', 'Content-Security-Policy ' . $labels[$mode] . ($mode === 'off' ? '' : ': ' . $policy), $mode === 'enforce' ? 'NOTICE' : 'INFO');
+
+    wp_send_json_success(array('csp' => $csp));
+}
+add_action('wp_ajax_ccm_tools_csp_save', 'ccm_tools_ajax_csp_save');
+
+/**
+ * AJAX: clear violation reports
+ */
+function ccm_tools_ajax_csp_clear_reports() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    delete_option('ccm_tools_csp_reports');
+    delete_transient('ccm_tools_csp_report_buffer');
+    wp_send_json_success(array('message' => __('Violation reports cleared.', 'ccm-tools')));
+}
+add_action('wp_ajax_ccm_tools_csp_clear_reports', 'ccm_tools_ajax_csp_clear_reports');
+
+// ──────────────────────────────────────────────
+// UI
+// ──────────────────────────────────────────────
+
+/**
+ * CSP builder card on the .htaccess page
+ *
+ * @return void
+ */
+function ccm_tools_render_csp_card(): void {
+    ?>
+    <div class="ccm-card" id="csp-card">
+        <h2><?php _e('Content-Security-Policy Builder', 'ccm-tools'); ?></h2>
+        <p><?php _e('Scan a few pages of this site to propose a policy from the script, style, font, image, frame and media origins they load. Deploy it Report-Only first: browsers then report what the policy would block without blocking anything. Enforce it once the violations below are resolved. The header is sent by WordPress on front-end pages, on any web server.', 'ccm-tools'); ?></p>
+
+        <p id="csp-status" class="ccm-log-summary"></p>
+
+        <h3><?php _e('1. Scan pages', 'ccm-tools'); ?></h3>
+        <p>
+            <label for="csp-pages"><?php _e('One URL of this site per line (up to 10):', 'ccm-tools'); ?></label>
+            <textarea id="csp-pages" rows="4" class="large-text code"><?php echo esc_textarea(implode("\n", ccm_tools_csp_scan_targets())); ?></textarea>
+        </p>
+        <div class="ccm-log-alert-actions">
+            <button type="button" id="csp-scan" class="ccm-button ccm-button-small"><?php _e('Scan Pages', 'ccm-tools'); ?></button>
+        </div>
+        <div id="csp-scan-result" class="ccm-csp-scan-result" style="display: none;"></div>
+
+        <h3><?php _e('2. Policy', 'ccm-tools'); ?></h3>
+        <p>
+            <label for="csp-policy"><?php _e('One directive per line. report-uri and report-to are added automatically.', 'ccm-tools'); ?></label>
+            <textarea id="csp-policy" rows="8" class="large-text code" spellcheck="false"></textarea>
+        </p>
+        <div class="ccm-log-alert-actions">
+            <button type="button" id="csp-report-only" class="ccm-button ccm-button-primary ccm-button-small"><?php _e('Deploy Report-Only', 'ccm-tools'); ?></button>
+            <button type="button" id="csp-enforce" class="ccm-button ccm-button-small" disabled><?php _e('Enforce', 'ccm-tools'); ?></button>
+            <button type="button" id="csp-off" class="ccm-button ccm-button-small" disabled><?php _e('Turn Off', 'ccm-tools'); ?></button>
+        </div>
+
+        <h3><?php _e('3. Violations', 'ccm-tools'); ?></h3>
+        <p id="csp-reports-summary" class="ccm-log-summary"></p>
+        <div class="ccm-table-responsive">
+            <table class="ccm-table" id="csp-reports">
+                <thead>
+                    <tr>
+                        <th><?php _e('Directive', 'ccm-tools'); ?></th>
+                        <th><?php _e('Blocked', 'ccm-tools'); ?></th>
+                        <th><?php _e('Page', 'ccm-tools'); ?></th>
+                        <th><?php _e('Count', 'ccm-tools'); ?></th>
+                        <th><?php _e('Last seen', 'ccm-tools'); ?></th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr><td colspan="6"><div class="ccm-spinner ccm-spinner-small"></div></td></tr>
+                </tbody>
+            </table>
+        </div>
+        <div class="ccm-log-alert-actions">
+            <button type="button" id="csp-refresh-reports" class="ccm-button ccm-button-small"><?php _e('Refresh', 'ccm-tools'); ?></button>
+            <button type="button" id="csp-clear-reports" class="ccm-button ccm-button-small"><?php _e('Clear Reports', 'ccm-tools'); ?></button>
+        </div>
+    </div>
+    <?php
+}
@@ -0,0 +1,443 @@
+<?php
+/**
+ * CCM Tools — Autoloaded Options Auditor
+ *
+ * Every autoloaded option is loaded into the alloptions array on every
+ * request. This lists the largest ones grouped by the plugin that probably
+ * owns them, and switches selected options to autoload=no. Each change is
+ * recorded with the previous autoload values so it can be undone.
+ *
+ * @package CCMTools
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// ──────────────────────────────────────────────
+// Report
+// ──────────────────────────────────────────────
+
+/**
+ * Autoload column values that mean "autoloaded".
+ * WordPress 6.6 added on/auto/auto-on next to the legacy yes.
+ *
+ * @return array
+ */
+function ccm_tools_autoload_values(): array {
+    if (function_exists('wp_autoload_values_to_autoload')) {
+        return wp_autoload_values_to_autoload();
+    }
+    return array('yes', 'on', 'auto-on', 'auto');
+}
+
+/**
+ * Core options that WordPress reads on every request.
+ * These are listed but cannot be switched off.
+ *
+ * @return array
+ */
+function ccm_tools_autoload_core_options(): array {
+    return array(
+        'siteurl', 'home', 'blogname', 'blogdescription', 'users_can_register', 'admin_email',
+        'start_of_week', 'use_balanceTags', 'use_smilies', 'require_name_email', 'comments_notify',
+        'posts_per_rss', 'rss_use_excerpt', 'mailserver_url', 'mailserver_login', 'mailserver_pass',
+        'mailserver_port', 'default_category', 'default_comment_status', 'default_ping_status',
+        'default_pingback_flag', 'posts_per_page', 'date_format', 'time_format', 'links_updated_date_format',
+        'comment_moderation', 'moderation_notify', 'permalink_structure', 'rewrite_rules', 'hack_file',
+        'blog_charset', 'moderation_keys', 'active_plugins', 'category_base', 'ping_sites', 'comment_max_links',
+        'gmt_offset', 'default_email_category', 'recently_edited', 'template', 'stylesheet',
+        'comment_registration', 'html_type', 'use_trackback', 'default_role', 'db_version',
+        'uploads_use_yearmonth_folders', 'upload_path', 'blog_public', 'default_link_category', 'show_on_front',
+        'tag_base', 'show_avatars', 'avatar_rating', 'upload_url_path', 'thumbnail_size_w', 'thumbnail_size_h',
+        'thumbnail_crop', 'medium_size_w', 'medium_size_h', 'avatar_default', 'large_size_w', 'large_size_h',
+        'image_default_link_type', 'image_default_size', 'image_default_align', 'close_comments_for_old_posts',
+        'close_comments_days_old', 'thread_comments', 'thread_comments_depth', 'page_comments', 'comments_per_page',
+        'default_comments_page', 'comment_order', 'sticky_posts', 'widget_categories', 'widget_text', 'widget_rss',
+        'uninstall_plugins', 'timezone_string', 'page_for_posts', 'page_on_front', 'default_post_format',
+        'link_manager_enabled', 'finished_splitting_shared_terms', 'site_icon', 'medium_large_size_w',
+        'medium_large_size_h', 'wp_page_for_privacy_policy', 'show_comments_cookies_opt_in', 'admin_email_lifespan',
+        'disallowed_keys', 'comment_previously_approved', 'auto_plugin_theme_update_emails', 'auto_update_core_dev',
+        'auto_update_core_minor', 'auto_update_core_major', 'wp_force_deactivated_plugins', 'wp_attachment_pages_enabled',
+        'initial_db_version', 'cron', 'sidebars_widgets', 'user_roles', 'WPLANG', 'recently_activated',
+        'current_theme', 'theme_switched', 'can_compress_scripts', 'fresh_site', 'db_upgraded', 'nav_menu_options',
+    );
+}
+
+/**
+ * Group an option by its probable owner.
+ *
+ * @param string $name Option name
+ * @return array {key, name, type, active} type is core|theme|transient|plugin|unknown
+ */
+function ccm_tools_autoload_owner(string $name): array {
+    global $wpdb;
+
+    if (strpos($name, '_transient_') === 0 || strpos($name, '_site_transient_') === 0) {
+        return array('key' => 'transients', 'name' => __('Transients', 'ccm-tools'), 'type' => 'transient', 'active' => true);
+    }
+
+    if (in_array($name, ccm_tools_autoload_core_options(), true) || strpos($name, 'widget_') === 0 || $name === $wpdb->prefix . 'user_roles') {
+        return array('key' => 'core', 'name' => __('WordPress core', 'ccm-tools'), 'type' => 'core', 'active' => true);
+    }
+
+    if (strpos($name, 'theme_mods_') === 0) {
+        $slug = substr($name, strlen('theme_mods_'));
+        $theme = wp_get_theme($slug);
+        return array(
+            'key'    => 'theme:' . $slug,
+            'name'   => $theme->exists() ? $theme->get('Name') : $slug,
+            'type'   => 'theme',
+            'active' => get_option('stylesheet') === $slug || get_option('template') === $slug,
+        );
+    }
+
+    $owner = ccm_tools_db_guess_owner($name);
+    if ($owner) {
+        return array(
+            'key'    => 'plugin:' . $owner['slug'],
+            'name'   => $owner['name'],
+            'type'   => 'plugin',
+            'active' => $owner['active'],
+        );
+    }
+
+    return array('key' => 'unknown', 'name' => __('Unknown', 'ccm-tools'), 'type' => 'unknown', 'active' => false);
+}
+
+/**
+ * Build the autoload report.
+ *
+ * @param int $limit Number of largest options to list
+ * @return array {total_bytes, total_count, options[], groups[]}
+ */
+function ccm_tools_autoload_report(int $limit = 200): array {
+    global $wpdb;
+
+    $values = ccm_tools_autoload_values();
+    $placeholders = implode(', ', array_fill(0, count($values), '%s'));
+    $rows = $wpdb->get_results($wpdb->prepare(
+        "SELECT option_name AS name, LENGTH(option_value) AS bytes, autoload
+         FROM {$wpdb->options}
+         WHERE autoload IN ({$placeholders})
+         ORDER BY bytes DESC",
+        $values
+    ), ARRAY_A);
+
+    $core = ccm_tools_autoload_core_options();
+    $groups = array();
+    $options = array();
+    $total = 0;
+
+    foreach ((array) $rows as $i => $row) {
+        $bytes = (int) $row['bytes'];
+        $owner = ccm_tools_autoload_owner($row['name']);
+        $total += $bytes;
+
+        if (!isset($groups[$owner['key']])) {
+            $groups[$owner['key']] = array_merge($owner, array('count' => 0, 'bytes' => 0));
+        }
+        $groups[$owner['key']]['count']++;
+        $groups[$owner['key']]['bytes'] += $bytes;
+
+        if ($i < $limit) {
+            $options[] = array(
+                'name'      => $row['name'],
+                'bytes'     => $bytes,
+                'autoload'  => $row['autoload'],
+                'group'     => $owner['key'],
+                'protected' => $owner['type'] === 'core' || in_array($row['name'], $core, true),
+            );
+        }
+    }
+
+    usort($groups, function ($a, $b) {
+        return $b['bytes'] - $a['bytes'];
+    });
+
+    return array(
+        'total_bytes' => $total,
+        'total_count' => count((array) $rows),
+        'options'     => $options,
+        'groups'      => array_values($groups),
+        // Site Health warns above this size
+        'threshold'   => (int) apply_filters('site_status_autoloaded_options_size_limit', 800000),
+    );
+}
+
+// ──────────────────────────────────────────────
+// Changes and undo log
+// ──────────────────────────────────────────────
+
+/**
+ * Get the undo log (newest first).
+ *
+ * @return array
+ */
+function ccm_tools_autoload_get_log(): array {
+    $log = get_option('ccm_tools_autoload_log', array());
+    return is_array($log) ? $log : array();
+}
+
+/**
+ * Write raw autoload values and drop the cached alloptions.
+ *
+ * The raw column is written directly so an undo restores exactly what was
+ * there before (yes, on, auto-on…), whatever WordPress version set it.
+ *
+ * @param array $values Option name => autoload value
+ * @return int Number of options updated
+ */
+function ccm_tools_autoload_write(array $values): int {
+    global $wpdb;
+
+    $updated = 0;
+    foreach ($values as $name => $autoload) {
+        if ($wpdb->update($wpdb->options, array('autoload' => $autoload), array('option_name' => $name))) {
+            $updated++;
+        }
+        wp_cache_delete($name, 'options');
+    }
+
+    wp_cache_delete('alloptions', 'options');
+    wp_cache_delete('notoptions', 'options');
+
+    return $updated;
+}
+
+/**
+ * Switch options to autoload=no and record the change.
+ *
+ * @param array $names Option names
+ * @return array|WP_Error Log entry, or error when nothing could be changed
+ */
+function ccm_tools_autoload_disable(array $names) {
+    global $wpdb;
+
+    $core = ccm_tools_autoload_core_options();
+    $values = ccm_tools_autoload_values();
+    $previous = array();
+
+    foreach (array_unique($names) as $name) {
+        if (in_array($name, $core, true) || ccm_tools_autoload_owner($name)['type'] === 'core') {
+            continue;
+        }
+        $row = $wpdb->get_row($wpdb->prepare(
+            "SELECT autoload, LENGTH(option_value) AS bytes FROM {$wpdb->options} WHERE option_name = %s",
+            $name
+        ));
+        if ($row && in_array($row->autoload, $values, true)) {
+            $previous[$name] = array('autoload' => $row->autoload, 'bytes' => (int) $row->bytes);
+        }
+    }
+
+    if (empty($previous)) {
+        return new WP_Error('nothing_to_change', __('None of the selected options are autoloaded, or they are core options.', 'ccm-tools'));
+    }
+
+    // WordPress 6.6+ uses "off"; earlier versions "no"
+    $off = function_exists('wp_autoload_values_to_autoload') ? 'off' : 'no';
+    ccm_tools_autoload_write(array_fill_keys(array_keys($previous), $off));
+
+    $user = wp_get_current_user();
+    $entry = array(
+        'id'      => strtolower(wp_generate_password(10, false)),
+        'time'    => time(),
+        'user'    => $user->exists() ? $user->user_login : '',
+        'options' => $previous,
+        'bytes'   => array_sum(wp_list_pluck($previous, 'bytes')),
+        'undone'  => 0,
+    );
+
+    $log = ccm_tools_autoload_get_log();
+    array_unshift($log, $entry);
+    update_option('ccm_tools_autoload_log', array_slice($log, 0, 50), false);
+
+    ccm_tools_log_activity(
+        'autoload',
+        sprintf('Autoload switched off for %d option(s) (%s): %s', count($previous), size_format($entry['bytes']), implode(', ', array_keys($previous))),
+        'NOTICE'
+    );
+
+    return $entry;
+}
+
+/**
+ * Restore the autoload values recorded in a log entry.
+ *
+ * @param string $id Log entry ID
+ * @return array|WP_Error Updated log entry or error
+ */
+function ccm_tools_autoload_undo(string $id) {
+    $log = ccm_tools_autoload_get_log();
+
+    foreach ($log as &$entry) {
+        if ($entry['id'] !== $id) {
+            continue;
+        }
+        if ($entry['undone']) {
+            return new WP_Error('already_undone', __('This change has already been undone.', 'ccm-tools'));
+        }
+
+        ccm_tools_autoload_write(wp_list_pluck($entry['options'], 'autoload'));
+        $entry['undone'] = time();
+        update_option('ccm_tools_autoload_log', $log, false);
+
+        ccm_tools_log_activity(
+            'autoload',
+            sprintf('Autoload restored for %d option(s): %s', count($entry['options']), implode(', ', array_keys($entry['options']))),
+            'NOTICE'
+        );
+
+        return $entry;
+    }
+    unset($entry);
+
+    return new WP_Error('not_found', __('Change not found in the undo log.', 'ccm-tools'));
+}
+
+// ──────────────────────────────────────────────
+// AJAX handlers
+// ──────────────────────────────────────────────
+
+/**
+ * Data for the auditor panel: report and undo log.
+ *
+ * @return array
+ */
+function ccm_tools_autoload_panel_data(): array {
+    return array(
+        'report' => ccm_tools_autoload_report(),
+        'log'    => array_map(function ($entry) {
+            $entry['time_label'] = wp_date('Y-m-d H:i', $entry['time']);
+            $entry['names'] = array_keys($entry['options']);
+            unset($entry['options']);
+            return $entry;
+        }, ccm_tools_autoload_get_log()),
+    );
+}
+
+/**
+ * AJAX handler: get the autoload report and undo log.
+ */
+function ccm_tools_ajax_get_autoload_report() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    wp_send_json_success(ccm_tools_autoload_panel_data());
+}
+add_action('wp_ajax_ccm_tools_get_autoload_report', 'ccm_tools_ajax_get_autoload_report');
+
+/**
+ * AJAX handler: switch selected options to autoload=no.
+ */
+function ccm_tools_ajax_disable_autoload() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $names = isset($_POST['options']) ? array_map('sanitize_text_field', wp_unslash((array) $_POST['options'])) : array();
+    $entry = ccm_tools_autoload_disable($names);
+    if (is_wp_error($entry)) {
+        wp_send_json_error(array('message' => $entry->get_error_message()));
+    }
+
+    wp_send_json_success(array_merge(
+        array('message' => sprintf(
+            __('Autoload switched off for %1$d option(s), %2$s less loaded on every request.', 'ccm-tools'),
+            count($entry['options']),
+            size_format($entry['bytes'])
+        )),
+        ccm_tools_autoload_panel_data()
+    ));
+}
+add_action('wp_ajax_ccm_tools_disable_autoload', 'ccm_tools_ajax_disable_autoload');
+
+/**
+ * AJAX handler: undo a logged change.
+ */
+function ccm_tools_ajax_undo_autoload() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $entry = ccm_tools_autoload_undo(isset($_POST['id']) ? sanitize_key($_POST['id']) : '');
+    if (is_wp_error($entry)) {
+        wp_send_json_error(array('message' => $entry->get_error_message()));
+    }
+
+    wp_send_json_success(array_merge(
+        array('message' => sprintf(__('Autoload restored for %d option(s).', 'ccm-tools'), count($entry['options']))),
+        ccm_tools_autoload_panel_data()
+    ));
+}
+add_action('wp_ajax_ccm_tools_undo_autoload', 'ccm_tools_ajax_undo_autoload');
+
+// ──────────────────────────────────────────────
+// UI
+// ──────────────────────────────────────────────
+
+/**
+ * Render the Autoloaded Options card on the database page.
+ *
+ * The report is loaded by the page script.
+ *
+ * @return void
+ */
+function ccm_tools_render_autoload_card(): void {
+    ?>
+    <div class="ccm-card" id="autoload-card">
+        <h2><?php _e('Autoloaded Options', 'ccm-tools'); ?></h2>
+        <p><?php _e('Autoloaded options are read into memory on every request (the alloptions array). Large ones slow every page and, with an object cache, every cache read. Switching an option to autoload=no keeps its value; the owning plugin then loads it with one extra query when it needs it. Every change can be undone below.', 'ccm-tools'); ?></p>
+
+        <p id="autoload-summary" class="ccm-log-summary"></p>
+        <div id="autoload-groups"></div>
+
+        <div class="ccm-db-explorer-filters">
+            <select id="autoload-group-filter">
+                <option value=""><?php _e('All owners', 'ccm-tools'); ?></option>
+            </select>
+            <button type="button" id="autoload-disable" class="ccm-button ccm-button-primary ccm-button-small" disabled><?php _e('Switch Selected to autoload=no', 'ccm-tools'); ?></button>
+            <button type="button" id="autoload-refresh" class="ccm-button ccm-button-small"><?php _e('Refresh', 'ccm-tools'); ?></button>
+        </div>
+
+        <div class="ccm-table-responsive">
+            <table class="ccm-table" id="autoload-options">
+                <thead>
+                    <tr>
+                        <th><input type="checkbox" id="autoload-select-all" aria-label="<?php esc_attr_e('Select all', 'ccm-tools'); ?>"></th>
+                        <th><?php _e('Option', 'ccm-tools'); ?></th>
+                        <th><?php _e('Probable owner', 'ccm-tools'); ?></th>
+                        <th><?php _e('Size', 'ccm-tools'); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr><td colspan="4"><div class="ccm-spinner ccm-spinner-small"></div></td></tr>
+                </tbody>
+            </table>
+        </div>
+
+        <h3><?php _e('Undo Log', 'ccm-tools'); ?></h3>
+        <div class="ccm-table-responsive">
+            <table class="ccm-table" id="autoload-log">
+                <thead>
+                    <tr>
+                        <th><?php _e('Time', 'ccm-tools'); ?></th>
+                        <th><?php _e('User', 'ccm-tools'); ?></th>
+                        <th><?php _e('Options', 'ccm-tools'); ?></th>
+                        <th><?php _e('Size', 'ccm-tools'); ?></th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr><td colspan="5" class="ccm-text-muted"><?php _e('No changes yet.', 'ccm-tools'); ?></td></tr>
+                </tbody>
+            </table>
+        </div>
+    </div>
+    <?php
+}
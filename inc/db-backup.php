@@ -0,0 +1,881 @@
+<?php
+/**
+ * CCM Tools — Database Backups
+ *
+ * Optional SQL export of every table a database optimization run is about to
+ * touch. Each table is streamed in chunks (one AJAX request per chunk) to a
+ * gzip file with a random name in private storage (see private-storage.php),
+ * so large tables such as postmeta never have to fit in one request. Only the last run is kept, and it can be
+ * restored with one click: each table is rebuilt in a temporary table and
+ * swapped in with RENAME TABLE, so a failed restore leaves the live table alone.
+ *
+ * Dump format: one SQL statement per line. Values are escaped, so they never
+ * contain a raw newline, and values that are not valid UTF-8 are written as
+ * hex literals.
+ *
+ * @package CCMTools
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// ──────────────────────────────────────────────
+// Storage
+// ──────────────────────────────────────────────
+
+/**
+ * Backup folder, or a run's folder inside it
+ *
+ * @param string $run_id Optional run ID
+ * @return string
+ */
+function ccm_tools_db_backup_dir(string $run_id = ''): string {
+    return ccm_tools_private_root() . '/db-backups' . ($run_id !== '' ? '/' . $run_id : '');
+}
+
+/**
+ * Dump file of a table in a run
+ *
+ * @param array  $run   Backup or run, with a random file name per table
+ * @param string $table Table name
+ * @return string Path, or '' when the table has no file
+ */
+function ccm_tools_db_backup_file(array $run, string $table): string {
+    $file = $run['tables'][$table]['file'] ?? '';
+    return $file !== '' ? ccm_tools_db_backup_dir($run['id']) . '/' . $file : '';
+}
+
+/**
+ * The last completed backup, or null
+ *
+ * @return array|null {id, created, user, tasks, tables: {name: {rows, size, file_size}}, restored}
+ */
+function ccm_tools_db_backup_get_last() {
+    $backup = get_option('ccm_tools_db_backup_last', null);
+    return is_array($backup) && !empty($backup['id']) ? $backup : null;
+}
+
+/**
+ * The backup run currently being written, or null
+ *
+ * @return array|null Same shape as the last backup, plus a cursor per table
+ */
+function ccm_tools_db_backup_get_run() {
+    $run = get_option('ccm_tools_db_backup_run', null);
+    return is_array($run) && !empty($run['id']) ? $run : null;
+}
+
+/**
+ * Delete a run's folder and files
+ *
+ * @param string $run_id Run ID
+ * @return void
+ */
+function ccm_tools_db_backup_delete_files(string $run_id): void {
+    $dir = ccm_tools_db_backup_dir(sanitize_file_name($run_id));
+    if ($run_id === '' || !is_dir($dir)) {
+        return;
+    }
+    foreach (array_diff((array) @scandir($dir), array('.', '..')) as $file) {
+        @unlink($dir . '/' . $file);
+    }
+    @rmdir($dir);
+}
+
+/**
+ * Move a backup made by an earlier version out of the public uploads folder
+ *
+ * The last backup's dumps are moved to private storage under random names;
+ * anything else left in the old folder is deleted.
+ *
+ * @return void
+ */
+function ccm_tools_db_backup_migrate(): void {
+    $upload_dir = wp_upload_dir(null, false);
+    $old = trailingslashit($upload_dir['basedir']) . 'ccm-tools/db-backups';
+    if (!is_dir($old)) {
+        return;
+    }
+
+    $backup = ccm_tools_db_backup_get_last();
+    if ($backup && is_dir($old . '/' . $backup['id']) && ccm_tools_ensure_protected_dir(ccm_tools_db_backup_dir()) && ccm_tools_ensure_protected_dir(ccm_tools_db_backup_dir($backup['id']))) {
+        foreach (array_keys($backup['tables']) as $name) {
+            $from = $old . '/' . $backup['id'] . '/' . sanitize_file_name($name) . '.sql.gz';
+            $file = ccm_tools_private_file_name($name, '.sql.gz');
+            if (is_file($from) && @rename($from, ccm_tools_db_backup_dir($backup['id']) . '/' . $file)) {
+                $backup['tables'][$name]['file'] = $file;
+            }
+        }
+        update_option('ccm_tools_db_backup_last', $backup, false);
+    }
+    delete_option('ccm_tools_db_backup_run');
+
+    foreach (array_diff((array) @scandir($old), array('.', '..')) as $entry) {
+        if (is_dir($old . '/' . $entry)) {
+            foreach (array_diff((array) @scandir($old . '/' . $entry), array('.', '..')) as $file) {
+                @unlink($old . '/' . $entry . '/' . $file);
+            }
+            @rmdir($old . '/' . $entry);
+        } else {
+            @unlink($old . '/' . $entry);
+        }
+    }
+    @rmdir($old);
+}
+add_action('admin_init', 'ccm_tools_db_backup_migrate');
+
+// ──────────────────────────────────────────────
+// Planning
+// ──────────────────────────────────────────────
+
+/**
+ * Tables an optimization task changes
+ *
+ * Mirrors what each ccm_tools_optimization_* function writes to, so the
+ * backup covers the rows that go away alongside the main ones.
+ *
+ * @param array $tasks Optimization option keys
+ * @return array Table names
+ */
+function ccm_tools_db_backup_task_tables(array $tasks): array {
+    global $wpdb;
+
+    $posts = array($wpdb->posts, $wpdb->postmeta);
+    $comments = array($wpdb->comments, $wpdb->commentmeta);
+    $map = array(
+        'clear_transients'             => is_multisite() && !empty($wpdb->sitemeta) ? array($wpdb->options, $wpdb->sitemeta) : array($wpdb->options),
+        'clean_spam_comments'          => $comments,
+        'clean_trashed_comments'       => $comments,
+        'clean_trashed_posts'          => array_merge($posts, array($wpdb->term_relationships, $wpdb->comments)),
+        'clean_auto_drafts'            => $posts,
+        'add_postmeta_index'           => array($wpdb->postmeta),
+        'add_postmeta_composite_index' => array($wpdb->postmeta),
+        'add_usermeta_index'           => array($wpdb->usermeta),
+        'add_commentmeta_index'        => array($wpdb->commentmeta),
+        'add_termmeta_index'           => array($wpdb->termmeta),
+        'clean_orphaned_postmeta'      => array($wpdb->postmeta),
+        'clean_orphaned_commentmeta'   => array($wpdb->commentmeta),
+        'clean_oembed_cache'           => array($wpdb->postmeta),
+        'limit_revisions'              => $posts,
+        'delete_all_revisions'         => $posts,
+        'clean_orphaned_termmeta'      => array($wpdb->termmeta),
+        'clean_orphaned_relationships' => array($wpdb->term_relationships),
+        'orphan_meta_post'             => array($wpdb->postmeta),
+        'orphan_meta_term'             => array($wpdb->termmeta),
+        'orphan_meta_user'             => array($wpdb->usermeta),
+        'orphan_meta_comment'          => array($wpdb->commentmeta),
+    );
+
+    $tables = array();
+    foreach ($tasks as $task) {
+        if (isset($map[$task])) {
+            $tables = array_merge($tables, $map[$task]);
+        }
+    }
+
+    // Table-level tasks use the same selection as ccm_tools_get_tables_to_optimize()
+    $table_tasks = array_intersect($tasks, array('optimize_tables', 'update_collation', 'convert_innodb'));
+    if (!empty($table_tasks)) {
+        $info = ccm_tools_get_tables_to_optimize(
+            in_array('optimize_tables', $table_tasks, true),
+            in_array('update_collation', $table_tasks, true),
+            in_array('convert_innodb', $table_tasks, true)
+        );
+        $tables = array_merge($tables, $info['tables']);
+    }
+
+    $existing = $wpdb->get_col("SHOW FULL TABLES WHERE Table_type = 'BASE TABLE'");
+    return array_values(array_intersect(array_unique($tables), $existing));
+}
+
+/**
+ * Size and row estimates of tables
+ *
+ * @param array $tables Table names
+ * @return array name => {rows, size}
+ */
+function ccm_tools_db_backup_table_info(array $tables): array {
+    global $wpdb;
+
+    if (empty($tables)) {
+        return array();
+    }
+
+    $placeholders = implode(',', array_fill(0, count($tables), '%s'));
+    $rows = $wpdb->get_results(
+        $wpdb->prepare(
+            "SELECT TABLE_NAME, TABLE_ROWS, DATA_LENGTH + INDEX_LENGTH AS size FROM information_schema.tables WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME IN ({$placeholders})",
+            $tables
+        ),
+        ARRAY_A
+    );
+
+    $info = array();
+    foreach ($tables as $table) {
+        $info[$table] = array('rows' => 0, 'size' => 0);
+    }
+    foreach ($rows as $row) {
+        $info[$row['TABLE_NAME']] = array('rows' => (int) $row['TABLE_ROWS'], 'size' => (int) $row['size']);
+    }
+
+    return $info;
+}
+
+// ──────────────────────────────────────────────
+// Export
+// ──────────────────────────────────────────────
+
+/**
+ * How a table is paged during export
+ *
+ * A single integer primary or unique key is paged by key. Otherwise chunks
+ * use LIMIT/OFFSET, which needs an order that is the same in every request:
+ * the primary key, a unique index over NOT NULL columns, or all columns when
+ * none is TEXT, BLOB or spatial (those only sort on a prefix). Without such an
+ * order, rows could be skipped or dumped twice, so the table is exported in
+ * a single pass instead.
+ *
+ * @param string $table Table name (validated)
+ * @return array {mode: key|offset|single, key, order}
+ */
+function ccm_tools_db_backup_paging(string $table): array {
+    global $wpdb;
+
+    $columns = array();
+    foreach ((array) $wpdb->get_results("SHOW COLUMNS FROM `{$table}`", ARRAY_A) as $column) {
+        $columns[$column['Field']] = $column;
+    }
+
+    $unique = array();
+    foreach ((array) $wpdb->get_results("SHOW INDEX FROM `{$table}`", ARRAY_A) as $index) {
+        if ((int) $index['Non_unique'] === 0) {
+            $unique[$index['Key_name']][(int) $index['Seq_in_index']] = $index;
+        }
+    }
+    if (isset($unique['PRIMARY'])) {
+        $unique = array('PRIMARY' => $unique['PRIMARY']) + $unique;
+    }
+
+    $quote = function ($column) {
+        return '`' . str_replace('`', '``', $column) . '`';
+    };
+
+    foreach ($unique as $parts) {
+        ksort($parts);
+        $fields = array();
+        foreach ($parts as $part) {
+            // Prefix and nullable columns don't make rows unique
+            if ($part['Sub_part'] !== null || !isset($columns[$part['Column_name']]) || $columns[$part['Column_name']]['Null'] !== 'NO') {
+                continue 2;
+            }
+            $fields[] = $part['Column_name'];
+        }
+        if (count($fields) === 1 && preg_match('/^(tiny|small|medium|big)?int\b/i', $columns[$fields[0]]['Type'])) {
+            return array('mode' => 'key', 'key' => $fields[0], 'order' => $quote($fields[0]));
+        }
+        return array('mode' => 'offset', 'key' => '', 'order' => implode(', ', array_map($quote, $fields)));
+    }
+
+    foreach ($columns as $column) {
+        if (preg_match('/blob|text|json|geometry|point|linestring|polygon/i', $column['Type'])) {
+            return array('mode' => 'single', 'key' => '', 'order' => '');
+        }
+    }
+
+    return array('mode' => 'offset', 'key' => '', 'order' => implode(', ', array_map($quote, array_keys($columns))));
+}
+
+/**
+ * SQL literal for a dumped value
+ *
+ * @param mixed $value Column value from $wpdb (string or null)
+ * @return string
+ */
+function ccm_tools_db_backup_sql_value($value): string {
+    global $wpdb;
+
+    if ($value === null) {
+        return 'NULL';
+    }
+    $value = (string) $value;
+    if ($value === '') {
+        return "''";
+    }
+    // Binary data would be mangled by the utf8mb4 connection on restore
+    if (!preg_match('//u', $value)) {
+        return '0x' . bin2hex($value);
+    }
+
+    return "'" . $wpdb->remove_placeholder_escape($wpdb->_real_escape($value)) . "'";
+}
+
+/**
+ * Write rows as INSERT statements
+ *
+ * Several rows per INSERT, but lines stay well under max_allowed_packet.
+ *
+ * @param resource $gz    Dump file
+ * @param string   $table Table name
+ * @param array    $rows  Rows as associative arrays
+ * @return void
+ */
+function ccm_tools_db_backup_write_rows($gz, string $table, array $rows): void {
+    $max_line = 1048576;
+    $line = '';
+    foreach ($rows as $row) {
+        $tuple = '(' . implode(',', array_map('ccm_tools_db_backup_sql_value', $row)) . ')';
+        if ($line !== '' && strlen($line) + strlen($tuple) > $max_line) {
+            gzwrite($gz, 'INSERT INTO `' . $table . '` VALUES ' . $line . ";\n");
+            $line = '';
+        }
+        $line .= ($line === '' ? '' : ',') . $tuple;
+    }
+    if ($line !== '') {
+        gzwrite($gz, 'INSERT INTO `' . $table . '` VALUES ' . $line . ";\n");
+    }
+}
+
+/**
+ * Export a whole table in one query, for tables without a stable row order
+ *
+ * Rows are streamed with an unbuffered query so the table never has to fit
+ * in memory.
+ *
+ * @param resource $gz    Dump file
+ * @param string   $table Table name (validated)
+ * @return int|WP_Error Rows written
+ */
+function ccm_tools_db_backup_export_all($gz, string $table) {
+    global $wpdb;
+
+    @set_time_limit(0);
+    $batch = 500;
+    $written = 0;
+
+    if (!($wpdb->dbh instanceof mysqli)) {
+        $rows = $wpdb->get_results("SELECT * FROM `{$table}`", ARRAY_A);
+        if ($rows === null || $wpdb->last_error) {
+            return new WP_Error('ccm_backup_read', sprintf(__('Could not read %1$s: %2$s', 'ccm-tools'), $table, $wpdb->last_error));
+        }
+        foreach (array_chunk($rows, $batch) as $chunk) {
+            ccm_tools_db_backup_write_rows($gz, $table, $chunk);
+        }
+        return count($rows);
+    }
+
+    $result = mysqli_query($wpdb->dbh, "SELECT * FROM `{$table}`", MYSQLI_USE_RESULT);
+    if (!$result) {
+        return new WP_Error('ccm_backup_read', sprintf(__('Could not read %1$s: %2$s', 'ccm-tools'), $table, mysqli_error($wpdb->dbh)));
+    }
+
+    $rows = array();
+    while (($row = mysqli_fetch_assoc($result)) !== null) {
+        $rows[] = $row;
+        if (count($rows) === $batch) {
+            ccm_tools_db_backup_write_rows($gz, $table, $rows);
+            $written += $batch;
+            $rows = array();
+        }
+    }
+    mysqli_free_result($result);
+    ccm_tools_db_backup_write_rows($gz, $table, $rows);
+
+    return $written + count($rows);
+}
+
+/**
+ * Export the next chunk of a table to the run's dump file
+ *
+ * @param array  $run    Backup run
+ * @param string $table  Table name (validated)
+ * @param string $cursor '' to start, then the cursor returned by the previous chunk
+ * @return array|WP_Error {done, cursor, rows}
+ */
+function ccm_tools_db_backup_export_chunk(array $run, string $table, string $cursor) {
+    global $wpdb;
+
+    $path = ccm_tools_db_backup_file($run, $table);
+    $gz = $path !== '' ? @gzopen($path, $cursor === '' ? 'wb6' : 'ab6') : false;
+    if (!$gz) {
+        return new WP_Error('ccm_backup_write', __('Could not write the backup file.', 'ccm-tools'));
+    }
+
+    if ($cursor === '') {
+        $create = $wpdb->get_row("SHOW CREATE TABLE `{$table}`", ARRAY_N);
+        if (!$create) {
+            gzclose($gz);
+            return new WP_Error('ccm_backup_schema', sprintf(__('Could not read the structure of %s.', 'ccm-tools'), $table));
+        }
+        gzwrite($gz, '-- CCM Tools backup of `' . $table . '` ' . gmdate('c') . "\n");
+        gzwrite($gz, 'DROP TABLE IF EXISTS `' . $table . "`;\n");
+        gzwrite($gz, str_replace(array("\r", "\n"), ' ', $create[1]) . ";\n");
+    }
+
+    $paging = ccm_tools_db_backup_paging($table);
+    if ($paging['mode'] === 'single') {
+        $written = ccm_tools_db_backup_export_all($gz, $table);
+        gzclose($gz);
+        if (is_wp_error($written)) {
+            return $written;
+        }
+        return array(
+            'done'   => true,
+            'cursor' => 'a:',
+            'rows'   => $written,
+        );
+    }
+
+    $key = $paging['key'];
+    $batch = 500;
+    $budget = microtime(true) + 8;
+    $written = 0;
+    $done = false;
+
+    while (microtime(true) < $budget) {
+        if ($paging['mode'] === 'key') {
+            $after = $cursor === '' ? null : (int) substr($cursor, 2);
+            $where = $after === null ? '' : $wpdb->prepare("WHERE `{$key}` > %d", $after);
+            $rows = $wpdb->get_results("SELECT * FROM `{$table}` {$where} ORDER BY `{$key}` LIMIT {$batch}", ARRAY_A);
+        } else {
+            $offset = $cursor === '' ? 0 : (int) substr($cursor, 2);
+            $rows = $wpdb->get_results("SELECT * FROM `{$table}` ORDER BY {$paging['order']} LIMIT {$offset}, {$batch}", ARRAY_A);
+        }
+
+        if ($rows === null || $wpdb->last_error) {
+            gzclose($gz);
+            return new WP_Error('ccm_backup_read', sprintf(__('Could not read %1$s: %2$s', 'ccm-tools'), $table, $wpdb->last_error));
+        }
+        if (empty($rows)) {
+            $done = true;
+            break;
+        }
+
+        ccm_tools_db_backup_write_rows($gz, $table, $rows);
+
+        $written += count($rows);
+        if ($paging['mode'] === 'key') {
+            $last = end($rows);
+            $cursor = 'k:' . $last[$key];
+        } else {
+            $cursor = 'o:' . ($offset + count($rows));
+        }
+
+        if (count($rows) < $batch) {
+            $done = true;
+            break;
+        }
+    }
+
+    gzclose($gz);
+
+    return array(
+        'done'   => $done,
+        'cursor' => $cursor,
+        'rows'   => $written,
+    );
+}
+
+// ──────────────────────────────────────────────
+// Restore
+// ──────────────────────────────────────────────
+
+/**
+ * Run one restore statement without $wpdb's charset checks
+ *
+ * $wpdb->query() strips (and rejects) queries it thinks contain invalid text,
+ * which is slow on multi-megabyte INSERTs and wrong for hex literals.
+ *
+ * @param string $sql Statement
+ * @return true|string True, or the database error
+ */
+function ccm_tools_db_backup_exec(string $sql) {
+    global $wpdb;
+
+    if ($wpdb->dbh instanceof mysqli) {
+        return mysqli_query($wpdb->dbh, $sql) ? true : mysqli_error($wpdb->dbh);
+    }
+
+    return $wpdb->query($sql) !== false ? true : $wpdb->last_error;
+}
+
+/**
+ * Restore the next chunk of a table from the last backup
+ *
+ * Statements are replayed into a temporary table. When the dump is finished
+ * the live table is swapped out and dropped.
+ *
+ * @param array  $backup Last backup
+ * @param string $table  Table name (must be part of the backup)
+ * @param int    $offset Uncompressed position in the dump (0 to start)
+ * @return array|WP_Error {done, offset}
+ */
+function ccm_tools_db_backup_restore_chunk(array $backup, string $table, int $offset) {
+    $path = ccm_tools_db_backup_file($backup, $table);
+    $gz = $path !== '' && is_readable($path) ? @gzopen($path, 'rb') : false;
+    if (!$gz) {
+        return new WP_Error('ccm_restore_read', sprintf(__('Backup file for %s is missing.', 'ccm-tools'), $table));
+    }
+
+    // Hashed, so long table names that share a prefix can't collide
+    $temp = 'ccm_restore_' . substr(md5($table), 0, 12);
+    if ($offset === 0) {
+        ccm_tools_db_backup_exec("DROP TABLE IF EXISTS `{$temp}`");
+    } elseif (gzseek($gz, $offset) === -1) {
+        gzclose($gz);
+        return new WP_Error('ccm_restore_seek', __('Could not resume the restore.', 'ccm-tools'));
+    }
+
+    $budget = microtime(true) + 8;
+    while (!gzeof($gz) && microtime(true) < $budget) {
+        $line = rtrim((string) gzgets($gz), "\r\n");
+        if ($line === '' || strpos($line, '--') === 0 || strpos($line, 'DROP TABLE') === 0) {
+            continue;
+        }
+
+        $sql = preg_replace('/^(CREATE TABLE|INSERT INTO) `[^`]+`/', '$1 `' . $temp . '`', $line, 1);
+        $result = ccm_tools_db_backup_exec($sql);
+        if ($result !== true) {
+            gzclose($gz);
+            ccm_tools_db_backup_exec("DROP TABLE IF EXISTS `{$temp}`");
+            return new WP_Error('ccm_restore_query', sprintf(__('Restoring %1$s failed: %2$s', 'ccm-tools'), $table, $result));
+        }
+    }
+
+    $done = gzeof($gz);
+    $offset = (int) gztell($gz);
+    gzclose($gz);
+
+    if ($done) {
+        $old = 'ccm_replaced_' . substr(md5($table), 0, 12);
+        ccm_tools_db_backup_exec("DROP TABLE IF EXISTS `{$old}`");
+        $result = ccm_tools_db_backup_exec("RENAME TABLE `{$table}` TO `{$old}`, `{$temp}` TO `{$table}`");
+        if ($result !== true) {
+            return new WP_Error('ccm_restore_swap', sprintf(__('Could not swap in the restored %1$s: %2$s', 'ccm-tools'), $table, $result));
+        }
+        ccm_tools_db_backup_exec("DROP TABLE IF EXISTS `{$old}`");
+    }
+
+    return array(
+        'done'   => $done,
+        'offset' => $offset,
+    );
+}
+
+// ──────────────────────────────────────────────
+// AJAX
+// ──────────────────────────────────────────────
+
+/**
+ * Backup summary for the UI
+ *
+ * @return array {storage: {protected, message}, backup: null|{id, created_label, user, tasks, tables: [{name, rows, size, file_size}], total_size, restored_label}}
+ */
+function ccm_tools_db_backup_panel_data(): array {
+    $status = ccm_tools_private_dir_status();
+    $storage = array('protected' => $status['protected'], 'message' => $status['message']);
+
+    $backup = ccm_tools_db_backup_get_last();
+    if (!$backup) {
+        return array('storage' => $storage, 'backup' => null);
+    }
+
+    $tables = array();
+    $total = 0;
+    foreach ($backup['tables'] as $name => $table) {
+        $path = ccm_tools_db_backup_file($backup, $name);
+        $file_size = $path !== '' ? (int) @filesize($path) : 0;
+        $total += $file_size;
+        $tables[] = array(
+            'name'      => $name,
+            'rows'      => number_format_i18n($table['rows']),
+            'size'      => size_format($table['size'], 1),
+            'file_size' => size_format($file_size, 1),
+        );
+    }
+
+    return array(
+        'storage' => $storage,
+        'backup'  => array(
+            'id'             => $backup['id'],
+            'created_label'  => wp_date('Y-m-d H:i', $backup['created']),
+            'user'           => $backup['user'],
+            'tasks'          => $backup['tasks'],
+            'tables'         => $tables,
+            'total_size'     => size_format($total, 1),
+            'restored_label' => !empty($backup['restored']) ? wp_date('Y-m-d H:i', $backup['restored']) : '',
+        ),
+    );
+}
+
+/**
+ * Validate the tasks posted by the optimization UI
+ *
+ * @return array Option keys
+ */
+function ccm_tools_db_backup_posted_tasks(): array {
+    $tasks = isset($_POST['tasks']) && is_array($_POST['tasks']) ? array_map('sanitize_key', wp_unslash($_POST['tasks'])) : array();
+    $allowed = array_keys(ccm_tools_get_optimization_options());
+    foreach (array_keys(ccm_tools_orphaned_meta_types()) as $type) {
+        $allowed[] = 'orphan_meta_' . $type;
+    }
+    return array_values(array_intersect($tasks, $allowed));
+}
+
+/**
+ * AJAX handler: tables a backup of the selected tasks would include
+ */
+function ccm_tools_ajax_db_backup_plan() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $info = ccm_tools_db_backup_table_info(ccm_tools_db_backup_task_tables(ccm_tools_db_backup_posted_tasks()));
+    $size = array_sum(wp_list_pluck($info, 'size'));
+    $free = function_exists('disk_free_space') ? @disk_free_space(ccm_tools_private_root()) : false;
+    $storage = ccm_tools_private_dir_status();
+
+    $tables = array();
+    foreach ($info as $name => $table) {
+        $tables[] = array('name' => $name, 'rows' => $table['rows'], 'size' => size_format($table['size'], 1));
+    }
+
+    wp_send_json_success(array(
+        'tables'     => $tables,
+        'size'       => size_format($size, 1),
+        // Dumps compress well, but don't count on it when space is tight
+        'low_space'  => $free !== false && $free < $size,
+        // Dumps include password hashes and keys: never write them where they can be downloaded
+        'protected'  => $storage['protected'],
+        'warning'    => $storage['message'],
+    ));
+}
+add_action('wp_ajax_ccm_tools_db_backup_plan', 'ccm_tools_ajax_db_backup_plan');
+
+/**
+ * AJAX handler: start a backup run for the selected tasks
+ */
+function ccm_tools_ajax_db_backup_start() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $tasks = ccm_tools_db_backup_posted_tasks();
+    $info = ccm_tools_db_backup_table_info(ccm_tools_db_backup_task_tables($tasks));
+    if (empty($info)) {
+        wp_send_json_error(array('message' => __('The selected tasks don\'t change any tables.', 'ccm-tools')));
+    }
+
+    // An unfinished run is useless: drop it
+    $previous = ccm_tools_db_backup_get_run();
+    if ($previous) {
+        ccm_tools_db_backup_delete_files($previous['id']);
+    }
+
+    $storage = ccm_tools_private_dir_status(true);
+    if (!$storage['protected']) {
+        wp_send_json_error(array('message' => $storage['message']));
+    }
+
+    $run_id = gmdate('Ymd-His') . '-' . strtolower(wp_generate_password(6, false));
+    if (!ccm_tools_ensure_protected_dir(ccm_tools_db_backup_dir()) || !ccm_tools_ensure_protected_dir(ccm_tools_db_backup_dir($run_id))) {
+        wp_send_json_error(array('message' => __('Could not create the backup folder.', 'ccm-tools')));
+    }
+
+    $options = ccm_tools_get_optimization_options();
+    foreach (ccm_tools_orphaned_meta_types() as $type => $meta) {
+        $options['orphan_meta_' . $type] = array('label' => sprintf(__('Orphaned %s', 'ccm-tools'), strtolower($meta['label'])));
+    }
+    $run = array(
+        'id'       => $run_id,
+        'created'  => time(),
+        'user'     => wp_get_current_user()->user_login,
+        'tasks'    => array_map(function ($task) use ($options) {
+            return $options[$task]['label'];
+        }, $tasks),
+        'tables'   => array(),
+        'restored' => 0,
+    );
+    foreach ($info as $name => $table) {
+        $run['tables'][$name] = array(
+            'rows'   => 0,
+            'size'   => $table['size'],
+            'file'   => ccm_tools_private_file_name($name, '.sql.gz'),
+            'cursor' => '',
+            'done'   => false,
+        );
+    }
+    update_option('ccm_tools_db_backup_run', $run, false);
+
+    wp_send_json_success(array(
+        'id'     => $run_id,
+        'tables' => array_keys($run['tables']),
+    ));
+}
+add_action('wp_ajax_ccm_tools_db_backup_start', 'ccm_tools_ajax_db_backup_start');
+
+/**
+ * AJAX handler: export the next chunk of one table
+ */
+function ccm_tools_ajax_db_backup_table() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $run = ccm_tools_db_backup_get_run();
+    $id = isset($_POST['id']) ? sanitize_file_name(wp_unslash($_POST['id'])) : '';
+    $table = isset($_POST['table']) ? sanitize_text_field(wp_unslash($_POST['table'])) : '';
+    if (!$run || $run['id'] !== $id || !isset($run['tables'][$table])) {
+        wp_send_json_error(array('message' => __('This backup run is no longer active.', 'ccm-tools')));
+    }
+
+    $state = $run['tables'][$table];
+    if (!$state['done']) {
+        $chunk = ccm_tools_db_backup_export_chunk($run, $table, $state['cursor']);
+        if (is_wp_error($chunk)) {
+            wp_send_json_error(array('message' => $chunk->get_error_message()));
+        }
+        $state['cursor'] = $chunk['cursor'];
+        $state['rows'] += $chunk['rows'];
+        $state['done'] = $chunk['done'];
+        $run['tables'][$table] = $state;
+        update_option('ccm_tools_db_backup_run', $run, false);
+    }
+
+    wp_send_json_success(array(
+        'done' => $state['done'],
+        'rows' => $state['rows'],
+    ));
+}
+add_action('wp_ajax_ccm_tools_db_backup_table', 'ccm_tools_ajax_db_backup_table');
+
+/**
+ * AJAX handler: finish a backup run; it replaces the previous backup
+ */
+function ccm_tools_ajax_db_backup_finish() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $run = ccm_tools_db_backup_get_run();
+    $id = isset($_POST['id']) ? sanitize_file_name(wp_unslash($_POST['id'])) : '';
+    if (!$run || $run['id'] !== $id) {
+        wp_send_json_error(array('message' => __('This backup run is no longer active.', 'ccm-tools')));
+    }
+    foreach ($run['tables'] as $name => $table) {
+        if (!$table['done']) {
+            wp_send_json_error(array('message' => sprintf(__('%s has not been backed up yet.', 'ccm-tools'), $name)));
+        }
+    }
+
+    $previous = ccm_tools_db_backup_get_last();
+    if ($previous) {
+        ccm_tools_db_backup_delete_files($previous['id']);
+    }
+
+    foreach ($run['tables'] as $name => $table) {
+        unset($run['tables'][$name]['cursor'], $run['tables'][$name]['done']);
+    }
+    update_option('ccm_tools_db_backup_last', $run, false);
+    delete_option('ccm_tools_db_backup_run');
+
+    ccm_tools_log_activity('backup', sprintf('Backed up %d table(s) before: %s', count($run['tables']), implode(', ', $run['tasks'])));
+
+    wp_send_json_success(ccm_tools_db_backup_panel_data());
+}
+add_action('wp_ajax_ccm_tools_db_backup_finish', 'ccm_tools_ajax_db_backup_finish');
+
+/**
+ * AJAX handler: last backup summary
+ */
+function ccm_tools_ajax_get_db_backup() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    wp_send_json_success(ccm_tools_db_backup_panel_data());
+}
+add_action('wp_ajax_ccm_tools_get_db_backup', 'ccm_tools_ajax_get_db_backup');
+
+/**
+ * AJAX handler: restore the next chunk of one table from the last backup
+ */
+function ccm_tools_ajax_restore_db_backup_table() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $backup = ccm_tools_db_backup_get_last();
+    $id = isset($_POST['id']) ? sanitize_file_name(wp_unslash($_POST['id'])) : '';
+    $table = isset($_POST['table']) ? sanitize_text_field(wp_unslash($_POST['table'])) : '';
+    if (!$backup || $backup['id'] !== $id || !isset($backup['tables'][$table])) {
+        wp_send_json_error(array('message' => __('Backup not found.', 'ccm-tools')));
+    }
+
+    $chunk = ccm_tools_db_backup_restore_chunk($backup, $table, isset($_POST['offset']) ? max(0, intval($_POST['offset'])) : 0);
+    if (is_wp_error($chunk)) {
+        ccm_tools_log_activity('backup', $chunk->get_error_message(), 'ERROR');
+        wp_send_json_error(array('message' => $chunk->get_error_message()));
+    }
+
+    if ($chunk['done']) {
+        // Restoring the options table rolls these options back to mid-backup: put them right
+        wp_cache_flush();
+        $backup['restored'] = time();
+        update_option('ccm_tools_db_backup_last', $backup, false);
+        delete_option('ccm_tools_db_backup_run');
+        ccm_tools_log_activity('backup', sprintf('Restored %s from the backup of %s', $table, wp_date('Y-m-d H:i', $backup['created'])), 'NOTICE');
+    }
+
+    wp_send_json_success($chunk);
+}
+add_action('wp_ajax_ccm_tools_restore_db_backup_table', 'ccm_tools_ajax_restore_db_backup_table');
+
+/**
+ * AJAX handler: delete the last backup
+ */
+function ccm_tools_ajax_delete_db_backup() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $backup = ccm_tools_db_backup_get_last();
+    if ($backup) {
+        ccm_tools_db_backup_delete_files($backup['id']);
+        delete_option('ccm_tools_db_backup_last');
+    }
+
+    wp_send_json_success(array_merge(
+        array('message' => __('Backup deleted.', 'ccm-tools')),
+        ccm_tools_db_backup_panel_data()
+    ));
+}
+add_action('wp_ajax_ccm_tools_delete_db_backup', 'ccm_tools_ajax_delete_db_backup');
+
+// ──────────────────────────────────────────────
+// UI
+// ──────────────────────────────────────────────
+
+/**
+ * Render the Last Backup card on the database page
+ *
+ * @return void
+ */
+function ccm_tools_render_db_backup_card(): void {
+    ?>
+    <div class="ccm-card" id="db-backup-card">
+        <h2><?php _e('Last Backup', 'ccm-tools'); ?></h2>
+        <p><?php _e('When "Back up affected tables" is ticked in the preview, every table the run changes is exported first, to a private folder outside the web root (or the folder set with the CCM_TOOLS_PRIVATE_DIR constant). Only the most recent backup is kept.', 'ccm-tools'); ?></p>
+        <div id="db-backup-summary">
+            <div class="ccm-spinner ccm-spinner-small"></div>
+        </div>
+    </div>
+    <?php
+}
@@ -0,0 +1,428 @@
+<?php
+/**
+ * CCM Tools — Database Table Explorer
+ *
+ * Per-table view of the database: engine, collation, rows, data and index
+ * size, overhead, auto-increment headroom, and missing or duplicate indexes.
+ * Tables are matched to the plugin that probably created them, so tables
+ * left behind by uninstalled plugins can be flagged. Per-table actions reuse
+ * the ccm_tools_optimize_table_task endpoint.
+ *
+ * @package CCMTools
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// ──────────────────────────────────────────────
+// Ownership
+// ──────────────────────────────────────────────
+
+/**
+ * Known prefixes that do not match the owning plugin's directory name.
+ * Keys are table/option name prefixes, values are plugin directory slugs.
+ *
+ * @return array
+ */
+function ccm_tools_db_known_prefixes(): array {
+    return apply_filters('ccm_tools_db_known_prefixes', array(
+        'actionscheduler_' => 'woocommerce',
+        'wc_'              => 'woocommerce',
+        'woocommerce_'     => 'woocommerce',
+        'yoast_'           => 'wordpress-seo',
+        'wpseo'            => 'wordpress-seo',
+        'rank_math'        => 'seo-by-rank-math',
+        'wfls'             => 'wordfence',
+        'wf'               => 'wordfence',
+        'litespeed'        => 'litespeed-cache',
+        'gf_'              => 'gravityforms',
+        'rg_'              => 'gravityforms',
+        'e_'               => 'elementor',
+        'elementor'        => 'elementor',
+        'icl_'             => 'sitepress-multilingual-cms',
+        'wpml'             => 'sitepress-multilingual-cms',
+        'wpforms'          => 'wpforms-lite',
+        'redirection_'     => 'redirection',
+        'wpmailsmtp'       => 'wp-mail-smtp',
+        'wp_mail_smtp'     => 'wp-mail-smtp',
+        'wpr_'             => 'wp-rocket',
+        'rocket'           => 'wp-rocket',
+        'wpfc'             => 'wp-fastest-cache',
+        'w3tc'             => 'w3-total-cache',
+        'itsec'            => 'better-wp-security',
+        'aiowps'           => 'all-in-one-wp-security-and-firewall',
+        'aioseo'           => 'all-in-one-seo-pack',
+        'ewwwio'           => 'ewww-image-optimizer',
+        'smush'            => 'wp-smushit',
+        'jetpack'          => 'jetpack',
+        'ccm_tools'        => 'ccm-tools',
+    ));
+}
+
+/**
+ * Guess which plugin created a table or option.
+ *
+ * Matches the name (without the table prefix) against the known prefixes
+ * above, then against installed plugin directory names. It is a heuristic:
+ * a null result means no installed plugin looks like the owner. A known owner
+ * only counts as missing when no installed plugin has its slug as directory,
+ * main file name or text domain, so a copy installed under another folder
+ * (a versioned zip, a renamed checkout) is still found.
+ *
+ * @param string $name   Table name without $wpdb->prefix, or an option name
+ * @param bool   $strict Require a "_" after a known prefix ("wf" matches "wf_x", not "wfx")
+ * @return array|null {slug, name, active, missing?} or null when no plugin matches
+ */
+function ccm_tools_db_guess_owner(string $name, bool $strict = false) {
+    static $plugins = null;
+    static $aliases = array();
+
+    if ($plugins === null) {
+        if (!function_exists('get_plugins')) {
+            require_once ABSPATH . 'wp-admin/includes/plugin.php';
+        }
+        $plugins = array();
+        foreach (get_plugins() as $file => $data) {
+            $slug = strpos($file, '/') !== false ? dirname($file) : basename($file, '.php');
+            $plugins[$slug] = array(
+                'slug'   => $slug,
+                'name'   => $data['Name'],
+                'active' => is_plugin_active($file),
+            );
+            foreach (array(basename($file, '.php'), $data['TextDomain'] ?? '') as $alias) {
+                if ($alias !== '' && !isset($aliases[strtolower($alias)])) {
+                    $aliases[strtolower($alias)] = $slug;
+                }
+            }
+        }
+    }
+
+    $name = strtolower(ltrim($name, '_'));
+    $owner_slug = null;
+
+    $known = ccm_tools_db_known_prefixes();
+    uksort($known, function ($a, $b) {
+        return strlen($b) - strlen($a);
+    });
+    foreach ($known as $prefix => $slug) {
+        if ($strict) {
+            $prefix = rtrim($prefix, '_') . '_';
+        }
+        if (strpos($name, $prefix) === 0) {
+            $owner_slug = $slug;
+            break;
+        }
+    }
+
+    if ($owner_slug === null) {
+        $best = 0;
+        foreach ($plugins as $slug => $plugin) {
+            $normalized = str_replace('-', '_', strtolower($slug));
+            $first = strtok($normalized, '_');
+            if (strpos($name, $normalized) === 0 && strlen($normalized) > $best) {
+                $owner_slug = $slug;
+                $best = strlen($normalized);
+            } elseif (!$best && strlen($first) >= 4 && strpos($name, $first . '_') === 0) {
+                $owner_slug = $slug;
+            }
+        }
+    }
+
+    if ($owner_slug === null) {
+        return null;
+    }
+
+    if (isset($plugins[$owner_slug])) {
+        return $plugins[$owner_slug];
+    }
+    if (isset($aliases[$owner_slug])) {
+        return $plugins[$aliases[$owner_slug]];
+    }
+
+    // Known owner that is not installed (any more)
+    return array('slug' => $owner_slug, 'name' => $owner_slug, 'active' => false, 'missing' => true);
+}
+
+// ──────────────────────────────────────────────
+// Analysis
+// ──────────────────────────────────────────────
+
+/**
+ * Expected indexes on core tables, by leading column.
+ *
+ * @return array Unprefixed table => list of columns that should lead an index
+ */
+function ccm_tools_db_expected_indexes(): array {
+    return array(
+        'posts'              => array('post_name', 'post_type', 'post_parent', 'post_author'),
+        'postmeta'           => array('post_id', 'meta_key'),
+        'comments'           => array('comment_post_ID', 'comment_approved', 'comment_date_gmt', 'comment_parent', 'comment_author_email'),
+        'commentmeta'        => array('comment_id', 'meta_key'),
+        'users'              => array('user_login', 'user_nicename', 'user_email'),
+        'usermeta'           => array('user_id', 'meta_key'),
+        'terms'              => array('slug', 'name'),
+        'termmeta'           => array('term_id', 'meta_key'),
+        'term_taxonomy'      => array('term_id', 'taxonomy'),
+        'term_relationships' => array('term_taxonomy_id'),
+        'options'            => array('option_name'),
+    );
+}
+
+/**
+ * Largest value an auto-increment column of the given type can hold.
+ *
+ * @param string $column_type e.g. "bigint(20) unsigned"
+ * @return float
+ */
+function ccm_tools_db_auto_increment_max(string $column_type): float {
+    $bits = array('tinyint' => 8, 'smallint' => 16, 'mediumint' => 24, 'int' => 32, 'bigint' => 64);
+    $type = strtolower(strtok($column_type, '( '));
+    $size = isset($bits[$type]) ? $bits[$type] : 32;
+    $unsigned = stripos($column_type, 'unsigned') !== false;
+
+    return pow(2, $unsigned ? $size : $size - 1) - 1;
+}
+
+/**
+ * Find indexes made redundant by another index.
+ *
+ * An index is redundant when its columns are the same as, or a leading
+ * prefix of, another index's columns. Unique indexes and the primary key
+ * are never reported, because they enforce constraints.
+ *
+ * @param array $indexes Index name => {columns[], unique}
+ * @return array List of {index, covered_by}
+ */
+function ccm_tools_db_duplicate_indexes(array $indexes): array {
+    $duplicates = array();
+
+    foreach ($indexes as $name => $index) {
+        if ($index['unique']) {
+            continue;
+        }
+        foreach ($indexes as $other_name => $other) {
+            if ($other_name === $name || count($other['columns']) < count($index['columns'])) {
+                continue;
+            }
+            $prefix = array_slice($other['columns'], 0, count($index['columns']));
+            // Identical non-unique pairs: report only one of them
+            $same = count($other['columns']) === count($index['columns']);
+            if ($prefix === $index['columns'] && (!$same || $other['unique'] || strcmp($name, $other_name) > 0)) {
+                $duplicates[] = array('index' => $name, 'covered_by' => $other_name);
+                break;
+            }
+        }
+    }
+
+    return $duplicates;
+}
+
+/**
+ * List every table in the database with sizes and index analysis.
+ *
+ * @return array|WP_Error List of tables, or error when the schema cannot be read
+ */
+function ccm_tools_db_explorer_tables() {
+    global $wpdb;
+
+    $database_name = $wpdb->dbname;
+    if (empty($database_name)) {
+        $database_name = defined('DB_NAME') ? DB_NAME : '';
+    }
+    if (empty($database_name)) {
+        return new WP_Error('no_database', __('Unable to determine database name.', 'ccm-tools'));
+    }
+
+    $rows = $wpdb->get_results($wpdb->prepare(
+        "SELECT TABLE_NAME AS name, ENGINE AS engine, TABLE_COLLATION AS collation, TABLE_ROWS AS `rows`,
+                DATA_LENGTH AS data, INDEX_LENGTH AS idx, DATA_FREE AS free, AUTO_INCREMENT AS auto_increment
+         FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = %s AND TABLE_TYPE = 'BASE TABLE'
+         ORDER BY TABLE_NAME",
+        $database_name
+    ), ARRAY_A);
+
+    if ($rows === null || $wpdb->last_error) {
+        return new WP_Error('schema_error', $wpdb->last_error ?: __('Could not read INFORMATION_SCHEMA.', 'ccm-tools'));
+    }
+
+    // Index columns, in order
+    $indexes = array();
+    $statistics = $wpdb->get_results($wpdb->prepare(
+        "SELECT TABLE_NAME AS tbl, INDEX_NAME AS name, COLUMN_NAME AS col, NON_UNIQUE AS non_unique
+         FROM INFORMATION_SCHEMA.STATISTICS
+         WHERE TABLE_SCHEMA = %s
+         ORDER BY TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX",
+        $database_name
+    ), ARRAY_A);
+    foreach ((array) $statistics as $stat) {
+        $indexes[$stat['tbl']][$stat['name']]['columns'][] = $stat['col'];
+        $indexes[$stat['tbl']][$stat['name']]['unique'] = !$stat['non_unique'];
+    }
+
+    // Auto-increment column types
+    $ai_types = $wpdb->get_results($wpdb->prepare(
+        "SELECT TABLE_NAME AS tbl, COLUMN_TYPE AS type
+         FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = %s AND EXTRA LIKE %s",
+        $database_name,
+        '%auto_increment%'
+    ), OBJECT_K);
+
+    $collation = ccm_tools_get_appropriate_collation_optimize();
+    $core_tables = $wpdb->tables('all', true);
+    $expected = ccm_tools_db_expected_indexes();
+    $tables = array();
+
+    foreach ($rows as $row) {
+        $name = $row['name'];
+        $table_indexes = isset($indexes[$name]) ? $indexes[$name] : array();
+        $has_prefix = strpos($name, $wpdb->prefix) === 0;
+        $short = $has_prefix ? substr($name, strlen($wpdb->prefix)) : $name;
+        $is_core = in_array($name, $core_tables, true);
+
+        // Multisite sub-site tables (wp_2_posts) belong to core
+        if (!$is_core && is_multisite() && preg_match('/^\d+_(.+)$/', $short, $m) && isset($expected[$m[1]])) {
+            $is_core = true;
+            $short = $m[1];
+        }
+
+        $missing = array();
+        if (!isset($table_indexes['PRIMARY'])) {
+            $missing[] = __('No primary key', 'ccm-tools');
+        }
+        if ($is_core && isset($expected[$short])) {
+            $leading = array_map('strtolower', array_map(function ($index) {
+                return $index['columns'][0];
+            }, $table_indexes));
+            foreach ($expected[$short] as $column) {
+                if (!in_array(strtolower($column), $leading, true)) {
+                    $missing[] = sprintf(__('No index on %s', 'ccm-tools'), $column);
+                }
+            }
+        }
+
+        $headroom = null;
+        if ($row['auto_increment'] !== null && isset($ai_types[$name])) {
+            $max = ccm_tools_db_auto_increment_max($ai_types[$name]->type);
+            $headroom = array(
+                'type'    => $ai_types[$name]->type,
+                'next'    => (int) $row['auto_increment'],
+                'used'    => round(((float) $row['auto_increment'] / $max) * 100, 2),
+            );
+        }
+
+        $owner = null;
+        $orphaned = false;
+        if (!$is_core) {
+            $owner = $has_prefix ? ccm_tools_db_guess_owner($short) : null;
+            $orphaned = $has_prefix && (!$owner || !empty($owner['missing']));
+        }
+
+        $tables[] = array(
+            'name'        => $name,
+            'engine'      => $row['engine'] ?: '',
+            'collation'   => $row['collation'] ?: '',
+            'rows'        => (int) $row['rows'],
+            'data'        => (int) $row['data'],
+            'index'       => (int) $row['idx'],
+            'size'        => (int) $row['data'] + (int) $row['idx'],
+            'overhead'    => (int) $row['free'],
+            'headroom'    => $headroom,
+            'indexes'     => count($table_indexes),
+            'missing'     => $missing,
+            'duplicates'  => ccm_tools_db_duplicate_indexes($table_indexes),
+            'core'        => $is_core,
+            'foreign'     => !$has_prefix,
+            'owner'       => $owner,
+            'orphaned'    => $orphaned,
+            'needs_convert' => ($row['engine'] && $row['engine'] !== 'InnoDB') || ($row['collation'] && $row['collation'] !== $collation),
+        );
+    }
+
+    return $tables;
+}
+
+// ──────────────────────────────────────────────
+// AJAX handlers
+// ──────────────────────────────────────────────
+
+/**
+ * AJAX handler: list tables with analysis.
+ */
+function ccm_tools_ajax_get_db_tables() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $tables = ccm_tools_db_explorer_tables();
+    if (is_wp_error($tables)) {
+        wp_send_json_error(array('message' => $tables->get_error_message()));
+    }
+
+    global $wpdb;
+    wp_send_json_success(array(
+        'tables'    => $tables,
+        'prefix'    => $wpdb->prefix,
+        'collation' => ccm_tools_get_appropriate_collation_optimize(),
+    ));
+}
+add_action('wp_ajax_ccm_tools_get_db_tables', 'ccm_tools_ajax_get_db_tables');
+
+// ──────────────────────────────────────────────
+// UI
+// ──────────────────────────────────────────────
+
+/**
+ * Render the Table Explorer card on the database page.
+ *
+ * Tables are loaded by the page script.
+ *
+ * @return void
+ */
+function ccm_tools_render_db_explorer_card(): void {
+    ?>
+    <div class="ccm-card" id="db-explorer-card">
+        <h2><?php _e('Table Explorer', 'ccm-tools'); ?></h2>
+        <p><?php _e('Every table in the database with its size, overhead, auto-increment headroom and index problems. Tables that do not belong to WordPress or an installed plugin are flagged as possibly orphaned: check before dropping them, as the match is a guess.', 'ccm-tools'); ?></p>
+
+        <div class="ccm-db-explorer-filters">
+            <input type="search" id="db-explorer-search" placeholder="<?php esc_attr_e('Filter tables…', 'ccm-tools'); ?>">
+            <select id="db-explorer-filter">
+                <option value="all"><?php _e('All tables', 'ccm-tools'); ?></option>
+                <option value="issues"><?php _e('With issues', 'ccm-tools'); ?></option>
+                <option value="orphaned"><?php _e('Possibly orphaned', 'ccm-tools'); ?></option>
+                <option value="core"><?php _e('WordPress core', 'ccm-tools'); ?></option>
+                <option value="plugin"><?php _e('Plugin tables', 'ccm-tools'); ?></option>
+            </select>
+            <button type="button" id="db-explorer-refresh" class="ccm-button ccm-button-small"><?php _e('Refresh', 'ccm-tools'); ?></button>
+        </div>
+
+        <p id="db-explorer-summary" class="ccm-log-summary"></p>
+
+        <div class="ccm-table-responsive">
+            <table class="ccm-table ccm-db-explorer" id="db-explorer">
+                <thead>
+                    <tr>
+                        <th data-sort="name"><?php _e('Table', 'ccm-tools'); ?></th>
+                        <th data-sort="engine"><?php _e('Engine', 'ccm-tools'); ?></th>
+                        <th data-sort="collation"><?php _e('Collation', 'ccm-tools'); ?></th>
+                        <th data-sort="rows"><?php _e('Rows', 'ccm-tools'); ?></th>
+                        <th data-sort="data"><?php _e('Data', 'ccm-tools'); ?></th>
+                        <th data-sort="index"><?php _e('Indexes', 'ccm-tools'); ?></th>
+                        <th data-sort="overhead"><?php _e('Overhead', 'ccm-tools'); ?></th>
+                        <th data-sort="headroom"><?php _e('Auto-increment', 'ccm-tools'); ?></th>
+                        <th><?php _e('Issues', 'ccm-tools'); ?></th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr><td colspan="10"><div class="ccm-spinner ccm-spinner-small"></div></td></tr>
+                </tbody>
+            </table>
+        </div>
+    </div>
+    <?php
+}
@@ -0,0 +1,965 @@
+<?php
+/**
+ * CCM Tools — Scheduled Database Maintenance
+ *
+ * Named selections of database optimization tasks ("jobs"), such as a weekly
+ * safe cleanup, run on a schedule by WP-Cron or by a real server cron hitting
+ * a secret URL. Each task goes through ccm_tools_run_optimization_task(), the
+ * same runner the Database page uses, one task per request (cron tick, server
+ * cron call or page step) so a long job can't hit max_execution_time. Every
+ * run is recorded with the rows removed and the space reclaimed, and failures
+ * can be emailed.
+ *
+ * @package CCMTools
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// ──────────────────────────────────────────────
+// Jobs and history
+// ──────────────────────────────────────────────
+
+/**
+ * Get maintenance jobs.
+ *
+ * @return array List of jobs
+ */
+function ccm_tools_db_jobs_get(): array {
+    $jobs = get_option('ccm_tools_db_jobs', array());
+    return is_array($jobs) ? array_values($jobs) : array();
+}
+
+/**
+ * Get a job by ID.
+ *
+ * @param string $id
+ * @return array|null
+ */
+function ccm_tools_db_jobs_find(string $id) {
+    foreach (ccm_tools_db_jobs_get() as $job) {
+        if ($job['id'] === $id) {
+            return $job;
+        }
+    }
+    return null;
+}
+
+/**
+ * Save jobs and reschedule their WP-Cron events.
+ *
+ * @param array $jobs
+ * @return void
+ */
+function ccm_tools_db_jobs_save(array $jobs): void {
+    update_option('ccm_tools_db_jobs', array_values($jobs), false);
+    ccm_tools_db_jobs_sync_schedule();
+}
+
+/**
+ * Store the outcome of a run on the job itself (for the jobs table).
+ *
+ * @param string $id
+ * @param array  $run History item
+ * @return void
+ */
+function ccm_tools_db_jobs_record_last_run(string $id, array $run): void {
+    $jobs = ccm_tools_db_jobs_get();
+    foreach ($jobs as &$job) {
+        if ($job['id'] === $id) {
+            $job['last_run'] = $run['time'];
+            $job['last_ok'] = $run['ok'];
+        }
+    }
+    unset($job);
+    update_option('ccm_tools_db_jobs', $jobs, false);
+}
+
+/**
+ * Normalise a job submitted from the UI.
+ *
+ * @param array $input Raw job fields
+ * @return array|WP_Error Sanitised job or error
+ */
+function ccm_tools_db_jobs_sanitize(array $input) {
+    $available = ccm_tools_get_optimization_options();
+    $time = (string) ($input['time'] ?? '03:00');
+    $existing = !empty($input['id']) ? ccm_tools_db_jobs_find(sanitize_key($input['id'])) : null;
+
+    $job = array(
+        'id'        => $existing ? $existing['id'] : strtolower(wp_generate_password(10, false)),
+        'name'      => sanitize_text_field($input['name'] ?? ''),
+        'enabled'   => !empty($input['enabled']),
+        'tasks'     => array_values(array_intersect(array_keys($available), array_map('sanitize_key', (array) ($input['tasks'] ?? array())))),
+        'frequency' => in_array($input['frequency'] ?? '', array('daily', 'weekly', 'monthly'), true) ? $input['frequency'] : 'weekly',
+        'weekday'   => max(0, min(6, intval($input['weekday'] ?? 0))),
+        'time'      => preg_match('/^([01]\d|2[0-3]):[0-5]\d$/', $time) ? $time : '03:00',
+        'trigger'   => ($input['trigger'] ?? '') === 'server' ? 'server' : 'wp_cron',
+        'notify'    => in_array($input['notify'] ?? '', array('failure', 'always', 'never'), true) ? $input['notify'] : 'failure',
+        'email'     => '',
+        'last_run'  => $existing['last_run'] ?? 0,
+        'last_ok'   => $existing['last_ok'] ?? null,
+    );
+
+    if ($job['name'] === '') {
+        return new WP_Error('invalid_job', __('Give the job a name.', 'ccm-tools'));
+    }
+
+    if (empty($job['tasks'])) {
+        return new WP_Error('invalid_job', __('Choose at least one task.', 'ccm-tools'));
+    }
+
+    if ($job['notify'] !== 'never') {
+        $emails = array_filter(array_map('sanitize_email', preg_split('/[\s,;]+/', (string) ($input['email'] ?? ''))), 'is_email');
+        if (empty($emails)) {
+            return new WP_Error('invalid_job', __('Enter at least one valid email address.', 'ccm-tools'));
+        }
+        $job['email'] = implode(', ', $emails);
+    }
+
+    return $job;
+}
+
+/**
+ * Get run history (newest first).
+ *
+ * @return array
+ */
+function ccm_tools_db_jobs_get_history(): array {
+    $history = get_option('ccm_tools_db_job_history', array());
+    return is_array($history) ? $history : array();
+}
+
+/**
+ * Add a run to the history, keeping the latest 50.
+ *
+ * @param array $item
+ * @return void
+ */
+function ccm_tools_db_jobs_add_history(array $item): void {
+    $history = ccm_tools_db_jobs_get_history();
+    array_unshift($history, $item);
+    update_option('ccm_tools_db_job_history', array_slice($history, 0, 50), false);
+}
+
+/**
+ * Secret for the server cron URL, created on first use.
+ *
+ * @return string
+ */
+function ccm_tools_db_jobs_cron_key(): string {
+    $key = get_option('ccm_tools_db_jobs_key', '');
+    if (!$key) {
+        $key = wp_generate_password(32, false);
+        update_option('ccm_tools_db_jobs_key', $key, false);
+    }
+    return $key;
+}
+
+// ──────────────────────────────────────────────
+// Scheduling
+// ──────────────────────────────────────────────
+
+/**
+ * Next time a job's schedule comes round, in the site timezone.
+ *
+ * Monthly jobs run on the 1st, the same day as their crontab line.
+ *
+ * @param array $job
+ * @return int Unix timestamp
+ */
+function ccm_tools_db_jobs_next_slot(array $job): int {
+    $now = new DateTimeImmutable('now', wp_timezone());
+    list($hour, $minute) = array_map('intval', explode(':', $job['time']));
+
+    if ($job['frequency'] === 'monthly') {
+        $next = $now->modify('first day of this month')->setTime($hour, $minute);
+        if ($next <= $now) {
+            $next = $now->modify('first day of next month')->setTime($hour, $minute);
+        }
+        return $next->getTimestamp();
+    }
+
+    $next = $now->setTime($hour, $minute);
+
+    // At most a week ahead: the first matching weekday/time after now
+    for ($i = 0; $i < 8; $i++) {
+        $weekday_ok = $job['frequency'] !== 'weekly' || (int) $next->format('w') === $job['weekday'];
+        if ($weekday_ok && $next > $now) {
+            break;
+        }
+        $next = $next->modify('+1 day');
+    }
+
+    return $next->getTimestamp();
+}
+
+/**
+ * Schedule the next WP-Cron run of a job.
+ *
+ * Single events, each run scheduling the next: calendar months have no fixed
+ * WP-Cron interval.
+ *
+ * @param array $job
+ * @return void
+ */
+function ccm_tools_db_jobs_schedule_next(array $job): void {
+    wp_clear_scheduled_hook('ccm_tools_db_job_run', array($job['id']));
+    if ($job['enabled'] && $job['trigger'] === 'wp_cron') {
+        wp_schedule_single_event(ccm_tools_db_jobs_next_slot($job), 'ccm_tools_db_job_run', array($job['id']));
+    }
+}
+
+/**
+ * (Re)schedule a WP-Cron event for every enabled WP-Cron job and clear the rest.
+ *
+ * @return void
+ */
+function ccm_tools_db_jobs_sync_schedule(): void {
+    wp_unschedule_hook('ccm_tools_db_job_run');
+
+    foreach (ccm_tools_db_jobs_get() as $job) {
+        ccm_tools_db_jobs_schedule_next($job);
+    }
+}
+
+/**
+ * WP-Cron callback: start a run and do its first task.
+ *
+ * @param string $id Job ID
+ * @return void
+ */
+function ccm_tools_db_jobs_cron_run($id) {
+    $job = ccm_tools_db_jobs_find((string) $id);
+    if (!$job) {
+        wp_clear_scheduled_hook('ccm_tools_db_job_run', array((string) $id));
+        return;
+    }
+
+    // Also replaces a recurring event left by an earlier version
+    ccm_tools_db_jobs_schedule_next($job);
+
+    if ($job['enabled'] && !is_wp_error(ccm_tools_db_jobs_start($job, 'wp_cron'))) {
+        ccm_tools_db_jobs_step();
+    }
+}
+add_action('ccm_tools_db_job_run', 'ccm_tools_db_jobs_cron_run');
+
+/**
+ * WP-Cron callback: the next task of a run.
+ *
+ * @param string $run_id Run ID
+ * @return void
+ */
+function ccm_tools_db_jobs_cron_step($run_id) {
+    $state = ccm_tools_db_jobs_get_state();
+    if ($state && $state['id'] === (string) $run_id) {
+        ccm_tools_db_jobs_step();
+    }
+}
+add_action('ccm_tools_db_job_step', 'ccm_tools_db_jobs_cron_step');
+
+/**
+ * Crontab line for a job that runs from server cron.
+ *
+ * Each request runs one task, so the line repeats the request until the
+ * response reports the run as done.
+ *
+ * @param array $job
+ * @return string
+ */
+function ccm_tools_db_jobs_crontab_line(array $job): string {
+    list($hour, $minute) = array_map('intval', explode(':', $job['time']));
+    $url = add_query_arg(array(
+        'action' => 'ccm_tools_db_job_cron',
+        'job'    => $job['id'],
+        'key'    => ccm_tools_db_jobs_cron_key(),
+    ), admin_url('admin-ajax.php'));
+
+    return sprintf(
+        '%d %d %s * %s for i in $(seq %d); do curl -sS --max-time 900 "%s" | grep -q \'"done":true\' && break; done >/dev/null',
+        $minute,
+        $hour,
+        $job['frequency'] === 'monthly' ? '1' : '*',
+        $job['frequency'] === 'weekly' ? $job['weekday'] : '*',
+        count($job['tasks']) + 2,
+        $url
+    );
+}
+
+// ──────────────────────────────────────────────
+// Running and notifying
+// ──────────────────────────────────────────────
+
+/**
+ * The run in progress, or null.
+ *
+ * @return array|null {id, job_id, job_name, trigger, task_list, started, updated, index, tasks, rows, bytes}
+ */
+function ccm_tools_db_jobs_get_state() {
+    $state = get_option('ccm_tools_db_job_state', null);
+    return is_array($state) && !empty($state['id']) ? $state : null;
+}
+
+/**
+ * Start a run. Its tasks are then run one per request by ccm_tools_db_jobs_step().
+ *
+ * A run whose next step has not come for an hour (a missed cron tick, a
+ * closed browser tab) is closed with what it got through.
+ *
+ * @param array  $job
+ * @param string $trigger wp_cron|server|manual
+ * @return array|WP_Error Run state, or error when another run is in progress
+ */
+function ccm_tools_db_jobs_start(array $job, string $trigger) {
+    $state = ccm_tools_db_jobs_get_state();
+    if ($state) {
+        if ($state['updated'] > time() - HOUR_IN_SECONDS) {
+            return new WP_Error('job_running', __('Another maintenance job is running. Try again in a few minutes.', 'ccm-tools'));
+        }
+        ccm_tools_db_jobs_finish($state);
+    }
+
+    $state = array(
+        'id'        => strtolower(wp_generate_password(10, false)),
+        'job_id'    => $job['id'],
+        'job_name'  => $job['name'],
+        'trigger'   => $trigger,
+        'task_list' => $job['tasks'],
+        'started'   => microtime(true),
+        'updated'   => time(),
+        'index'     => 0,
+        'tasks'     => array(),
+        'rows'      => 0,
+        'bytes'     => 0,
+    );
+    update_option('ccm_tools_db_job_state', $state, false);
+
+    return $state;
+}
+
+/**
+ * Take the step lock.
+ *
+ * INSERT IGNORE on the options table is atomic, unlike a transient check
+ * followed by a set: a WP-Cron tick and a repeated server cron call can't
+ * both get it. A lock older than 15 minutes is stale and taken over.
+ *
+ * @return bool True when this request holds the lock
+ */
+function ccm_tools_db_jobs_lock(): bool {
+    global $wpdb;
+
+    $value = time() . ':' . wp_generate_password(12, false);
+    $created = $wpdb->query($wpdb->prepare(
+        "INSERT IGNORE INTO {$wpdb->options} (option_name, option_value, autoload) VALUES ('ccm_tools_db_job_lock', %s, 'no')",
+        $value
+    ));
+
+    if (!$created) {
+        $held = (string) $wpdb->get_var("SELECT option_value FROM {$wpdb->options} WHERE option_name = 'ccm_tools_db_job_lock'");
+        if ((int) $held > time() - 15 * MINUTE_IN_SECONDS) {
+            return false;
+        }
+        // Stale: take it over, unless another request just did
+        $created = $wpdb->query($wpdb->prepare(
+            "UPDATE {$wpdb->options} SET option_value = %s WHERE option_name = 'ccm_tools_db_job_lock' AND option_value = %s",
+            $value,
+            $held
+        ));
+        if (!$created) {
+            return false;
+        }
+    }
+
+    $GLOBALS['ccm_tools_db_job_lock'] = $value;
+    return true;
+}
+
+/**
+ * Release the step lock, if this request holds it.
+ *
+ * @return void
+ */
+function ccm_tools_db_jobs_unlock(): void {
+    global $wpdb;
+
+    if (empty($GLOBALS['ccm_tools_db_job_lock'])) {
+        return;
+    }
+    $wpdb->query($wpdb->prepare(
+        "DELETE FROM {$wpdb->options} WHERE option_name = 'ccm_tools_db_job_lock' AND option_value = %s",
+        $GLOBALS['ccm_tools_db_job_lock']
+    ));
+    unset($GLOBALS['ccm_tools_db_job_lock']);
+}
+
+/**
+ * Run the next task of the run in progress.
+ *
+ * Space reclaimed comes from each task's dry-run preview taken just before
+ * it runs, so it reflects the data actually removed, not InnoDB's lagging
+ * table statistics. The step lock is released by a shutdown handler, so a
+ * task killed by max_execution_time is recorded as failed and does not keep
+ * other runs out.
+ *
+ * @return array|WP_Error {done, index, total, run: history item when done}
+ */
+function ccm_tools_db_jobs_step() {
+    if (!ccm_tools_db_jobs_lock()) {
+        return new WP_Error('job_running', __('A task of this job is still running. Try again in a few minutes.', 'ccm-tools'));
+    }
+    register_shutdown_function('ccm_tools_db_jobs_step_shutdown');
+
+    // Read the state only under the lock: the step that held it before may have moved it on
+    wp_cache_delete('ccm_tools_db_job_state', 'options');
+    $state = ccm_tools_db_jobs_get_state();
+    if (!$state) {
+        ccm_tools_db_jobs_unlock();
+        return new WP_Error('no_run', __('No maintenance job is running.', 'ccm-tools'));
+    }
+    $GLOBALS['ccm_tools_db_job_step'] = $state;
+
+    @set_time_limit(900);
+    ignore_user_abort(true);
+
+    $task = $state['task_list'][$state['index']] ?? '';
+    $preview = ccm_tools_preview_optimization($task, 1);
+    $result = ccm_tools_run_optimization_task($task, $state['job_name'] . ' — ');
+
+    if (is_wp_error($result)) {
+        $entry = array('task' => $task, 'label' => $task, 'success' => false, 'message' => $result->get_error_message(), 'rows' => 0, 'bytes' => 0);
+    } else {
+        $entry = array(
+            'task'    => $task,
+            'label'   => $result['label'],
+            'success' => $result['success'],
+            'message' => $result['message'],
+            'rows'    => $result['success'] && !is_wp_error($preview) && $preview['action'] === 'delete' ? (int) $result['count'] : 0,
+            'bytes'   => $result['success'] && !is_wp_error($preview) ? $preview['bytes'] : 0,
+        );
+    }
+
+    unset($GLOBALS['ccm_tools_db_job_step']);
+    $outcome = ccm_tools_db_jobs_record_step($state, $entry);
+    ccm_tools_db_jobs_unlock();
+
+    return $outcome;
+}
+
+/**
+ * Shutdown handler of a step: record a task that never returned, release the lock.
+ *
+ * @return void
+ */
+function ccm_tools_db_jobs_step_shutdown(): void {
+    if (!empty($GLOBALS['ccm_tools_db_job_step'])) {
+        $state = $GLOBALS['ccm_tools_db_job_step'];
+        unset($GLOBALS['ccm_tools_db_job_step']);
+
+        $error = error_get_last();
+        $task = $state['task_list'][$state['index']] ?? '';
+        ccm_tools_db_jobs_record_step($state, array(
+            'task'    => $task,
+            'label'   => $task,
+            'success' => false,
+            'message' => sprintf(__('Stopped before finishing: %s', 'ccm-tools'), $error ? $error['message'] : __('the request ended', 'ccm-tools')),
+            'rows'    => 0,
+            'bytes'   => 0,
+        ));
+    }
+    ccm_tools_db_jobs_unlock();
+}
+
+/**
+ * Add a task's outcome to the run; finish the run after the last task.
+ *
+ * @param array $state Run state
+ * @param array $entry Task outcome
+ * @return array {done, index, total, run: history item when done}
+ */
+function ccm_tools_db_jobs_record_step(array $state, array $entry): array {
+    $state['tasks'][] = $entry;
+    $state['rows'] += $entry['rows'];
+    $state['bytes'] += $entry['bytes'];
+    $state['index']++;
+    $state['updated'] = time();
+
+    $total = count($state['task_list']);
+    if ($state['index'] >= $total) {
+        return array('done' => true, 'index' => $state['index'], 'total' => $total, 'run' => ccm_tools_db_jobs_finish($state));
+    }
+
+    update_option('ccm_tools_db_job_state', $state, false);
+
+    // WP-Cron runs take the next task on the next cron tick
+    if ($state['trigger'] === 'wp_cron') {
+        wp_schedule_single_event(time(), 'ccm_tools_db_job_step', array($state['id'], $state['index']));
+    }
+
+    return array('done' => false, 'index' => $state['index'], 'total' => $total);
+}
+
+/**
+ * Record a run, notify, and clear the run state.
+ *
+ * @param array $state Run state
+ * @return array History item
+ */
+function ccm_tools_db_jobs_finish(array $state): array {
+    $job = ccm_tools_db_jobs_find($state['job_id']);
+    $tasks = $state['tasks'];
+
+    // Tasks a run never got to (it was abandoned) count as failed
+    foreach (array_slice($state['task_list'], count($tasks)) as $task) {
+        $tasks[] = array('task' => $task, 'label' => $task, 'success' => false, 'message' => __('Not run: the job stopped before this task.', 'ccm-tools'), 'rows' => 0, 'bytes' => 0);
+    }
+
+    $failed = array_filter($tasks, function ($task) {
+        return !$task['success'];
+    });
+
+    $run = array(
+        'time'     => time(),
+        'job_id'   => $state['job_id'],
+        'job'      => $state['job_name'],
+        'trigger'  => $state['trigger'],
+        'duration' => round(microtime(true) - $state['started'], 1),
+        'ok'       => empty($failed),
+        'rows'     => $state['rows'],
+        'bytes'    => $state['bytes'],
+        'tasks'    => $tasks,
+        'notified' => '',
+    );
+
+    if ($job && ($job['notify'] === 'always' || ($job['notify'] === 'failure' && !$run['ok']))) {
+        $sent = ccm_tools_db_jobs_notify($job, $run);
+        $run['notified'] = is_wp_error($sent) ? $sent->get_error_message() : 'sent';
+    }
+
+    delete_option('ccm_tools_db_job_state');
+    ccm_tools_db_jobs_add_history($run);
+    ccm_tools_db_jobs_record_last_run($state['job_id'], $run);
+    ccm_tools_log_activity(
+        'optimize',
+        sprintf('Maintenance job "%s" (%s): %d/%d tasks OK, %d rows removed, %s reclaimed', $state['job_name'], $state['trigger'], count($tasks) - count($failed), count($tasks), $run['rows'], size_format($run['bytes'])),
+        $run['ok'] ? 'INFO' : 'ERROR'
+    );
+
+    return $run;
+}
+
+/**
+ * Email the result of a run.
+ *
+ * @param array $job
+ * @param array $run History item
+ * @return true|WP_Error
+ */
+function ccm_tools_db_jobs_notify(array $job, array $run) {
+    $site = wp_parse_url(home_url(), PHP_URL_HOST);
+    $subject = sprintf(
+        $run['ok'] ? __('[%1$s] Database maintenance completed: %2$s', 'ccm-tools') : __('[%1$s] Database maintenance FAILED: %2$s', 'ccm-tools'),
+        $site,
+        $job['name']
+    );
+
+    $lines = array(
+        sprintf(__('Job "%1$s" ran on %2$s at %3$s.', 'ccm-tools'), $job['name'], home_url(), wp_date('Y-m-d H:i', $run['time'])),
+        sprintf(__('%1$d rows removed, %2$s reclaimed, %3$ss.', 'ccm-tools'), $run['rows'], size_format($run['bytes']), $run['duration']),
+        '',
+    );
+    foreach ($run['tasks'] as $task) {
+        $lines[] = sprintf('%s %s: %s', $task['success'] ? '✓' : '✗', $task['label'], $task['message']);
+    }
+    $lines[] = '';
+    $lines[] = sprintf(__('Database tools: %s', 'ccm-tools'), admin_url('admin.php?page=ccm-tools-database'));
+
+    $recipients = array_map('trim', explode(',', $job['email']));
+    if (!wp_mail($recipients, $subject, implode("\n", $lines))) {
+        return new WP_Error('email_failed', __('wp_mail() could not send the email.', 'ccm-tools'));
+    }
+    return true;
+}
+
+// ──────────────────────────────────────────────
+// AJAX handlers
+// ──────────────────────────────────────────────
+
+/**
+ * Data for the jobs panel: jobs, history and cron status.
+ *
+ * @return array
+ */
+function ccm_tools_db_jobs_panel_data(): array {
+    $available = ccm_tools_get_optimization_options();
+
+    return array(
+        'jobs'    => array_map(function ($job) use ($available) {
+            $next = wp_next_scheduled('ccm_tools_db_job_run', array($job['id']));
+            $job['task_labels'] = array_map(function ($task) use ($available) {
+                return isset($available[$task]) ? $available[$task]['label'] : $task;
+            }, $job['tasks']);
+            $job['next_label'] = $next ? wp_date('Y-m-d H:i', $next) : '';
+            $job['last_label'] = $job['last_run'] ? sprintf(__('%s ago', 'ccm-tools'), human_time_diff($job['last_run'])) : '';
+            $job['crontab'] = $job['trigger'] === 'server' ? ccm_tools_db_jobs_crontab_line($job) : '';
+            return $job;
+        }, ccm_tools_db_jobs_get()),
+        'history' => array_map(function ($item) {
+            $item['time_label'] = wp_date('Y-m-d H:i', $item['time']);
+            $item['bytes_label'] = size_format($item['bytes']);
+            return $item;
+        }, ccm_tools_db_jobs_get_history()),
+        'status'  => array(
+            'cron_disabled' => defined('DISABLE_WP_CRON') && DISABLE_WP_CRON,
+            'timezone'      => wp_timezone_string(),
+        ),
+    );
+}
+
+/**
+ * AJAX handler: get jobs, history and status.
+ */
+function ccm_tools_ajax_get_db_jobs() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    wp_send_json_success(ccm_tools_db_jobs_panel_data());
+}
+add_action('wp_ajax_ccm_tools_get_db_jobs', 'ccm_tools_ajax_get_db_jobs');
+
+/**
+ * AJAX handler: create or update a job.
+ */
+function ccm_tools_ajax_save_db_job() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $job = ccm_tools_db_jobs_sanitize(wp_unslash($_POST));
+    if (is_wp_error($job)) {
+        wp_send_json_error(array('message' => $job->get_error_message()));
+    }
+
+    $jobs = ccm_tools_db_jobs_get();
+    $index = array_search($job['id'], wp_list_pluck($jobs, 'id'), true);
+    if ($index === false) {
+        $jobs[] = $job;
+    } else {
+        $jobs[$index] = $job;
+    }
+    ccm_tools_db_jobs_save($jobs);
+
+    wp_send_json_success(array_merge(
+        array('message' => __('Maintenance job saved.', 'ccm-tools')),
+        ccm_tools_db_jobs_panel_data()
+    ));
+}
+add_action('wp_ajax_ccm_tools_save_db_job', 'ccm_tools_ajax_save_db_job');
+
+/**
+ * AJAX handler: delete a job.
+ */
+function ccm_tools_ajax_delete_db_job() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $id = isset($_POST['id']) ? sanitize_key($_POST['id']) : '';
+    $jobs = array_filter(ccm_tools_db_jobs_get(), function ($job) use ($id) {
+        return $job['id'] !== $id;
+    });
+    ccm_tools_db_jobs_save($jobs);
+
+    wp_send_json_success(array_merge(
+        array('message' => __('Maintenance job deleted.', 'ccm-tools')),
+        ccm_tools_db_jobs_panel_data()
+    ));
+}
+add_action('wp_ajax_ccm_tools_delete_db_job', 'ccm_tools_ajax_delete_db_job');
+
+/**
+ * Response data for a manual run step.
+ *
+ * @param array $outcome From ccm_tools_db_jobs_step()
+ * @return array
+ */
+function ccm_tools_db_jobs_step_response(array $outcome): array {
+    if (!$outcome['done']) {
+        return array('done' => false, 'index' => $outcome['index'], 'total' => $outcome['total']);
+    }
+
+    $run = $outcome['run'];
+    return array_merge(
+        array(
+            'done'    => true,
+            'ok'      => $run['ok'],
+            'message' => sprintf(
+                __('%1$s finished: %2$d rows removed, %3$s reclaimed.', 'ccm-tools'),
+                $run['job'],
+                $run['rows'],
+                size_format($run['bytes'])
+            ),
+        ),
+        ccm_tools_db_jobs_panel_data()
+    );
+}
+
+/**
+ * AJAX handler: run a job now. Starts the run and does its first task; the
+ * page then calls ccm_tools_db_job_step for the rest.
+ */
+function ccm_tools_ajax_run_db_job() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $job = ccm_tools_db_jobs_find(isset($_POST['id']) ? sanitize_key($_POST['id']) : '');
+    if (!$job) {
+        wp_send_json_error(array('message' => __('Job not found.', 'ccm-tools')));
+    }
+
+    $state = ccm_tools_db_jobs_start($job, 'manual');
+    if (is_wp_error($state)) {
+        wp_send_json_error(array('message' => $state->get_error_message()));
+    }
+
+    $outcome = ccm_tools_db_jobs_step();
+    if (is_wp_error($outcome)) {
+        wp_send_json_error(array('message' => $outcome->get_error_message()));
+    }
+
+    wp_send_json_success(ccm_tools_db_jobs_step_response($outcome));
+}
+add_action('wp_ajax_ccm_tools_run_db_job', 'ccm_tools_ajax_run_db_job');
+
+/**
+ * AJAX handler: run the next task of a manual run.
+ */
+function ccm_tools_ajax_db_job_step() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $state = ccm_tools_db_jobs_get_state();
+    if (!$state || $state['trigger'] !== 'manual') {
+        wp_send_json_error(array('message' => __('No maintenance job is running.', 'ccm-tools')));
+    }
+
+    $outcome = ccm_tools_db_jobs_step();
+    if (is_wp_error($outcome)) {
+        wp_send_json_error(array('message' => $outcome->get_error_message()));
+    }
+
+    wp_send_json_success(ccm_tools_db_jobs_step_response($outcome));
+}
+add_action('wp_ajax_ccm_tools_db_job_step', 'ccm_tools_ajax_db_job_step');
+
+/**
+ * AJAX handler: clear the run history.
+ */
+function ccm_tools_ajax_clear_db_job_history() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    delete_option('ccm_tools_db_job_history');
+    wp_send_json_success(ccm_tools_db_jobs_panel_data());
+}
+add_action('wp_ajax_ccm_tools_clear_db_job_history', 'ccm_tools_ajax_clear_db_job_history');
+
+/**
+ * Server cron endpoint: runs one task of a job per request when called with
+ * the secret key. The first request starts the run, later ones continue it,
+ * and the response says when the run is done.
+ *
+ * Not nonce-checked on purpose: it is called by curl from crontab. The
+ * 32-character key is the credential, compared in constant time.
+ */
+function ccm_tools_ajax_db_job_cron() {
+    nocache_headers();
+
+    $key = isset($_GET['key']) ? sanitize_text_field(wp_unslash($_GET['key'])) : '';
+    $stored = get_option('ccm_tools_db_jobs_key', '');
+    if (!$stored || !hash_equals($stored, $key)) {
+        wp_send_json_error(array('message' => 'Invalid key.'), 403);
+    }
+
+    $job = ccm_tools_db_jobs_find(isset($_GET['job']) ? sanitize_key($_GET['job']) : '');
+    if (!$job || !$job['enabled'] || $job['trigger'] !== 'server') {
+        wp_send_json_error(array('message' => 'Job not found, disabled or not set to server cron.'), 404);
+    }
+
+    $state = ccm_tools_db_jobs_get_state();
+    if (!$state || $state['job_id'] !== $job['id'] || $state['trigger'] !== 'server') {
+        $state = ccm_tools_db_jobs_start($job, 'server');
+        if (is_wp_error($state)) {
+            wp_send_json_error(array('message' => $state->get_error_message()), 409);
+        }
+    }
+
+    $outcome = ccm_tools_db_jobs_step();
+    if (is_wp_error($outcome)) {
+        wp_send_json_error(array('message' => $outcome->get_error_message()), 409);
+    }
+
+    if (!$outcome['done']) {
+        wp_send_json(array(
+            'success' => true,
+            'data'    => array('done' => false, 'index' => $outcome['index'], 'total' => $outcome['total']),
+        ));
+    }
+
+    $run = $outcome['run'];
+    wp_send_json(array(
+        'success' => $run['ok'],
+        'data'    => array(
+            'done'  => true,
+            'rows'  => $run['rows'],
+            'bytes' => $run['bytes'],
+            'tasks' => $run['tasks'],
+        ),
+    ), $run['ok'] ? 200 : 500);
+}
+add_action('wp_ajax_ccm_tools_db_job_cron', 'ccm_tools_ajax_db_job_cron');
+add_action('wp_ajax_nopriv_ccm_tools_db_job_cron', 'ccm_tools_ajax_db_job_cron');
+
+// ──────────────────────────────────────────────
+// UI
+// ──────────────────────────────────────────────
+
+/**
+ * Render the Scheduled Maintenance card on the database page.
+ *
+ * Jobs and history are loaded by the page script.
+ *
+ * @return void
+ */
+function ccm_tools_render_db_jobs_card(): void {
+    $options = ccm_tools_get_optimization_options();
+    $is_premium = function_exists('ccm_tools_is_premium') && ccm_tools_is_premium();
+    $weekdays = array(__('Sunday'), __('Monday'), __('Tuesday'), __('Wednesday'), __('Thursday'), __('Friday'), __('Saturday'));
+    ?>
+    <div class="ccm-card" id="db-jobs-card">
+        <h2><?php _e('Scheduled Maintenance', 'ccm-tools'); ?></h2>
+        <p><?php _e('Save a named selection of optimization tasks and run it on a schedule, by WP-Cron or by your server\'s cron. Each run is recorded below and failures can be emailed.', 'ccm-tools'); ?></p>
+
+        <p id="db-jobs-status" class="ccm-log-summary"></p>
+
+        <div class="ccm-table-responsive">
+            <table class="ccm-table" id="db-jobs">
+                <thead>
+                    <tr>
+                        <th><?php _e('Job', 'ccm-tools'); ?></th>
+                        <th><?php _e('Tasks', 'ccm-tools'); ?></th>
+                        <th><?php _e('Schedule', 'ccm-tools'); ?></th>
+                        <th><?php _e('Last run', 'ccm-tools'); ?></th>
+                        <th><?php _e('Enabled', 'ccm-tools'); ?></th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr><td colspan="6"><div class="ccm-spinner ccm-spinner-small"></div></td></tr>
+                </tbody>
+            </table>
+        </div>
+
+        <div class="ccm-log-alert-actions">
+            <button type="button" id="db-job-add" class="ccm-button ccm-button-primary ccm-button-small"><?php _e('Add Job', 'ccm-tools'); ?></button>
+        </div>
+
+        <form id="db-job-form" class="ccm-log-alert-form" style="display: none;">
+            <input type="hidden" name="id" value="">
+            <table class="form-table">
+                <tr>
+                    <th scope="row"><label for="db-job-name"><?php _e('Name', 'ccm-tools'); ?></label></th>
+                    <td><input type="text" id="db-job-name" name="name" class="regular-text" placeholder="<?php esc_attr_e('e.g. Weekly safe cleanup', 'ccm-tools'); ?>"></td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php _e('Tasks', 'ccm-tools'); ?></th>
+                    <td>
+                        <div class="ccm-db-job-tasks">
+                            <?php foreach ($options as $key => $option): ?>
+                                <?php if (!empty($option['premium']) && !$is_premium) continue; ?>
+                                <label class="ccm-db-job-task <?php echo esc_attr($option['risk']); ?>"><input type="checkbox" name="tasks[]" value="<?php echo esc_attr($key); ?>"> <?php echo esc_html($option['label']); ?></label>
+                            <?php endforeach; ?>
+                        </div>
+                        <p><button type="button" id="db-job-use-selection" class="ccm-button ccm-button-small"><?php _e('Use the tasks ticked above', 'ccm-tools'); ?></button></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php _e('Schedule', 'ccm-tools'); ?></th>
+                    <td>
+                        <select name="frequency" id="db-job-frequency">
+                            <option value="daily"><?php _e('Daily', 'ccm-tools'); ?></option>
+                            <option value="weekly" selected><?php _e('Weekly', 'ccm-tools'); ?></option>
+                            <option value="monthly"><?php _e('Monthly', 'ccm-tools'); ?></option>
+                        </select>
+                        <select name="weekday" id="db-job-weekday">
+                            <?php foreach ($weekdays as $index => $day): ?>
+                                <option value="<?php echo esc_attr($index); ?>"><?php echo esc_html($day); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                        <?php _e('at', 'ccm-tools'); ?> <input type="time" name="time" value="03:00">
+                        <p class="description"><?php printf(__('Site time (%s). Monthly jobs run on the 1st.', 'ccm-tools'), esc_html(wp_timezone_string())); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php _e('Run by', 'ccm-tools'); ?></th>
+                    <td>
+                        <label><input type="radio" name="trigger" value="wp_cron" checked> <?php _e('WP-Cron', 'ccm-tools'); ?></label><br>
+                        <label><input type="radio" name="trigger" value="server"> <?php _e('Server cron (a crontab line is shown after saving)', 'ccm-tools'); ?></label>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php _e('Email', 'ccm-tools'); ?></th>
+                    <td>
+                        <select name="notify" id="db-job-notify">
+                            <option value="failure"><?php _e('When a task fails', 'ccm-tools'); ?></option>
+                            <option value="always"><?php _e('After every run', 'ccm-tools'); ?></option>
+                            <option value="never"><?php _e('Never', 'ccm-tools'); ?></option>
+                        </select>
+                        <input type="text" id="db-job-email" name="email" class="regular-text" value="<?php echo esc_attr(get_option('admin_email')); ?>" data-default-email="<?php echo esc_attr(get_option('admin_email')); ?>">
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php _e('Enabled', 'ccm-tools'); ?></th>
+                    <td><label><input type="checkbox" name="enabled" value="1" checked> <?php _e('Active', 'ccm-tools'); ?></label></td>
+                </tr>
+            </table>
+            <div class="ccm-log-alert-actions">
+                <button type="submit" class="ccm-button ccm-button-primary ccm-button-small"><?php _e('Save Job', 'ccm-tools'); ?></button>
+                <button type="button" id="db-job-cancel" class="ccm-button ccm-button-small"><?php _e('Cancel', 'ccm-tools'); ?></button>
+            </div>
+        </form>
+
+        <h3><?php _e('Run History', 'ccm-tools'); ?></h3>
+        <div class="ccm-table-responsive">
+            <table class="ccm-table" id="db-job-history">
+                <thead>
+                    <tr>
+                        <th><?php _e('Time', 'ccm-tools'); ?></th>
+                        <th><?php _e('Job', 'ccm-tools'); ?></th>
+                        <th><?php _e('Result', 'ccm-tools'); ?></th>
+                        <th><?php _e('Rows removed', 'ccm-tools'); ?></th>
+                        <th><?php _e('Space reclaimed', 'ccm-tools'); ?></th>
+                        <th><?php _e('Details', 'ccm-tools'); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr><td colspan="6"><div class="ccm-spinner ccm-spinner-small"></div></td></tr>
+                </tbody>
+            </table>
+        </div>
+        <p><button type="button" id="db-job-clear-history" class="ccm-button ccm-button-small"><?php _e('Clear History', 'ccm-tools'); ?></button></p>
+    </div>
+    <?php
+}
@@ -0,0 +1,489 @@
+<?php
+/**
+ * CCM Tools — Database Search & Replace
+ *
+ * Replaces a string across selected tables, for domain and HTTPS migrations.
+ * PHP-serialized values are unserialized, replaced and re-serialized so
+ * string lengths stay correct, and JSON values are decoded and re-encoded
+ * (so escaped URLs such as https:\/\/example.com match too). Each table is
+ * processed in chunks by separate requests, with a dry run that counts
+ * matches first.
+ *
+ * @package CCMTools
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// ──────────────────────────────────────────────
+// Value replacement
+// ──────────────────────────────────────────────
+
+/**
+ * Replace in a value, recursing into serialized and JSON data.
+ *
+ * Serialized data containing objects is left untouched: it is unserialized
+ * without classes, so it cannot be rewritten faithfully. So is a value that
+ * looks serialized but does not unserialize (usually string lengths broken by
+ * an earlier plain replace): replacing in it as text would only break it
+ * further. Either is flagged as skipped only when it contains the search
+ * string, so rows that would not change are not counted.
+ *
+ * @param mixed  $data    Column value or nested value
+ * @param string $search
+ * @param string $replace
+ * @param int    $count   Incremented by the number of replacements
+ * @param bool   $skipped Set when a value had to be left untouched
+ * @return mixed
+ */
+function ccm_tools_sr_replace_value($data, string $search, string $replace, int &$count, bool &$skipped) {
+    if (is_string($data)) {
+        if (is_serialized($data)) {
+            $value = @unserialize($data, array('allowed_classes' => false));
+            if ($value !== false || $data === 'b:0;') {
+                if (ccm_tools_sr_has_incomplete_class($value)) {
+                    if (strpos($data, $search) !== false) {
+                        $skipped = true;
+                    }
+                    return $data;
+                }
+                $before = $count;
+                $value = ccm_tools_sr_replace_value($value, $search, $replace, $count, $skipped);
+                return $count > $before ? serialize($value) : $data;
+            }
+            if (strpos($data, $search) !== false) {
+                $skipped = true;
+            }
+            return $data;
+        }
+
+        $trimmed = ltrim($data);
+        if ($trimmed !== '' && ($trimmed[0] === '{' || $trimmed[0] === '[')) {
+            $value = json_decode($data);
+            if (json_last_error() === JSON_ERROR_NONE && (is_array($value) || is_object($value))) {
+                $before = $count;
+                $value = ccm_tools_sr_replace_value($value, $search, $replace, $count, $skipped);
+                if ($count === $before) {
+                    return $data;
+                }
+                // Keep the original escaping style of slashes and non-ASCII characters
+                $flags = 0;
+                if (strpos($data, '\\/') === false) {
+                    $flags |= JSON_UNESCAPED_SLASHES;
+                }
+                if (strpos($data, '\\u') === false) {
+                    $flags |= JSON_UNESCAPED_UNICODE;
+                }
+                $encoded = json_encode($value, $flags);
+                return $encoded !== false ? $encoded : $data;
+            }
+        }
+
+        $found = substr_count($data, $search);
+        if ($found) {
+            $count += $found;
+            return str_replace($search, $replace, $data);
+        }
+        return $data;
+    }
+
+    if (is_array($data)) {
+        foreach ($data as $key => $item) {
+            $data[$key] = ccm_tools_sr_replace_value($item, $search, $replace, $count, $skipped);
+        }
+        return $data;
+    }
+
+    if ($data instanceof stdClass) {
+        foreach (get_object_vars($data) as $key => $item) {
+            $data->$key = ccm_tools_sr_replace_value($item, $search, $replace, $count, $skipped);
+        }
+        return $data;
+    }
+
+    return $data;
+}
+
+/**
+ * Whether unserialized data contains objects of classes that were not loaded.
+ *
+ * @param mixed $value
+ * @return bool
+ */
+function ccm_tools_sr_has_incomplete_class($value): bool {
+    if ($value instanceof __PHP_Incomplete_Class) {
+        return true;
+    }
+    if (is_array($value) || $value instanceof stdClass) {
+        foreach ((array) $value as $item) {
+            if (ccm_tools_sr_has_incomplete_class($item)) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Short excerpt of a value around the first match.
+ *
+ * @param string $value
+ * @param string $needle
+ * @return string
+ */
+function ccm_tools_sr_excerpt(string $value, string $needle): string {
+    $position = strpos($value, $needle);
+    if ($position === false) {
+        $position = 0;
+    }
+    $start = max(0, $position - 40);
+    $excerpt = substr($value, $start, strlen($needle) + 80);
+    return ($start > 0 ? '…' : '') . wp_check_invalid_utf8($excerpt, true) . ($start + strlen($excerpt) < strlen($value) ? '…' : '');
+}
+
+// ──────────────────────────────────────────────
+// Tables
+// ──────────────────────────────────────────────
+
+/**
+ * Tables that can be searched, with size estimates.
+ *
+ * @return array List of {name, rows, size, prefixed}
+ */
+function ccm_tools_sr_tables(): array {
+    global $wpdb;
+
+    $rows = $wpdb->get_results("SHOW TABLE STATUS", ARRAY_A);
+    $tables = array();
+    foreach ((array) $rows as $row) {
+        if (!empty($row['Comment']) && $row['Comment'] === 'VIEW') {
+            continue;
+        }
+        $tables[] = array(
+            'name'     => $row['Name'],
+            'rows'     => (int) $row['Rows'],
+            'size'     => (int) $row['Data_length'] + (int) $row['Index_length'],
+            'prefixed' => strpos($row['Name'], $wpdb->prefix) === 0,
+        );
+    }
+    return $tables;
+}
+
+/**
+ * Primary key and text columns of a table.
+ *
+ * @param string $table Table name (validated)
+ * @return array {primary[], keyset, columns[]} keyset is the single integer key column or ''
+ */
+function ccm_tools_sr_table_columns(string $table): array {
+    global $wpdb;
+
+    $primary = array();
+    $columns = array();
+    $keyset = '';
+
+    foreach ((array) $wpdb->get_results("SHOW COLUMNS FROM `{$table}`", ARRAY_A) as $column) {
+        if ($column['Key'] === 'PRI') {
+            $primary[] = $column['Field'];
+            if (preg_match('/^(tiny|small|medium|big)?int\b/i', $column['Type'])) {
+                $keyset = $column['Field'];
+            }
+        }
+        if (preg_match('/^(char|varchar|tinytext|text|mediumtext|longtext|json)\b/i', $column['Type'])) {
+            $columns[] = $column['Field'];
+        }
+    }
+
+    return array(
+        'primary' => $primary,
+        'keyset'  => count($primary) === 1 ? $keyset : '',
+        'columns' => $columns,
+    );
+}
+
+/**
+ * Process one chunk of a table: find matching rows and, unless dry-running,
+ * write the replaced values back.
+ *
+ * @param string $table   Table name (validated)
+ * @param string $search
+ * @param string $replace
+ * @param string $cursor  '' to start, 'k:<key>' keyset or 'o:<offset>'
+ * @param bool   $apply   False for a dry run
+ * @param bool   $skip_guid Leave posts.guid alone (WordPress recommends never changing it)
+ * @return array|WP_Error {matched, replacements, updated, skipped, failed, cursor, done, samples}
+ */
+function ccm_tools_sr_process_chunk(string $table, string $search, string $replace, string $cursor, bool $apply, bool $skip_guid) {
+    global $wpdb;
+
+    $info = ccm_tools_sr_table_columns($table);
+    $columns = $info['columns'];
+    if ($skip_guid && $table === $wpdb->posts) {
+        $columns = array_values(array_diff($columns, array('guid')));
+    }
+
+    $result = array('matched' => 0, 'replacements' => 0, 'updated' => 0, 'skipped' => 0, 'failed' => 0, 'cursor' => '', 'done' => true, 'samples' => array(), 'note' => '');
+
+    if (empty($columns)) {
+        $result['note'] = __('No text columns', 'ccm-tools');
+        return $result;
+    }
+    if (empty($info['primary'])) {
+        $result['note'] = __('Skipped: no primary key to update rows by', 'ccm-tools');
+        return $result;
+    }
+
+    // Also match the JSON-escaped form (https:\/\/example.com)
+    $needles = array($search);
+    if (strpos($search, '/') !== false) {
+        $needles[] = str_replace('/', '\\/', $search);
+    }
+    $where = array();
+    foreach ($columns as $column) {
+        foreach ($needles as $needle) {
+            $where[] = $wpdb->prepare("`{$column}` LIKE %s", '%' . $wpdb->esc_like($needle) . '%');
+        }
+    }
+    $filter = '(' . implode(' OR ', $where) . ')';
+    $select = '`' . implode('`, `', array_unique(array_merge($info['primary'], $columns))) . '`';
+
+    $keyset = $info['keyset'];
+    $mode = substr($cursor, 0, 2);
+    $position = substr($cursor, 2);
+    $started = microtime(true);
+    $batch = 200;
+
+    do {
+        if ($keyset) {
+            $after = $mode === 'k:' ? $wpdb->prepare(" AND `{$keyset}` > %d", (int) $position) : '';
+            $rows = $wpdb->get_results("SELECT {$select} FROM `{$table}` WHERE {$filter}{$after} ORDER BY `{$keyset}` LIMIT {$batch}", ARRAY_A);
+        } else {
+            $offset = $mode === 'o:' ? (int) $position : 0;
+            $rows = $wpdb->get_results("SELECT {$select} FROM `{$table}` WHERE {$filter} LIMIT {$offset}, {$batch}", ARRAY_A);
+        }
+
+        if ($rows === null && $wpdb->last_error) {
+            return new WP_Error('query_failed', $wpdb->last_error);
+        }
+
+        $still_matching = 0;
+        foreach ((array) $rows as $row) {
+            $changes = array();
+            $row_count = 0;
+            $row_skipped = false;
+
+            foreach ($columns as $column) {
+                if ($row[$column] === null) {
+                    continue;
+                }
+                $count = 0;
+                $new = ccm_tools_sr_replace_value($row[$column], $search, $replace, $count, $row_skipped);
+                if ($count && $new !== $row[$column]) {
+                    $changes[$column] = $new;
+                    $row_count += $count;
+
+                    if (count($result['samples']) < 5) {
+                        $result['samples'][] = array(
+                            'key'    => implode(', ', array_map(function ($key) use ($row) {
+                                return $row[$key];
+                            }, $info['primary'])),
+                            'column' => $column,
+                            'before' => ccm_tools_sr_excerpt($row[$column], $search),
+                            'after'  => ccm_tools_sr_excerpt($new, $replace),
+                        );
+                    }
+                }
+            }
+
+            if ($row_skipped) {
+                $result['skipped']++;
+            }
+
+            $written = false;
+            if ($changes) {
+                $result['matched']++;
+                $result['replacements'] += $row_count;
+
+                if ($apply) {
+                    $where_pk = array_intersect_key($row, array_flip($info['primary']));
+                    $written = $wpdb->update($table, $changes, $where_pk) !== false;
+                    $result[$written ? 'updated' : 'failed']++;
+                }
+            }
+
+            // With OFFSET paging, rows that no longer match drop out of the filtered set
+            if (!$written || strpos(implode("\n", $changes), $search) !== false) {
+                $still_matching++;
+            }
+        }
+
+        $fetched = count((array) $rows);
+        if ($keyset && $fetched) {
+            $position = end($rows)[$keyset];
+            $mode = 'k:';
+        } elseif (!$keyset) {
+            $position = ($mode === 'o:' ? (int) $position : 0) + $still_matching;
+            $mode = 'o:';
+        }
+
+        $done = $fetched < $batch;
+    } while (!$done && microtime(true) - $started < 8);
+
+    $result['done'] = $done;
+    $result['cursor'] = $done ? '' : $mode . $position;
+
+    return $result;
+}
+
+// ──────────────────────────────────────────────
+// AJAX handlers
+// ──────────────────────────────────────────────
+
+/**
+ * Read and validate the search/replace request.
+ *
+ * Search and replace are only unslashed: they are used as exact strings.
+ *
+ * @return array {search, replace, skip_guid}
+ */
+function ccm_tools_sr_posted(): array {
+    $search = isset($_POST['search']) ? wp_unslash((string) $_POST['search']) : '';
+    $replace = isset($_POST['replace']) ? wp_unslash((string) $_POST['replace']) : '';
+
+    if ($search === '') {
+        wp_send_json_error(array('message' => __('Enter a string to search for.', 'ccm-tools')));
+    }
+    if ($search === $replace) {
+        wp_send_json_error(array('message' => __('Search and replace are the same.', 'ccm-tools')));
+    }
+
+    return array(
+        'search'    => $search,
+        'replace'   => $replace,
+        'skip_guid' => !empty($_POST['skip_guid']),
+    );
+}
+
+/**
+ * AJAX handler: list tables for selection.
+ */
+function ccm_tools_ajax_sr_tables() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    wp_send_json_success(array('tables' => ccm_tools_sr_tables()));
+}
+add_action('wp_ajax_ccm_tools_sr_tables', 'ccm_tools_ajax_sr_tables');
+
+/**
+ * AJAX handler: dry-run or replace one chunk of one table.
+ */
+function ccm_tools_ajax_sr_table() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $args = ccm_tools_sr_posted();
+    $table = isset($_POST['table']) ? sanitize_text_field(wp_unslash($_POST['table'])) : '';
+    if (!ccm_tools_validate_table_name_optimize($table)) {
+        wp_send_json_error(array('message' => __('Invalid table name.', 'ccm-tools')));
+    }
+    $cursor = isset($_POST['cursor']) ? sanitize_text_field(wp_unslash($_POST['cursor'])) : '';
+    if ($cursor !== '' && !preg_match('/^[ko]:-?\d+$/', $cursor)) {
+        wp_send_json_error(array('message' => __('Invalid cursor.', 'ccm-tools')));
+    }
+
+    @set_time_limit(60);
+    $result = ccm_tools_sr_process_chunk($table, $args['search'], $args['replace'], $cursor, !empty($_POST['apply']), $args['skip_guid']);
+    if (is_wp_error($result)) {
+        wp_send_json_error(array('message' => $result->get_error_message()));
+    }
+
+    wp_send_json_success($result);
+}
+add_action('wp_ajax_ccm_tools_sr_table', 'ccm_tools_ajax_sr_table');
+
+/**
+ * AJAX handler: after a run, flush caches and log it.
+ */
+function ccm_tools_ajax_sr_finish() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $args = ccm_tools_sr_posted();
+    $tables = isset($_POST['tables']) ? array_map('sanitize_text_field', wp_unslash((array) $_POST['tables'])) : array();
+    $updated = isset($_POST['updated']) ? intval($_POST['updated']) : 0;
+
+    // Cached options, posts and alloptions hold the old values
+    wp_cache_flush();
+
+    ccm_tools_log_activity(
+        'search-replace',
+        sprintf('Replaced "%s" with "%s" in %d row(s) across %d table(s): %s', $args['search'], $args['replace'], $updated, count($tables), implode(', ', $tables)),
+        'NOTICE'
+    );
+
+    wp_send_json_success(array('message' => sprintf(__('%d row(s) updated. Object cache flushed.', 'ccm-tools'), $updated)));
+}
+add_action('wp_ajax_ccm_tools_sr_finish', 'ccm_tools_ajax_sr_finish');
+
+// ──────────────────────────────────────────────
+// UI
+// ──────────────────────────────────────────────
+
+/**
+ * Render the Search & Replace card on the database page.
+ *
+ * @return void
+ */
+function ccm_tools_render_search_replace_card(): void {
+    ?>
+    <div class="ccm-card" id="search-replace-card">
+        <h2><?php _e('Search & Replace', 'ccm-tools'); ?></h2>
+        <p><?php _e('Replace a string across the database, for example the old domain after a migration or http:// with https://. Serialized and JSON values are rewritten safely. Always run the dry run first and take a backup of the database.', 'ccm-tools'); ?></p>
+
+        <form id="search-replace-form">
+            <table class="form-table">
+                <tr>
+                    <th scope="row"><label for="sr-search"><?php _e('Search for', 'ccm-tools'); ?></label></th>
+                    <td><input type="text" id="sr-search" name="search" class="large-text" placeholder="http://old-domain.com" required></td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="sr-replace"><?php _e('Replace with', 'ccm-tools'); ?></label></th>
+                    <td><input type="text" id="sr-replace" name="replace" class="large-text" placeholder="https://new-domain.com"></td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php _e('Options', 'ccm-tools'); ?></th>
+                    <td>
+                        <label><input type="checkbox" name="skip_guid" value="1" checked> <?php _e('Leave post GUIDs unchanged (recommended)', 'ccm-tools'); ?></label>
+                        <p class="description"><?php _e('Matching is case-sensitive.', 'ccm-tools'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php _e('Tables', 'ccm-tools'); ?></th>
+                    <td>
+                        <p>
+                            <button type="button" class="ccm-button ccm-button-small" data-sr-select="prefixed"><?php _e('WordPress tables', 'ccm-tools'); ?></button>
+                            <button type="button" class="ccm-button ccm-button-small" data-sr-select="all"><?php _e('All', 'ccm-tools'); ?></button>
+                            <button type="button" class="ccm-button ccm-button-small" data-sr-select="none"><?php _e('None', 'ccm-tools'); ?></button>
+                        </p>
+                        <div id="sr-tables" class="ccm-sr-tables"><div class="ccm-spinner ccm-spinner-small"></div></div>
+                    </td>
+                </tr>
+            </table>
+            <div class="ccm-buttons">
+                <button type="submit" class="ccm-button ccm-button-primary"><?php _e('Dry Run', 'ccm-tools'); ?></button>
+                <button type="button" id="sr-run" class="ccm-button ccm-button-danger" disabled><?php _e('Replace', 'ccm-tools'); ?></button>
+            </div>
+        </form>
+
+        <div id="sr-results" class="ccm-result-box" style="display: none;"></div>
+    </div>
+    <?php
+}
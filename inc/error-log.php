@@ -77,7 +77,10 @@ function ccm_tools_validate_log_file_path($path) {
         return '';
     }
 
-    $allowed_paths = ccm_tools_get_error_log_locations();
+    $allowed_paths = array_merge(
+        wp_list_pluck(ccm_tools_get_log_sources(), 'path'),
+        wp_list_pluck(ccm_tools_get_log_archives(), 'path')
+    );
     return in_array($real_path, $allowed_paths, true) ? $real_path : '';
 }
 
@@ -198,12 +201,243 @@ function ccm_tools_read_error_log($log_file, $lines = 100, $offset = 0) {
     );
 }
 
+/**
+ * Read the last N lines of a log file without loading the whole file
+ *
+ * Reads backwards in 64KB chunks until enough lines are found or
+ * $max_bytes have been read, so multi-gigabyte logs stay cheap.
+ *
+ * @param string $log_file Validated log file path
+ * @param int $lines Number of lines wanted
+ * @param int $max_bytes Maximum bytes to read from the end of the file
+ * @return array {content, start: byte offset the content begins at, size: file size}
+ */
+function ccm_tools_tail_log_file($log_file, $lines = 100, $max_bytes = 4194304) {
+    clearstatcache(true, $log_file);
+    $size = (int) @filesize($log_file);
+    $handle = $size > 0 ? @fopen($log_file, 'rb') : false;
+    if (!$handle) {
+        return array('content' => '', 'start' => $size, 'size' => $size);
+    }
+    
+    $pos = $size;
+    $buffer = '';
+    while ($pos > 0 && substr_count($buffer, "\n") <= $lines && ($size - $pos) < $max_bytes) {
+        $read = min(65536, $pos);
+        $pos -= $read;
+        fseek($handle, $pos);
+        $buffer = fread($handle, $read) . $buffer;
+    }
+    fclose($handle);
+    
+    // Walk back over N line breaks (ignoring a trailing newline)
+    $end = strlen($buffer);
+    $cut = ($end > 0 && $buffer[$end - 1] === "\n") ? $end - 1 : $end;
+    $begin = null;
+    for ($i = 0; $i < $lines && $cut > 0; $i++) {
+        $nl = strrpos($buffer, "\n", $cut - $end - 1);
+        if ($nl === false) {
+            break;
+        }
+        $begin = $nl + 1;
+        $cut = $nl;
+    }
+    
+    // Fewer lines than asked for: take everything when we reached the start of
+    // the file, otherwise drop the (probably partial) first line
+    if ($i < $lines && $pos === 0) {
+        $begin = 0;
+    }
+    $begin = $begin ?? 0;
+    
+    return array(
+        'content' => substr($buffer, $begin),
+        'start' => $pos + $begin,
+        'size' => $size,
+    );
+}
+
+/**
+ * Parse a log timestamp such as "19-Oct-2026 01:02:03 UTC"
+ *
+ * @param string $stamp Text between the leading square brackets
+ * @return int|false Unix timestamp, or false if it isn't a PHP log timestamp
+ */
+function ccm_tools_parse_log_timestamp($stamp) {
+    if (!preg_match('/^\d{2}-[A-Za-z]{3}-\d{4} \d{2}:\d{2}:\d{2}/', $stamp)) {
+        return false;
+    }
+    
+    try {
+        $dt = new DateTime($stamp);
+        return $dt->getTimestamp();
+    } catch (Exception $e) {
+        return false;
+    }
+}
+
+/**
+ * Map a PHP/WordPress log entry type to a severity
+ *
+ * @param string $type Entry type, e.g. "Fatal error", "Warning", "WordPress database error"
+ * @return string fatal | error | warning | notice | deprecated | info
+ */
+function ccm_tools_log_severity($type) {
+    $type = strtolower($type);
+    
+    if (strpos($type, 'fatal') !== false || strpos($type, 'parse error') !== false) {
+        return 'fatal';
+    }
+    if (strpos($type, 'database error') !== false || strpos($type, 'error') !== false || strpos($type, 'exception') !== false) {
+        return 'error';
+    }
+    if (strpos($type, 'warning') !== false) {
+        return 'warning';
+    }
+    if (strpos($type, 'notice') !== false) {
+        return 'notice';
+    }
+    if (strpos($type, 'deprecated') !== false || strpos($type, 'strict standards') !== false) {
+        return 'deprecated';
+    }
+    
+    return 'info';
+}
+
+/**
+ * Parse PHP / WordPress error log text into structured entries
+ *
+ * An entry starts at a "[timestamp]" line; untimestamped lines that follow
+ * (stack frames, "thrown in", multi-line messages) belong to it. Xdebug-style
+ * "PHP Stack trace:" / "PHP   1. ..." lines carry their own timestamp but are
+ * folded into the preceding entry too.
+ *
+ * @param string $content Raw log text
+ * @return array List of entries {time, time_label, severity, type, message, file, line, stack, signature}
+ */
+function ccm_tools_parse_error_log($content) {
+    $entries = array();
+    $current = null;
+    
+    foreach (preg_split('/\r\n|\r|\n/', (string) $content) as $text) {
+        if (trim($text) === '') {
+            continue;
+        }
+        
+        if (preg_match('/^\[([^\]]+)\]\s?(.*)$/', $text, $m) && ($time = ccm_tools_parse_log_timestamp($m[1])) !== false) {
+            if ($current && preg_match('/^PHP (Stack trace:|\s+\d+\.\s)/', $m[2])) {
+                $current['stack'][] = trim(preg_replace('/^PHP\s+/', '', $m[2]));
+                continue;
+            }
+            
+            if ($current) {
+                $entries[] = ccm_tools_build_log_entry($current);
+            }
+            $current = array('time' => $time, 'body' => $m[2], 'stack' => array(), 'extra' => array(), 'thrown' => null);
+            continue;
+        }
+        
+        if (!$current) {
+            // Continuation of an entry that started before the window we read
+            if (preg_match('/^\s*(#\d+\s|Stack trace:|thrown in\s)/', $text)) {
+                continue;
+            }
+            $current = array('time' => 0, 'body' => $text, 'stack' => array(), 'extra' => array(), 'thrown' => null);
+            continue;
+        }
+        
+        if (preg_match('/^\s*(#\d+\s.*)$/', $text, $frame)) {
+            $current['stack'][] = $frame[1];
+        } elseif (preg_match('/^\s*thrown in (.+?) on line (\d+)/', $text, $thrown)) {
+            $current['thrown'] = array($thrown[1], (int) $thrown[2]);
+        } elseif (!preg_match('/^\s*(PHP )?Stack trace:\s*$/', $text)) {
+            $current['extra'][] = rtrim($text);
+        }
+    }
+    
+    if ($current) {
+        $entries[] = ccm_tools_build_log_entry($current);
+    }
+    
+    return $entries;
+}
+
+/**
+ * Turn a raw parsed entry into the structure returned to the viewer
+ *
+ * @param array $raw {time, body, stack, extra, thrown}
+ * @return array Structured entry
+ */
+function ccm_tools_build_log_entry($raw) {
+    $body = $raw['body'];
+    $type = '';
+    $message = $body;
+    
+    if (preg_match('/^PHP ([A-Za-z ]+?):\s+(.*)$/s', $body, $m)) {
+        $type = $m[1];
+        $message = $m[2];
+    } elseif (preg_match('/^(WordPress database error)\s+(.*)$/s', $body, $m)) {
+        $type = $m[1];
+        $message = $m[2];
+    }
+    
+    if (!empty($raw['extra'])) {
+        $message .= "\n" . implode("\n", $raw['extra']);
+    }
+    
+    // Pull "in /path/file.php on line 12" / "in /path/file.php:12" off the message
+    $file = '';
+    $line = 0;
+    if (preg_match('/\s+in\s+(\S+?\.php)(?:\s+on line\s+|:)(\d+)/', $message, $loc, PREG_OFFSET_CAPTURE)) {
+        $file = $loc[1][0];
+        $line = (int) $loc[2][0];
+        $message = rtrim(substr($message, 0, $loc[0][1]));
+    } elseif (!empty($raw['thrown'])) {
+        list($file, $line) = $raw['thrown'];
+    }
+    
+    // Untyped lines (plugins calling error_log() directly) are "info"
+    $severity = $type !== '' ? ccm_tools_log_severity($type) : 'info';
+    
+    return ccm_tools_make_log_entry($raw['time'], $severity, $type, $message, $file, $line, $raw['stack']);
+}
+
+/**
+ * Assemble a viewer entry; shared by every log source parser
+ *
+ * @param int $time Unix timestamp (0 when unknown)
+ * @param string $severity fatal | error | warning | notice | deprecated | info
+ * @param string $type Entry type as written in the log
+ * @param string $message Message text
+ * @param string $file File the entry points at
+ * @param int $line Line in that file
+ * @param array $stack Stack frames
+ * @return array Structured entry
+ */
+function ccm_tools_make_log_entry($time, $severity, $type, $message, $file = '', $line = 0, $stack = array()) {
+    // Group on the message with numbers masked so "offset 3" and "offset 4" count together
+    $signature = substr(md5($severity . '|' . preg_replace('/\d+/', '#', $message) . '|' . $file . '|' . $line), 0, 12);
+    
+    return array(
+        'time' => (int) $time,
+        'time_label' => $time ? wp_date('d-M-Y H:i:s T', $time) : '',
+        'severity' => $severity,
+        'type' => $type,
+        'message' => $message,
+        'file' => $file,
+        'line' => (int) $line,
+        'stack' => $stack,
+        'signature' => $signature,
+    );
+}
+
 /**
  * AJAX handler for fetching error log content
  */
 function ccm_tools_ajax_get_error_log() {
-    // Check permissions and nonce
-    if (!current_user_can('manage_options') || !check_ajax_referer('ccm-tools-nonce', 'nonce', false)) {
+    // Check nonce (dies with -1 so the UI can refresh it) and permissions
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
         wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
     }
     
@@ -217,6 +451,37 @@ function ccm_tools_ajax_get_error_log() {
         $errors_only = filter_var($_POST['errors_only'], FILTER_VALIDATE_BOOLEAN);
     }
     
+    // Every source merged into one timeline
+    if ($log_file_input === 'all') {
+        if (empty($_POST['structured'])) {
+            wp_send_json_error(array('message' => __('The merged timeline has no raw view. Pick a single log file.', 'ccm-tools')));
+        }
+        
+        $batches = array();
+        $offsets = array();
+        $truncated = false;
+        $total_size = 0;
+        $last_modified = 0;
+        
+        foreach (ccm_tools_get_log_sources() as $id => $source) {
+            $tail = ccm_tools_tail_log_file($source['path'], $lines);
+            $batches[$id] = ccm_tools_parse_log_content($tail['content'], $source['type']);
+            $offsets[$id] = $tail['size'];
+            $truncated = $truncated || $tail['start'] > 0;
+            $total_size += $tail['size'];
+            $last_modified = max($last_modified, (int) @filemtime($source['path']));
+        }
+        
+        wp_send_json_success(array(
+            'entries' => ccm_tools_merge_log_entries($batches),
+            'truncated' => $truncated,
+            'end' => (object) $offsets,
+            'file_size' => size_format($total_size, 2),
+            'last_modified' => $last_modified ? human_time_diff($last_modified) . ' ' . __('ago', 'ccm-tools') : '',
+            'raw_last_modified' => $last_modified
+        ));
+    }
+    
     if ($log_file_input !== '') {
         $log_file = ccm_tools_validate_log_file_path($log_file_input);
         if (empty($log_file)) {
@@ -230,10 +495,50 @@ function ccm_tools_ajax_get_error_log() {
         wp_send_json_error(array('message' => __('No error log file found.', 'ccm-tools')));
     }
 
+    // Archived logs are gzipped and never change, so there is nothing to tail
+    $archive = ccm_tools_get_log_archive_by_path($log_file);
+    if ($archive) {
+        $tail = ccm_tools_tail_log_archive($log_file, $lines);
+        $meta = array(
+            'end' => null,
+            'file_size' => sprintf(__('%1$s (%2$s uncompressed)', 'ccm-tools'), size_format($archive['size'], 2), size_format($archive['original_size'], 2)),
+            'last_modified' => sprintf(__('archived %s ago', 'ccm-tools'), human_time_diff($archive['created'])),
+            'raw_last_modified' => $archive['created'],
+        );
+        
+        if (!empty($_POST['structured'])) {
+            wp_send_json_success(array_merge($meta, array(
+                'entries' => ccm_tools_parse_log_content($tail['content'], $archive['source_type']),
+                'truncated' => $tail['start'] > 0,
+            )));
+        }
+        
+        wp_send_json_success(array_merge($meta, array(
+            'content' => $tail['content'],
+            'formatted_content' => ccm_tools_format_error_log(ccm_tools_convert_error_log_timestamps($tail['content'])),
+            'filtered' => false,
+        )));
+    }
+
     // Get file metadata first
     $filesize = filesize($log_file);
     $last_modified = filemtime($log_file);
 
+    // Structured entries for the viewer's grouping, search and filters
+    if (!empty($_POST['structured'])) {
+        $tail = ccm_tools_tail_log_file($log_file, $lines);
+        $source = ccm_tools_get_log_source_by_path($log_file);
+        
+        wp_send_json_success(array(
+            'entries' => ccm_tools_parse_log_content($tail['content'], $source['type'] ?? 'php'),
+            'truncated' => $tail['start'] > 0,
+            'end' => $tail['size'],
+            'file_size' => size_format($filesize, 2),
+            'last_modified' => human_time_diff($last_modified) . ' ' . __('ago', 'ccm-tools'),
+            'raw_last_modified' => $last_modified
+        ));
+    }
+
     // If errors_only is enabled, filter the content to show only PHP Fatal/Parse errors
     if ($errors_only) {
         if (!file_exists($log_file) || !is_readable($log_file)) {
@@ -284,17 +589,152 @@ function ccm_tools_ajax_get_error_log() {
 
     // Normal unfiltered log reading
     $log_data = ccm_tools_read_error_log($log_file, $lines, $offset);
+    if (!isset($log_data['formatted_content']) && !empty($log_data['content'])) {
+        $log_data['formatted_content'] = ccm_tools_format_error_log($log_data['content']);
+    }
+    $log_data['end'] = $filesize;
     $log_data['filtered'] = false;
     wp_send_json_success($log_data);
 }
 add_action('wp_ajax_ccm_tools_get_error_log', 'ccm_tools_ajax_get_error_log');
 
+/**
+ * Read whole lines appended to a log file since a byte offset
+ *
+ * Stops at the last complete line so a line still being written is picked
+ * up by the next call, and reads at most $max_bytes per call.
+ *
+ * @param string $log_file Validated log file path
+ * @param int $offset Byte offset to read from
+ * @param int $max_bytes Maximum bytes to read
+ * @return array {content, offset: where the next read starts, size: file size, reset: file shrank (cleared/rotated), more: unread bytes remain}
+ */
+function ccm_tools_read_log_since($log_file, $offset, $max_bytes = 1048576) {
+    clearstatcache(true, $log_file);
+    $size = (int) @filesize($log_file);
+    $result = array('content' => '', 'offset' => $offset, 'size' => $size, 'reset' => false, 'more' => false);
+    
+    if ($offset > $size) {
+        $result['reset'] = true;
+        $result['offset'] = $size;
+        return $result;
+    }
+    if ($offset === $size) {
+        return $result;
+    }
+    
+    $handle = @fopen($log_file, 'rb');
+    if (!$handle) {
+        return $result;
+    }
+    fseek($handle, $offset);
+    $data = (string) fread($handle, min($max_bytes, $size - $offset));
+    fclose($handle);
+    
+    $last_newline = strrpos($data, "\n");
+    if ($last_newline === false) {
+        // No complete line yet — unless one line fills the whole read window
+        if (strlen($data) < $max_bytes) {
+            return $result;
+        }
+        $last_newline = strlen($data) - 1;
+    }
+    
+    $result['content'] = substr($data, 0, $last_newline + 1);
+    $result['offset'] = $offset + $last_newline + 1;
+    $result['more'] = $result['offset'] < $size && strlen($data) >= $max_bytes;
+    
+    return $result;
+}
+
+/**
+ * AJAX handler for live tail: entries appended since a byte offset
+ */
+function ccm_tools_ajax_tail_error_log() {
+    // Check nonce (dies with -1 so the UI can refresh it) and permissions
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+    
+    $log_file_input = isset($_POST['log_file']) ? sanitize_text_field(wp_unslash($_POST['log_file'])) : '';
+    
+    // Merged timeline: one offset per source, sent as a JSON object
+    if ($log_file_input === 'all') {
+        $offsets = isset($_POST['offset']) ? json_decode(wp_unslash($_POST['offset']), true) : array();
+        $offsets = is_array($offsets) ? $offsets : array();
+        $batches = array();
+        $next = array();
+        $reset = false;
+        $more = false;
+        $total_size = 0;
+        $last_modified = 0;
+        
+        foreach (ccm_tools_get_log_sources() as $id => $source) {
+            // A source that appeared since the page loaded is followed from its current end
+            if (!isset($offsets[$id])) {
+                clearstatcache(true, $source['path']);
+                $next[$id] = (int) @filesize($source['path']);
+                $total_size += $next[$id];
+                continue;
+            }
+            
+            $chunk = ccm_tools_read_log_since($source['path'], max(0, intval($offsets[$id])));
+            $batches[$id] = ccm_tools_parse_log_content($chunk['content'], $source['type']);
+            $next[$id] = $chunk['offset'];
+            $reset = $reset || $chunk['reset'];
+            $more = $more || $chunk['more'];
+            $total_size += $chunk['size'];
+            $last_modified = max($last_modified, (int) @filemtime($source['path']));
+        }
+        
+        wp_send_json_success(array(
+            'entries' => ccm_tools_merge_log_entries($batches),
+            'formatted_content' => '',
+            'offset' => (object) $next,
+            'reset' => $reset,
+            'more' => $more,
+            'file_size' => size_format($total_size, 2),
+            'last_modified' => $last_modified ? human_time_diff($last_modified) . ' ' . __('ago', 'ccm-tools') : '',
+            'raw_last_modified' => $last_modified
+        ));
+    }
+    
+    $log_file = $log_file_input !== '' ? ccm_tools_validate_log_file_path($log_file_input) : ccm_tools_get_default_log_file_path();
+    if (empty($log_file)) {
+        wp_send_json_error(array('message' => __('Invalid log file selection.', 'ccm-tools')));
+    }
+    
+    if (ccm_tools_get_log_archive_by_path($log_file)) {
+        wp_send_json_error(array('message' => __('Archived logs can\'t be tailed.', 'ccm-tools')));
+    }
+    
+    $offset = isset($_POST['offset']) ? max(0, intval($_POST['offset'])) : 0;
+    $chunk = ccm_tools_read_log_since($log_file, $offset);
+    $last_modified = filemtime($log_file);
+    $content = $chunk['content'];
+    $source = ccm_tools_get_log_source_by_path($log_file);
+    
+    wp_send_json_success(array(
+        'entries' => ccm_tools_parse_log_content($content, $source['type'] ?? 'php'),
+        'formatted_content' => $content !== '' ? ccm_tools_format_error_log(ccm_tools_convert_error_log_timestamps($content)) : '',
+        'offset' => $chunk['offset'],
+        'reset' => $chunk['reset'],
+        'more' => $chunk['more'],
+        'file_size' => size_format($chunk['size'], 2),
+        'last_modified' => human_time_diff($last_modified) . ' ' . __('ago', 'ccm-tools'),
+        'raw_last_modified' => $last_modified
+    ));
+}
+add_action('wp_ajax_ccm_tools_tail_error_log', 'ccm_tools_ajax_tail_error_log');
+
 /**
  * AJAX handler for clearing error log
  */
 function ccm_tools_ajax_clear_error_log() {
-    // Check permissions and nonce
-    if (!current_user_can('manage_options') || !check_ajax_referer('ccm-tools-nonce', 'nonce', false)) {
+    // Check nonce (dies with -1 so the UI can refresh it) and permissions
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
         wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
     }
     
@@ -309,6 +749,10 @@ function ccm_tools_ajax_clear_error_log() {
         wp_send_json_error(array('message' => __('Invalid log file selection.', 'ccm-tools')));
     }
     
+    if (ccm_tools_get_log_archive_by_path($log_file)) {
+        wp_send_json_error(array('message' => __('Archived logs can\'t be cleared. Delete the archive instead.', 'ccm-tools')));
+    }
+    
     // Check if file exists and is writable
     if (!file_exists($log_file) || !is_writable($log_file)) {
         wp_send_json_error(array('message' => __('Log file not found or not writable.', 'ccm-tools')));
@@ -317,6 +761,7 @@ function ccm_tools_ajax_clear_error_log() {
     // Clear the file by opening it in write mode
     $result = file_put_contents($log_file, '');
     if ($result !== false) {
+        ccm_tools_log_activity('error-log', sprintf('Cleared %s', $log_file));
         wp_send_json_success(array(
             'message' => __('Log file cleared successfully.', 'ccm-tools'),
             'content' => '',
@@ -334,8 +779,9 @@ add_action('wp_ajax_ccm_tools_clear_error_log', 'ccm_tools_ajax_clear_error_log'
  * AJAX handler for downloading error log
  */
 function ccm_tools_ajax_download_error_log() {
-    // Check permissions and nonce
-    if (!current_user_can('manage_options') || !check_ajax_referer('ccm-tools-nonce', 'nonce', false)) {
+    // Check nonce (dies with -1 so the UI can refresh it) and permissions
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
         wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
     }
     
@@ -354,10 +800,13 @@ function ccm_tools_ajax_download_error_log() {
         wp_send_json_error(array('message' => __('ZipArchive PHP extension is required to download logs.', 'ccm-tools')));
     }
 
+    $include_archives = !empty($_POST['include_archives']) && filter_var($_POST['include_archives'], FILTER_VALIDATE_BOOLEAN);
+
     $token = wp_generate_password(20, false);
     $transient_key = 'ccm_tools_log_download_' . $token;
+    $request = array('file' => $log_file, 'archives' => $include_archives);
 
-    if (!set_transient($transient_key, $log_file, CCM_TOOLS_LOG_DOWNLOAD_TTL)) {
+    if (!set_transient($transient_key, $request, CCM_TOOLS_LOG_DOWNLOAD_TTL)) {
         wp_send_json_error(array('message' => __('Unable to initialize secure download. Please try again.', 'ccm-tools')));
     }
 
@@ -395,10 +844,11 @@ function ccm_tools_ajax_download_error_log_file() {
     }
 
     $transient_key = 'ccm_tools_log_download_' . $token;
-    $log_file = get_transient($transient_key);
+    $request = get_transient($transient_key);
     delete_transient($transient_key);
 
-    $log_file = ccm_tools_validate_log_file_path($log_file);
+    $request = is_array($request) ? $request : array('file' => (string) $request, 'archives' => false);
+    $log_file = ccm_tools_validate_log_file_path($request['file']);
     if (empty($log_file) || !file_exists($log_file) || !is_readable($log_file)) {
         wp_die(__('The requested log file is no longer available.', 'ccm-tools'), __('Download error', 'ccm-tools'), array('response' => 410));
     }
@@ -424,6 +874,16 @@ function ccm_tools_ajax_download_error_log_file() {
         wp_die(__('Failed to add log file to archive.', 'ccm-tools'), __('Server error', 'ccm-tools'), array('response' => 500));
     }
 
+    // Bundle the log's rotated archives alongside it
+    if (!empty($request['archives'])) {
+        $source = ccm_tools_get_log_source_by_path($log_file);
+        foreach (ccm_tools_get_log_archives() as $archive) {
+            if ($source && $archive['source_id'] === $source['id']) {
+                $zip->addFile($archive['path'], 'archive/' . $archive['file']);
+            }
+        }
+    }
+
     $zip->close();
 
     $download_name = sprintf('error-log-%s.zip', gmdate('Y-m-d-H-i-s'));
@@ -443,8 +903,9 @@ add_action('wp_ajax_ccm_tools_download_error_log_file', 'ccm_tools_ajax_download
  * AJAX handler for formatting error log content
  */
 function ccm_tools_ajax_format_error_log() {
-    // Check permissions and nonce
-    if (!current_user_can('manage_options') || !check_ajax_referer('ccm-tools-nonce', 'nonce', false)) {
+    // Check nonce (dies with -1 so the UI can refresh it) and permissions
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
         wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
     }
     $content = isset($_POST['content']) ? sanitize_textarea_field(wp_unslash($_POST['content'])) : '';
@@ -468,8 +929,9 @@ add_action('wp_ajax_ccm_tools_format_error_log_ajax', 'ccm_tools_ajax_format_err
  * AJAX handler for filtering error log content to show only errors
  */
 function ccm_tools_ajax_filter_errors_only() {
-    // Check permissions and nonce
-    if (!current_user_can('manage_options') || !check_ajax_referer('ccm-tools-nonce', 'nonce', false)) {
+    // Check nonce (dies with -1 so the UI can refresh it) and permissions
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
         wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
     }
     
@@ -691,13 +1153,19 @@ function ccm_tools_render_error_log_page() {
     // Start output buffering to prevent "headers already sent" issues
     ob_start();
 
-    $locations = ccm_tools_get_error_log_locations();
-    $default_log = !empty($locations) ? $locations[0] : '';
-    $log_data = !empty($default_log) ? ccm_tools_read_error_log($default_log) : array('content' => '', 'error' => __('No error logs found.', 'ccm-tools'));    // Format the log content to highlight errors
-    if (isset($log_data['content'])) {
-        // Convert UTC timestamps to Australia/Sydney timezone before formatting
-        $log_data['content'] = ccm_tools_convert_error_log_timestamps($log_data['content']);
-        $log_data['formatted_content'] = ccm_tools_format_error_log($log_data['content']);
+    $sources = ccm_tools_get_log_sources();
+    $rotatable = ccm_tools_rotatable_log_sources();
+    $archives = ccm_tools_get_log_archives();
+    $locations = wp_list_pluck($sources, 'path');
+    $default_log = !empty($locations) ? reset($locations) : '';
+    
+    // Entries are parsed and rendered by the viewer script; only the file meta is needed here
+    $log_data = array();
+    if (!empty($default_log)) {
+        $log_data = array(
+            'file_size' => size_format(filesize($default_log), 2),
+            'last_modified' => human_time_diff(filemtime($default_log)) . ' ' . __('ago', 'ccm-tools'),
+        );
     }
     ?>
     <div class="wrap ccm-tools">
@@ -712,7 +1180,7 @@ function ccm_tools_render_error_log_page() {
 
                 <?php if (empty($locations)): ?>
                     <div class="ccm-notice ccm-warning">
-                        <p><?php _e('No error log files found. Please check your PHP configuration.', 'ccm-tools'); ?></p>
+                        <p><?php _e('No readable log files found. Please check your PHP configuration.', 'ccm-tools'); ?></p>
                     </div>
                 <?php else: ?>
                     <div class="ccm-error-log-controls">
@@ -720,9 +1188,19 @@ function ccm_tools_render_error_log_page() {
                             <div>
                                 <label for="log-file-select"><?php _e('Select log file:', 'ccm-tools'); ?></label>
                                 <select id="log-file-select">
-                                    <?php foreach ($locations as $location): ?>
-                                        <option value="<?php echo esc_attr($location); ?>"><?php echo esc_html($location); ?></option>
-                                    <?php endforeach; ?>
+                                    <optgroup label="<?php esc_attr_e('Logs', 'ccm-tools'); ?>">
+                                        <?php foreach ($sources as $source): ?>
+                                            <option value="<?php echo esc_attr($source['path']); ?>" data-source="<?php echo esc_attr($source['id']); ?>" data-label="<?php echo esc_attr($source['label']); ?>"<?php echo isset($rotatable[$source['id']]) ? ' data-rotatable="1"' : ''; ?>><?php echo esc_html($source['label'] . ' — ' . $source['path']); ?></option>
+                                        <?php endforeach; ?>
+                                        <?php if (count($sources) > 1): ?>
+                                            <option value="all"><?php _e('All sources — merged timeline', 'ccm-tools'); ?></option>
+                                        <?php endif; ?>
+                                    </optgroup>
+                                    <optgroup id="log-archive-options" label="<?php esc_attr_e('Archives', 'ccm-tools'); ?>"<?php echo empty($archives) ? ' hidden' : ''; ?>>
+                                        <?php foreach ($archives as $archive): ?>
+                                            <option value="<?php echo esc_attr($archive['path']); ?>" data-archive="1"><?php echo esc_html(sprintf('%s — %s (%s)', $sources[$archive['source_id']]['label'] ?? $archive['source_path'], wp_date('Y-m-d H:i', $archive['created']), size_format($archive['size'], 1))); ?></option>
+                                        <?php endforeach; ?>
+                                    </optgroup>
                                 </select>
                             </div>                            <div>
                                 <label for="log-lines"><?php _e('Lines to display:', 'ccm-tools'); ?></label>
@@ -732,18 +1210,58 @@ function ccm_tools_render_error_log_page() {
                                     <option value="250">250</option>
                                     <option value="500">500</option>
                                     <option value="1000">1000</option>
+                                    <option value="2500">2500</option>
+                                    <option value="5000">5000</option>
+                                </select>
+                                <label for="log-view-mode"><?php _e('View:', 'ccm-tools'); ?></label>
+                                <select id="log-view-mode">
+                                    <option value="grouped"><?php _e('Grouped', 'ccm-tools'); ?></option>
+                                    <option value="timeline"><?php _e('Timeline', 'ccm-tools'); ?></option>
+                                    <option value="raw"><?php _e('Raw', 'ccm-tools'); ?></option>
                                 </select>
                                 <label class="show-stack-trace">
                                     <input type="checkbox" id="highlight-errors" checked>
                                     <?php _e('Highlight Errors', 'ccm-tools'); ?>
                                 </label>
-                                <label class="show-errors-only">
-                                    <input type="checkbox" id="show-errors-only">
-                                    <?php _e('Show Errors Only', 'ccm-tools'); ?>
-                                </label>
                             </div>
                         </div>
 
+                        <div class="ccm-log-filters">
+                            <div class="ccm-log-search">
+                                <input type="search" id="log-search" placeholder="<?php esc_attr_e('Search messages, files and stack traces…', 'ccm-tools'); ?>">
+                                <label><input type="checkbox" id="log-search-regex"> <?php _e('Regex', 'ccm-tools'); ?></label>
+                            </div>
+                            <div class="ccm-log-severities" id="log-severities">
+                                <?php
+                                $severities = array(
+                                    'fatal' => __('Fatal', 'ccm-tools'),
+                                    'error' => __('Error', 'ccm-tools'),
+                                    'warning' => __('Warning', 'ccm-tools'),
+                                    'notice' => __('Notice', 'ccm-tools'),
+                                    'deprecated' => __('Deprecated', 'ccm-tools'),
+                                    'info' => __('Other', 'ccm-tools'),
+                                );
+                                foreach ($severities as $severity => $label): ?>
+                                    <label class="ccm-log-sev-toggle ccm-log-sev-<?php echo esc_attr($severity); ?>">
+                                        <input type="checkbox" value="<?php echo esc_attr($severity); ?>" checked>
+                                        <?php echo esc_html($label); ?>
+                                        <span class="ccm-log-sev-count" data-severity="<?php echo esc_attr($severity); ?>">0</span>
+                                    </label>
+                                <?php endforeach; ?>
+                            </div>
+                            <div class="ccm-log-dates">
+                                <label><?php _e('From', 'ccm-tools'); ?> <input type="datetime-local" id="log-date-from"></label>
+                                <label><?php _e('To', 'ccm-tools'); ?> <input type="datetime-local" id="log-date-to"></label>
+                                <label for="log-sort"><?php _e('Sort:', 'ccm-tools'); ?></label>
+                                <select id="log-sort">
+                                    <option value="severity"><?php _e('Severity', 'ccm-tools'); ?></option>
+                                    <option value="count"><?php _e('Occurrences', 'ccm-tools'); ?></option>
+                                    <option value="recent"><?php _e('Last seen', 'ccm-tools'); ?></option>
+                                </select>
+                            </div>
+                        </div>
+                        <p id="log-summary" class="ccm-log-summary"></p>
+
                         <div class="ccm-error-log-info">
                             <div class="ccm-log-meta">
                                 <p><strong><?php _e('Size:', 'ccm-tools'); ?></strong> <span id="log-size"><?php echo isset($log_data['file_size']) ? esc_html($log_data['file_size']) : ''; ?></span></p>
@@ -752,21 +1270,32 @@ function ccm_tools_render_error_log_page() {
                             <div class="ccm-error-log-buttons">
                                 <button id="refresh-log" class="ccm-button"><?php _e('Refresh Now', 'ccm-tools'); ?></button>
                                 <button id="download-log" class="ccm-button ccm-button-success"><?php _e('Download Log', 'ccm-tools'); ?></button>
+                                <label class="ccm-log-download-archives"><input type="checkbox" id="log-download-archives"> <?php _e('Include archives', 'ccm-tools'); ?></label>
+                                <button id="rotate-log" class="ccm-button"><?php _e('Archive Now', 'ccm-tools'); ?></button>
                                 <button id="clear-log" class="ccm-button ccm-button-danger"><?php _e('Clear Log', 'ccm-tools'); ?></button>
                             </div>
                         </div>
 
-                        <div class="ccm-refresh-timer">
-                            <div class="ccm-refresh-progress"></div>
-                            <p><?php _e('Auto-refreshes in', 'ccm-tools'); ?> <span id="refresh-countdown">30</span> <?php _e('seconds', 'ccm-tools'); ?></p>
+                        <div class="ccm-log-tail-bar">
+                            <span class="ccm-log-live-dot" aria-hidden="true"></span>
+                            <span id="log-tail-status"><?php _e('Live — following new entries', 'ccm-tools'); ?></span>
+                            <button type="button" id="log-follow" class="ccm-button ccm-button-small" aria-pressed="true"><?php _e('Pause', 'ccm-tools'); ?></button>
+                            <button type="button" id="log-new-badge" class="ccm-log-new-badge" style="display: none;"></button>
                         </div>
                     </div>
 
                     <div class="ccm-error-log-viewer">
-                        <pre id="error-log-content" class="highlight-enabled"><?php echo isset($log_data['formatted_content']) ? $log_data['formatted_content'] : esc_html($log_data['content']); ?></pre>
+                        <div class="ccm-spinner"></div>
                     </div>
                 <?php endif; ?>
             </div>
+
+            <?php if (!empty($locations)) {
+                ccm_tools_render_log_analytics_card();
+                ccm_tools_render_log_rotation_card();
+            } ?>
+
+            <?php ccm_tools_render_log_alerts_card(); ?>
         </div>
     </div>
     <?php
@@ -0,0 +1,229 @@
+<?php
+/**
+ * CCM Tools — .htaccess Health Check
+ *
+ * Loopback requests to the home page, a static asset and wp-admin, made before
+ * and after every .htaccess write. The check runs inside the request that
+ * wrote the file: once a broken file is live, admin-ajax.php usually fails
+ * too, so the browser could not ask for a revert. A check that passed before
+ * the write and now returns a 5xx or a redirect loop triggers an automatic
+ * revert; checks that were already failing are reported but ignored. Each
+ * run has a time budget well under common proxy and FastCGI timeouts, so the
+ * request is not killed between a broken write and its revert.
+ *
+ * @package CCMTools
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// ──────────────────────────────────────────────
+// Checks
+// ──────────────────────────────────────────────
+
+/**
+ * Whether writes are verified (hosts that block loopback requests can turn it off)
+ *
+ * @return bool
+ */
+function ccm_tools_htaccess_health_enabled(): bool {
+    return (bool) apply_filters('ccm_tools_htaccess_health_check_enabled', true);
+}
+
+/**
+ * Seconds one run of the checks may take
+ *
+ * @return int
+ */
+function ccm_tools_htaccess_health_budget(): int {
+    return max(5, (int) apply_filters('ccm_tools_htaccess_health_budget', 20));
+}
+
+/**
+ * URLs requested by the health check
+ *
+ * @return array Keyed by check ID: {label, url, cookies}
+ */
+function ccm_tools_htaccess_health_targets(): array {
+    return apply_filters('ccm_tools_htaccess_health_targets', array(
+        'home'  => array(
+            'label'   => __('Home page', 'ccm-tools'),
+            'url'     => home_url('/'),
+            'cookies' => false,
+        ),
+        'asset' => array(
+            'label'   => __('Static asset', 'ccm-tools'),
+            'url'     => includes_url('css/dashicons.min.css'),
+            'cookies' => false,
+        ),
+        // Sent with the current login cookies so the dashboard itself loads
+        'admin' => array(
+            'label'   => __('wp-admin', 'ccm-tools'),
+            'url'     => admin_url('/'),
+            'cookies' => true,
+        ),
+    ));
+}
+
+/**
+ * Request a URL, following redirects by hand so loops can be told apart
+ *
+ * @param string $url          URL to request
+ * @param bool   $send_cookies Whether to pass the current request's cookies
+ * @param float  $deadline     microtime() after which no request is started, 0 for none
+ * @return array {result: ok|warn|fail|loop|error|timeout, status, hops, reason}
+ */
+function ccm_tools_htaccess_health_request(string $url, bool $send_cookies = false, float $deadline = 0): array {
+    $url = add_query_arg('_ccm_nc', time(), $url);
+    $seen = array();
+    $hops = 0;
+    $max_hops = 10;
+
+    for (;;) {
+        $remaining = $deadline ? $deadline - microtime(true) : 10;
+        if ($remaining < 1) {
+            return array(
+                'result' => 'timeout',
+                'status' => 0,
+                'hops'   => $hops,
+                'reason' => __('Not finished within the time budget', 'ccm-tools'),
+            );
+        }
+
+        $seen[] = $url;
+        $response = wp_remote_get($url, array(
+            'timeout'             => min(10, $remaining),
+            'redirection'         => 0,
+            'sslverify'           => apply_filters('https_local_ssl_verify', false),
+            'headers'             => array('Cache-Control' => 'no-cache, no-store', 'Pragma' => 'no-cache'),
+            'cookies'             => $send_cookies ? wp_unslash($_COOKIE) : array(),
+            'limit_response_size' => MB_IN_BYTES,
+        ));
+
+        if (is_wp_error($response)) {
+            return array(
+                'result' => 'error',
+                'status' => 0,
+                'hops'   => $hops,
+                'reason' => sprintf(__('Request failed: %s', 'ccm-tools'), $response->get_error_message()),
+            );
+        }
+
+        $status = (int) wp_remote_retrieve_response_code($response);
+        $location = wp_remote_retrieve_header($response, 'location');
+        if (is_array($location)) {
+            $location = end($location);
+        }
+
+        if ($status >= 300 && $status < 400 && $location !== '') {
+            $next = WP_Http::make_absolute_url($location, $url);
+            if (in_array($next, $seen, true) || $hops >= $max_hops) {
+                return array(
+                    'result' => 'loop',
+                    'status' => $status,
+                    'hops'   => $hops + 1,
+                    'reason' => sprintf(__('Redirect loop (%d redirects)', 'ccm-tools'), $hops + 1),
+                );
+            }
+            $url = $next;
+            $hops++;
+            continue;
+        }
+
+        $redirects = $hops ? sprintf(_n(' after %d redirect', ' after %d redirects', $hops, 'ccm-tools'), $hops) : '';
+        if ($status >= 500) {
+            $result = 'fail';
+        } else if ($status >= 400) {
+            $result = 'warn';
+        } else {
+            $result = 'ok';
+        }
+
+        return array(
+            'result' => $result,
+            'status' => $status,
+            'hops'   => $hops,
+            'reason' => 'HTTP ' . $status . $redirects . ($result === 'ok' ? ', ' . size_format(strlen(wp_remote_retrieve_body($response))) : ''),
+        );
+    }
+}
+
+/**
+ * Run every check within the time budget
+ *
+ * Checks not reached before the budget runs out get the result 'timeout'.
+ *
+ * @return array Keyed by check ID: {label, url, result, status, hops, reason}
+ */
+function ccm_tools_htaccess_health_check(): array {
+    $deadline = microtime(true) + ccm_tools_htaccess_health_budget();
+    $checks = array();
+    foreach (ccm_tools_htaccess_health_targets() as $key => $target) {
+        $checks[$key] = array_merge(
+            array('label' => $target['label'], 'url' => $target['url']),
+            ccm_tools_htaccess_health_request($target['url'], !empty($target['cookies']), $deadline)
+        );
+    }
+    return $checks;
+}
+
+/**
+ * Checks broken by a write: 5xx or redirect loop now, but not before
+ *
+ * A check that did not finish after the write counts too: the new file can't
+ * be shown to work, so it is not kept.
+ *
+ * @param array $before Checks run before the write
+ * @param array $after  Checks run after the write
+ * @return array Check IDs
+ */
+function ccm_tools_htaccess_health_failures(array $before, array $after): array {
+    $broken = array('fail', 'loop');
+    $failed = array();
+    foreach ($after as $key => $check) {
+        $was_broken = isset($before[$key]) && in_array($before[$key]['result'], $broken, true);
+        if ($check['result'] === 'timeout' || (in_array($check['result'], $broken, true) && !$was_broken)) {
+            $failed[] = $key;
+        }
+    }
+    return $failed;
+}
+
+/**
+ * Check results as an inline list
+ *
+ * @param array $health   Checks run after the write
+ * @param array $baseline Checks run before the write
+ * @return string HTML
+ */
+function ccm_tools_htaccess_health_html(array $health, array $baseline = array()): string {
+    if (empty($health)) {
+        return '';
+    }
+
+    $icons = array(
+        'ok'      => array('ccm-success', '✓'),
+        'warn'    => array('ccm-warning', '⚠'),
+        'error'   => array('ccm-warning', '⚠'),
+        'timeout' => array('ccm-warning', '⚠'),
+        'fail'    => array('ccm-error', '✗'),
+        'loop'    => array('ccm-error', '✗'),
+    );
+
+    $output = '<div class="ccm-htaccess-health">';
+    $output .= '<h4>' . esc_html__('Post-write health check', 'ccm-tools') . '</h4><ul>';
+    foreach ($health as $key => $check) {
+        list($class, $icon) = $icons[$check['result']] ?? $icons['error'];
+        $note = '';
+        if (in_array($check['result'], array('fail', 'loop'), true) && isset($baseline[$key]) && in_array($baseline[$key]['result'], array('fail', 'loop'), true)) {
+            $note = ' <small>' . esc_html__('(already failing before the change)', 'ccm-tools') . '</small>';
+        }
+        $output .= '<li><span class="' . $class . '">' . $icon . '</span> <strong>' . esc_html($check['label']) . '</strong> ';
+        $output .= '<a href="' . esc_url($check['url']) . '" target="_blank" rel="noopener"><code>' . esc_html(wp_make_link_relative($check['url'])) . '</code></a> — ';
+        $output .= esc_html($check['reason']) . $note . '</li>';
+    }
+    $output .= '</ul></div>';
+
+    return $output;
+}
@@ -0,0 +1,410 @@
+<?php
+/**
+ * CCM Tools — .htaccess History
+ *
+ * Every .htaccess write made by CCM Tools keeps a timestamped snapshot of the
+ * file it wrote, so a broken rewrite rule is always one click away from being
+ * undone. Snapshots can hold auth paths, IP allowlists and SetEnv secrets, so
+ * they live in private storage (inc/private-storage.php) under random names;
+ * the index (who, when, what changed) is a non-autoloaded option. When the file was edited outside
+ * CCM Tools since the last snapshot, that state is captured first so it can be
+ * restored too.
+ *
+ * @package CCMTools
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// ──────────────────────────────────────────────
+// Storage
+// ──────────────────────────────────────────────
+
+/**
+ * Snapshot folder
+ *
+ * @return string
+ */
+function ccm_tools_htaccess_history_dir(): string {
+    return ccm_tools_private_root() . '/htaccess-history';
+}
+
+/**
+ * Snapshot file of a version
+ *
+ * @param array $entry Index entry
+ * @return string
+ */
+function ccm_tools_htaccess_history_file(array $entry): string {
+    return ccm_tools_htaccess_history_dir() . '/' . basename($entry['file'] ?? '');
+}
+
+/**
+ * Move snapshots from the old uploads folder into private storage
+ *
+ * @return void
+ */
+function ccm_tools_migrate_htaccess_history(): void {
+    $upload_dir = wp_upload_dir(null, false);
+    $old = trailingslashit($upload_dir['basedir']) . 'ccm-tools/htaccess-history';
+    if (!is_dir($old)) {
+        return;
+    }
+
+    $dir = ccm_tools_htaccess_history_dir();
+    if (!ccm_tools_ensure_protected_dir($dir)) {
+        return;
+    }
+
+    $history = ccm_tools_htaccess_history_get();
+    foreach ($history as $i => $entry) {
+        $from = $old . '/' . sanitize_file_name($entry['id']) . '.htaccess.bak';
+        if (!empty($entry['file']) || !is_file($from)) {
+            continue;
+        }
+        $file = ccm_tools_private_file_name($entry['id'], '.htaccess.bak');
+        if (@rename($from, $dir . '/' . $file)) {
+            $history[$i]['file'] = $file;
+        }
+    }
+    update_option('ccm_tools_htaccess_history', $history, false);
+
+    foreach (array_diff((array) @scandir($old), array('.', '..')) as $file) {
+        @unlink($old . '/' . $file);
+    }
+    @rmdir($old);
+}
+add_action('admin_init', 'ccm_tools_migrate_htaccess_history', 5);
+
+/**
+ * Whether a string looks like a version ID (YYYYmmdd-HHiiss-xxxxxx)
+ *
+ * @param string $id Candidate ID
+ * @return bool
+ */
+function ccm_tools_htaccess_history_valid_id(string $id): bool {
+    return (bool) preg_match('/^\d{8}-\d{6}-[a-z0-9]{6}$/', $id);
+}
+
+/**
+ * Number of versions kept
+ *
+ * @return int
+ */
+function ccm_tools_htaccess_history_limit(): int {
+    return max(2, (int) apply_filters('ccm_tools_htaccess_history_limit', 30));
+}
+
+/**
+ * Version index, newest first
+ *
+ * @return array List of {id, time, user, action, summary, size, hash, file}
+ */
+function ccm_tools_htaccess_history_get(): array {
+    $history = get_option('ccm_tools_htaccess_history', array());
+    return is_array($history) ? $history : array();
+}
+
+/**
+ * Content of a stored version
+ *
+ * @param string $id Version ID
+ * @return string|WP_Error
+ */
+function ccm_tools_htaccess_history_content(string $id) {
+    $entries = ccm_tools_htaccess_history_valid_id($id) ? wp_list_filter(ccm_tools_htaccess_history_get(), array('id' => $id)) : array();
+    if (empty($entries)) {
+        return new WP_Error('not_found', __('Version not found.', 'ccm-tools'));
+    }
+    $content = @file_get_contents(ccm_tools_htaccess_history_file(reset($entries)));
+    if ($content === false) {
+        return new WP_Error('missing_file', __('The snapshot file of this version is missing.', 'ccm-tools'));
+    }
+    return $content;
+}
+
+// ──────────────────────────────────────────────
+// Recording
+// ──────────────────────────────────────────────
+
+/**
+ * Describe how the CCM options differ between two versions
+ *
+ * @param string|null $before Previous content (null when there was no file)
+ * @param string      $after  New content
+ * @return string
+ */
+function ccm_tools_htaccess_history_summary($before, string $after): string {
+    $had_block = $before !== null && strpos($before, '# BEGIN CCM Optimise') !== false;
+    $has_block = strpos($after, '# BEGIN CCM Optimise') !== false;
+
+    if (!$has_block) {
+        return $had_block ? __('CCM optimizations removed', 'ccm-tools') : __('No CCM optimizations', 'ccm-tools');
+    }
+
+    $labels = array();
+    foreach (ccm_tools_get_htaccess_options() as $group) {
+        foreach ($group['options'] as $key => $opt) {
+            $labels[$key] = $opt['label'];
+        }
+    }
+
+    $old = $had_block ? array_keys(array_filter(ccm_tools_detect_htaccess_options($before))) : array();
+    $new = array_keys(array_filter(ccm_tools_detect_htaccess_options($after)));
+    $name = function ($key) use ($labels) {
+        return $labels[$key] ?? $key;
+    };
+
+    if (!$had_block) {
+        return sprintf(__('CCM optimizations added: %s', 'ccm-tools'), implode(', ', array_map($name, $new)));
+    }
+
+    $parts = array();
+    $added = array_diff($new, $old);
+    $removed = array_diff($old, $new);
+    if ($added) {
+        $parts[] = sprintf(__('Added: %s', 'ccm-tools'), implode(', ', array_map($name, $added)));
+    }
+    if ($removed) {
+        $parts[] = sprintf(__('Removed: %s', 'ccm-tools'), implode(', ', array_map($name, $removed)));
+    }
+    return $parts ? implode('; ', $parts) : __('CCM optimizations rewritten, same options', 'ccm-tools');
+}
+
+/**
+ * Store a snapshot and add it to the index
+ *
+ * Versions beyond the limit are dropped together with their files.
+ *
+ * @param string $content File content
+ * @param string $action  What produced it: add, update, remove, restore, revert or external
+ * @param string $summary Human-readable change summary
+ * @return array|WP_Error The new entry
+ */
+function ccm_tools_htaccess_history_add(string $content, string $action, string $summary) {
+    $dir = ccm_tools_htaccess_history_dir();
+    if (!ccm_tools_ensure_protected_dir($dir)) {
+        return new WP_Error('no_dir', __('Could not create the .htaccess history folder.', 'ccm-tools'));
+    }
+
+    $user = wp_get_current_user();
+    $entry = array(
+        'id'      => gmdate('Ymd-His') . '-' . strtolower(wp_generate_password(6, false)),
+        'time'    => time(),
+        'user'    => $user->exists() ? $user->user_login : '',
+        'action'  => $action,
+        'summary' => $summary,
+        'size'    => strlen($content),
+        'hash'    => md5($content),
+    );
+    $entry['file'] = ccm_tools_private_file_name($entry['id'], '.htaccess.bak');
+
+    if (@file_put_contents(ccm_tools_htaccess_history_file($entry), $content, LOCK_EX) === false) {
+        return new WP_Error('write_failed', __('Could not write the .htaccess snapshot.', 'ccm-tools'));
+    }
+
+    $history = ccm_tools_htaccess_history_get();
+    array_unshift($history, $entry);
+    $limit = ccm_tools_htaccess_history_limit();
+    foreach (array_slice($history, $limit) as $old) {
+        @unlink(ccm_tools_htaccess_history_file($old));
+    }
+    update_option('ccm_tools_htaccess_history', array_slice($history, 0, $limit), false);
+
+    return $entry;
+}
+
+/**
+ * Record a completed .htaccess write
+ *
+ * If the file on disk before the write is not the newest snapshot (first use,
+ * or edited by hand or by another plugin), it is stored first so that state
+ * stays restorable.
+ *
+ * @param string|null $before  Content before the write (null when the file did not exist)
+ * @param string      $after   Content written
+ * @param string      $action  add, update, remove or restore
+ * @param string      $summary Optional summary; derived from the CCM options when empty
+ * @return void
+ */
+function ccm_tools_htaccess_history_record($before, string $after, string $action, string $summary = ''): void {
+    $history = ccm_tools_htaccess_history_get();
+
+    if ($before !== null && (empty($history) || $history[0]['hash'] !== md5($before))) {
+        ccm_tools_htaccess_history_add(
+            $before,
+            'external',
+            empty($history) ? __('File as found before the first CCM Tools change', 'ccm-tools') : __('Edited outside CCM Tools', 'ccm-tools')
+        );
+    }
+
+    ccm_tools_htaccess_history_add($after, $action, $summary !== '' ? $summary : ccm_tools_htaccess_history_summary($before, $after));
+}
+
+/**
+ * Write a stored version back to .htaccess
+ *
+ * Goes through the same health-checked write as Add/Update/Remove, so a
+ * version that breaks the site is reverted again.
+ *
+ * @param string $id Version ID
+ * @return array|WP_Error {entry, write} where write is the ccm_tools_htaccess_write() result
+ */
+function ccm_tools_htaccess_history_restore(string $id) {
+    $content = ccm_tools_htaccess_history_content($id);
+    if (is_wp_error($content)) {
+        return $content;
+    }
+
+    $htaccess_file = ABSPATH . '.htaccess';
+    $exists = file_exists($htaccess_file);
+    if ($exists ? !is_writable($htaccess_file) : !is_writable(ABSPATH)) {
+        return new WP_Error('not_writable', __('.htaccess file is not writable.', 'ccm-tools'));
+    }
+
+    $before = $exists ? file_get_contents($htaccess_file) : null;
+    if ($before === false) {
+        return new WP_Error('read_failed', __('Failed to read .htaccess file.', 'ccm-tools'));
+    }
+
+    $entry = null;
+    foreach (ccm_tools_htaccess_history_get() as $item) {
+        if ($item['id'] === $id) {
+            $entry = $item;
+            break;
+        }
+    }
+
+    $label = wp_date('Y-m-d H:i', $entry['time']);
+    $write = ccm_tools_htaccess_write($before, $content, 'restore', sprintf(__('Restored version from %s', 'ccm-tools'), $label));
+    if (!$write['written']) {
+        return new WP_Error('write_failed', __('Failed to update .htaccess file.', 'ccm-tools'));
+    }
+    if ($write['healthy']) {
+        ccm_tools_log_activity('htaccess', sprintf('Restored .htaccess version from %s (%s)', $label, $id), 'NOTICE');
+    }
+
+    return array('entry' => $entry, 'write' => $write);
+}
+
+// ──────────────────────────────────────────────
+// AJAX
+// ──────────────────────────────────────────────
+
+/**
+ * AJAX: version list
+ */
+function ccm_tools_ajax_get_htaccess_history() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $htaccess_file = ABSPATH . '.htaccess';
+    $current = is_readable($htaccess_file) ? md5((string) file_get_contents($htaccess_file)) : '';
+
+    $versions = array();
+    foreach (ccm_tools_htaccess_history_get() as $entry) {
+        $entry['time_label'] = wp_date('Y-m-d H:i:s', $entry['time']);
+        $entry['is_current'] = $entry['hash'] === $current;
+        $versions[] = $entry;
+    }
+
+    wp_send_json_success(array(
+        'versions' => $versions,
+        'limit'    => ccm_tools_htaccess_history_limit(),
+    ));
+}
+add_action('wp_ajax_ccm_tools_get_htaccess_history', 'ccm_tools_ajax_get_htaccess_history');
+
+/**
+ * AJAX: content of one version
+ */
+function ccm_tools_ajax_get_htaccess_version() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $id = isset($_POST['id']) ? sanitize_text_field(wp_unslash($_POST['id'])) : '';
+    $content = ccm_tools_htaccess_history_content($id);
+    if (is_wp_error($content)) {
+        wp_send_json_error(array('message' => $content->get_error_message()));
+    }
+
+    wp_send_json_success(array('id' => $id, 'content' => $content));
+}
+add_action('wp_ajax_ccm_tools_get_htaccess_version', 'ccm_tools_ajax_get_htaccess_version');
+
+/**
+ * AJAX: restore a version
+ */
+function ccm_tools_ajax_restore_htaccess_version() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $id = isset($_POST['id']) ? sanitize_text_field(wp_unslash($_POST['id'])) : '';
+    $restore = ccm_tools_htaccess_history_restore($id);
+    if (is_wp_error($restore)) {
+        wp_send_json_error(array('message' => $restore->get_error_message()));
+    }
+
+    $write = $restore['write'];
+    wp_send_json_success(array(
+        'healthy' => $write['healthy'],
+        'message' => $write['healthy']
+            ? sprintf(__('.htaccess restored to the version from %s.', 'ccm-tools'), wp_date('Y-m-d H:i:s', $restore['entry']['time']))
+            : $write['message'],
+        'html'    => ccm_tools_htaccess_health_html($write['health'], $write['baseline']) . ccm_tools_display_htaccess(),
+    ));
+}
+add_action('wp_ajax_ccm_tools_restore_htaccess_version', 'ccm_tools_ajax_restore_htaccess_version');
+
+// ──────────────────────────────────────────────
+// UI
+// ──────────────────────────────────────────────
+
+/**
+ * History card on the .htaccess page
+ *
+ * @return void
+ */
+function ccm_tools_render_htaccess_history_card(): void {
+    ?>
+    <div class="ccm-card" id="htaccess-history-card">
+        <h2><?php _e('.htaccess History', 'ccm-tools'); ?></h2>
+        <p><?php printf(
+            esc_html__('Every change CCM Tools writes to .htaccess is kept as a snapshot (the last %d versions). Pick two versions to compare them, or restore any version with one click.', 'ccm-tools'),
+            ccm_tools_htaccess_history_limit()
+        ); ?></p>
+
+        <div class="ccm-table-responsive">
+            <table class="ccm-table" id="htaccess-history">
+                <thead>
+                    <tr>
+                        <th title="<?php esc_attr_e('Compare from', 'ccm-tools'); ?>">A</th>
+                        <th title="<?php esc_attr_e('Compare to', 'ccm-tools'); ?>">B</th>
+                        <th><?php _e('Version', 'ccm-tools'); ?></th>
+                        <th><?php _e('By', 'ccm-tools'); ?></th>
+                        <th><?php _e('Change', 'ccm-tools'); ?></th>
+                        <th><?php _e('Size', 'ccm-tools'); ?></th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr><td colspan="7"><div class="ccm-spinner ccm-spinner-small"></div></td></tr>
+                </tbody>
+            </table>
+        </div>
+
+        <div class="ccm-log-alert-actions">
+            <button type="button" id="htaccess-history-compare" class="ccm-button ccm-button-small" disabled><?php _e('Compare Selected', 'ccm-tools'); ?></button>
+        </div>
+
+        <div id="htaccess-history-diff" style="display: none;"></div>
+    </div>
+    <?php
+}
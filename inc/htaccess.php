@@ -619,152 +619,227 @@ function ccm_tools_cleanup_htaccess_content(string $content): string {
 }
 
 /**
- * Update .htaccess file
- * 
+ * Build the .htaccess content an add, update or remove would write
+ *
+ * Shared by the write path and the diff preview so the preview always
+ * shows exactly what will be saved.
+ *
  * @param string $action 'add', 'update', or 'remove'
  * @param array $options Selected options
- * @return array Result with success status and message
+ * @param string|null $current_content Current file content, or null when the file does not exist
+ * @return array Result with success status, message and proposed content
  */
-function ccm_tools_update_htaccess(string $action, $options = array()): array {
-    // Check user capabilities
-    if (!current_user_can('manage_options')) {
+function ccm_tools_htaccess_proposed_content(string $action, array $options, ?string $current_content): array {
+    $begin_marker = '# BEGIN CCM Optimise';
+    $pattern = '/# BEGIN CCM Optimise - DO NOT CHANGE!.*?# END CCM Optimise - DO NOT CHANGE!/s';
+
+    if (!in_array($action, array('add', 'update', 'remove'), true)) {
         return array(
             'success' => false, 
-            'message' => __('You do not have permission to perform this action.', 'ccm-tools')
+            'message' => __('Invalid action.', 'ccm-tools')
         );
     }
-    
-    // Handle legacy boolean $hardening parameter
-    if (is_bool($options)) {
-        $options = array('x_frame_options' => $options, 'block_author_scan' => true);
-    }
-    
-    $htaccess_file = ABSPATH . '.htaccess';
-    
-    if (!file_exists($htaccess_file)) {
-        if ($action === 'add' || $action === 'update') {
-            // Create new .htaccess file with optimizations
-            $new_content = ccm_tools_htaccess_content($options);
-            $new_content = ccm_tools_cleanup_htaccess_content($new_content);
-            $result = file_put_contents($htaccess_file, $new_content, LOCK_EX);
-            if ($result !== false) {
-                return array(
-                    'success' => true, 
-                    'message' => __('.htaccess file created with optimizations.', 'ccm-tools')
-                );
-            } else {
-                return array(
-                    'success' => false, 
-                    'message' => __('Failed to create .htaccess file.', 'ccm-tools')
-                );
-            }
-        } else {
+
+    if ($current_content === null) {
+        if ($action === 'remove') {
             return array(
                 'success' => false, 
                 'message' => __('.htaccess file does not exist.', 'ccm-tools')
             );
         }
-    }
-    
-    if (!is_writable($htaccess_file)) {
-        return array(
-            'success' => false, 
-            'message' => __('.htaccess file is not writable.', 'ccm-tools')
-        );
-    }
-    
-    $current_content = file_get_contents($htaccess_file);
-    if ($current_content === false) {
+        // Create new .htaccess file with optimizations
         return array(
-            'success' => false, 
-            'message' => __('Failed to read .htaccess file.', 'ccm-tools')
+            'success' => true,
+            'message' => __('.htaccess file created with optimizations.', 'ccm-tools'),
+            'content' => ccm_tools_cleanup_htaccess_content(ccm_tools_htaccess_content($options))
         );
     }
-    
-    $ccm_content = ccm_tools_htaccess_content($options);
-    
+
+    $has_optimizations = strpos($current_content, $begin_marker) !== false;
+
     if ($action === 'add') {
-        // Check if optimizations are already applied
-        if (strpos($current_content, '# BEGIN CCM Optimise') !== false) {
+        if ($has_optimizations) {
             return array(
                 'success' => false, 
                 'message' => __('Optimizations are already applied. Use Update instead.', 'ccm-tools')
             );
         }
-        
         // Add optimizations to the beginning of the file
-        $new_content = $ccm_content . "\n" . $current_content;
-        
-        // Clean up excessive blank lines
-        $new_content = ccm_tools_cleanup_htaccess_content($new_content);
-        
-        if (file_put_contents($htaccess_file, $new_content, LOCK_EX) !== false) {
-            return array(
-                'success' => true, 
-                'message' => __('Optimizations successfully added to .htaccess.', 'ccm-tools')
-            );
-        } else {
-            return array(
-                'success' => false, 
-                'message' => __('Failed to update .htaccess file.', 'ccm-tools')
-            );
-        }
+        $new_content = ccm_tools_htaccess_content($options) . "\n" . $current_content;
+        $message = __('Optimizations successfully added to .htaccess.', 'ccm-tools');
     } else if ($action === 'update') {
-        // Check if optimizations exist
-        if (strpos($current_content, '# BEGIN CCM Optimise') === false) {
+        $ccm_content = ccm_tools_htaccess_content($options);
+        if (!$has_optimizations) {
             // No existing optimizations, add them
             $new_content = $ccm_content . "\n" . $current_content;
         } else {
             // Replace existing optimizations
-            $pattern = '/# BEGIN CCM Optimise - DO NOT CHANGE!.*?# END CCM Optimise - DO NOT CHANGE!/s';
             $new_content = preg_replace($pattern, trim($ccm_content), $current_content);
         }
-        
-        // Clean up excessive blank lines
-        $new_content = ccm_tools_cleanup_htaccess_content($new_content);
-        
-        if (file_put_contents($htaccess_file, $new_content, LOCK_EX) !== false) {
-            return array(
-                'success' => true, 
-                'message' => __('Optimizations successfully updated.', 'ccm-tools')
-            );
-        } else {
+        $message = __('Optimizations successfully updated.', 'ccm-tools');
+    } else {
+        if (!$has_optimizations) {
             return array(
                 'success' => false, 
-                'message' => __('Failed to update .htaccess file.', 'ccm-tools')
+                'message' => __('No optimizations found to remove.', 'ccm-tools')
             );
         }
-    } else if ($action === 'remove') {
-        // Check if optimizations are applied
-        if (strpos($current_content, '# BEGIN CCM Optimise') === false) {
+        $new_content = preg_replace($pattern, '', $current_content);
+        $message = __('Optimizations successfully removed from .htaccess.', 'ccm-tools');
+    }
+
+    if ($new_content === null) {
+        return array(
+            'success' => false, 
+            'message' => __('Failed to build the new .htaccess content.', 'ccm-tools')
+        );
+    }
+
+    return array(
+        'success' => true,
+        'message' => $message,
+        // Clean up excessive blank lines
+        'content' => ccm_tools_cleanup_htaccess_content($new_content)
+    );
+}
+
+/**
+ * Update .htaccess file
+ * 
+ * @param string $action 'add', 'update', or 'remove'
+ * @param array $options Selected options
+ * @return array Result with success status and message
+ */
+function ccm_tools_update_htaccess(string $action, $options = array()): array {
+    // Check user capabilities
+    if (!current_user_can('manage_options')) {
+        return array(
+            'success' => false, 
+            'message' => __('You do not have permission to perform this action.', 'ccm-tools')
+        );
+    }
+    
+    // Handle legacy boolean $hardening parameter
+    if (is_bool($options)) {
+        $options = array('x_frame_options' => $options, 'block_author_scan' => true);
+    }
+    
+    $htaccess_file = ABSPATH . '.htaccess';
+    $current_content = null;
+    
+    if (file_exists($htaccess_file)) {
+        if (!is_writable($htaccess_file)) {
             return array(
                 'success' => false, 
-                'message' => __('No optimizations found to remove.', 'ccm-tools')
+                'message' => __('.htaccess file is not writable.', 'ccm-tools')
             );
         }
         
-        // Remove optimizations
-        $pattern = '/# BEGIN CCM Optimise - DO NOT CHANGE!.*?# END CCM Optimise - DO NOT CHANGE!/s';
-        $new_content = preg_replace($pattern, '', $current_content);
-        
-        // Clean up excessive blank lines after removal
-        $new_content = ccm_tools_cleanup_htaccess_content($new_content);
-        
-        if (file_put_contents($htaccess_file, $new_content, LOCK_EX) !== false) {
-            return array(
-                'success' => true, 
-                'message' => __('Optimizations successfully removed from .htaccess.', 'ccm-tools')
-            );
-        } else {
+        $current_content = file_get_contents($htaccess_file);
+        if ($current_content === false) {
             return array(
                 'success' => false, 
-                'message' => __('Failed to update .htaccess file.', 'ccm-tools')
+                'message' => __('Failed to read .htaccess file.', 'ccm-tools')
             );
         }
     }
     
+    $proposed = ccm_tools_htaccess_proposed_content($action, $options, $current_content);
+    if (!$proposed['success']) {
+        return $proposed;
+    }
+    
+    $write = ccm_tools_htaccess_write($current_content, $proposed['content'], $action);
+    if (!$write['written']) {
+        return array(
+            'success' => false, 
+            'message' => $current_content === null
+                ? __('Failed to create .htaccess file.', 'ccm-tools')
+                : __('Failed to update .htaccess file.', 'ccm-tools')
+        );
+    }
+    
     return array(
-        'success' => false, 
-        'message' => __('Invalid action.', 'ccm-tools')
+        'success' => $write['healthy'], 
+        'message' => $write['healthy'] ? $proposed['message'] : $write['message'],
+        'health' => $write['health'],
+        'baseline' => $write['baseline'],
+        'reverted' => $write['reverted']
+    );
+}
+
+/**
+ * Write .htaccess, verify the site still responds and revert if it does not
+ *
+ * The home page, a static asset and wp-admin are requested before and after
+ * the write (see inc/htaccess-health.php). When a check that passed before now
+ * returns a 5xx or a redirect loop, or the checks after the write don't finish
+ * within their time budget, the previous file is put back (or the new one
+ * deleted if there was none). Every write and revert is kept in the history.
+ *
+ * @param string|null $before  Content before the write (null when the file did not exist)
+ * @param string $content Content to write
+ * @param string $action 'add', 'update', 'remove' or 'restore'
+ * @param string $summary Optional history summary
+ * @return array {written, healthy, reverted, message, health, baseline}
+ */
+function ccm_tools_htaccess_write($before, string $content, string $action, string $summary = ''): array {
+    $htaccess_file = ABSPATH . '.htaccess';
+    $verify = ccm_tools_htaccess_health_enabled();
+    $result = array(
+        'written' => false,
+        'healthy' => true,
+        'reverted' => false,
+        'message' => '',
+        'health' => array(),
+        'baseline' => array()
     );
+    
+    if ($verify) {
+        @set_time_limit(120);
+        // A closed browser tab must not stop the request between write and revert
+        ignore_user_abort(true);
+        $result['baseline'] = ccm_tools_htaccess_health_check();
+    }
+    
+    if (file_put_contents($htaccess_file, $content, LOCK_EX) === false) {
+        return $result;
+    }
+    $result['written'] = true;
+    
+    // Keep a restorable snapshot of every write
+    ccm_tools_htaccess_history_record($before, $content, $action, $summary);
+    
+    if (!$verify) {
+        return $result;
+    }
+    
+    $result['health'] = ccm_tools_htaccess_health_check();
+    $failed = ccm_tools_htaccess_health_failures($result['baseline'], $result['health']);
+    if (empty($failed)) {
+        return $result;
+    }
+    
+    $result['healthy'] = false;
+    $reasons = array();
+    foreach ($failed as $key) {
+        $reasons[] = $result['health'][$key]['label'] . ': ' . $result['health'][$key]['reason'];
+    }
+    $reasons = implode('; ', $reasons);
+    
+    $restored = $before === null ? @unlink($htaccess_file) : file_put_contents($htaccess_file, $before, LOCK_EX) !== false;
+    if (!$restored) {
+        $result['message'] = sprintf(__('The site failed the health check after the write (%s) and the previous .htaccess could not be put back. Restore it from the History panel or over FTP.', 'ccm-tools'), $reasons);
+        ccm_tools_log_activity('htaccess', 'Health check failed after .htaccess ' . $action . ' and the revert failed: ' . $reasons, 'ERROR');
+        return $result;
+    }
+    
+    $result['reverted'] = true;
+    $result['message'] = sprintf(__('The change was reverted because the site failed the health check after the write (%s).', 'ccm-tools'), $reasons);
+    if ($before !== null) {
+        ccm_tools_htaccess_history_add($before, 'revert', sprintf(__('Reverted automatically: %s', 'ccm-tools'), $reasons));
+    }
+    ccm_tools_log_activity('htaccess', 'Reverted .htaccess ' . $action . ' after failed health check: ' . $reasons, 'WARNING');
+    
+    return $result;
 }
@@ -0,0 +1,732 @@
+<?php
+/**
+ * CCM Tools — Error Log Alerts
+ *
+ * Watches the error log in the background (WP-Cron, every 5 minutes) using
+ * the same byte-offset reader and parser as the live viewer, and sends an
+ * email or webhook POST when a rule matches: by severity, by regex, and/or
+ * by rate (e.g. 20+ fatals within 5 minutes).
+ *
+ * @package CCMTools
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// ──────────────────────────────────────────────
+// Rules, state and history
+// ──────────────────────────────────────────────
+
+/**
+ * Get alert rules.
+ *
+ * @return array List of rules keyed by position
+ */
+function ccm_tools_log_alerts_get_rules(): array {
+    $rules = get_option('ccm_tools_log_alert_rules', array());
+    return is_array($rules) ? array_values($rules) : array();
+}
+
+/**
+ * Save alert rules and (re)schedule or clear the background check.
+ *
+ * @param array $rules
+ * @return void
+ */
+function ccm_tools_log_alerts_save_rules(array $rules): void {
+    update_option('ccm_tools_log_alert_rules', array_values($rules), false);
+    ccm_tools_log_alerts_sync_schedule();
+}
+
+/**
+ * Normalise a rule submitted from the UI.
+ *
+ * @param array $input Raw rule fields
+ * @return array|WP_Error Sanitised rule or error
+ */
+function ccm_tools_log_alerts_sanitize_rule(array $input) {
+    $allowed_severities = array('fatal', 'error', 'warning', 'notice', 'deprecated', 'info');
+
+    $rule = array(
+        'id'         => !empty($input['id']) ? sanitize_key($input['id']) : strtolower(wp_generate_password(10, false)),
+        'name'       => sanitize_text_field($input['name'] ?? ''),
+        'enabled'    => !empty($input['enabled']),
+        'severities' => array_values(array_intersect($allowed_severities, array_map('sanitize_key', (array) ($input['severities'] ?? array())))),
+        'pattern'    => trim((string) ($input['pattern'] ?? '')),
+        'threshold'  => max(1, min(10000, intval($input['threshold'] ?? 1))),
+        'window'     => max(1, min(1440, intval($input['window'] ?? 5))),
+        'cooldown'   => max(0, min(10080, intval($input['cooldown'] ?? 60))),
+        'channel'    => ($input['channel'] ?? '') === 'webhook' ? 'webhook' : 'email',
+        'target'     => trim((string) ($input['target'] ?? '')),
+    );
+
+    if ($rule['name'] === '') {
+        return new WP_Error('invalid_rule', __('Give the rule a name.', 'ccm-tools'));
+    }
+
+    if ($rule['pattern'] !== '' && @preg_match(ccm_tools_log_alerts_regex($rule['pattern']), '') === false) {
+        return new WP_Error('invalid_rule', __('The regex pattern is not valid.', 'ccm-tools'));
+    }
+
+    if (empty($rule['severities']) && $rule['pattern'] === '') {
+        return new WP_Error('invalid_rule', __('Choose at least one severity or enter a pattern.', 'ccm-tools'));
+    }
+
+    if ($rule['channel'] === 'email') {
+        $emails = array_filter(array_map('sanitize_email', preg_split('/[\s,;]+/', $rule['target'])), 'is_email');
+        if (empty($emails)) {
+            return new WP_Error('invalid_rule', __('Enter at least one valid email address.', 'ccm-tools'));
+        }
+        $rule['target'] = implode(', ', $emails);
+    } else {
+        $url = esc_url_raw($rule['target'], array('http', 'https'));
+        if (!$url || !wp_http_validate_url($url)) {
+            return new WP_Error('invalid_rule', __('Enter a valid public http(s) webhook URL.', 'ccm-tools'));
+        }
+        $rule['target'] = $url;
+    }
+
+    return $rule;
+}
+
+/**
+ * Wrap a user pattern in delimiters for preg_*.
+ *
+ * Delimiters the pattern already escapes (preceded by an odd number of
+ * backslashes) are kept as they are, so "a~b" and "a\~b" both match "a~b".
+ *
+ * @param string $pattern Pattern without delimiters
+ * @return string
+ */
+function ccm_tools_log_alerts_regex(string $pattern): string {
+    return '~' . preg_replace('/(?<!\\\\)((?:\\\\\\\\)*)~/', '$1\\\\~', $pattern) . '~i';
+}
+
+/**
+ * Get the background watcher state (log file, byte offset, recent hits).
+ *
+ * @return array
+ */
+function ccm_tools_log_alerts_get_state(): array {
+    $defaults = array(
+        'log_file'   => '',
+        'offset'     => null,
+        'checked'    => 0,
+        'last_error' => '',
+        'hits'       => array(),   // rule id => list of match timestamps inside the window
+        'fired'      => array(),   // rule id => time the rule last sent an alert
+    );
+    return wp_parse_args(get_option('ccm_tools_log_alert_state', array()), $defaults);
+}
+
+/**
+ * Get alert history (newest first).
+ *
+ * @return array
+ */
+function ccm_tools_log_alerts_get_history(): array {
+    $history = get_option('ccm_tools_log_alert_history', array());
+    return is_array($history) ? $history : array();
+}
+
+/**
+ * Add an alert to the history, keeping the latest 100.
+ *
+ * @param array $item
+ * @return void
+ */
+function ccm_tools_log_alerts_add_history(array $item): void {
+    $history = ccm_tools_log_alerts_get_history();
+    array_unshift($history, $item);
+    update_option('ccm_tools_log_alert_history', array_slice($history, 0, 100), false);
+}
+
+// ──────────────────────────────────────────────
+// Scheduling
+// ──────────────────────────────────────────────
+
+/**
+ * Register a 5-minute cron interval.
+ *
+ * @param array $schedules
+ * @return array
+ */
+function ccm_tools_log_alerts_cron_schedules($schedules) {
+    $schedules['ccm_tools_five_minutes'] = array(
+        'interval' => 5 * MINUTE_IN_SECONDS,
+        'display'  => __('Every 5 minutes (CCM Tools)', 'ccm-tools'),
+    );
+    return $schedules;
+}
+add_filter('cron_schedules', 'ccm_tools_log_alerts_cron_schedules');
+
+/**
+ * Schedule the check while any rule is enabled; clear it otherwise.
+ *
+ * @return void
+ */
+function ccm_tools_log_alerts_sync_schedule(): void {
+    $active = array_filter(ccm_tools_log_alerts_get_rules(), function ($rule) {
+        return !empty($rule['enabled']);
+    });
+    $next = wp_next_scheduled('ccm_tools_log_alerts_check');
+
+    if ($active && !$next) {
+        wp_schedule_event(time() + MINUTE_IN_SECONDS, 'ccm_tools_five_minutes', 'ccm_tools_log_alerts_check');
+    } elseif (!$active && $next) {
+        wp_clear_scheduled_hook('ccm_tools_log_alerts_check');
+    }
+}
+
+add_action('ccm_tools_log_alerts_check', 'ccm_tools_log_alerts_run');
+
+// ──────────────────────────────────────────────
+// Checking and sending
+// ──────────────────────────────────────────────
+
+/**
+ * Does a parsed log entry match a rule's severity and pattern?
+ *
+ * @param array $rule
+ * @param array $entry Entry from ccm_tools_parse_error_log()
+ * @return bool
+ */
+function ccm_tools_log_alerts_entry_matches(array $rule, array $entry): bool {
+    if (!empty($rule['severities']) && !in_array($entry['severity'], $rule['severities'], true)) {
+        return false;
+    }
+
+    if ($rule['pattern'] !== '') {
+        $haystack = $entry['message'] . "\n" . $entry['file'] . ':' . $entry['line'] . "\n" . implode("\n", $entry['stack']);
+        return (bool) @preg_match(ccm_tools_log_alerts_regex($rule['pattern']), $haystack);
+    }
+
+    return true;
+}
+
+/**
+ * Read log lines appended since the last check and fire any rules that trip.
+ *
+ * The first run only records the current end of the file, so existing
+ * history never triggers a flood of alerts.
+ *
+ * @return array {entries: int, fired: array of rule names, error: string}
+ */
+function ccm_tools_log_alerts_run(): array {
+    $summary = array('entries' => 0, 'fired' => array(), 'error' => '');
+
+    if (get_transient('ccm_tools_log_alerts_lock')) {
+        $summary['error'] = __('A check is already running.', 'ccm-tools');
+        return $summary;
+    }
+    set_transient('ccm_tools_log_alerts_lock', 1, 2 * MINUTE_IN_SECONDS);
+
+    $rules = array_filter(ccm_tools_log_alerts_get_rules(), function ($rule) {
+        return !empty($rule['enabled']);
+    });
+    $state = ccm_tools_log_alerts_get_state();
+    $now = time();
+
+    $log_file = ccm_tools_get_default_log_file_path();
+    if (empty($log_file)) {
+        $state['last_error'] = __('No error log file found.', 'ccm-tools');
+        $state['checked'] = $now;
+        update_option('ccm_tools_log_alert_state', $state, false);
+        delete_transient('ccm_tools_log_alerts_lock');
+        $summary['error'] = $state['last_error'];
+        return $summary;
+    }
+
+    // New or changed log file: start watching from its current end
+    if ($state['log_file'] !== $log_file || $state['offset'] === null) {
+        clearstatcache(true, $log_file);
+        $state['log_file'] = $log_file;
+        $state['offset'] = (int) @filesize($log_file);
+    }
+
+    // Same reader as the live tail; at most 8 MB per run
+    $entries = array();
+    for ($i = 0; $i < 8; $i++) {
+        $chunk = ccm_tools_read_log_since($log_file, (int) $state['offset']);
+        if ($chunk['reset']) {
+            // Cleared or rotated since the last check: read the new content from the top
+            $state['offset'] = 0;
+            continue;
+        }
+        $state['offset'] = $chunk['offset'];
+        if ($chunk['content'] !== '') {
+            $entries = array_merge($entries, ccm_tools_parse_error_log($chunk['content']));
+        }
+        if (!$chunk['more']) {
+            break;
+        }
+    }
+    $summary['entries'] = count($entries);
+
+    foreach ($rules as $rule) {
+        $id = $rule['id'];
+        $window_start = $now - $rule['window'] * MINUTE_IN_SECONDS;
+        $matches = array();
+
+        foreach ($entries as $entry) {
+            if (ccm_tools_log_alerts_entry_matches($rule, $entry)) {
+                $matches[] = $entry;
+            }
+        }
+
+        // Hits carry over between runs so a rate can span several checks
+        $hits = array_filter((array) ($state['hits'][$id] ?? array()), function ($time) use ($window_start) {
+            return $time >= $window_start;
+        });
+        foreach ($matches as $entry) {
+            $hits[] = $entry['time'] ?: $now;
+        }
+        $hits = array_values(array_filter($hits, function ($time) use ($window_start) {
+            return $time >= $window_start;
+        }));
+
+        $cooling = !empty($state['fired'][$id]) && ($now - $state['fired'][$id]) < $rule['cooldown'] * MINUTE_IN_SECONDS;
+
+        if (count($hits) >= $rule['threshold'] && !empty($matches) && !$cooling) {
+            $result = ccm_tools_log_alerts_send($rule, count($hits), $matches);
+            ccm_tools_log_alerts_add_history(array(
+                'time'    => $now,
+                'rule_id' => $id,
+                'rule'    => $rule['name'],
+                'count'   => count($hits),
+                'window'  => $rule['window'],
+                'channel' => $rule['channel'],
+                'sample'  => wp_html_excerpt($matches[count($matches) - 1]['message'], 200, '…'),
+                'ok'      => $result === true,
+                'error'   => is_wp_error($result) ? $result->get_error_message() : '',
+                'test'    => false,
+            ));
+
+            ccm_tools_log_activity(
+                'alerts',
+                sprintf('Alert "%s" fired (%d matches in %d min) via %s', $rule['name'], count($hits), $rule['window'], $rule['channel']),
+                $result === true ? 'NOTICE' : 'ERROR'
+            );
+
+            $state['fired'][$id] = $now;
+            $hits = array();
+            $summary['fired'][] = $rule['name'];
+        }
+
+        $state['hits'][$id] = array_slice($hits, -1000);
+    }
+
+    // Forget state for rules that no longer exist
+    $ids = wp_list_pluck($rules, 'id');
+    $state['hits'] = array_intersect_key($state['hits'], array_flip($ids));
+    $state['fired'] = array_intersect_key($state['fired'], array_flip(wp_list_pluck(ccm_tools_log_alerts_get_rules(), 'id')));
+    $state['checked'] = $now;
+    $state['last_error'] = '';
+
+    update_option('ccm_tools_log_alert_state', $state, false);
+    delete_transient('ccm_tools_log_alerts_lock');
+
+    return $summary;
+}
+
+/**
+ * Send an alert by email or webhook.
+ *
+ * @param array $rule
+ * @param int $count Matches inside the rule's window
+ * @param array $entries Matching entries from this check (newest last)
+ * @param bool $test True for a test notification from the UI
+ * @return true|WP_Error
+ */
+function ccm_tools_log_alerts_send(array $rule, int $count, array $entries, bool $test = false) {
+    $site = wp_parse_url(home_url(), PHP_URL_HOST);
+    $samples = array_slice($entries, -5);
+
+    if ($rule['channel'] === 'webhook') {
+        $response = wp_safe_remote_post($rule['target'], array(
+            'timeout' => 10,
+            'headers' => array('Content-Type' => 'application/json'),
+            'body'    => wp_json_encode(array(
+                'site'           => home_url(),
+                'rule'           => $rule['name'],
+                'test'           => $test,
+                'count'          => $count,
+                'window_minutes' => $rule['window'],
+                'threshold'      => $rule['threshold'],
+                'severities'     => $rule['severities'],
+                'pattern'        => $rule['pattern'],
+                'entries'        => array_map(function ($entry) {
+                    return array(
+                        'time'     => $entry['time'] ? gmdate('c', $entry['time']) : null,
+                        'severity' => $entry['severity'],
+                        'message'  => $entry['message'],
+                        'file'     => $entry['file'],
+                        'line'     => $entry['line'],
+                    );
+                }, $samples),
+                'log_url'        => admin_url('admin.php?page=ccm-tools-error-log'),
+            )),
+        ));
+
+        if (is_wp_error($response)) {
+            return $response;
+        }
+        $code = wp_remote_retrieve_response_code($response);
+        if ($code < 200 || $code >= 300) {
+            return new WP_Error('webhook_failed', sprintf(__('Webhook returned HTTP %d.', 'ccm-tools'), $code));
+        }
+        return true;
+    }
+
+    $subject = sprintf(
+        $test ? __('[%1$s] Test alert: %2$s', 'ccm-tools') : __('[%1$s] Error log alert: %2$s', 'ccm-tools'),
+        $site,
+        $rule['name']
+    );
+
+    $lines = array(
+        sprintf(__('%1$d matching log entries in the last %2$d minute(s) on %3$s.', 'ccm-tools'), $count, $rule['window'], home_url()),
+        '',
+        __('Latest entries:', 'ccm-tools'),
+    );
+    foreach ($samples as $entry) {
+        $lines[] = sprintf(
+            '- [%s] %s: %s%s',
+            $entry['time_label'] ?: '-',
+            strtoupper($entry['severity']),
+            $entry['message'],
+            $entry['file'] ? ' (' . $entry['file'] . ':' . $entry['line'] . ')' : ''
+        );
+    }
+    $lines[] = '';
+    $lines[] = sprintf(__('View the error log: %s', 'ccm-tools'), admin_url('admin.php?page=ccm-tools-error-log'));
+
+    $recipients = array_map('trim', explode(',', $rule['target']));
+    if (!wp_mail($recipients, $subject, implode("\n", $lines))) {
+        return new WP_Error('email_failed', __('wp_mail() could not send the email.', 'ccm-tools'));
+    }
+    return true;
+}
+
+// ──────────────────────────────────────────────
+// AJAX handlers
+// ──────────────────────────────────────────────
+
+/**
+ * Data for the alerts panel: rules, history and watcher status.
+ *
+ * @return array
+ */
+function ccm_tools_log_alerts_panel_data(): array {
+    $state = ccm_tools_log_alerts_get_state();
+    $next = wp_next_scheduled('ccm_tools_log_alerts_check');
+
+    return array(
+        'rules'   => ccm_tools_log_alerts_get_rules(),
+        'history' => array_map(function ($item) {
+            $item['time_label'] = wp_date('d-M-Y H:i:s T', $item['time']);
+            return $item;
+        }, ccm_tools_log_alerts_get_history()),
+        'status'  => array(
+            'log_file'   => $state['log_file'],
+            'checked'    => $state['checked'] ? sprintf(__('%s ago', 'ccm-tools'), human_time_diff($state['checked'])) : '',
+            'next'       => $next ? sprintf(__('in %s', 'ccm-tools'), human_time_diff($next)) : '',
+            'last_error' => $state['last_error'],
+            'cron_disabled' => defined('DISABLE_WP_CRON') && DISABLE_WP_CRON,
+        ),
+    );
+}
+
+/**
+ * AJAX handler: get rules, history and status.
+ */
+function ccm_tools_ajax_get_log_alerts() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    wp_send_json_success(ccm_tools_log_alerts_panel_data());
+}
+add_action('wp_ajax_ccm_tools_get_log_alerts', 'ccm_tools_ajax_get_log_alerts');
+
+/**
+ * AJAX handler: create or update a rule.
+ */
+function ccm_tools_ajax_save_log_alert_rule() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $rule = ccm_tools_log_alerts_sanitize_rule(wp_unslash($_POST));
+    if (is_wp_error($rule)) {
+        wp_send_json_error(array('message' => $rule->get_error_message()));
+    }
+
+    $rules = ccm_tools_log_alerts_get_rules();
+    $index = array_search($rule['id'], wp_list_pluck($rules, 'id'), true);
+    if ($index === false) {
+        $rules[] = $rule;
+    } else {
+        $rules[$index] = $rule;
+    }
+    ccm_tools_log_alerts_save_rules($rules);
+
+    wp_send_json_success(array_merge(
+        array('message' => __('Alert rule saved.', 'ccm-tools')),
+        ccm_tools_log_alerts_panel_data()
+    ));
+}
+add_action('wp_ajax_ccm_tools_save_log_alert_rule', 'ccm_tools_ajax_save_log_alert_rule');
+
+/**
+ * AJAX handler: delete a rule.
+ */
+function ccm_tools_ajax_delete_log_alert_rule() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $id = isset($_POST['id']) ? sanitize_key($_POST['id']) : '';
+    $rules = array_filter(ccm_tools_log_alerts_get_rules(), function ($rule) use ($id) {
+        return $rule['id'] !== $id;
+    });
+    ccm_tools_log_alerts_save_rules($rules);
+
+    wp_send_json_success(array_merge(
+        array('message' => __('Alert rule deleted.', 'ccm-tools')),
+        ccm_tools_log_alerts_panel_data()
+    ));
+}
+add_action('wp_ajax_ccm_tools_delete_log_alert_rule', 'ccm_tools_ajax_delete_log_alert_rule');
+
+/**
+ * AJAX handler: send a test notification for a rule.
+ */
+function ccm_tools_ajax_test_log_alert_rule() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $id = isset($_POST['id']) ? sanitize_key($_POST['id']) : '';
+    $rule = null;
+    foreach (ccm_tools_log_alerts_get_rules() as $candidate) {
+        if ($candidate['id'] === $id) {
+            $rule = $candidate;
+        }
+    }
+    if (!$rule) {
+        wp_send_json_error(array('message' => __('Alert rule not found.', 'ccm-tools')));
+    }
+
+    $now = time();
+    $sample = array(
+        'time'       => $now,
+        'time_label' => wp_date('d-M-Y H:i:s T', $now),
+        'severity'   => $rule['severities'][0] ?? 'fatal',
+        'message'    => __('This is a test alert from CCM Tools.', 'ccm-tools'),
+        'file'       => '',
+        'line'       => 0,
+        'stack'      => array(),
+    );
+    $result = ccm_tools_log_alerts_send($rule, 1, array($sample), true);
+
+    ccm_tools_log_alerts_add_history(array(
+        'time'    => $now,
+        'rule_id' => $rule['id'],
+        'rule'    => $rule['name'],
+        'count'   => 1,
+        'window'  => $rule['window'],
+        'channel' => $rule['channel'],
+        'sample'  => $sample['message'],
+        'ok'      => $result === true,
+        'error'   => is_wp_error($result) ? $result->get_error_message() : '',
+        'test'    => true,
+    ));
+
+    if (is_wp_error($result)) {
+        wp_send_json_error(array('message' => $result->get_error_message()));
+    }
+
+    wp_send_json_success(array_merge(
+        array('message' => __('Test alert sent.', 'ccm-tools')),
+        ccm_tools_log_alerts_panel_data()
+    ));
+}
+add_action('wp_ajax_ccm_tools_test_log_alert_rule', 'ccm_tools_ajax_test_log_alert_rule');
+
+/**
+ * AJAX handler: run the check now instead of waiting for cron.
+ */
+function ccm_tools_ajax_run_log_alerts() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $summary = ccm_tools_log_alerts_run();
+    if ($summary['error'] !== '') {
+        wp_send_json_error(array('message' => $summary['error']));
+    }
+
+    $message = empty($summary['fired'])
+        ? sprintf(__('Checked %d new log entries — no rules triggered.', 'ccm-tools'), $summary['entries'])
+        : sprintf(__('Checked %1$d new log entries — triggered: %2$s.', 'ccm-tools'), $summary['entries'], implode(', ', $summary['fired']));
+
+    wp_send_json_success(array_merge(
+        array('message' => $message),
+        ccm_tools_log_alerts_panel_data()
+    ));
+}
+add_action('wp_ajax_ccm_tools_run_log_alerts', 'ccm_tools_ajax_run_log_alerts');
+
+/**
+ * AJAX handler: clear alert history.
+ */
+function ccm_tools_ajax_clear_log_alert_history() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    delete_option('ccm_tools_log_alert_history');
+    wp_send_json_success(ccm_tools_log_alerts_panel_data());
+}
+add_action('wp_ajax_ccm_tools_clear_log_alert_history', 'ccm_tools_ajax_clear_log_alert_history');
+
+// ──────────────────────────────────────────────
+// UI
+// ──────────────────────────────────────────────
+
+/**
+ * Render the Alert Rules card on the error log page.
+ *
+ * Rules and history are loaded by the page script.
+ *
+ * @return void
+ */
+function ccm_tools_render_log_alerts_card(): void {
+    $severities = array(
+        'fatal'      => __('Fatal', 'ccm-tools'),
+        'error'      => __('Error', 'ccm-tools'),
+        'warning'    => __('Warning', 'ccm-tools'),
+        'notice'     => __('Notice', 'ccm-tools'),
+        'deprecated' => __('Deprecated', 'ccm-tools'),
+        'info'       => __('Other', 'ccm-tools'),
+    );
+    ?>
+    <div class="ccm-card" id="log-alerts-card">
+        <h2><?php _e('Alert Rules', 'ccm-tools'); ?></h2>
+        <p><?php _e('Checks the log in the background every 5 minutes and notifies you by email or webhook when a rule matches, without anyone having this page open.', 'ccm-tools'); ?></p>
+
+        <p id="log-alerts-status" class="ccm-log-summary"></p>
+
+        <div class="ccm-table-responsive">
+            <table class="ccm-table" id="log-alert-rules">
+                <thead>
+                    <tr>
+                        <th><?php _e('Rule', 'ccm-tools'); ?></th>
+                        <th><?php _e('Matches', 'ccm-tools'); ?></th>
+                        <th><?php _e('Notify', 'ccm-tools'); ?></th>
+                        <th><?php _e('Enabled', 'ccm-tools'); ?></th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr><td colspan="5"><div class="ccm-spinner ccm-spinner-small"></div></td></tr>
+                </tbody>
+            </table>
+        </div>
+
+        <div class="ccm-log-alert-actions">
+            <button type="button" id="log-alert-add" class="ccm-button ccm-button-primary ccm-button-small"><?php _e('Add Rule', 'ccm-tools'); ?></button>
+            <button type="button" id="log-alert-run" class="ccm-button ccm-button-small"><?php _e('Check Now', 'ccm-tools'); ?></button>
+        </div>
+
+        <form id="log-alert-form" class="ccm-log-alert-form" style="display: none;">
+            <input type="hidden" name="id" value="">
+            <table class="form-table">
+                <tr>
+                    <th scope="row"><label for="log-alert-name"><?php _e('Name', 'ccm-tools'); ?></label></th>
+                    <td><input type="text" id="log-alert-name" name="name" class="regular-text" placeholder="<?php esc_attr_e('e.g. Fatal error burst', 'ccm-tools'); ?>"></td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php _e('Severity', 'ccm-tools'); ?></th>
+                    <td class="ccm-log-alert-severities">
+                        <?php foreach ($severities as $severity => $label): ?>
+                            <label><input type="checkbox" name="severities[]" value="<?php echo esc_attr($severity); ?>"> <?php echo esc_html($label); ?></label>
+                        <?php endforeach; ?>
+                        <p class="description"><?php _e('Leave all unchecked to match any severity (a pattern is then required).', 'ccm-tools'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="log-alert-pattern"><?php _e('Regex pattern', 'ccm-tools'); ?></label></th>
+                    <td>
+                        <input type="text" id="log-alert-pattern" name="pattern" class="regular-text code" placeholder="<?php esc_attr_e('e.g. woocommerce|Allowed memory size', 'ccm-tools'); ?>">
+                        <p class="description"><?php _e('Optional, case-insensitive. Matched against the message, file:line and stack trace.', 'ccm-tools'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php _e('Rate', 'ccm-tools'); ?></th>
+                    <td>
+                        <?php
+                        printf(
+                            /* translators: 1: count input, 2: minutes input */
+                            __('Alert when %1$s or more matches occur within %2$s minute(s)', 'ccm-tools'),
+                            '<input type="number" name="threshold" min="1" max="10000" value="1" class="small-text">',
+                            '<input type="number" name="window" min="1" max="1440" value="5" class="small-text">'
+                        );
+                        ?>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="log-alert-cooldown"><?php _e('Cooldown', 'ccm-tools'); ?></label></th>
+                    <td>
+                        <input type="number" id="log-alert-cooldown" name="cooldown" min="0" max="10080" value="60" class="small-text"> <?php _e('minutes between alerts for this rule', 'ccm-tools'); ?>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php _e('Notify via', 'ccm-tools'); ?></th>
+                    <td>
+                        <select name="channel" id="log-alert-channel">
+                            <option value="email"><?php _e('Email', 'ccm-tools'); ?></option>
+                            <option value="webhook"><?php _e('Webhook (JSON POST)', 'ccm-tools'); ?></option>
+                        </select>
+                        <input type="text" id="log-alert-target" name="target" class="regular-text" value="<?php echo esc_attr(get_option('admin_email')); ?>" data-default-email="<?php echo esc_attr(get_option('admin_email')); ?>">
+                        <p class="description" id="log-alert-target-help"><?php _e('Comma-separated email addresses.', 'ccm-tools'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php _e('Enabled', 'ccm-tools'); ?></th>
+                    <td><label><input type="checkbox" name="enabled" value="1" checked> <?php _e('Active', 'ccm-tools'); ?></label></td>
+                </tr>
+            </table>
+            <div class="ccm-log-alert-actions">
+                <button type="submit" class="ccm-button ccm-button-primary ccm-button-small"><?php _e('Save Rule', 'ccm-tools'); ?></button>
+                <button type="button" id="log-alert-cancel" class="ccm-button ccm-button-small"><?php _e('Cancel', 'ccm-tools'); ?></button>
+            </div>
+        </form>
+
+        <h3><?php _e('Alert History', 'ccm-tools'); ?></h3>
+        <div class="ccm-table-responsive">
+            <table class="ccm-table" id="log-alert-history">
+                <thead>
+                    <tr>
+                        <th><?php _e('Time', 'ccm-tools'); ?></th>
+                        <th><?php _e('Rule', 'ccm-tools'); ?></th>
+                        <th><?php _e('Matches', 'ccm-tools'); ?></th>
+                        <th><?php _e('Sent via', 'ccm-tools'); ?></th>
+                        <th><?php _e('Latest entry', 'ccm-tools'); ?></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        </div>
+        <p><button type="button" id="log-alert-clear-history" class="ccm-button ccm-button-small"><?php _e('Clear History', 'ccm-tools'); ?></button></p>
+    </div>
+    <?php
+}
@@ -0,0 +1,383 @@
+<?php
+/**
+ * CCM Tools — Error Log Analytics
+ *
+ * Aggregates a time window of a log (or every log source) into per-hour or
+ * per-day counts by severity, the most frequent errors, and the plugins and
+ * themes that produce them, based on the file paths in each entry and its
+ * stack trace. The log is scanned in 1 MB chunks so only the aggregates are
+ * held in memory.
+ *
+ * @package CCMTools
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// ──────────────────────────────────────────────
+// Attribution
+// ──────────────────────────────────────────────
+
+/**
+ * Work out which plugin or theme an entry comes from
+ *
+ * Checks the entry's file first, then the stack frames from the innermost
+ * out, so an error raised in core on behalf of a plugin is blamed on the plugin.
+ *
+ * @param array $entry Parsed log entry
+ * @return array|null {type: plugin|mu-plugin|theme|core, slug}, or null when unknown
+ */
+function ccm_tools_log_entry_component($entry) {
+    $paths = array_merge(array($entry['file']), $entry['stack'], array($entry['message']));
+    $core = false;
+
+    foreach ($paths as $path) {
+        $path = wp_normalize_path((string) $path);
+        if (preg_match('~/(plugins|mu-plugins|themes)/([^/\s:()\'"]+)~', $path, $m)) {
+            $type = $m[1] === 'themes' ? 'theme' : ($m[1] === 'plugins' ? 'plugin' : 'mu-plugin');
+            return array('type' => $type, 'slug' => preg_replace('/\.php$/', '', $m[2]));
+        }
+        if (!$core && preg_match('~/wp-(includes|admin)/~', $path)) {
+            $core = true;
+        }
+    }
+
+    return $core ? array('type' => 'core', 'slug' => 'wordpress') : null;
+}
+
+/**
+ * Human-readable name for a component
+ *
+ * @param string $type plugin | mu-plugin | theme | core
+ * @param string $slug Directory (or file) name
+ * @return string
+ */
+function ccm_tools_log_component_name($type, $slug) {
+    static $plugins = null;
+
+    if ($type === 'core') {
+        return __('WordPress core', 'ccm-tools');
+    }
+
+    if ($type === 'theme') {
+        $theme = wp_get_theme($slug);
+        return $theme->exists() ? $theme->get('Name') : $slug;
+    }
+
+    if ($type === 'plugin') {
+        if ($plugins === null) {
+            if (!function_exists('get_plugins')) {
+                require_once ABSPATH . 'wp-admin/includes/plugin.php';
+            }
+            $plugins = get_plugins();
+        }
+        foreach ($plugins as $file => $data) {
+            if (strpos($file, $slug . '/') === 0 || $file === $slug . '.php') {
+                return $data['Name'];
+            }
+        }
+    }
+
+    return $slug;
+}
+
+// ──────────────────────────────────────────────
+// Aggregation
+// ──────────────────────────────────────────────
+
+/**
+ * Aggregate log entries from a time window
+ *
+ * @param array $sources Log sources (see ccm_tools_get_log_sources())
+ * @param int $since Unix timestamp the window starts at
+ * @param string $granularity hour | day
+ * @param int $max_bytes Most bytes to scan from the end of each source
+ * @return array {buckets, totals, top_errors, components, scanned_bytes, covered_since, partial}
+ */
+function ccm_tools_log_analytics($sources, $since, $granularity, $max_bytes = 16777216) {
+    $tz = wp_timezone();
+    $bucket_format = $granularity === 'day' ? 'Y-m-d' : 'Y-m-d H';
+    $started = microtime(true);
+
+    $counts = array();
+    $totals = array();
+    $errors = array();
+    $components = array();
+    $scanned = 0;
+    $covered_since = 0;
+    $partial = false;
+
+    foreach ($sources as $id => $source) {
+        clearstatcache(true, $source['path']);
+        $size = (int) @filesize($source['path']);
+        $offset = max(0, $size - $max_bytes);
+        $first_chunk = true;
+
+        do {
+            $chunk = ccm_tools_read_log_since($source['path'], $offset);
+            $scanned += $chunk['offset'] - $offset;
+            $offset = $chunk['offset'];
+            $content = $chunk['content'];
+
+            // Started mid-file: the first line is probably partial
+            if ($first_chunk && $size > $max_bytes) {
+                $content = (string) substr($content, strpos($content, "\n") + 1);
+            }
+
+            foreach (ccm_tools_parse_log_content($content, $source['type']) as $entry) {
+                if (!$entry['time']) {
+                    continue;
+                }
+                if ($first_chunk && $size > $max_bytes && (!$covered_since || $entry['time'] < $covered_since)) {
+                    $covered_since = $entry['time'];
+                }
+                if ($entry['time'] < $since) {
+                    continue;
+                }
+
+                $severity = $entry['severity'];
+                $bucket = wp_date($bucket_format, $entry['time'], $tz);
+                $counts[$bucket][$severity] = ($counts[$bucket][$severity] ?? 0) + 1;
+                $totals[$severity] = ($totals[$severity] ?? 0) + 1;
+
+                $signature = $entry['signature'];
+                if (!isset($errors[$signature])) {
+                    $component = ccm_tools_log_entry_component($entry);
+                    $errors[$signature] = array(
+                        'signature' => $signature,
+                        'severity' => $severity,
+                        'message' => wp_html_excerpt($entry['message'], 300, '…'),
+                        'file' => $entry['file'],
+                        'line' => $entry['line'],
+                        'component' => $component ? $component['type'] . ':' . $component['slug'] : '',
+                        'count' => 0,
+                        'first' => $entry['time'],
+                        'last' => $entry['time'],
+                    );
+                }
+                $error = &$errors[$signature];
+                $error['count']++;
+                $error['first'] = min($error['first'], $entry['time']);
+                $error['last'] = max($error['last'], $entry['time']);
+                unset($error);
+            }
+
+            $first_chunk = false;
+
+            if (microtime(true) - $started > 20) {
+                $partial = true;
+                break 2;
+            }
+        } while ($chunk['more']);
+    }
+
+    if ($covered_since && $covered_since > $since) {
+        $partial = true;
+    }
+
+    // Plugins and themes, from the distinct errors they produced
+    foreach ($errors as $error) {
+        if ($error['component'] === '') {
+            continue;
+        }
+        if (!isset($components[$error['component']])) {
+            list($type, $slug) = explode(':', $error['component'], 2);
+            $components[$error['component']] = array(
+                'key' => $error['component'],
+                'type' => $type,
+                'slug' => $slug,
+                'name' => ccm_tools_log_component_name($type, $slug),
+                'count' => 0,
+                'distinct' => 0,
+                'severities' => array(),
+                'last' => 0,
+            );
+        }
+        $component = &$components[$error['component']];
+        $component['count'] += $error['count'];
+        $component['distinct']++;
+        $component['severities'][$error['severity']] = ($component['severities'][$error['severity']] ?? 0) + $error['count'];
+        $component['last'] = max($component['last'], $error['last']);
+        unset($component);
+    }
+
+    $by_count = function ($a, $b) {
+        return $b['count'] <=> $a['count'] ?: $b['last'] <=> $a['last'];
+    };
+    usort($errors, $by_count);
+    usort($components, $by_count);
+
+    $label = function ($time) {
+        return wp_date('d-M-Y H:i:s T', $time);
+    };
+
+    return array(
+        'buckets' => ccm_tools_log_analytics_buckets($counts, $since, $granularity),
+        'totals' => (object) $totals,
+        'top_errors' => array_map(function ($error) use ($label) {
+            $error['first_label'] = $label($error['first']);
+            $error['last_label'] = $label($error['last']);
+            return $error;
+        }, array_slice($errors, 0, 10)),
+        'distinct' => count($errors),
+        'components' => array_map(function ($component) use ($label) {
+            $component['severities'] = (object) $component['severities'];
+            $component['last_label'] = $label($component['last']);
+            return $component;
+        }, array_slice($components, 0, 10)),
+        'scanned_bytes' => $scanned,
+        'covered_since' => $covered_since ? $label($covered_since) : '',
+        'partial' => $partial,
+    );
+}
+
+/**
+ * Lay counts out on a continuous hour/day axis, zero-filling gaps
+ *
+ * @param array $counts Bucket key => severity => count
+ * @param int $since Window start
+ * @param string $granularity hour | day
+ * @return array List of {label, counts, total}
+ */
+function ccm_tools_log_analytics_buckets($counts, $since, $granularity) {
+    $tz = wp_timezone();
+    $step = $granularity === 'day' ? 'P1D' : 'PT1H';
+    $key_format = $granularity === 'day' ? 'Y-m-d' : 'Y-m-d H';
+    $label_format = $granularity === 'day' ? 'D j M' : 'D H:00';
+
+    $cursor = new DateTime('@' . $since);
+    $cursor->setTimezone($tz);
+    $cursor->setTime((int) ($granularity === 'day' ? 0 : $cursor->format('G')), 0);
+    $end = new DateTime('now', $tz);
+
+    $buckets = array();
+    while ($cursor <= $end) {
+        $key = $cursor->format($key_format);
+        $bucket_counts = $counts[$key] ?? array();
+        $buckets[] = array(
+            'label' => wp_date($label_format, $cursor->getTimestamp(), $tz),
+            'counts' => (object) $bucket_counts,
+            'total' => array_sum($bucket_counts),
+        );
+        $cursor->add(new DateInterval($step));
+    }
+
+    return $buckets;
+}
+
+// ──────────────────────────────────────────────
+// AJAX handler
+// ──────────────────────────────────────────────
+
+/**
+ * AJAX handler: analytics for the selected log (or "all" sources)
+ */
+function ccm_tools_ajax_error_log_stats() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $ranges = array(
+        '24h' => array(DAY_IN_SECONDS, 'hour'),
+        '48h' => array(2 * DAY_IN_SECONDS, 'hour'),
+        '7d'  => array(7 * DAY_IN_SECONDS, 'day'),
+        '30d' => array(30 * DAY_IN_SECONDS, 'day'),
+    );
+    $range = isset($_POST['range']) ? sanitize_key($_POST['range']) : '24h';
+    if (!isset($ranges[$range])) {
+        $range = '24h';
+    }
+    list($seconds, $granularity) = $ranges[$range];
+
+    $log_file_input = isset($_POST['log_file']) ? sanitize_text_field(wp_unslash($_POST['log_file'])) : '';
+    $sources = ccm_tools_get_log_sources();
+
+    if ($log_file_input !== 'all') {
+        $log_file = ccm_tools_validate_log_file_path($log_file_input);
+        if ($log_file && ccm_tools_get_log_archive_by_path($log_file)) {
+            wp_send_json_error(array('message' => __('Trends cover live logs only. Pick a log instead of an archive.', 'ccm-tools')));
+        }
+        $source = $log_file ? ccm_tools_get_log_source_by_path($log_file) : null;
+        if (!$source) {
+            wp_send_json_error(array('message' => __('Invalid log file selection.', 'ccm-tools')));
+        }
+        $sources = array($source['id'] => $source);
+    }
+
+    $stats = ccm_tools_log_analytics($sources, time() - $seconds, $granularity);
+    $stats['range'] = $range;
+    $stats['granularity'] = $granularity;
+
+    wp_send_json_success($stats);
+}
+add_action('wp_ajax_ccm_tools_error_log_stats', 'ccm_tools_ajax_error_log_stats');
+
+// ──────────────────────────────────────────────
+// UI
+// ──────────────────────────────────────────────
+
+/**
+ * Render the analytics card on the error log page (filled by the page script)
+ *
+ * @return void
+ */
+function ccm_tools_render_log_analytics_card(): void {
+    ?>
+    <div class="ccm-card" id="log-analytics-card">
+        <div class="ccm-log-analytics-header">
+            <h2><?php _e('Error Trends', 'ccm-tools'); ?></h2>
+            <div>
+                <label for="log-analytics-range"><?php _e('Period:', 'ccm-tools'); ?></label>
+                <select id="log-analytics-range">
+                    <option value="24h"><?php _e('Last 24 hours (hourly)', 'ccm-tools'); ?></option>
+                    <option value="48h"><?php _e('Last 48 hours (hourly)', 'ccm-tools'); ?></option>
+                    <option value="7d"><?php _e('Last 7 days (daily)', 'ccm-tools'); ?></option>
+                    <option value="30d"><?php _e('Last 30 days (daily)', 'ccm-tools'); ?></option>
+                </select>
+                <button type="button" id="log-analytics-refresh" class="ccm-button ccm-button-small"><?php _e('Refresh', 'ccm-tools'); ?></button>
+            </div>
+        </div>
+        <p id="log-analytics-summary" class="ccm-log-summary"></p>
+        <div id="log-analytics-chart" class="ccm-log-chart">
+            <div class="ccm-spinner"></div>
+        </div>
+
+        <div class="ccm-log-analytics-tables">
+            <div>
+                <h3><?php _e('Top Recurring Errors', 'ccm-tools'); ?></h3>
+                <div class="ccm-table-responsive">
+                    <table class="ccm-table" id="log-top-errors">
+                        <thead>
+                            <tr>
+                                <th><?php _e('Count', 'ccm-tools'); ?></th>
+                                <th><?php _e('Error', 'ccm-tools'); ?></th>
+                                <th><?php _e('Last seen', 'ccm-tools'); ?></th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+            <div>
+                <h3><?php _e('Top Offending Plugins & Themes', 'ccm-tools'); ?></h3>
+                <div class="ccm-table-responsive">
+                    <table class="ccm-table" id="log-top-components">
+                        <thead>
+                            <tr>
+                                <th><?php _e('Component', 'ccm-tools'); ?></th>
+                                <th><?php _e('Entries', 'ccm-tools'); ?></th>
+                                <th><?php _e('By severity', 'ccm-tools'); ?></th>
+                                <th><?php _e('Distinct errors', 'ccm-tools'); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    </div>
+    <?php
+}
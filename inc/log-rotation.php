@@ -0,0 +1,609 @@
+<?php
+/**
+ * CCM Tools — Log Rotation
+ *
+ * Archives a log to a timestamped gzip in private storage when it
+ * passes a size threshold or on a daily/weekly schedule, then empties it in
+ * place (copy-truncate, so PHP keeps writing to the same file). Keeps the
+ * newest N archives per log. Archives can be opened in the viewer and are
+ * included in Download bundles.
+ *
+ * Apache/Nginx logs are left alone — the server's own logrotate owns them.
+ *
+ * @package CCMTools
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// ──────────────────────────────────────────────
+// Settings and archive index
+// ──────────────────────────────────────────────
+
+/**
+ * Rotation settings
+ *
+ * @return array {enabled, max_size_mb: 0 = no size trigger, schedule: none|daily|weekly, keep}
+ */
+function ccm_tools_log_rotation_settings(): array {
+    $defaults = array(
+        'enabled'     => false,
+        'max_size_mb' => 10,
+        'schedule'    => 'none',
+        'keep'        => 5,
+    );
+    return wp_parse_args(get_option('ccm_tools_log_rotation', array()), $defaults);
+}
+
+/**
+ * Folder holding the archives (see private-storage.php)
+ *
+ * @return string
+ */
+function ccm_tools_log_archive_dir(): string {
+    return ccm_tools_logs_dir('archive');
+}
+
+/**
+ * Archived logs that still exist on disk, newest first
+ *
+ * @return array List of {id, file, path, source_id, source_type, source_path, created, size, original_size}
+ */
+function ccm_tools_get_log_archives(): array {
+    $index = get_option('ccm_tools_log_archives', array());
+    $dir = ccm_tools_log_archive_dir();
+    $archives = array();
+
+    foreach ((array) $index as $archive) {
+        $archive['path'] = $dir . '/' . $archive['file'];
+        if (is_file($archive['path'])) {
+            $archives[] = $archive;
+        }
+    }
+
+    usort($archives, function ($a, $b) {
+        return $b['created'] <=> $a['created'];
+    });
+
+    return $archives;
+}
+
+/**
+ * Find an archive by its absolute path
+ *
+ * @param string $path Validated path
+ * @return array|null
+ */
+function ccm_tools_get_log_archive_by_path($path) {
+    foreach (ccm_tools_get_log_archives() as $archive) {
+        if ($archive['path'] === $path) {
+            return $archive;
+        }
+    }
+    return null;
+}
+
+/**
+ * Sources CCM Tools is allowed to rotate: PHP logs, debug.log and its own activity log
+ *
+ * @return array id => source
+ */
+function ccm_tools_rotatable_log_sources(): array {
+    return array_filter(ccm_tools_get_log_sources(), function ($source) {
+        return in_array($source['type'], array('php', 'wp_debug', 'ccm'), true) && is_writable($source['path']);
+    });
+}
+
+// ──────────────────────────────────────────────
+// Rotation
+// ──────────────────────────────────────────────
+
+/**
+ * Archive a log to gzip and empty it
+ *
+ * @param array $source Log source
+ * @param string $reason What triggered the rotation (for the activity log)
+ * @return array|WP_Error The new archive
+ */
+function ccm_tools_rotate_log_source(array $source, string $reason = 'manual') {
+    if (!function_exists('gzopen')) {
+        return new WP_Error('no_zlib', __('The zlib PHP extension is required to archive logs.', 'ccm-tools'));
+    }
+    if (!is_writable($source['path'])) {
+        return new WP_Error('not_writable', __('Log file is not writable.', 'ccm-tools'));
+    }
+
+    clearstatcache(true, $source['path']);
+    $original_size = (int) filesize($source['path']);
+    if ($original_size === 0) {
+        return new WP_Error('empty', __('The log is empty — nothing to archive.', 'ccm-tools'));
+    }
+
+    $storage = ccm_tools_private_dir_status();
+    if (!$storage['protected']) {
+        return new WP_Error('not_private', $storage['message']);
+    }
+    $dir = ccm_tools_log_archive_dir();
+    if (!ccm_tools_ensure_protected_dir(dirname($dir)) || !ccm_tools_ensure_protected_dir($dir)) {
+        return new WP_Error('no_dir', __('Could not create the log archive folder.', 'ccm-tools'));
+    }
+
+    $name = sanitize_file_name(pathinfo($source['path'], PATHINFO_FILENAME)) ?: 'log';
+    $file = ccm_tools_private_file_name(sprintf('%s-%s-%s', $name, $source['id'], gmdate('Ymd-His')), '.log.gz');
+    $partial = $dir . '/' . $file . '.partial';
+
+    $in = @fopen($source['path'], 'r+b');
+    if (!$in) {
+        return new WP_Error('open_failed', __('Could not open the log file.', 'ccm-tools'));
+    }
+    flock($in, LOCK_EX);
+
+    $out = gzopen($partial, 'wb6');
+    if (!$out) {
+        flock($in, LOCK_UN);
+        fclose($in);
+        return new WP_Error('gzip_failed', __('Could not create the archive.', 'ccm-tools'));
+    }
+
+    $ok = true;
+    while (!feof($in)) {
+        $data = fread($in, 1048576);
+        if ($data === false || ($data !== '' && gzwrite($out, $data) === 0)) {
+            $ok = false;
+            break;
+        }
+    }
+    gzclose($out);
+
+    // Only empty the log once the archive is safely written
+    if ($ok) {
+        ftruncate($in, 0);
+    }
+    flock($in, LOCK_UN);
+    fclose($in);
+
+    if (!$ok || !@rename($partial, $dir . '/' . $file)) {
+        @unlink($partial);
+        return new WP_Error('gzip_failed', __('Writing the archive failed; the log was left untouched.', 'ccm-tools'));
+    }
+
+    $archive = array(
+        'id'            => substr(md5($file), 0, 12),
+        'file'          => $file,
+        'source_id'     => $source['id'],
+        'source_type'   => $source['type'],
+        'source_path'   => $source['path'],
+        'created'       => time(),
+        'size'          => (int) filesize($dir . '/' . $file),
+        'original_size' => $original_size,
+    );
+
+    $index = (array) get_option('ccm_tools_log_archives', array());
+    $index[] = $archive;
+    update_option('ccm_tools_log_archives', $index, false);
+
+    $state = (array) get_option('ccm_tools_log_rotation_state', array());
+    $state[$source['id']] = time();
+    update_option('ccm_tools_log_rotation_state', $state, false);
+
+    ccm_tools_prune_log_archives($source['id'], (int) ccm_tools_log_rotation_settings()['keep']);
+
+    ccm_tools_log_activity('rotation', sprintf(
+        'Archived %s (%s, %s) to %s',
+        $source['path'],
+        size_format($original_size, 1),
+        $reason,
+        $file
+    ));
+
+    $archive['path'] = $dir . '/' . $file;
+    return $archive;
+}
+
+/**
+ * Delete all but the newest $keep archives of a log
+ *
+ * @param string $source_id Source ID
+ * @param int $keep Archives to keep
+ * @return void
+ */
+function ccm_tools_prune_log_archives(string $source_id, int $keep): void {
+    $keep = max(1, $keep);
+    $seen = 0;
+
+    foreach (ccm_tools_get_log_archives() as $archive) {
+        if ($archive['source_id'] !== $source_id) {
+            continue;
+        }
+        if (++$seen > $keep) {
+            ccm_tools_delete_log_archive($archive['id']);
+        }
+    }
+}
+
+/**
+ * Delete one archive and drop it from the index
+ *
+ * @param string $id Archive ID
+ * @return bool True if it existed
+ */
+function ccm_tools_delete_log_archive(string $id): bool {
+    $index = (array) get_option('ccm_tools_log_archives', array());
+    $found = false;
+
+    foreach ($index as $i => $archive) {
+        if ($archive['id'] === $id) {
+            @unlink(ccm_tools_log_archive_dir() . '/' . $archive['file']);
+            unset($index[$i]);
+            $found = true;
+        }
+    }
+
+    if ($found) {
+        update_option('ccm_tools_log_archives', array_values($index), false);
+    }
+    return $found;
+}
+
+/**
+ * Move archives made by an earlier version out of the public uploads folder
+ *
+ * They get a random suffix on the way, so their names can't be guessed.
+ *
+ * @return void
+ */
+function ccm_tools_migrate_log_archives(): void {
+    $upload_dir = wp_upload_dir(null, false);
+    $old = trailingslashit($upload_dir['basedir']) . 'ccm-tools/logs/archive';
+    if (!is_dir($old)) {
+        return;
+    }
+
+    $dir = ccm_tools_log_archive_dir();
+    if (!ccm_tools_ensure_protected_dir(dirname($dir)) || !ccm_tools_ensure_protected_dir($dir)) {
+        return;
+    }
+
+    $index = (array) get_option('ccm_tools_log_archives', array());
+    foreach ($index as $i => $archive) {
+        $from = $old . '/' . $archive['file'];
+        if (!is_file($from)) {
+            continue;
+        }
+        $file = ccm_tools_private_file_name(basename($archive['file'], '.log.gz'), '.log.gz');
+        if (@rename($from, $dir . '/' . $file)) {
+            $index[$i]['file'] = $file;
+        }
+    }
+    update_option('ccm_tools_log_archives', $index, false);
+
+    foreach (array_diff((array) @scandir($old), array('.', '..')) as $file) {
+        @unlink($old . '/' . $file);
+    }
+    @rmdir($old);
+}
+add_action('admin_init', 'ccm_tools_migrate_log_archives', 5); // Before the activity log move, which removes the old folder
+
+/**
+ * Read the last N lines of a gzipped archive
+ *
+ * gzip can't seek backwards, so the archive is streamed and only the last
+ * $max_bytes of uncompressed text are kept.
+ *
+ * @param string $path Archive path
+ * @param int $lines Number of lines wanted
+ * @param int $max_bytes Most uncompressed bytes to keep
+ * @return array {content, start: >0 when older text was dropped, size: uncompressed size}
+ */
+function ccm_tools_tail_log_archive($path, $lines = 100, $max_bytes = 4194304) {
+    $handle = function_exists('gzopen') ? @gzopen($path, 'rb') : false;
+    if (!$handle) {
+        return array('content' => '', 'start' => 0, 'size' => 0);
+    }
+
+    $buffer = '';
+    $size = 0;
+    while (!gzeof($handle)) {
+        $data = gzread($handle, 1048576);
+        if ($data === false || $data === '') {
+            break;
+        }
+        $size += strlen($data);
+        $buffer .= $data;
+        if (strlen($buffer) > 2 * $max_bytes) {
+            $buffer = substr($buffer, -$max_bytes);
+        }
+    }
+    gzclose($handle);
+
+    if (strlen($buffer) > $max_bytes) {
+        $buffer = substr($buffer, -$max_bytes);
+    }
+
+    $all = preg_split('/\r\n|\r|\n/', rtrim($buffer, "\r\n"));
+    $kept = array_slice($all, -$lines);
+    $content = implode("\n", $kept);
+
+    return array(
+        'content' => $content,
+        'start'   => $size - strlen($content),
+        'size'    => $size,
+    );
+}
+
+// ──────────────────────────────────────────────
+// Scheduling
+// ──────────────────────────────────────────────
+
+/**
+ * Schedule the hourly rotation check while rotation is enabled
+ *
+ * @return void
+ */
+function ccm_tools_log_rotation_sync_schedule(): void {
+    $enabled = !empty(ccm_tools_log_rotation_settings()['enabled']);
+    $next = wp_next_scheduled('ccm_tools_log_rotation_check');
+
+    if ($enabled && !$next) {
+        wp_schedule_event(time() + MINUTE_IN_SECONDS, 'hourly', 'ccm_tools_log_rotation_check');
+    } elseif (!$enabled && $next) {
+        wp_clear_scheduled_hook('ccm_tools_log_rotation_check');
+    }
+}
+
+add_action('ccm_tools_log_rotation_check', 'ccm_tools_log_rotation_run');
+
+/**
+ * Rotate every log that passed the size threshold or is due on schedule
+ *
+ * @return array Paths that were rotated
+ */
+function ccm_tools_log_rotation_run(): array {
+    $settings = ccm_tools_log_rotation_settings();
+    if (empty($settings['enabled'])) {
+        return array();
+    }
+
+    $intervals = array('daily' => DAY_IN_SECONDS, 'weekly' => WEEK_IN_SECONDS);
+    $state = (array) get_option('ccm_tools_log_rotation_state', array());
+    $now = time();
+    $rotated = array();
+
+    foreach (ccm_tools_rotatable_log_sources() as $id => $source) {
+        clearstatcache(true, $source['path']);
+        $size = (int) @filesize($source['path']);
+        $reason = '';
+
+        if ($settings['max_size_mb'] > 0 && $size >= $settings['max_size_mb'] * MB_IN_BYTES) {
+            $reason = sprintf('passed %d MB', $settings['max_size_mb']);
+        } elseif (isset($intervals[$settings['schedule']])) {
+            // The schedule starts counting from the first check that sees a log
+            if (empty($state[$id])) {
+                $state[$id] = $now;
+                update_option('ccm_tools_log_rotation_state', $state, false);
+            } elseif ($now - $state[$id] >= $intervals[$settings['schedule']] && $size > 0) {
+                $reason = $settings['schedule'] . ' schedule';
+            }
+        }
+
+        if ($reason !== '' && !is_wp_error(ccm_tools_rotate_log_source($source, $reason))) {
+            $rotated[] = $source['path'];
+            $state = (array) get_option('ccm_tools_log_rotation_state', array());
+        }
+    }
+
+    return $rotated;
+}
+
+// ──────────────────────────────────────────────
+// AJAX handlers
+// ──────────────────────────────────────────────
+
+/**
+ * Settings and archives for the rotation card and the log selector
+ *
+ * @return array
+ */
+function ccm_tools_log_rotation_panel_data(): array {
+    $sources = ccm_tools_get_log_sources();
+    $next = wp_next_scheduled('ccm_tools_log_rotation_check');
+
+    $storage = ccm_tools_private_dir_status();
+
+    return array(
+        'warning'  => $storage['protected'] ? '' : $storage['message'],
+        'settings' => ccm_tools_log_rotation_settings(),
+        'next'     => $next ? sprintf(__('in %s', 'ccm-tools'), human_time_diff($next)) : '',
+        'archives' => array_map(function ($archive) use ($sources) {
+            return array(
+                'id'            => $archive['id'],
+                'path'          => $archive['path'],
+                'file'          => $archive['file'],
+                'source_id'     => $archive['source_id'],
+                'source_label'  => isset($sources[$archive['source_id']]) ? $sources[$archive['source_id']]['label'] : $archive['source_path'],
+                'source_path'   => $archive['source_path'],
+                'created_label' => wp_date('Y-m-d H:i', $archive['created']),
+                'size'          => size_format($archive['size'], 1),
+                'original_size' => size_format($archive['original_size'], 1),
+            );
+        }, ccm_tools_get_log_archives()),
+    );
+}
+
+/**
+ * AJAX handler: rotation settings and archives
+ */
+function ccm_tools_ajax_get_log_rotation() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    wp_send_json_success(ccm_tools_log_rotation_panel_data());
+}
+add_action('wp_ajax_ccm_tools_get_log_rotation', 'ccm_tools_ajax_get_log_rotation');
+
+/**
+ * AJAX handler: save rotation settings
+ */
+function ccm_tools_ajax_save_log_rotation() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $schedule = isset($_POST['schedule']) ? sanitize_key($_POST['schedule']) : 'none';
+    $settings = array(
+        'enabled'     => !empty($_POST['enabled']),
+        'max_size_mb' => isset($_POST['max_size_mb']) ? max(0, min(2048, intval($_POST['max_size_mb']))) : 10,
+        'schedule'    => in_array($schedule, array('none', 'daily', 'weekly'), true) ? $schedule : 'none',
+        'keep'        => isset($_POST['keep']) ? max(1, min(50, intval($_POST['keep']))) : 5,
+    );
+
+    if ($settings['enabled'] && $settings['max_size_mb'] === 0 && $settings['schedule'] === 'none') {
+        wp_send_json_error(array('message' => __('Set a size threshold or a schedule for automatic rotation.', 'ccm-tools')));
+    }
+
+    update_option('ccm_tools_log_rotation', $settings, false);
+    ccm_tools_log_rotation_sync_schedule();
+
+    // A lower "keep" applies straight away
+    foreach (array_unique(wp_list_pluck(ccm_tools_get_log_archives(), 'source_id')) as $source_id) {
+        ccm_tools_prune_log_archives($source_id, $settings['keep']);
+    }
+
+    wp_send_json_success(array_merge(
+        array('message' => __('Log rotation settings saved.', 'ccm-tools')),
+        ccm_tools_log_rotation_panel_data()
+    ));
+}
+add_action('wp_ajax_ccm_tools_save_log_rotation', 'ccm_tools_ajax_save_log_rotation');
+
+/**
+ * AJAX handler: archive the selected log now
+ */
+function ccm_tools_ajax_rotate_log_now() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $log_file_input = isset($_POST['log_file']) ? sanitize_text_field(wp_unslash($_POST['log_file'])) : '';
+    $log_file = ccm_tools_validate_log_file_path($log_file_input);
+    $source = null;
+    foreach (ccm_tools_rotatable_log_sources() as $candidate) {
+        if ($candidate['path'] === $log_file) {
+            $source = $candidate;
+        }
+    }
+    if (!$source) {
+        wp_send_json_error(array('message' => __('This log can\'t be archived from here.', 'ccm-tools')));
+    }
+
+    $archive = ccm_tools_rotate_log_source($source);
+    if (is_wp_error($archive)) {
+        wp_send_json_error(array('message' => $archive->get_error_message()));
+    }
+
+    wp_send_json_success(array_merge(
+        array('message' => sprintf(__('Log archived to %s.', 'ccm-tools'), $archive['file'])),
+        ccm_tools_log_rotation_panel_data()
+    ));
+}
+add_action('wp_ajax_ccm_tools_rotate_log_now', 'ccm_tools_ajax_rotate_log_now');
+
+/**
+ * AJAX handler: delete an archive
+ */
+function ccm_tools_ajax_delete_log_archive() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $id = isset($_POST['id']) ? sanitize_key($_POST['id']) : '';
+    if (!ccm_tools_delete_log_archive($id)) {
+        wp_send_json_error(array('message' => __('Archive not found.', 'ccm-tools')));
+    }
+
+    wp_send_json_success(array_merge(
+        array('message' => __('Archive deleted.', 'ccm-tools')),
+        ccm_tools_log_rotation_panel_data()
+    ));
+}
+add_action('wp_ajax_ccm_tools_delete_log_archive', 'ccm_tools_ajax_delete_log_archive');
+
+// ──────────────────────────────────────────────
+// UI
+// ──────────────────────────────────────────────
+
+/**
+ * Render the Log Rotation card on the error log page
+ *
+ * @return void
+ */
+function ccm_tools_render_log_rotation_card(): void {
+    $settings = ccm_tools_log_rotation_settings();
+    ?>
+    <div class="ccm-card" id="log-rotation-card">
+        <h2><?php _e('Log Rotation & Archives', 'ccm-tools'); ?></h2>
+        <p><?php _e('Archives PHP error logs, debug.log and the CCM Tools activity log to timestamped .gz files and empties them. Apache/Nginx logs are left to the server\'s own logrotate.', 'ccm-tools'); ?></p>
+        <p id="log-rotation-warning" class="ccm-error" hidden></p>
+
+        <form id="log-rotation-form">
+            <table class="form-table">
+                <tr>
+                    <th scope="row"><?php _e('Automatic rotation', 'ccm-tools'); ?></th>
+                    <td>
+                        <label><input type="checkbox" name="enabled" value="1" <?php checked(!empty($settings['enabled'])); ?>> <?php _e('Enabled (checked hourly)', 'ccm-tools'); ?></label>
+                        <span id="log-rotation-next" class="ccm-text-muted"></span>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="log-rotation-size"><?php _e('Rotate when larger than', 'ccm-tools'); ?></label></th>
+                    <td>
+                        <input type="number" id="log-rotation-size" name="max_size_mb" min="0" max="2048" value="<?php echo esc_attr($settings['max_size_mb']); ?>" class="small-text"> MB
+                        <p class="description"><?php _e('0 disables the size trigger.', 'ccm-tools'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="log-rotation-schedule"><?php _e('Also rotate', 'ccm-tools'); ?></label></th>
+                    <td>
+                        <select id="log-rotation-schedule" name="schedule">
+                            <option value="none" <?php selected($settings['schedule'], 'none'); ?>><?php _e('Only by size', 'ccm-tools'); ?></option>
+                            <option value="daily" <?php selected($settings['schedule'], 'daily'); ?>><?php _e('Daily', 'ccm-tools'); ?></option>
+                            <option value="weekly" <?php selected($settings['schedule'], 'weekly'); ?>><?php _e('Weekly', 'ccm-tools'); ?></option>
+                        </select>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="log-rotation-keep"><?php _e('Archives to keep', 'ccm-tools'); ?></label></th>
+                    <td>
+                        <input type="number" id="log-rotation-keep" name="keep" min="1" max="50" value="<?php echo esc_attr($settings['keep']); ?>" class="small-text">
+                        <?php _e('per log (oldest are deleted)', 'ccm-tools'); ?>
+                    </td>
+                </tr>
+            </table>
+            <p><button type="submit" class="ccm-button ccm-button-primary ccm-button-small"><?php _e('Save Rotation Settings', 'ccm-tools'); ?></button></p>
+        </form>
+
+        <h3><?php _e('Archives', 'ccm-tools'); ?></h3>
+        <div class="ccm-table-responsive">
+            <table class="ccm-table" id="log-archives">
+                <thead>
+                    <tr>
+                        <th><?php _e('Log', 'ccm-tools'); ?></th>
+                        <th><?php _e('Archived', 'ccm-tools'); ?></th>
+                        <th><?php _e('Size', 'ccm-tools'); ?></th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr><td colspan="4"><div class="ccm-spinner ccm-spinner-small"></div></td></tr>
+                </tbody>
+            </table>
+        </div>
+    </div>
+    <?php
+}
@@ -0,0 +1,461 @@
+<?php
+/**
+ * CCM Tools — Log Sources
+ *
+ * Every log the Error Log viewer can show: PHP error logs, the WordPress
+ * debug.log, readable Apache/Nginx error logs and the CCM Tools activity
+ * log. Each source type has its own parser that produces the same entry
+ * structure as ccm_tools_parse_error_log(), with Unix timestamps, so
+ * entries from different sources can be merged into one timeline.
+ *
+ * @package CCMTools
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// ──────────────────────────────────────────────
+// Source discovery
+// ──────────────────────────────────────────────
+
+/**
+ * Well-known Apache and Nginx error log paths
+ *
+ * @return array type => list of paths
+ */
+function ccm_tools_server_log_candidates(): array {
+    return array(
+        'apache' => array(
+            '/var/log/apache2/error.log',
+            '/var/log/apache2/error_log',
+            '/var/log/httpd/error_log',
+            '/var/log/httpd-error.log',
+            '/usr/local/apache/logs/error_log',
+            '/usr/local/apache2/logs/error_log',
+            dirname(ABSPATH) . '/logs/apache_error.log',
+        ),
+        'nginx' => array(
+            '/var/log/nginx/error.log',
+            '/usr/local/nginx/logs/error.log',
+            dirname(ABSPATH) . '/logs/nginx_error.log',
+        ),
+    );
+}
+
+/**
+ * Path WordPress writes debug.log to (WP_DEBUG_LOG may be a custom path)
+ *
+ * @return string
+ */
+function ccm_tools_wp_debug_log_path(): string {
+    if (defined('WP_DEBUG_LOG') && is_string(WP_DEBUG_LOG) && !in_array(strtolower(WP_DEBUG_LOG), array('', '0', '1', 'true', 'false'), true)) {
+        return WP_DEBUG_LOG;
+    }
+    return WP_CONTENT_DIR . '/debug.log';
+}
+
+/**
+ * All readable log sources, keyed by a stable short ID
+ *
+ * PHP error logs come first so the viewer's default stays the same.
+ *
+ * @return array id => {id, type: php|wp_debug|apache|nginx|ccm, label, path}
+ */
+function ccm_tools_get_log_sources(): array {
+    $sources = array();
+    $labels = array(
+        'php'      => __('PHP error log', 'ccm-tools'),
+        'wp_debug' => __('WordPress debug.log', 'ccm-tools'),
+        'apache'   => __('Apache error log', 'ccm-tools'),
+        'nginx'    => __('Nginx error log', 'ccm-tools'),
+        'ccm'      => __('CCM Tools activity', 'ccm-tools'),
+    );
+
+    $add = function ($path, $type) use (&$sources, $labels) {
+        // Server logs are often outside open_basedir; stay quiet about it
+        $real_path = @realpath($path);
+        if (!$real_path || !@is_file($real_path) || !@is_readable($real_path)) {
+            return;
+        }
+        foreach ($sources as $source) {
+            if ($source['path'] === $real_path) {
+                return;
+            }
+        }
+        $id = substr(md5($real_path), 0, 10);
+        $sources[$id] = array(
+            'id'    => $id,
+            'type'  => $type,
+            'label' => $labels[$type],
+            'path'  => $real_path,
+        );
+    };
+
+    $debug_log = @realpath(ccm_tools_wp_debug_log_path());
+    foreach (ccm_tools_get_error_log_locations() as $path) {
+        $add($path, $path === $debug_log ? 'wp_debug' : 'php');
+    }
+    $add(ccm_tools_wp_debug_log_path(), 'wp_debug');
+
+    foreach (ccm_tools_server_log_candidates() as $type => $paths) {
+        foreach ($paths as $path) {
+            $add($path, $type);
+        }
+    }
+
+    $add(ccm_tools_activity_log_path(), 'ccm');
+
+    return $sources;
+}
+
+/**
+ * Find the source a validated path belongs to
+ *
+ * @param string $path Absolute path
+ * @return array|null Source, or null when it isn't a known log
+ */
+function ccm_tools_get_log_source_by_path($path) {
+    foreach (ccm_tools_get_log_sources() as $source) {
+        if ($source['path'] === $path) {
+            return $source;
+        }
+    }
+    return null;
+}
+
+// ──────────────────────────────────────────────
+// Parsers
+// ──────────────────────────────────────────────
+
+/**
+ * Parse log text with the parser for its source type
+ *
+ * @param string $content Raw log text
+ * @param string $type Source type
+ * @return array Entries (see ccm_tools_parse_error_log())
+ */
+function ccm_tools_parse_log_content($content, $type) {
+    switch ($type) {
+        case 'apache':
+            return ccm_tools_parse_server_error_log($content, 'apache');
+        case 'nginx':
+            return ccm_tools_parse_server_error_log($content, 'nginx');
+        case 'ccm':
+            return ccm_tools_parse_activity_log($content);
+        default:
+            return ccm_tools_parse_error_log($content);
+    }
+}
+
+/**
+ * Timezone the web server writes its logs in
+ *
+ * WordPress forces PHP's default timezone to UTC, so use the configured
+ * date.timezone or the system zone instead; Apache and Nginx log local time.
+ *
+ * @return DateTimeZone
+ */
+function ccm_tools_server_log_timezone(): DateTimeZone {
+    static $timezone = null;
+    if ($timezone) {
+        return $timezone;
+    }
+
+    $candidates = array(ini_get('date.timezone'));
+    if (@is_readable('/etc/timezone')) {
+        $candidates[] = trim((string) @file_get_contents('/etc/timezone'));
+    }
+
+    foreach ($candidates as $name) {
+        if ($name && in_array($name, timezone_identifiers_list(), true)) {
+            return $timezone = new DateTimeZone($name);
+        }
+    }
+
+    return $timezone = new DateTimeZone('UTC');
+}
+
+/**
+ * Map an Apache/Nginx log level to a severity
+ *
+ * @param string $level e.g. "crit", "error", "warn", "notice", "trace3"
+ * @return string fatal | error | warning | notice | info
+ */
+function ccm_tools_server_log_severity($level) {
+    $level = strtolower($level);
+    if (in_array($level, array('emerg', 'alert', 'crit'), true)) {
+        return 'fatal';
+    }
+    if ($level === 'error') {
+        return 'error';
+    }
+    if (strpos($level, 'warn') === 0) {
+        return 'warning';
+    }
+    if ($level === 'notice') {
+        return 'notice';
+    }
+    return 'info';
+}
+
+/**
+ * Parse an Apache or Nginx error log
+ *
+ * Apache: [Sun Oct 19 01:02:03.123456 2026] [proxy_fcgi:error] [pid 12] [client 1.2.3.4:5] AH01071: ...
+ * Nginx:  2026/10/19 01:02:03 [error] 12#12: *34 FastCGI sent in stderr: "PHP message: ..." while ...
+ *
+ * PHP errors relayed through FastCGI are unwrapped so they get their PHP
+ * severity, file and line.
+ *
+ * @param string $content Raw log text
+ * @param string $type apache | nginx
+ * @return array Entries
+ */
+function ccm_tools_parse_server_error_log($content, $type) {
+    $entries = array();
+    $current = null;
+    $timezone = ccm_tools_server_log_timezone();
+
+    $pattern = $type === 'nginx'
+        ? '/^(\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2}) \[(\w+)\] (?:\d+#\d+: )?(?:\*\d+ )?(.*)$/'
+        : '/^\[([A-Z][a-z]{2} [A-Z][a-z]{2} +\d{1,2} \d{2}:\d{2}:\d{2}(?:\.\d+)? \d{4})\] \[(?:[\w-]+:)?(\w+)\] (?:\[pid \d+(?::tid \d+)?\] )?(.*)$/';
+
+    foreach (preg_split('/\r\n|\r|\n/', (string) $content) as $text) {
+        if (trim($text) === '') {
+            continue;
+        }
+
+        if (preg_match($pattern, $text, $m)) {
+            if ($current) {
+                $entries[] = ccm_tools_build_server_log_entry($current);
+            }
+            $stamp = preg_replace(array('/\.\d+/', '/\s+/'), array('', ' '), $m[1]);
+            $dt = DateTime::createFromFormat($type === 'nginx' ? 'Y/m/d H:i:s' : 'D M j H:i:s Y', $stamp, $timezone);
+            $current = array(
+                'time'    => $dt ? $dt->getTimestamp() : 0,
+                'level'   => $m[2],
+                'message' => $m[3],
+                'stack'   => array(),
+            );
+            continue;
+        }
+
+        // Multi-line PHP messages relayed by FastCGI
+        if ($current) {
+            if (preg_match('/^\s*(#\d+\s.*)$/', $text, $frame)) {
+                $current['stack'][] = $frame[1];
+            } elseif (!preg_match('/^\s*(PHP )?Stack trace:\s*$/', $text)) {
+                $current['message'] .= "\n" . rtrim($text);
+            }
+        }
+    }
+
+    if ($current) {
+        $entries[] = ccm_tools_build_server_log_entry($current);
+    }
+
+    return $entries;
+}
+
+/**
+ * Build a viewer entry from one Apache/Nginx log record
+ *
+ * @param array $raw {time, level, message, stack}
+ * @return array Structured entry
+ */
+function ccm_tools_build_server_log_entry($raw) {
+    $message = $raw['message'];
+
+    // "... PHP message: PHP Fatal error:  Uncaught ..." → a regular PHP entry
+    if (preg_match('/(?:PHP message: )?(PHP [A-Za-z ]+?:\s.*)$/s', $message, $php)) {
+        $body = preg_split('/"\s+while\s|\'?,\s+referer:\s|,\s+client:\s/', $php[1])[0];
+        $entry = ccm_tools_build_log_entry(array(
+            'time'   => $raw['time'],
+            'body'   => rtrim($body, "'\" \n"),
+            'stack'  => $raw['stack'],
+            'extra'  => array(),
+            'thrown' => null,
+        ));
+        if (ccm_tools_log_severity($entry['type']) !== 'info') {
+            return $entry;
+        }
+    }
+
+    return ccm_tools_make_log_entry(
+        $raw['time'],
+        ccm_tools_server_log_severity($raw['level']),
+        $raw['level'],
+        $message,
+        '',
+        0,
+        $raw['stack']
+    );
+}
+
+/**
+ * Parse the CCM Tools activity log
+ *
+ * Format: [2026-10-19T01:02:03+00:00] INFO htaccess admin: Message
+ *
+ * @param string $content Raw log text
+ * @return array Entries
+ */
+function ccm_tools_parse_activity_log($content) {
+    $entries = array();
+    $levels = array('INFO' => 'info', 'NOTICE' => 'notice', 'WARNING' => 'warning', 'ERROR' => 'error');
+
+    foreach (preg_split('/\r\n|\r|\n/', (string) $content) as $text) {
+        if (!preg_match('/^\[([^\]]+)\] ([A-Z]+) (\S+) (\S+): (.*)$/', $text, $m)) {
+            continue;
+        }
+        $time = strtotime($m[1]);
+        $entries[] = ccm_tools_make_log_entry(
+            $time ?: 0,
+            $levels[$m[2]] ?? 'info',
+            $m[3],
+            sprintf('[%s] %s — %s', $m[3], $m[5], $m[4])
+        );
+    }
+
+    return $entries;
+}
+
+// ──────────────────────────────────────────────
+// Merged timeline
+// ──────────────────────────────────────────────
+
+/**
+ * Tag entries with their source, inherit timestamps for untimed entries and
+ * merge several sources into one list ordered by time
+ *
+ * @param array $batches source id => list of entries
+ * @return array Entries, oldest first
+ */
+function ccm_tools_merge_log_entries(array $batches) {
+    $merged = array();
+    $seq = 0;
+
+    foreach ($batches as $source_id => $entries) {
+        $last_time = 0;
+        foreach ($entries as $entry) {
+            $entry['source'] = $source_id;
+            if ($entry['time']) {
+                $last_time = $entry['time'];
+            }
+            // Untimed entries sort right after the entry above them
+            $merged[] = array($entry['time'] ?: $last_time, $seq++, $entry);
+        }
+    }
+
+    usort($merged, function ($a, $b) {
+        return $a[0] <=> $b[0] ?: $a[1] <=> $b[1];
+    });
+
+    return array_column($merged, 2);
+}
+
+// ──────────────────────────────────────────────
+// CCM Tools activity log
+// ──────────────────────────────────────────────
+
+/**
+ * CCM Tools' own log folder in private storage, optionally a subfolder of it
+ *
+ * @param string $subdir Optional subfolder, e.g. "archive"
+ * @return string Path without trailing slash
+ */
+function ccm_tools_logs_dir(string $subdir = ''): string {
+    return ccm_tools_private_root() . '/logs' . ($subdir !== '' ? '/' . $subdir : '');
+}
+
+/**
+ * Path of the activity log
+ *
+ * It records logins, so it lives in private storage rather than at a fixed
+ * uploads URL (see private-storage.php).
+ *
+ * @return string
+ */
+function ccm_tools_activity_log_path(): string {
+    return ccm_tools_logs_dir() . '/activity.log';
+}
+
+/**
+ * Move the activity log written by an earlier version out of uploads
+ *
+ * @return void
+ */
+function ccm_tools_migrate_activity_log(): void {
+    $upload_dir = wp_upload_dir(null, false);
+    $old = trailingslashit($upload_dir['basedir']) . 'ccm-tools/logs';
+    if (!is_dir($old)) {
+        return;
+    }
+
+    $file = ccm_tools_activity_log_path();
+    if (!ccm_tools_ensure_protected_dir(dirname($file))) {
+        return;
+    }
+    foreach (array('', '.1') as $suffix) {
+        if (!is_file($old . '/activity.log' . $suffix)) {
+            continue;
+        }
+        if (!is_file($file . $suffix) && @rename($old . '/activity.log' . $suffix, $file . $suffix)) {
+            continue;
+        }
+        // Already written to in the new place: prepend the old entries
+        $merged = @file_get_contents($old . '/activity.log' . $suffix) . @file_get_contents($file . $suffix);
+        if (@file_put_contents($file . $suffix, $merged, LOCK_EX) !== false) {
+            @unlink($old . '/activity.log' . $suffix);
+        }
+    }
+
+    // Drop the old folder once nothing else (such as archives) is left in it
+    $left = array_diff((array) @scandir($old), array('.', '..', '.htaccess', 'index.php'));
+    if (empty($left)) {
+        @unlink($old . '/.htaccess');
+        @unlink($old . '/index.php');
+        @rmdir($old);
+    }
+}
+add_action('admin_init', 'ccm_tools_migrate_activity_log');
+
+/**
+ * Record something CCM Tools did, for the Error Log viewer's activity source
+ *
+ * @param string $action Short area key, e.g. "htaccess", "debug", "optimize"
+ * @param string $message What happened
+ * @param string $level INFO | NOTICE | WARNING | ERROR
+ * @return void
+ */
+function ccm_tools_log_activity(string $action, string $message, string $level = 'INFO'): void {
+    $file = ccm_tools_activity_log_path();
+    if (!ccm_tools_ensure_protected_dir(dirname($file))) {
+        return;
+    }
+
+    // Keep one previous generation once the log passes 5 MB
+    clearstatcache(true, $file);
+    if (@filesize($file) > 5 * MB_IN_BYTES) {
+        @rename($file, $file . '.1');
+    }
+
+    $user = wp_get_current_user();
+    if ($user && $user->exists()) {
+        $actor = $user->user_login;
+    } else {
+        $actor = wp_doing_cron() ? 'cron' : 'system';
+    }
+
+    $line = sprintf(
+        "[%s] %s %s %s: %s\n",
+        gmdate('c'),
+        strtoupper($level),
+        sanitize_key($action),
+        preg_replace('/\s+/', '_', $actor),
+        preg_replace('/\s+/', ' ', trim(wp_strip_all_tags($message)))
+    );
+
+    @file_put_contents($file, $line, FILE_APPEND | LOCK_EX);
+}
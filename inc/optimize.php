@@ -613,6 +613,46 @@ function ccm_tools_run_selected_optimizations($selected_options) {
     return $results;
 }
 
+/**
+ * Run one optimization task and record it in the activity log
+ * Shared by the progressive runner on the Database page and scheduled maintenance jobs
+ * 
+ * @param string $task   Optimization option key
+ * @param string $prefix Optional prefix for the activity log message (e.g. the job name)
+ * @return array|WP_Error Task result (task, label, success, message, count) or error for invalid/premium tasks
+ */
+function ccm_tools_run_optimization_task($task, $prefix = '') {
+    $available = ccm_tools_get_optimization_options();
+    if (!isset($available[$task])) {
+        return new WP_Error('invalid_task', sprintf(__('Invalid optimization task: %s', 'ccm-tools'), $task));
+    }
+    
+    // Block premium options for non-premium users
+    if (!empty($available[$task]['premium'])) {
+        $is_premium = function_exists('ccm_tools_is_premium') && ccm_tools_is_premium();
+        if (!$is_premium) {
+            return new WP_Error('premium_task', __('This optimization requires a premium subscription.', 'ccm-tools'));
+        }
+    }
+    
+    $results = ccm_tools_run_selected_optimizations(array($task));
+    $result = isset($results[$task]) ? $results[$task] : array('success' => false, 'message' => 'Task not executed');
+    
+    ccm_tools_log_activity(
+        'optimize',
+        $prefix . $available[$task]['label'] . ': ' . (isset($result['message']) ? $result['message'] : ''),
+        !empty($result['success']) ? 'INFO' : 'WARNING'
+    );
+    
+    return array(
+        'task' => $task,
+        'label' => $available[$task]['label'],
+        'success' => !empty($result['success']),
+        'message' => isset($result['message']) ? $result['message'] : '',
+        'count' => isset($result['count']) ? $result['count'] : 0
+    );
+}
+
 /**
  * Clear expired transients
  */
@@ -1370,4 +1410,840 @@ function ccm_tools_get_optimization_stats() {
     }
     
     return $stats;
-}
\ No newline at end of file
+}
+
+/**
+ * Dry-run an optimization task
+ *
+ * Counts the rows the task would delete or the tables it would modify, estimates
+ * the data size reclaimed and returns sample records. Nothing is changed.
+ *
+ * @param string $option Optimization option key
+ * @param int    $limit  Number of sample records to return
+ * @return array Preview with action, count, bytes, related, columns, samples and note
+ */
+function ccm_tools_preview_optimization($option, $limit = 10) {
+    $function_name = 'ccm_tools_preview_' . $option;
+    if (!function_exists($function_name)) {
+        return ccm_tools_preview_result('modify', 0, 0, array(), array(), __('No preview available for this task.', 'ccm-tools'));
+    }
+    
+    return call_user_func($function_name, max(1, min(50, (int) $limit)));
+}
+
+/**
+ * Build a preview result array
+ */
+function ccm_tools_preview_result($action, $count, $bytes, $columns, $samples, $note = '', $related = array()) {
+    return array(
+        'action' => $action,
+        'count' => (int) $count,
+        'bytes' => (int) $bytes,
+        'related' => $related,
+        'columns' => $columns,
+        'samples' => $samples,
+        'note' => $note
+    );
+}
+
+/**
+ * Count the rows matched by a dry-run query, sum their data size and fetch samples
+ *
+ * @param string $from   FROM ... WHERE clause (already prepared)
+ * @param string $bytes  SQL expression for the data size of one row
+ * @param string $select Columns for the sample rows
+ * @param string $order  ORDER BY expression for the samples
+ * @param int    $limit  Number of sample rows
+ * @return array count, bytes and sample rows
+ */
+function ccm_tools_preview_query($from, $bytes, $select, $order, $limit) {
+    global $wpdb;
+    
+    $totals = $wpdb->get_row("SELECT COUNT(*) AS total, COALESCE(SUM({$bytes}), 0) AS bytes {$from}");
+    $count = $totals ? (int) $totals->total : 0;
+    
+    return array(
+        'count' => $count,
+        'bytes' => $totals ? (int) $totals->bytes : 0,
+        'rows' => $count > 0 ? $wpdb->get_results("SELECT {$select} {$from} ORDER BY {$order} LIMIT " . (int) $limit, ARRAY_A) : array()
+    );
+}
+
+/**
+ * SQL expression for the data size of a meta row
+ */
+function ccm_tools_preview_meta_bytes($alias = '') {
+    $prefix = $alias ? $alias . '.' : '';
+    return "COALESCE(LENGTH({$prefix}meta_key), 0) + COALESCE(LENGTH({$prefix}meta_value), 0)";
+}
+
+/**
+ * SQL expression for the data size of a comment row
+ */
+function ccm_tools_preview_comment_bytes() {
+    return 'LENGTH(comment_content) + LENGTH(comment_author) + LENGTH(comment_author_email) + LENGTH(comment_author_url) + LENGTH(comment_agent)';
+}
+
+/**
+ * Preview deleting a set of posts along with the rows that are removed with them
+ *
+ * @param array $post_ids   Post IDs the task would delete
+ * @param int   $limit      Number of sample posts
+ * @param bool  $with_terms Whether term relationships and comments are removed too
+ * @return array Preview result
+ */
+function ccm_tools_preview_posts($post_ids, $limit, $with_terms = false) {
+    global $wpdb;
+    
+    $post_ids = array_map('intval', $post_ids);
+    $bytes = 0;
+    $related = array(
+        'postmeta' => array('label' => __('postmeta rows', 'ccm-tools'), 'count' => 0, 'bytes' => 0)
+    );
+    if ($with_terms) {
+        $related['relationships'] = array('label' => __('term relationships', 'ccm-tools'), 'count' => 0, 'bytes' => 0);
+        $related['comments'] = array('label' => __('comments', 'ccm-tools'), 'count' => 0, 'bytes' => 0);
+    }
+    
+    // Chunk the ID list so large revision sets don't hit max_allowed_packet
+    foreach (array_chunk($post_ids, 1000) as $chunk) {
+        $ids_placeholder = implode(',', $chunk);
+        
+        $bytes += (int) $wpdb->get_var("SELECT COALESCE(SUM(LENGTH(post_title) + LENGTH(post_content) + LENGTH(post_excerpt)), 0) FROM {$wpdb->posts} WHERE ID IN ({$ids_placeholder})");
+        
+        $meta = $wpdb->get_row("SELECT COUNT(*) AS total, COALESCE(SUM(" . ccm_tools_preview_meta_bytes() . "), 0) AS bytes FROM {$wpdb->postmeta} WHERE post_id IN ({$ids_placeholder})");
+        $related['postmeta']['count'] += (int) $meta->total;
+        $related['postmeta']['bytes'] += (int) $meta->bytes;
+        
+        if ($with_terms) {
+            $related['relationships']['count'] += (int) $wpdb->get_var("SELECT COUNT(*) FROM {$wpdb->term_relationships} WHERE object_id IN ({$ids_placeholder})");
+            
+            $comments = $wpdb->get_row("SELECT COUNT(*) AS total, COALESCE(SUM(" . ccm_tools_preview_comment_bytes() . "), 0) AS bytes FROM {$wpdb->comments} WHERE comment_post_ID IN ({$ids_placeholder})");
+            $related['comments']['count'] += (int) $comments->total;
+            $related['comments']['bytes'] += (int) $comments->bytes;
+        }
+    }
+    
+    $samples = array();
+    $sample_ids = array_slice($post_ids, 0, $limit);
+    if (!empty($sample_ids)) {
+        $rows = $wpdb->get_results(
+            "SELECT ID, post_title, post_type, post_parent, post_modified, LENGTH(post_content) AS content_length FROM {$wpdb->posts} WHERE ID IN (" . implode(',', $sample_ids) . ") ORDER BY post_modified DESC",
+            ARRAY_A
+        );
+        foreach ($rows as $row) {
+            $samples[] = array(
+                $row['ID'],
+                $row['post_title'] !== '' ? wp_html_excerpt($row['post_title'], 80, '…') : __('(no title)', 'ccm-tools'),
+                $row['post_type'] === 'revision' ? sprintf(__('revision of #%d', 'ccm-tools'), $row['post_parent']) : $row['post_type'],
+                $row['post_modified'],
+                size_format((int) $row['content_length'])
+            );
+        }
+    }
+    
+    $related_total = array_sum(wp_list_pluck($related, 'bytes'));
+    
+    return ccm_tools_preview_result(
+        'delete',
+        count($post_ids),
+        $bytes + $related_total,
+        array(__('ID', 'ccm-tools'), __('Title', 'ccm-tools'), __('Type', 'ccm-tools'), __('Modified', 'ccm-tools'), __('Content', 'ccm-tools')),
+        $samples,
+        '',
+        array_values($related)
+    );
+}
+
+/**
+ * Preview deleting comments matching a WHERE clause (plus their commentmeta)
+ */
+function ccm_tools_preview_comments($where, $limit) {
+    global $wpdb;
+    
+    $result = ccm_tools_preview_query(
+        "FROM {$wpdb->comments} WHERE {$where}",
+        ccm_tools_preview_comment_bytes(),
+        'comment_ID, comment_author, comment_author_email, comment_date, comment_content',
+        'comment_date DESC',
+        $limit
+    );
+    
+    $meta = $wpdb->get_row("SELECT COUNT(*) AS total, COALESCE(SUM(" . ccm_tools_preview_meta_bytes() . "), 0) AS bytes FROM {$wpdb->commentmeta} WHERE comment_id IN (SELECT comment_ID FROM {$wpdb->comments} WHERE {$where})");
+    
+    $samples = array();
+    foreach ($result['rows'] as $row) {
+        $samples[] = array(
+            $row['comment_ID'],
+            $row['comment_author'] . ($row['comment_author_email'] !== '' ? ' <' . $row['comment_author_email'] . '>' : ''),
+            $row['comment_date'],
+            wp_html_excerpt($row['comment_content'], 100, '…')
+        );
+    }
+    
+    return ccm_tools_preview_result(
+        'delete',
+        $result['count'],
+        $result['bytes'] + (int) $meta->bytes,
+        array(__('ID', 'ccm-tools'), __('Author', 'ccm-tools'), __('Date', 'ccm-tools'), __('Comment', 'ccm-tools')),
+        $samples,
+        '',
+        array(array('label' => __('commentmeta rows', 'ccm-tools'), 'count' => (int) $meta->total, 'bytes' => (int) $meta->bytes))
+    );
+}
+
+/**
+ * Preview deleting meta rows matched by a FROM ... WHERE clause
+ *
+ * @param string $from      FROM ... WHERE clause; the meta table must be aliased as m
+ * @param string $object_id Object ID column of the meta table
+ * @param int    $limit     Number of sample rows
+ * @param string $note      Note shown with the preview
+ * @param string $meta_id   Primary key column of the meta table (umeta_id for usermeta)
+ */
+function ccm_tools_preview_meta_rows($from, $object_id, $limit, $note = '', $meta_id = 'meta_id') {
+    $result = ccm_tools_preview_query(
+        $from,
+        ccm_tools_preview_meta_bytes('m'),
+        "m.{$meta_id} AS meta_id, m.{$object_id} AS object_id, m.meta_key, " . ccm_tools_preview_meta_bytes('m') . ' AS bytes, LEFT(m.meta_value, 100) AS meta_value',
+        "m.{$meta_id} DESC",
+        $limit
+    );
+    
+    $samples = array();
+    foreach ($result['rows'] as $row) {
+        $samples[] = array(
+            $row['meta_id'],
+            $row['object_id'],
+            $row['meta_key'],
+            wp_html_excerpt((string) $row['meta_value'], 80, '…'),
+            size_format((int) $row['bytes'])
+        );
+    }
+    
+    return ccm_tools_preview_result(
+        'delete',
+        $result['count'],
+        $result['bytes'],
+        array(__('Meta ID', 'ccm-tools'), __('Object ID', 'ccm-tools'), __('Key', 'ccm-tools'), __('Value', 'ccm-tools'), __('Size', 'ccm-tools')),
+        $samples,
+        $note
+    );
+}
+
+/**
+ * Preview: clear all transients
+ */
+function ccm_tools_preview_clear_transients($limit) {
+    global $wpdb;
+    
+    $where = $wpdb->prepare(
+        "(option_name LIKE %s ESCAPE '\\\\' OR option_name LIKE %s ESCAPE '\\\\')",
+        '\\_transient\\_%',
+        '\\_site\\_transient\\_%'
+    );
+    
+    $result = ccm_tools_preview_query(
+        "FROM {$wpdb->options} WHERE {$where}",
+        'LENGTH(option_name) + LENGTH(option_value)',
+        'option_name, autoload, LENGTH(option_value) AS bytes',
+        'LENGTH(option_value) DESC',
+        $limit
+    );
+    
+    $samples = array();
+    foreach ($result['rows'] as $row) {
+        $samples[] = array($row['option_name'], $row['autoload'], size_format((int) $row['bytes']));
+    }
+    
+    $related = array();
+    if (is_multisite() && !empty($wpdb->sitemeta)) {
+        $network = $wpdb->get_row($wpdb->prepare(
+            "SELECT COUNT(*) AS total, COALESCE(SUM(" . ccm_tools_preview_meta_bytes() . "), 0) AS bytes FROM {$wpdb->sitemeta} WHERE meta_key LIKE %s ESCAPE '\\\\'",
+            '\\_site\\_transient\\_%'
+        ));
+        $related[] = array('label' => __('network transients (sitemeta)', 'ccm-tools'), 'count' => (int) $network->total, 'bytes' => (int) $network->bytes);
+        $result['bytes'] += (int) $network->bytes;
+    }
+    
+    return ccm_tools_preview_result(
+        'delete',
+        $result['count'],
+        $result['bytes'],
+        array(__('Option', 'ccm-tools'), __('Autoload', 'ccm-tools'), __('Size', 'ccm-tools')),
+        $samples,
+        __('Includes active transients and their timeout rows. Plugins rebuild them on demand, and the object cache is flushed too.', 'ccm-tools'),
+        $related
+    );
+}
+
+/**
+ * Preview: optimize fragmented tables
+ */
+function ccm_tools_preview_optimize_tables($limit) {
+    global $wpdb;
+    
+    $frag_condition = ccm_tools_optimize_fragmentation_condition();
+    $tables = $wpdb->get_results(
+        "SELECT TABLE_NAME, ENGINE, DATA_LENGTH + INDEX_LENGTH AS size, DATA_FREE FROM information_schema.tables WHERE TABLE_SCHEMA = DATABASE() AND {$frag_condition} ORDER BY DATA_FREE DESC",
+        ARRAY_A
+    );
+    
+    $samples = array();
+    foreach (array_slice($tables, 0, $limit) as $table) {
+        $samples[] = array($table['TABLE_NAME'], $table['ENGINE'], size_format((int) $table['size']), size_format((int) $table['DATA_FREE']));
+    }
+    
+    return ccm_tools_preview_result(
+        'modify',
+        count($tables),
+        array_sum(array_map('intval', wp_list_pluck($tables, 'DATA_FREE'))),
+        array(__('Table', 'ccm-tools'), __('Engine', 'ccm-tools'), __('Size', 'ccm-tools'), __('Overhead', 'ccm-tools')),
+        $samples,
+        __('OPTIMIZE TABLE rebuilds each table and returns its overhead to the filesystem. No rows are changed.', 'ccm-tools')
+    );
+}
+
+/**
+ * Preview: convert tables to InnoDB
+ */
+function ccm_tools_preview_convert_innodb($limit) {
+    global $wpdb;
+    
+    $tables = $wpdb->get_results(
+        "SELECT TABLE_NAME, ENGINE, TABLE_ROWS, DATA_LENGTH + INDEX_LENGTH AS size FROM information_schema.tables WHERE TABLE_SCHEMA = DATABASE() AND ENGINE != 'InnoDB' ORDER BY TABLE_NAME",
+        ARRAY_A
+    );
+    
+    $samples = array();
+    foreach (array_slice($tables, 0, $limit) as $table) {
+        $samples[] = array($table['TABLE_NAME'], $table['ENGINE'] . ' → InnoDB', number_format_i18n((int) $table['TABLE_ROWS']), size_format((int) $table['size']));
+    }
+    
+    return ccm_tools_preview_result(
+        'modify',
+        count($tables),
+        0,
+        array(__('Table', 'ccm-tools'), __('Engine', 'ccm-tools'), __('Rows', 'ccm-tools'), __('Size', 'ccm-tools')),
+        $samples,
+        __('Tables are rebuilt with ALTER TABLE. Large tables lock while they convert.', 'ccm-tools')
+    );
+}
+
+/**
+ * Preview: update table collations
+ */
+function ccm_tools_preview_update_collation($limit) {
+    global $wpdb;
+    
+    $collation = ccm_tools_get_appropriate_collation_optimize();
+    $tables = $wpdb->get_results(
+        $wpdb->prepare(
+            "SELECT TABLE_NAME, TABLE_COLLATION, TABLE_ROWS FROM information_schema.tables WHERE TABLE_SCHEMA = DATABASE() AND TABLE_TYPE = 'BASE TABLE' AND (TABLE_COLLATION IS NULL OR TABLE_COLLATION != %s) ORDER BY TABLE_NAME",
+            $collation
+        ),
+        ARRAY_A
+    );
+    
+    $samples = array();
+    foreach (array_slice($tables, 0, $limit) as $table) {
+        $samples[] = array($table['TABLE_NAME'], ($table['TABLE_COLLATION'] ?: '?') . ' → ' . $collation, number_format_i18n((int) $table['TABLE_ROWS']));
+    }
+    
+    return ccm_tools_preview_result(
+        'modify',
+        count($tables),
+        0,
+        array(__('Table', 'ccm-tools'), __('Collation', 'ccm-tools'), __('Rows', 'ccm-tools')),
+        $samples,
+        __('Every text column is converted to utf8mb4 in place. Row data is kept.', 'ccm-tools')
+    );
+}
+
+/**
+ * Preview: delete spam comments
+ */
+function ccm_tools_preview_clean_spam_comments($limit) {
+    return ccm_tools_preview_comments("comment_approved = 'spam'", $limit);
+}
+
+/**
+ * Preview: delete trashed comments older than 30 days
+ */
+function ccm_tools_preview_clean_trashed_comments($limit) {
+    global $wpdb;
+    
+    return ccm_tools_preview_comments(
+        $wpdb->prepare("comment_approved = 'trash' AND comment_date < %s", gmdate('Y-m-d H:i:s', strtotime('-30 days'))),
+        $limit
+    );
+}
+
+/**
+ * Preview: delete trashed posts older than 30 days
+ */
+function ccm_tools_preview_clean_trashed_posts($limit) {
+    global $wpdb;
+    
+    $post_ids = $wpdb->get_col(
+        $wpdb->prepare(
+            "SELECT ID FROM {$wpdb->posts} WHERE post_status = 'trash' AND post_modified < %s ORDER BY post_modified DESC",
+            gmdate('Y-m-d H:i:s', strtotime('-30 days'))
+        )
+    );
+    
+    return ccm_tools_preview_posts($post_ids, $limit, true);
+}
+
+/**
+ * Preview: delete auto-drafts older than 7 days
+ */
+function ccm_tools_preview_clean_auto_drafts($limit) {
+    global $wpdb;
+    
+    $post_ids = $wpdb->get_col(
+        $wpdb->prepare(
+            "SELECT ID FROM {$wpdb->posts} WHERE post_status = 'auto-draft' AND post_modified < %s ORDER BY post_modified DESC",
+            gmdate('Y-m-d H:i:s', strtotime('-7 days'))
+        )
+    );
+    
+    return ccm_tools_preview_posts($post_ids, $limit);
+}
+
+/**
+ * Preview an index task: the index added and any meta_key indexes it replaces
+ */
+function ccm_tools_preview_meta_index($table, $limit) {
+    global $wpdb;
+    
+    $index_name = 'ccm_meta_key';
+    $index_length = ccm_tools_get_safe_index_length();
+    $samples = array(array($index_name, sprintf('meta_key(%d)', $index_length), __('Add', 'ccm-tools')));
+    
+    if ($wpdb->get_var($wpdb->prepare("SHOW TABLES LIKE %s", $table))) {
+        // ccm_tools_add_meta_index() drops every other non-primary index on meta_key
+        foreach ($wpdb->get_results("SHOW INDEX FROM `{$table}` WHERE Column_name = 'meta_key'") as $index) {
+            if ($index->Key_name === 'PRIMARY') {
+                continue;
+            }
+            if ($index->Key_name === $index_name && $index->Sub_part == $index_length) {
+                $samples = array();
+                break;
+            }
+            $samples[] = array($index->Key_name, 'meta_key' . ($index->Sub_part ? '(' . $index->Sub_part . ')' : ''), __('Drop', 'ccm-tools'));
+        }
+    }
+    
+    return ccm_tools_preview_result(
+        'index',
+        count($samples),
+        0,
+        array(__('Index', 'ccm-tools'), __('Columns', 'ccm-tools'), __('Change', 'ccm-tools')),
+        array_slice($samples, 0, $limit),
+        sprintf(__('Schema change on %s. No rows are deleted.', 'ccm-tools'), $table)
+    );
+}
+
+/**
+ * Preview: add postmeta index
+ */
+function ccm_tools_preview_add_postmeta_index($limit) {
+    global $wpdb;
+    return ccm_tools_preview_meta_index($wpdb->postmeta, $limit);
+}
+
+/**
+ * Preview: add usermeta index
+ */
+function ccm_tools_preview_add_usermeta_index($limit) {
+    global $wpdb;
+    return ccm_tools_preview_meta_index($wpdb->usermeta, $limit);
+}
+
+/**
+ * Preview: add commentmeta index
+ */
+function ccm_tools_preview_add_commentmeta_index($limit) {
+    global $wpdb;
+    return ccm_tools_preview_meta_index($wpdb->commentmeta, $limit);
+}
+
+/**
+ * Preview: add termmeta index
+ */
+function ccm_tools_preview_add_termmeta_index($limit) {
+    global $wpdb;
+    return ccm_tools_preview_meta_index($wpdb->termmeta, $limit);
+}
+
+/**
+ * Preview: add postmeta composite index
+ */
+function ccm_tools_preview_add_postmeta_composite_index($limit) {
+    global $wpdb;
+    
+    $exists = $wpdb->get_results("SHOW INDEX FROM `{$wpdb->postmeta}` WHERE Key_name = 'idx_meta_key_value_postid'");
+    
+    return ccm_tools_preview_result(
+        'index',
+        empty($exists) ? 1 : 0,
+        0,
+        array(__('Index', 'ccm-tools'), __('Columns', 'ccm-tools'), __('Change', 'ccm-tools')),
+        empty($exists) ? array(array('idx_meta_key_value_postid', 'meta_key, meta_value(191), post_id', __('Add', 'ccm-tools'))) : array(),
+        sprintf(__('Schema change on %s. No rows are deleted.', 'ccm-tools'), $wpdb->postmeta)
+    );
+}
+
+/**
+ * Preview: delete orphaned postmeta
+ */
+function ccm_tools_preview_clean_orphaned_postmeta($limit) {
+    global $wpdb;
+    
+    return ccm_tools_preview_meta_rows(
+        "FROM {$wpdb->postmeta} m LEFT JOIN {$wpdb->posts} p ON m.post_id = p.ID WHERE p.ID IS NULL",
+        'post_id',
+        $limit
+    );
+}
+
+/**
+ * Preview: delete orphaned commentmeta
+ */
+function ccm_tools_preview_clean_orphaned_commentmeta($limit) {
+    global $wpdb;
+    
+    return ccm_tools_preview_meta_rows(
+        "FROM {$wpdb->commentmeta} m LEFT JOIN {$wpdb->comments} c ON m.comment_id = c.comment_ID WHERE c.comment_ID IS NULL",
+        'comment_id',
+        $limit
+    );
+}
+
+/**
+ * Preview: clear oEmbed cache
+ */
+function ccm_tools_preview_clean_oembed_cache($limit) {
+    global $wpdb;
+    
+    return ccm_tools_preview_meta_rows(
+        $wpdb->prepare("FROM {$wpdb->postmeta} m WHERE m.meta_key LIKE %s", '%' . $wpdb->esc_like('_oembed_') . '%'),
+        'post_id',
+        $limit,
+        __('WordPress fetches embeds again the next time each post is viewed.', 'ccm-tools')
+    );
+}
+
+/**
+ * Preview: limit post revisions to 5 per post
+ */
+function ccm_tools_preview_limit_revisions($limit) {
+    global $wpdb;
+    
+    $keep_count = 5;
+    $post_ids = array();
+    
+    // Same selection as ccm_tools_optimization_limit_revisions(), limited to posts that are over the limit
+    $parents = $wpdb->get_col(
+        $wpdb->prepare(
+            "SELECT post_parent FROM {$wpdb->posts} 
+            WHERE post_type = 'revision' AND post_parent > 0 
+            GROUP BY post_parent HAVING COUNT(*) > %d",
+            $keep_count
+        )
+    );
+    
+    foreach ($parents as $parent_id) {
+        $revisions = $wpdb->get_col(
+            $wpdb->prepare(
+                "SELECT ID FROM {$wpdb->posts} 
+                WHERE post_type = 'revision' AND post_parent = %d 
+                ORDER BY post_modified DESC",
+                $parent_id
+            )
+        );
+        $post_ids = array_merge($post_ids, array_slice($revisions, $keep_count));
+    }
+    
+    $preview = ccm_tools_preview_posts($post_ids, $limit);
+    $preview['note'] = sprintf(__('The %d newest revisions of each post are kept.', 'ccm-tools'), $keep_count);
+    
+    return $preview;
+}
+
+/**
+ * Preview: delete ALL post revisions
+ */
+function ccm_tools_preview_delete_all_revisions($limit) {
+    global $wpdb;
+    
+    $post_ids = $wpdb->get_col("SELECT ID FROM {$wpdb->posts} WHERE post_type = 'revision' ORDER BY post_modified DESC");
+    
+    return ccm_tools_preview_posts($post_ids, $limit);
+}
+
+/**
+ * Preview: delete orphaned termmeta
+ */
+function ccm_tools_preview_clean_orphaned_termmeta($limit) {
+    global $wpdb;
+    
+    return ccm_tools_preview_meta_rows(
+        "FROM {$wpdb->termmeta} m LEFT JOIN {$wpdb->terms} t ON m.term_id = t.term_id WHERE t.term_id IS NULL",
+        'term_id',
+        $limit
+    );
+}
+
+/**
+ * Preview: delete orphaned term relationships
+ */
+function ccm_tools_preview_clean_orphaned_relationships($limit) {
+    global $wpdb;
+    
+    $from = "FROM {$wpdb->term_relationships} tr 
+        LEFT JOIN {$wpdb->posts} p ON tr.object_id = p.ID 
+        LEFT JOIN {$wpdb->term_taxonomy} tt ON tr.term_taxonomy_id = tt.term_taxonomy_id 
+        LEFT JOIN {$wpdb->terms} t ON tt.term_id = t.term_id 
+        WHERE p.ID IS NULL";
+    
+    // Fixed-width rows: three BIGINT/INT columns
+    $result = ccm_tools_preview_query(
+        $from,
+        '20',
+        'tr.object_id, tr.term_taxonomy_id, tt.taxonomy, t.name',
+        'tr.object_id DESC',
+        $limit
+    );
+    
+    $samples = array();
+    foreach ($result['rows'] as $row) {
+        $samples[] = array($row['object_id'], $row['term_taxonomy_id'], $row['taxonomy'] ?: '?', $row['name'] ?: '?');
+    }
+    
+    return ccm_tools_preview_result(
+        'delete',
+        $result['count'],
+        $result['bytes'],
+        array(__('Object ID', 'ccm-tools'), __('Term taxonomy ID', 'ccm-tools'), __('Taxonomy', 'ccm-tools'), __('Term', 'ccm-tools')),
+        $samples,
+        __('Links from posts that no longer exist. Objects of other types (such as links or users) that use taxonomies are removed too.', 'ccm-tools')
+    );
+}
+
+/**
+ * Meta tables and the object tables their rows belong to
+ * Used by the orphaned metadata task family (grouped by meta_key)
+ * 
+ * @return array Type => meta table, primary key, object column, parent table and parent key
+ */
+function ccm_tools_orphaned_meta_types() {
+    global $wpdb;
+    
+    return array(
+        'post' => array(
+            'label' => __('Post meta', 'ccm-tools'),
+            'table' => $wpdb->postmeta,
+            'id' => 'meta_id',
+            'object' => 'post_id',
+            'parent_table' => $wpdb->posts,
+            'parent_id' => 'ID'
+        ),
+        'term' => array(
+            'label' => __('Term meta', 'ccm-tools'),
+            'table' => $wpdb->termmeta,
+            'id' => 'meta_id',
+            'object' => 'term_id',
+            'parent_table' => $wpdb->terms,
+            'parent_id' => 'term_id'
+        ),
+        'user' => array(
+            'label' => __('User meta', 'ccm-tools'),
+            'table' => $wpdb->usermeta,
+            'id' => 'umeta_id',
+            'object' => 'user_id',
+            'parent_table' => $wpdb->users,
+            'parent_id' => 'ID'
+        ),
+        'comment' => array(
+            'label' => __('Comment meta', 'ccm-tools'),
+            'table' => $wpdb->commentmeta,
+            'id' => 'meta_id',
+            'object' => 'comment_id',
+            'parent_table' => $wpdb->comments,
+            'parent_id' => 'comment_ID'
+        ),
+    );
+}
+
+/**
+ * FROM ... WHERE clause for one orphaned meta group
+ * 
+ * orphaned: rows whose post, term, user or comment no longer exists
+ * plugin:   every row of a key owned by a plugin that is not installed
+ * 
+ * @param string $type     post | term | user | comment
+ * @param string $kind     orphaned | plugin
+ * @param string $meta_key Meta key
+ * @return string|false Prepared clause, or false for an unknown type or kind
+ */
+function ccm_tools_orphaned_meta_from($type, $kind, $meta_key) {
+    global $wpdb;
+    
+    $types = ccm_tools_orphaned_meta_types();
+    if (!isset($types[$type]) || !in_array($kind, array('orphaned', 'plugin'), true)) {
+        return false;
+    }
+    $t = $types[$type];
+    
+    if ($kind === 'orphaned') {
+        return $wpdb->prepare(
+            "FROM {$t['table']} m LEFT JOIN {$t['parent_table']} p ON p.{$t['parent_id']} = m.{$t['object']} WHERE p.{$t['parent_id']} IS NULL AND m.meta_key = %s",
+            $meta_key
+        );
+    }
+    
+    return $wpdb->prepare("FROM {$t['table']} m WHERE m.meta_key = %s", $meta_key);
+}
+
+/**
+ * Find orphaned metadata, grouped by meta_key
+ * 
+ * Keys "left behind by removed plugins" are only reported when the key
+ * matches a known plugin prefix followed by "_" (see
+ * ccm_tools_db_known_prefixes()) and that plugin is not installed; unknown
+ * keys are never guessed at. Such a group includes rows on objects that still
+ * exist, so it is never pre-selected and each key has to be confirmed before
+ * it is deleted (see ccm_tools_ajax_clean_orphaned_meta_batch()).
+ * 
+ * @param int $limit Most groups per type and kind
+ * @return array List of groups {id, type, type_label, kind, meta_key, count, bytes, owner}
+ */
+function ccm_tools_get_orphaned_meta_groups($limit = 50) {
+    global $wpdb;
+    
+    $groups = array();
+    $bytes = ccm_tools_preview_meta_bytes('m');
+    
+    foreach (ccm_tools_orphaned_meta_types() as $type => $t) {
+        // Rows whose parent object is gone
+        $rows = $wpdb->get_results(
+            "SELECT m.meta_key, COUNT(*) AS total, COALESCE(SUM({$bytes}), 0) AS bytes 
+            FROM {$t['table']} m 
+            LEFT JOIN {$t['parent_table']} p ON p.{$t['parent_id']} = m.{$t['object']} 
+            WHERE p.{$t['parent_id']} IS NULL 
+            GROUP BY m.meta_key 
+            ORDER BY total DESC 
+            LIMIT " . (int) $limit,
+            ARRAY_A
+        );
+        foreach ((array) $rows as $row) {
+            $groups[] = array(
+                'type' => $type,
+                'type_label' => $t['label'],
+                'kind' => 'orphaned',
+                'meta_key' => (string) $row['meta_key'],
+                'count' => (int) $row['total'],
+                'bytes' => (int) $row['bytes'],
+                'owner' => ''
+            );
+        }
+        
+        // Keys of plugins that are no longer installed (counted via the meta_key index first)
+        if (!function_exists('ccm_tools_db_guess_owner')) {
+            continue;
+        }
+        $keys = $wpdb->get_results("SELECT meta_key, COUNT(*) AS total FROM {$t['table']} GROUP BY meta_key", ARRAY_A);
+        $found = 0;
+        foreach ((array) $keys as $key) {
+            $owner = ccm_tools_db_guess_owner((string) $key['meta_key'], true);
+            if (!$owner || empty($owner['missing'])) {
+                continue;
+            }
+            $size = (int) $wpdb->get_var($wpdb->prepare(
+                "SELECT COALESCE(SUM({$bytes}), 0) FROM {$t['table']} m WHERE m.meta_key = %s",
+                $key['meta_key']
+            ));
+            $groups[] = array(
+                'type' => $type,
+                'type_label' => $t['label'],
+                'kind' => 'plugin',
+                'meta_key' => (string) $key['meta_key'],
+                'count' => (int) $key['total'],
+                'bytes' => $size,
+                'owner' => $owner['name']
+            );
+            if (++$found >= $limit) {
+                break;
+            }
+        }
+    }
+    
+    foreach ($groups as $index => &$group) {
+        $group['id'] = 'meta-' . $group['type'] . '-' . $group['kind'] . '-' . $index;
+    }
+    unset($group);
+    
+    return $groups;
+}
+
+/**
+ * Preview deleting one orphaned meta group
+ * 
+ * @param string $type     post | term | user | comment
+ * @param string $kind     orphaned | plugin
+ * @param string $meta_key Meta key
+ * @param int    $limit    Number of sample rows
+ * @return array|false Preview result, or false for an unknown type or kind
+ */
+function ccm_tools_preview_orphaned_meta($type, $kind, $meta_key, $limit = 10) {
+    $from = ccm_tools_orphaned_meta_from($type, $kind, $meta_key);
+    if ($from === false) {
+        return false;
+    }
+    
+    $t = ccm_tools_orphaned_meta_types()[$type];
+    $note = $kind === 'orphaned'
+        ? __('Rows whose parent object no longer exists.', 'ccm-tools')
+        : __('Every row with this key, including rows on objects that still exist. The plugin that used it is not installed.', 'ccm-tools');
+    
+    return ccm_tools_preview_meta_rows($from, $t['object'], max(1, min(50, (int) $limit)), $note, $t['id']);
+}
+
+/**
+ * Delete one batch of an orphaned meta group
+ * 
+ * @param string $type     post | term | user | comment
+ * @param string $kind     orphaned | plugin
+ * @param string $meta_key Meta key
+ * @param int    $batch    Rows per batch
+ * @return array|false {deleted, done}, or false for an unknown type or kind / a failed query
+ */
+function ccm_tools_delete_orphaned_meta_batch($type, $kind, $meta_key, $batch = 1000) {
+    global $wpdb;
+    
+    $from = ccm_tools_orphaned_meta_from($type, $kind, $meta_key);
+    if ($from === false) {
+        return false;
+    }
+    
+    $t = ccm_tools_orphaned_meta_types()[$type];
+    $rows = $wpdb->get_results("SELECT m.{$t['id']} AS id, m.{$t['object']} AS object_id {$from} LIMIT " . (int) $batch, ARRAY_A);
+    if (empty($rows)) {
+        return array('deleted' => 0, 'done' => true);
+    }
+    
+    $ids = implode(',', array_map('intval', wp_list_pluck($rows, 'id')));
+    $deleted = $wpdb->query("DELETE FROM {$t['table']} WHERE {$t['id']} IN ({$ids})");
+    if ($deleted === false) {
+        return false;
+    }
+    
+    // Rows of existing objects may be in the object cache
+    foreach (array_unique(wp_list_pluck($rows, 'object_id')) as $object_id) {
+        wp_cache_delete((int) $object_id, $type . '_meta');
+    }
+    
+    return array('deleted' => (int) $deleted, 'done' => count($rows) < $batch);
+}
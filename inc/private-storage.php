@@ -0,0 +1,230 @@
+<?php
+/**
+ * CCM Tools — Private Storage
+ *
+ * Database backups, log archives and the activity log contain data that must
+ * never be downloadable (password hashes, session tokens, login records), and
+ * a .htaccess "Require all denied" only protects them on Apache. They are kept
+ * in a folder outside the web root: the one named by the CCM_TOOLS_PRIVATE_DIR
+ * constant, or "ccm-tools-private" next to the WordPress folder. When neither
+ * can be created, a folder with a random name in uploads is used instead, and
+ * a probe request tells whether the web server serves files from it.
+ *
+ * @package CCMTools
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// ──────────────────────────────────────────────
+// Location
+// ──────────────────────────────────────────────
+
+/**
+ * Create a folder that Apache refuses to serve and that can't be listed
+ *
+ * @param string $dir Folder path
+ * @return bool True when the folder exists
+ */
+function ccm_tools_ensure_protected_dir(string $dir): bool {
+    if (is_dir($dir)) {
+        return true;
+    }
+    if (!wp_mkdir_p($dir)) {
+        return false;
+    }
+    @file_put_contents($dir . '/.htaccess', "Require all denied\n");
+    @file_put_contents($dir . '/index.php', "<?php\n// Silence is golden.\n");
+    return true;
+}
+
+/**
+ * Whether a path is inside the WordPress folder or the document root
+ *
+ * @param string $path Folder path (need not exist yet)
+ * @return bool
+ */
+function ccm_tools_private_path_is_public(string $path): bool {
+    $path = wp_normalize_path($path);
+    $real = @realpath($path);
+    if (!$real) {
+        $parent = @realpath(dirname($path));
+        $real = $parent ? $parent . '/' . basename($path) : $path;
+    }
+    $real = trailingslashit(wp_normalize_path($real));
+
+    $roots = array(ABSPATH);
+    if (!empty($_SERVER['DOCUMENT_ROOT'])) {
+        $roots[] = wp_unslash($_SERVER['DOCUMENT_ROOT']);
+    }
+    foreach ($roots as $root) {
+        $root = @realpath($root);
+        if ($root && strpos($real, trailingslashit(wp_normalize_path($root))) === 0) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Root of the private storage folder
+ *
+ * The location is remembered, so files are not scattered when the folder
+ * above WordPress later becomes writable (or stops being so).
+ *
+ * @return string Path without trailing slash
+ */
+function ccm_tools_private_root(): string {
+    if (defined('CCM_TOOLS_PRIVATE_DIR') && CCM_TOOLS_PRIVATE_DIR) {
+        $root = untrailingslashit(wp_normalize_path(CCM_TOOLS_PRIVATE_DIR));
+        ccm_tools_ensure_protected_dir($root);
+        return $root;
+    }
+
+    $stored = get_option('ccm_tools_private_dir', '');
+    if ($stored && @is_dir($stored) && wp_is_writable($stored)) {
+        return $stored;
+    }
+
+    $root = '';
+    $candidates = apply_filters('ccm_tools_private_dir_candidates', array(
+        wp_normalize_path(dirname(untrailingslashit(ABSPATH))) . '/ccm-tools-private',
+    ));
+    foreach ($candidates as $candidate) {
+        $candidate = untrailingslashit(wp_normalize_path($candidate));
+        // @: open_basedir often forbids looking above the WordPress folder
+        if (ccm_tools_private_path_is_public($candidate) || !(@is_dir($candidate) || @is_writable(dirname($candidate)))) {
+            continue;
+        }
+        if (ccm_tools_ensure_protected_dir($candidate) && wp_is_writable($candidate)) {
+            $root = $candidate;
+            break;
+        }
+    }
+
+    if ($root === '') {
+        $upload_dir = wp_upload_dir(null, false);
+        $root = trailingslashit(wp_normalize_path($upload_dir['basedir'])) . 'ccm-tools/private-' . strtolower(wp_generate_password(24, false));
+        ccm_tools_ensure_protected_dir(dirname($root));
+        ccm_tools_ensure_protected_dir($root);
+    }
+
+    update_option('ccm_tools_private_dir', $root, false);
+    return $root;
+}
+
+/**
+ * Folder inside private storage, created on first use
+ *
+ * @param string $subdir Sub-folder, e.g. "db-backups"
+ * @return string Path without trailing slash, or '' when it can't be created
+ */
+function ccm_tools_private_dir(string $subdir = ''): string {
+    $dir = ccm_tools_private_root() . ($subdir !== '' ? '/' . $subdir : '');
+    return ccm_tools_ensure_protected_dir($dir) ? $dir : '';
+}
+
+/**
+ * File name that can't be guessed from what it contains
+ *
+ * @param string $name      Readable part, e.g. a table name
+ * @param string $extension Extension including the dot
+ * @return string
+ */
+function ccm_tools_private_file_name(string $name, string $extension): string {
+    return sanitize_file_name($name) . '-' . strtolower(wp_generate_password(20, false)) . $extension;
+}
+
+// ──────────────────────────────────────────────
+// Protection check
+// ──────────────────────────────────────────────
+
+/**
+ * Public URL a path would have, if it is under a folder WordPress serves
+ *
+ * @param string $path File path
+ * @return string URL, or '' when unknown
+ */
+function ccm_tools_private_path_url(string $path): string {
+    $path = wp_normalize_path($path);
+    $upload_dir = wp_upload_dir(null, false);
+    $bases = array(
+        wp_normalize_path($upload_dir['basedir']) => $upload_dir['baseurl'],
+        wp_normalize_path(WP_CONTENT_DIR)         => content_url(),
+        wp_normalize_path(ABSPATH)                => site_url(),
+    );
+    foreach ($bases as $dir => $url) {
+        $dir = trailingslashit($dir);
+        if (strpos($path, $dir) === 0) {
+            return trailingslashit($url) . str_replace('%2F', '/', rawurlencode(substr($path, strlen($dir))));
+        }
+    }
+    return '';
+}
+
+/**
+ * Whether private storage is safe from downloads
+ *
+ * Storage outside the web root is. Inside it, a probe file is written and
+ * requested over HTTP; the folder only counts as protected when the request
+ * does not return the file. The result is cached for a day (an hour when the
+ * folder is exposed, so a fixed server config is picked up soon).
+ *
+ * @param bool $refresh Ignore the cached result
+ * @return array {path, public, protected, message}
+ */
+function ccm_tools_private_dir_status(bool $refresh = false): array {
+    $root = ccm_tools_private_root();
+    if (!ccm_tools_private_path_is_public($root)) {
+        return array(
+            'path'      => $root,
+            'public'    => false,
+            'protected' => true,
+            'message'   => '',
+        );
+    }
+
+    $cached = get_transient('ccm_tools_private_dir_status');
+    if (!$refresh && is_array($cached) && $cached['path'] === $root) {
+        return $cached;
+    }
+
+    $token = wp_generate_password(32, false);
+    $probe = $root . '/probe-' . strtolower(wp_generate_password(12, false)) . '.txt';
+    $url = ccm_tools_private_path_url($probe);
+    $protected = false;
+    $message = '';
+
+    if ($url === '' || !@file_put_contents($probe, $token)) {
+        $message = __('Private storage is inside the web root and could not be checked.', 'ccm-tools');
+    } else {
+        $response = wp_remote_get($url, array(
+            'timeout'   => 10,
+            'sslverify' => apply_filters('https_local_ssl_verify', false),
+        ));
+        @unlink($probe);
+
+        if (is_wp_error($response)) {
+            $message = sprintf(__('Private storage is inside the web root and could not be checked: %s', 'ccm-tools'), $response->get_error_message());
+        } else if (wp_remote_retrieve_response_code($response) === 200 && trim(wp_remote_retrieve_body($response)) === $token) {
+            $message = __('Files in the private storage folder can be downloaded by anyone who knows their URL. The web server ignores .htaccess here (Nginx does): deny access to /wp-content/uploads/ccm-tools/ in the server config, or set CCM_TOOLS_PRIVATE_DIR in wp-config.php to a folder outside the web root.', 'ccm-tools');
+        } else {
+            $protected = true;
+        }
+    }
+
+    $status = array(
+        'path'      => $root,
+        'public'    => true,
+        'protected' => (bool) apply_filters('ccm_tools_private_dir_protected', $protected, $root),
+        'message'   => $message,
+    );
+    if ($status['protected']) {
+        $status['message'] = '';
+    }
+    set_transient('ccm_tools_private_dir_status', $status, $status['protected'] ? DAY_IN_SECONDS : HOUR_IN_SECONDS);
+
+    return $status;
+}
@@ -0,0 +1,364 @@
+<?php
+/**
+ * CCM Tools — Server Config Generator
+ *
+ * Renders the .htaccess option set as configuration for servers that do not
+ * read .htaccess the way Apache does: an Nginx snippet for the site's server
+ * block, and LiteSpeed directives (the Apache-compatible rules plus the
+ * server-level settings LiteSpeed keeps outside .htaccess). Nothing is written
+ * to disk; the output is copied or downloaded and installed by hand.
+ *
+ * @package CCMTools
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+// ──────────────────────────────────────────────
+// Detection
+// ──────────────────────────────────────────────
+
+/**
+ * Web server this site runs on
+ *
+ * @return array {type: apache|nginx|litespeed|unknown, software}
+ */
+function ccm_tools_detect_server_type(): array {
+    $software = isset($_SERVER['SERVER_SOFTWARE']) ? sanitize_text_field(wp_unslash($_SERVER['SERVER_SOFTWARE'])) : '';
+    $haystack = strtolower($software);
+
+    if (strpos($haystack, 'litespeed') !== false || strpos($haystack, 'lsws') !== false) {
+        $type = 'litespeed';
+    } else if (strpos($haystack, 'nginx') !== false || strpos($haystack, 'openresty') !== false) {
+        $type = 'nginx';
+    } else if (strpos($haystack, 'apache') !== false) {
+        $type = 'apache';
+    } else {
+        $type = 'unknown';
+    }
+
+    return array('type' => $type, 'software' => $software);
+}
+
+// ──────────────────────────────────────────────
+// Generators
+// ──────────────────────────────────────────────
+
+/**
+ * Response headers the selected options add, in .htaccess order
+ *
+ * @param array $options Selected options
+ * @return array Header name => value
+ */
+function ccm_tools_server_config_headers(array $options): array {
+    $headers = array();
+    if (!empty($options['security_headers'])) {
+        $headers['X-Content-Type-Options'] = 'nosniff';
+        $headers['Referrer-Policy'] = 'strict-origin-when-cross-origin';
+        $headers['Permissions-Policy'] = 'geolocation=(), microphone=(), camera=(), payment=(), usb=()';
+    }
+    if (!empty($options['x_frame_options'])) {
+        $headers['X-Frame-Options'] = 'SAMEORIGIN';
+    }
+    if (!empty($options['x_xss_protection'])) {
+        $headers['X-XSS-Protection'] = '0';
+    }
+    if (!empty($options['coop'])) {
+        $headers['Cross-Origin-Opener-Policy'] = 'same-origin';
+    }
+    if (!empty($options['corp'])) {
+        $headers['Cross-Origin-Resource-Policy'] = 'same-origin';
+    }
+    if (!empty($options['hsts_basic'])) {
+        $headers['Strict-Transport-Security'] = !empty($options['hsts_subdomains']) ? 'max-age=31536000; includeSubDomains' : 'max-age=31536000';
+        $headers['Content-Security-Policy'] = 'upgrade-insecure-requests';
+    }
+    return $headers;
+}
+
+/**
+ * Nginx equivalent of ccm_tools_htaccess_content()
+ *
+ * Meant to be included inside the site's server { } block, above the PHP
+ * location, since Nginx picks the first matching regex location.
+ *
+ * @param array $options Selected options
+ * @return string
+ */
+function ccm_tools_nginx_config(array $options): string {
+    $headers = ccm_tools_server_config_headers($options);
+    $header_lines = function (string $indent) use ($headers): string {
+        $lines = '';
+        foreach ($headers as $name => $value) {
+            $lines .= $indent . 'add_header ' . $name . ' "' . $value . "\" always;\n";
+        }
+        return $lines;
+    };
+
+    $conf = "# BEGIN CCM Optimise (Nginx)\n";
+    $conf .= "# Generated by CCM Tools. Paste inside this site's server { } block (the HTTPS one\n";
+    $conf .= "# if HTTP and HTTPS are separate), above the \"location ~ \\.php$\" block, then run:\n";
+    $conf .= "#   nginx -t && systemctl reload nginx\n\n";
+
+    // ===== HTTPS REDIRECT =====
+    if (!empty($options['https_redirect'])) {
+        $conf .= "# HTTPS Redirect (with proxy support)\n";
+        $conf .= "set \$ccm_scheme \$scheme;\n";
+        $conf .= "if (\$http_x_forwarded_proto = \"https\") {\n    set \$ccm_scheme \"https\";\n}\n";
+        $conf .= "if (\$ccm_scheme != \"https\") {\n    return 301 https://\$host\$request_uri;\n}\n\n";
+    }
+
+    // ===== COMPRESSION =====
+    if (!empty($options['compression'])) {
+        $types = 'text/plain text/css text/xml application/javascript application/json application/xml image/svg+xml image/x-icon font/ttf font/otf application/wasm';
+        $conf .= "# Compression (text/html is always included by Nginx)\n";
+        $conf .= "gzip on;\n";
+        $conf .= "gzip_vary on;\n";
+        $conf .= "gzip_proxied any;\n";
+        $conf .= "gzip_comp_level 5;\n";
+        $conf .= "gzip_min_length 256;\n";
+        $conf .= "gzip_types " . $types . ";\n";
+        $conf .= "# Brotli needs the ngx_brotli module; uncomment if it is installed\n";
+        $conf .= "# brotli on;\n";
+        $conf .= "# brotli_comp_level 5;\n";
+        $conf .= "# brotli_types " . $types . ";\n\n";
+    }
+
+    // ===== ETAG REMOVAL =====
+    if (!empty($options['etag_removal'])) {
+        $conf .= "# Remove ETags\n";
+        $conf .= "etag off;\n\n";
+    }
+
+    // ===== SECURITY HEADERS + HSTS =====
+    if ($headers) {
+        $conf .= "# Security Headers\n";
+        $conf .= $header_lines('');
+        $conf .= "\n";
+    }
+
+    // ===== DIRECTORY SECURITY =====
+    if (!empty($options['disable_indexes'])) {
+        $conf .= "# Disable directory browsing\n";
+        $conf .= "autoindex off;\n\n";
+    }
+
+    // ===== CCM TOOLS DATA =====
+    // Always included: Nginx ignores the .htaccess that protects this folder on Apache
+    $uploads_path = untrailingslashit((string) wp_parse_url(wp_upload_dir(null, false)['baseurl'], PHP_URL_PATH));
+    $conf .= "# CCM Tools data in uploads (backups, logs)\n";
+    $conf .= "location ^~ " . $uploads_path . "/ccm-tools/ {\n    deny all;\n}\n\n";
+
+    // ===== REWRITES =====
+    if (!empty($options['block_author_scan'])) {
+        $conf .= "# Block username enumeration\n";
+        $conf .= "if (\$args ~ \"(^|&)author=\\d\") {\n    return 301 /;\n}\n\n";
+    }
+
+    if (!empty($options['block_rest_api'])) {
+        $conf .= "# Block REST API for non-authenticated users (WARNING: May break plugins)\n";
+        $conf .= "set \$ccm_rest 0;\n";
+        $conf .= "if (\$uri ~ \"^/wp-json/\") {\n    set \$ccm_rest 1;\n}\n";
+        $conf .= "if (\$args ~ \"(^|&)rest_route=\") {\n    set \$ccm_rest 1;\n}\n";
+        $conf .= "if (\$http_cookie ~ \"wordpress_logged_in\") {\n    set \$ccm_rest 0;\n}\n";
+        $conf .= "if (\$ccm_rest = 1) {\n    return 403;\n}\n\n";
+    }
+
+    if (!empty($options['block_rss_feeds'])) {
+        $conf .= "# Block RSS feeds (410 Gone)\n";
+        $conf .= "location ~ ^(/.*)?/feed/?$ {\n    return 410;\n}\n\n";
+    }
+
+    // ===== FILE PROTECTION =====
+    if (!empty($options['file_protection'])) {
+        $conf .= "# Protect sensitive files\n";
+        $conf .= "location ~* (^|/)(wp-config\\.php|wp-config-sample\\.php|php\\.ini|readme\\.html|license\\.txt)$ {\n    deny all;\n}\n";
+        $conf .= "location ~* (^|/)(\\.ht[a-z]*|\\.env(\\..*)?|composer\\.(json|lock)|package(-lock)?\\.json|yarn\\.lock|pnpm-lock\\.yaml)$ {\n    deny all;\n}\n";
+        $conf .= "location ~* (\\.(log|sql|bak|backup|old|tmp|temp|swp|swo)|~)$ {\n    deny all;\n}\n";
+        $conf .= "# Hide version control directories\n";
+        $conf .= "location ~ /(\\.git|\\.svn|\\.hg)(/|$) {\n    return 404;\n}\n\n";
+    }
+
+    // ===== HIGH RISK OPTIONS =====
+    if (!empty($options['block_xmlrpc'])) {
+        $conf .= "# Block XML-RPC (WARNING: Breaks Jetpack, WP mobile app, pingbacks)\n";
+        $conf .= "location = /xmlrpc.php {\n    deny all;\n}\n\n";
+    }
+
+    // ===== CACHING =====
+    if (!empty($options['caching'])) {
+        $conf .= "# Browser Caching\n";
+        $conf .= "# Make sure mime.types maps avif, webp, woff2 and wasm (current Nginx releases do).\n";
+        if ($headers) {
+            $conf .= "# add_header inside a location replaces the server-level headers, so they are repeated.\n";
+        }
+        $conf .= "location ~* \\.(ico|pdf|jpe?g|png|webp|avifs?|heic|heif|gif|svg|woff2?|ttf|otf|wasm|mp4|webm|ogg)$ {\n";
+        $conf .= "    expires 1y;\n";
+        $conf .= "    add_header Cache-Control \"public, max-age=31536000, immutable\";\n";
+        $conf .= $header_lines('    ');
+        $conf .= "    access_log off;\n";
+        $conf .= "}\n";
+        $conf .= "location ~* \\.(css|js)$ {\n";
+        $conf .= "    expires 30d;\n";
+        $conf .= "    add_header Cache-Control \"public, max-age=2592000\";\n";
+        $conf .= $header_lines('    ');
+        $conf .= "}\n\n";
+    }
+
+    $conf .= "# END CCM Optimise (Nginx)\n";
+    return $conf;
+}
+
+/**
+ * LiteSpeed configuration for the selected options
+ *
+ * LiteSpeed Enterprise reads .htaccess like Apache, so the Apache rules are
+ * reused, but compression is a server setting there. OpenLiteSpeed only reads
+ * rewrite rules from .htaccess, so headers are also given as virtual host
+ * header operations.
+ *
+ * @param array $options Selected options
+ * @return string
+ */
+function ccm_tools_litespeed_config(array $options): string {
+    $conf = "# CCM Optimise for LiteSpeed, generated by CCM Tools\n";
+    $conf .= "#\n";
+    $conf .= "# 1. LiteSpeed Enterprise (and most LiteSpeed hosting): put this block in .htaccess.\n";
+    $conf .= "#    Compression is not set here; see section 2.\n\n";
+    $conf .= ccm_tools_htaccess_content(array_merge($options, array('compression' => false)));
+
+    $conf .= "\n# 2. Server level (WebAdmin > Server Configuration > Tuning, or httpd_config.conf):\n";
+    if (!empty($options['compression'])) {
+        $conf .= "# tuning {\n";
+        $conf .= "#   enableGzipCompress      1\n";
+        $conf .= "#   enableDynGzipCompress   1\n";
+        $conf .= "#   gzipCompressLevel       6\n";
+        $conf .= "#   enableBrCompress        4\n";
+        $conf .= "#   compressibleTypes       default, image/svg+xml, font/ttf, font/otf, application/wasm\n";
+        $conf .= "# }\n";
+    } else {
+        $conf .= "# Nothing needed: compression is not selected.\n";
+    }
+
+    $conf .= "\n# 3. OpenLiteSpeed only: it reads rewrite rules from .htaccess but not headers,\n";
+    $conf .= "#    expiry or file rules, and needs a graceful restart after .htaccess changes.\n";
+    $headers = ccm_tools_server_config_headers($options);
+    if ($headers || !empty($options['caching'])) {
+        $conf .= "#    Add to the virtual host (WebAdmin > Virtual Hosts > Context):\n";
+        $conf .= "# context / {\n";
+        $conf .= "#   location                \$DOC_ROOT/\n";
+        $conf .= "#   allowBrowse             1\n";
+        if ($headers) {
+            $conf .= "#   extraHeaders            <<<END_extraHeaders\n";
+            foreach ($headers as $name => $value) {
+                $conf .= "# set " . $name . ' ' . $value . "\n";
+            }
+            $conf .= "#   END_extraHeaders\n";
+        }
+        if (!empty($options['caching'])) {
+            $conf .= "#   enableExpires           1\n";
+            $conf .= "#   expiresByType           image/*=A31536000, font/*=A31536000, video/*=A31536000, application/wasm=A31536000, text/css=A2592000, application/javascript=A2592000\n";
+        }
+        if (!empty($options['disable_indexes'])) {
+            $conf .= "#   autoIndex               0\n";
+        }
+        $conf .= "# }\n";
+    } else {
+        $conf .= "#    Nothing else needed for the selected options.\n";
+    }
+
+    return $conf;
+}
+
+// ──────────────────────────────────────────────
+// AJAX
+// ──────────────────────────────────────────────
+
+/**
+ * AJAX: generate configuration for a server type
+ */
+function ccm_tools_ajax_generate_server_config() {
+    check_ajax_referer('ccm-tools-nonce', 'nonce');
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You do not have permission to perform this action.', 'ccm-tools')));
+    }
+
+    $server = isset($_POST['server']) ? sanitize_key(wp_unslash($_POST['server'])) : '';
+    $options = ccm_tools_parse_htaccess_options();
+
+    switch ($server) {
+        case 'nginx':
+            $content = ccm_tools_nginx_config($options);
+            $filename = 'ccm-optimise.nginx.conf';
+            break;
+        case 'litespeed':
+            $content = ccm_tools_litespeed_config($options);
+            $filename = 'ccm-optimise.litespeed.conf';
+            break;
+        case 'apache':
+            $content = ccm_tools_htaccess_content($options);
+            $filename = 'ccm-optimise.htaccess.txt';
+            break;
+        default:
+            wp_send_json_error(array('message' => __('Unknown server type.', 'ccm-tools')));
+    }
+
+    wp_send_json_success(array(
+        'server'   => $server,
+        'filename' => $filename,
+        'content'  => $content,
+    ));
+}
+add_action('wp_ajax_ccm_tools_generate_server_config', 'ccm_tools_ajax_generate_server_config');
+
+// ──────────────────────────────────────────────
+// UI
+// ──────────────────────────────────────────────
+
+/**
+ * Server configuration card on the .htaccess page
+ *
+ * @return void
+ */
+function ccm_tools_render_server_config_card(): void {
+    $detected = ccm_tools_detect_server_type();
+    $servers = array(
+        'apache'    => __('Apache (.htaccess)', 'ccm-tools'),
+        'nginx'     => __('Nginx', 'ccm-tools'),
+        'litespeed' => __('LiteSpeed / OpenLiteSpeed', 'ccm-tools'),
+    );
+    $selected = $detected['type'] === 'unknown' ? 'apache' : $detected['type'];
+    ?>
+    <div class="ccm-card" id="server-config-card">
+        <h2><?php _e('Server Configuration', 'ccm-tools'); ?></h2>
+        <p><?php _e('The options above rendered for your web server, to copy or download and install by hand. Changing the options updates the output.', 'ccm-tools'); ?></p>
+
+        <p class="ccm-log-summary">
+            <?php if ($detected['type'] === 'unknown') : ?>
+                <?php printf(esc_html__('Could not detect the web server (%s). Pick it below.', 'ccm-tools'), esc_html($detected['software'] !== '' ? $detected['software'] : __('no SERVER_SOFTWARE', 'ccm-tools'))); ?>
+            <?php else : ?>
+                <?php printf(esc_html__('Detected: %1$s (%2$s).', 'ccm-tools'), esc_html($servers[$detected['type']]), esc_html($detected['software'])); ?>
+                <?php if ($detected['type'] === 'nginx') : ?>
+                    <span class="ccm-warning"><?php _e('Nginx ignores .htaccess, so the .htaccess optimizations have no effect on this site. Use the Nginx snippet instead.', 'ccm-tools'); ?></span>
+                <?php endif; ?>
+            <?php endif; ?>
+        </p>
+
+        <div class="ccm-db-explorer-filters">
+            <label for="server-config-type"><?php _e('Server', 'ccm-tools'); ?></label>
+            <select id="server-config-type">
+                <?php foreach ($servers as $key => $label) : ?>
+                    <option value="<?php echo esc_attr($key); ?>" <?php selected($selected, $key); ?>>
+                        <?php echo esc_html($label . ($key === $detected['type'] ? ' — ' . __('detected', 'ccm-tools') : '')); ?>
+                    </option>
+                <?php endforeach; ?>
+            </select>
+            <button type="button" id="server-config-copy" class="ccm-button ccm-button-small"><?php _e('Copy', 'ccm-tools'); ?></button>
+            <button type="button" id="server-config-download" class="ccm-button ccm-button-small"><?php _e('Download', 'ccm-tools'); ?></button>
+        </div>
+
+        <div class="ccm-htaccess-viewer"><pre id="server-config-output"><?php _e('Loading…', 'ccm-tools'); ?></pre></div>
+    </div>
+    <?php
+}
@@ -31,6 +31,7 @@ function ccm_tools_webp_get_available_extensions() {
             'jpeg_support' => isset($gd_info['JPEG Support']) && $gd_info['JPEG Support'],
             'png_support' => isset($gd_info['PNG Support']) && $gd_info['PNG Support'],
             'gif_support' => isset($gd_info['GIF Read Support']) && $gd_info['GIF Read Support'],
+            'avif_support' => function_exists('imageavif') && !empty($gd_info['AVIF Support']),
             'priority' => 2
         );
     }
@@ -46,6 +47,7 @@ function ccm_tools_webp_get_available_extensions() {
             'jpeg_support' => in_array('JPEG', $formats),
             'png_support' => in_array('PNG', $formats),
             'gif_support' => in_array('GIF', $formats),
+            'avif_support' => in_array('AVIF', $formats),
             'priority' => 1 // Preferred over GD
         );
     }
@@ -71,17 +73,28 @@ function ccm_tools_webp_is_available() {
 }
 
 /**
- * Get the best available extension for WebP conversion
+ * Check if AVIF conversion is possible
  * 
+ * @return bool True if at least one extension supports AVIF
+ */
+function ccm_tools_webp_avif_is_available() {
+    return (bool) ccm_tools_webp_get_best_extension('avif');
+}
+
+/**
+ * Get the best available extension for WebP (or AVIF) conversion
+ * 
+ * @param string $format Output format: 'webp' or 'avif'
  * @return string|false Extension name or false if none available
  */
-function ccm_tools_webp_get_best_extension() {
+function ccm_tools_webp_get_best_extension($format = 'webp') {
     $extensions = ccm_tools_webp_get_available_extensions();
     $best = null;
     $best_priority = PHP_INT_MAX;
+    $support_key = ($format === 'avif' ? 'avif' : 'webp') . '_support';
     
     foreach ($extensions as $name => $ext) {
-        if (!empty($ext['webp_support']) && $ext['priority'] < $best_priority) {
+        if (!empty($ext[$support_key]) && $ext['priority'] < $best_priority) {
             $best = $name;
             $best_priority = $ext['priority'];
         }
@@ -106,7 +119,9 @@ function ccm_tools_webp_get_settings() {
         'keep_originals' => true,
         'convert_existing' => false,
         'exclude_sizes' => array(),
-        'preferred_extension' => 'auto'
+        'preferred_extension' => 'auto',
+        'avif_enabled' => false, // Also generate AVIF alongside WebP
+        'avif_quality' => 60     // AVIF holds up at lower numbers than WebP
     );
     
     $settings = get_option('ccm_tools_webp_settings', array());
@@ -124,15 +139,18 @@ function ccm_tools_webp_save_settings($settings) {
 }
 
 /**
- * Convert an image to WebP format
+ * Convert an image to WebP (or AVIF) format
  * 
  * @param string $source_path Path to source image
- * @param string $dest_path Path to destination WebP file (optional)
+ * @param string $dest_path Path to destination file (optional)
  * @param int $quality Compression quality (1-100)
  * @param string $extension Which extension to use (auto, gd, imagick)
+ * @param string $format Output format: 'webp' (default) or 'avif'
  * @return array Result with success status, path, and file sizes
  */
-function ccm_tools_webp_convert_image($source_path, $dest_path = '', $quality = 82, $extension = 'auto') {
+function ccm_tools_webp_convert_image($source_path, $dest_path = '', $quality = 82, $extension = 'auto', $format = 'webp') {
+    $format = $format === 'avif' ? 'avif' : 'webp';
+    
     $result = array(
         'success' => false,
         'message' => '',
@@ -141,7 +159,8 @@ function ccm_tools_webp_convert_image($source_path, $dest_path = '', $quality =
         'source_size' => 0,
         'dest_size' => 0,
         'savings_percent' => 0,
-        'extension_used' => ''
+        'extension_used' => '',
+        'format' => $format
     );
     
     // Validate source file
@@ -166,17 +185,21 @@ function ccm_tools_webp_convert_image($source_path, $dest_path = '', $quality =
     
     // Generate destination path if not provided
     if (empty($dest_path)) {
-        $dest_path = $path_info['dirname'] . '/' . $path_info['filename'] . '.webp';
+        $dest_path = $path_info['dirname'] . '/' . $path_info['filename'] . '.' . $format;
     }
     $result['dest_path'] = $dest_path;
     
-    // Determine which extension to use
-    if ($extension === 'auto') {
-        $extension = ccm_tools_webp_get_best_extension();
+    // Determine which extension to use — fall back to the best one for this
+    // format when the preferred extension can't write it (common for AVIF)
+    $available = ccm_tools_webp_get_available_extensions();
+    if ($extension === 'auto' || empty($available[$extension][$format . '_support'])) {
+        $extension = ccm_tools_webp_get_best_extension($format);
     }
     
     if (!$extension) {
-        $result['message'] = __('No image processing extension with WebP support is available.', 'ccm-tools');
+        $result['message'] = $format === 'avif'
+            ? __('No image processing extension with AVIF support is available.', 'ccm-tools')
+            : __('No image processing extension with WebP support is available.', 'ccm-tools');
         return $result;
     }
     
@@ -184,16 +207,17 @@ function ccm_tools_webp_convert_image($source_path, $dest_path = '', $quality =
     
     // Clamp quality
     $quality = max(1, min(100, intval($quality)));
+    $result['quality'] = $quality;
     
     // Perform conversion based on extension
     try {
         switch ($extension) {
             case 'imagick':
-                $result = ccm_tools_webp_convert_with_imagick($source_path, $dest_path, $quality, $result);
+                $result = ccm_tools_webp_convert_with_imagick($source_path, $dest_path, $quality, $result, $format);
                 break;
                 
             case 'gd':
-                $result = ccm_tools_webp_convert_with_gd($source_path, $dest_path, $quality, $result);
+                $result = ccm_tools_webp_convert_with_gd($source_path, $dest_path, $quality, $result, $format);
                 break;
                 
             default:
@@ -219,7 +243,7 @@ function ccm_tools_webp_convert_image($source_path, $dest_path = '', $quality =
 /**
  * Convert image using ImageMagick
  */
-function ccm_tools_webp_convert_with_imagick($source_path, $dest_path, $quality, $result) {
+function ccm_tools_webp_convert_with_imagick($source_path, $dest_path, $quality, $result, $format = 'webp') {
     // Set ImageMagick temp directory to uploads to avoid /tmp/ access restrictions
     // Many hosting providers restrict ImageMagick from using /tmp/ via open_basedir or policy.xml
     $upload_dir = wp_upload_dir();
@@ -239,6 +263,23 @@ function ccm_tools_webp_convert_with_imagick($source_path, $dest_path, $quality,
     // Strip metadata to reduce file size (skip ICC profile handling for speed)
     $imagick->stripImage();
     
+    if ($format === 'avif') {
+        $imagick->setImageFormat('avif');
+        $imagick->setImageCompressionQuality($quality);
+        // libheif speed 0-9: 6 keeps bulk runs practical at a small size cost
+        $imagick->setOption('heic:speed', '6');
+        
+        if ($imagick->writeImage($dest_path)) {
+            $result['success'] = true;
+            $result['message'] = __('Successfully converted to AVIF with ImageMagick.', 'ccm-tools');
+        } else {
+            $result['message'] = __('ImageMagick failed to write the AVIF file.', 'ccm-tools');
+        }
+        
+        $imagick->destroy();
+        return $result;
+    }
+    
     // Set WebP format
     $imagick->setImageFormat('webp');
     
@@ -277,7 +318,7 @@ function ccm_tools_webp_convert_with_imagick($source_path, $dest_path, $quality,
 /**
  * Convert image using GD Library
  */
-function ccm_tools_webp_convert_with_gd($source_path, $dest_path, $quality, $result) {
+function ccm_tools_webp_convert_with_gd($source_path, $dest_path, $quality, $result, $format = 'webp') {
     $path_info = pathinfo($source_path);
     $source_ext = strtolower($path_info['extension'] ?? '');
     
@@ -309,8 +350,16 @@ function ccm_tools_webp_convert_with_gd($source_path, $dest_path, $quality, $res
         return $result;
     }
     
-    // Convert to WebP
-    if (imagewebp($source_image, $dest_path, $quality)) {
+    if ($format === 'avif') {
+        // Speed 6 of 0-10 — see the ImageMagick path
+        if (function_exists('imageavif') && imageavif($source_image, $dest_path, $quality, 6)) {
+            $result['success'] = true;
+            $result['message'] = __('Successfully converted to AVIF with GD Library.', 'ccm-tools');
+        } else {
+            $result['message'] = __('GD Library failed to create the AVIF file.', 'ccm-tools');
+        }
+    } elseif (imagewebp($source_image, $dest_path, $quality)) {
+        // Convert to WebP
         $result['success'] = true;
         $result['message'] = __('Successfully converted with GD Library.', 'ccm-tools');
     } else {
@@ -322,7 +371,77 @@ function ccm_tools_webp_convert_with_gd($source_path, $dest_path, $quality, $res
     return $result;
 }
 
+/**
+ * Convert an attachment's full-size file and all generated sizes
+ * 
+ * @param int $attachment_id Attachment ID
+ * @param string $format Output format: 'webp' or 'avif'
+ * @param int $quality Compression quality (1-100)
+ * @param string $extension Which extension to use (auto, gd, imagick)
+ * @param array $exclude_sizes Size names to skip
+ * @return array {files: per-size results, source_size, dest_size, main: full-size result}
+ */
+function ccm_tools_webp_convert_attachment($attachment_id, $format, $quality, $extension = 'auto', $exclude_sizes = array()) {
+    $out = array(
+        'files' => array(),
+        'source_size' => 0,
+        'dest_size' => 0,
+        'main' => null,
+    );
+    
+    $file_path = get_attached_file($attachment_id);
+    if (!$file_path || !file_exists($file_path)) {
+        return $out;
+    }
+    
+    // Convert the main file
+    $out['main'] = ccm_tools_webp_convert_image($file_path, '', $quality, $extension, $format);
+    if ($out['main']['success']) {
+        $out['files']['full'] = $out['main'];
+        $out['source_size'] += $out['main']['source_size'];
+        $out['dest_size'] += $out['main']['dest_size'];
+    }
+    
+    // Convert all generated sizes
+    $metadata = wp_get_attachment_metadata($attachment_id);
+    if (!empty($metadata['sizes'])) {
+        $file_dir = dirname($file_path);
+        
+        foreach ($metadata['sizes'] as $size_name => $size_data) {
+            if (in_array($size_name, (array) $exclude_sizes, true)) {
+                continue;
+            }
+            
+            $size_file_path = $file_dir . '/' . $size_data['file'];
+            
+            if (file_exists($size_file_path)) {
+                $size_result = ccm_tools_webp_convert_image($size_file_path, '', $quality, $extension, $format);
+                if ($size_result['success']) {
+                    $out['files'][$size_name] = $size_result;
+                    $out['source_size'] += $size_result['source_size'];
+                    $out['dest_size'] += $size_result['dest_size'];
+                }
+            }
+        }
+    }
+    
+    return $out;
+}
 
+/**
+ * Read an image file into a data: URI for inline previews
+ * 
+ * @param string $path File path
+ * @param string $mime MIME type
+ * @return string Data URI, or empty string if the file can't be read
+ */
+function ccm_tools_webp_data_uri($path, $mime) {
+    $contents = @file_get_contents($path);
+    if ($contents === false) {
+        return '';
+    }
+    return 'data:' . $mime . ';base64,' . base64_encode($contents);
+}
 
 /**
  * Hook into WordPress upload to convert images automatically
@@ -389,6 +508,14 @@ function ccm_tools_webp_handle_upload($metadata, $attachment_id) {
         update_post_meta($attachment_id, '_ccm_webp_converted', $converted_files);
     }
     
+    // AVIF alongside WebP when enabled
+    if (!empty($settings['avif_enabled']) && ccm_tools_webp_avif_is_available()) {
+        $avif = ccm_tools_webp_convert_attachment($attachment_id, 'avif', intval($settings['avif_quality']), $settings['preferred_extension'], $settings['exclude_sizes']);
+        if (!empty($avif['files'])) {
+            update_post_meta($attachment_id, '_ccm_avif_converted', $avif['files']);
+        }
+    }
+    
     return $metadata;
 }
 
@@ -416,7 +543,7 @@ function ccm_tools_webp_filter_image_srcset($sources, $size_array, $image_src, $
         
         if ($webp_url && $webp_url !== $original_url) {
             $sources[$width]['url'] = $webp_url;
-            $sources[$width]['mime-type'] = 'image/webp';
+            $sources[$width]['mime-type'] = preg_match('/\.avif$/i', $webp_url) ? 'image/avif' : 'image/webp';
         }
     }
     
@@ -445,8 +572,8 @@ function ccm_tools_webp_filter_image_src($image, $attachment_id, $size) {
     
     $original_url = $image[0];
     
-    // Skip if already WebP
-    if (preg_match('/\.webp$/i', $original_url)) {
+    // Skip if already WebP/AVIF
+    if (preg_match('/\.(webp|avif)$/i', $original_url)) {
         return $image;
     }
     
@@ -651,9 +778,10 @@ function ccm_tools_webp_rewrite_media_tag($tag) {
         }
     }
 
-    // Keep an explicit image type hint consistent with the WebP we injected.
+    // Keep an explicit image type hint consistent with the WebP/AVIF we injected.
     if ($changed && preg_match('/(\stype=)(["\'])image\/(?:png|jpe?g|gif)\2/i', $tag, $m)) {
-        $tag = str_replace($m[0], $m[1] . $m[2] . 'image/webp' . $m[2], $tag);
+        $new_type = preg_match('/\.avif[\s"\',]/i', $tag) ? 'image/avif' : 'image/webp';
+        $tag = str_replace($m[0], $m[1] . $m[2] . $new_type . $m[2], $tag);
     }
 
     return $tag;
@@ -738,6 +866,15 @@ function ccm_tools_webp_browser_supports_webp() {
     return false;
 }
 
+/**
+ * Check if browser supports AVIF
+ * 
+ * @return bool
+ */
+function ccm_tools_webp_browser_supports_avif() {
+    return isset($_SERVER['HTTP_ACCEPT']) && strpos($_SERVER['HTTP_ACCEPT'], 'image/avif') !== false;
+}
+
 /**
  * Convert image to WebP on-demand if it doesn't exist
  * 
@@ -886,15 +1023,18 @@ function ccm_tools_webp_queue_for_conversion($original_url) {
 /**
  * Get or create WebP version of an image URL
  * Now queues for background conversion instead of blocking
- * Returns the WebP URL if it exists, otherwise returns false and queues conversion
+ * Returns the WebP URL if it exists, otherwise returns false and queues conversion.
+ * When AVIF is enabled and the browser accepts it, an existing AVIF file is
+ * preferred (AVIF is never generated on demand — it's too slow to encode
+ * inside a page request).
  * 
  * @param string $original_url The original image URL
  * @param bool $queue_if_missing Whether to queue for conversion if WebP doesn't exist
- * @return string|false WebP URL or false if not available
+ * @return string|false AVIF/WebP URL or false if not available
  */
 function ccm_tools_webp_get_or_create($original_url, $queue_if_missing = true) {
-    // Skip if already WebP
-    if (preg_match('/\.webp$/i', $original_url)) {
+    // Skip if already WebP/AVIF
+    if (preg_match('/\.(webp|avif)$/i', $original_url)) {
         return $original_url;
     }
     
@@ -927,6 +1067,14 @@ function ccm_tools_webp_get_or_create($original_url, $queue_if_missing = true) {
         return false;
     }
     
+    // Prefer AVIF when it's enabled, already generated and accepted by the browser
+    if (!empty($settings['avif_enabled']) && ccm_tools_webp_browser_supports_avif()) {
+        $avif_path = preg_replace('/\.(jpe?g|png|gif)$/i', '.avif', $original_path);
+        if (file_exists($avif_path)) {
+            return preg_replace('/\.(jpe?g|png|gif)$/i', '.avif', $original_url);
+        }
+    }
+    
     // Generate WebP path
     $webp_path = preg_replace('/\.(jpe?g|png|gif)$/i', '.webp', $original_path);
     $webp_url = preg_replace('/\.(jpe?g|png|gif)$/i', '.webp', $original_url);
@@ -1121,9 +1269,18 @@ function ccm_tools_webp_get_statistics() {
         'total_original_size' => 0,
         'total_webp_size' => 0,
         'total_savings' => 0,
-        'pending_conversion' => 0
+        'pending_conversion' => 0,
+        'avif_enabled' => false,
+        'avif_images' => 0,
+        'avif_original_size' => 0,
+        'total_avif_size' => 0,
+        'avif_savings' => 0,
+        'avif_pending' => 0
     );
     
+    $settings = ccm_tools_webp_get_settings();
+    $stats['avif_enabled'] = !empty($settings['avif_enabled']);
+    
     // Get all images from media library (limit for performance)
     $attachments = $wpdb->get_results(
         "SELECT ID FROM {$wpdb->posts} 
@@ -1149,7 +1306,8 @@ function ccm_tools_webp_get_statistics() {
         // Add full-size image
         $all_images[] = array(
             'path' => $file_path,
-            'webp_path' => preg_replace('/\.(jpe?g|png|gif)$/i', '.webp', $file_path)
+            'webp_path' => preg_replace('/\.(jpe?g|png|gif)$/i', '.webp', $file_path),
+            'avif_path' => preg_replace('/\.(jpe?g|png|gif)$/i', '.avif', $file_path)
         );
         
         // Get attachment metadata for thumbnails
@@ -1162,7 +1320,8 @@ function ccm_tools_webp_get_statistics() {
                     if (file_exists($thumb_path)) {
                         $all_images[] = array(
                             'path' => $thumb_path,
-                            'webp_path' => preg_replace('/\.(jpe?g|png|gif)$/i', '.webp', $thumb_path)
+                            'webp_path' => preg_replace('/\.(jpe?g|png|gif)$/i', '.webp', $thumb_path),
+                            'avif_path' => preg_replace('/\.(jpe?g|png|gif)$/i', '.avif', $thumb_path)
                         );
                     }
                 }
@@ -1186,6 +1345,18 @@ function ccm_tools_webp_get_statistics() {
                 $stats['total_webp_size'] += $webp_size;
             }
         }
+        
+        if (file_exists($image['avif_path'])) {
+            $stats['avif_images']++;
+            
+            $original_size = @filesize($image['path']);
+            $avif_size = @filesize($image['avif_path']);
+            
+            if ($original_size && $avif_size) {
+                $stats['avif_original_size'] += $original_size;
+                $stats['total_avif_size'] += $avif_size;
+            }
+        }
     }
     
     $stats['converted_images'] = $converted_count;
@@ -1201,9 +1372,273 @@ function ccm_tools_webp_get_statistics() {
         );
     }
     
+    if ($stats['avif_enabled']) {
+        $stats['avif_pending'] = max(0, $stats['total_images'] - $stats['avif_images']);
+    }
+    if ($stats['avif_original_size'] > 0) {
+        $stats['avif_savings'] = round(
+            (($stats['avif_original_size'] - $stats['total_avif_size']) / $stats['avif_original_size']) * 100,
+            1
+        );
+    }
+    
     return $stats;
 }
 
+/**
+ * Get the persisted bulk conversion job
+ * 
+ * The job survives page reloads and browser crashes so an interrupted
+ * run can be resumed. Per-image failures live in `_ccm_webp_error` post
+ * meta rather than in the job, so they are written atomically.
+ * 
+ * @return array|null Job array or null when no job exists
+ */
+function ccm_tools_webp_get_bulk_job() {
+    $job = get_option('ccm_tools_webp_bulk_job', null);
+    return is_array($job) && !empty($job['id']) ? $job : null;
+}
+
+/**
+ * Start a new bulk conversion job, replacing any previous one
+ * 
+ * Snapshots the quality/extension settings so a resumed run converts
+ * with the same settings it started with.
+ * 
+ * @param string $failed_mode 'retry' to retry failed images once at the end, 'skip' to leave them
+ * @param int $total Number of images pending when the job started
+ * @param int $workers Maximum parallel conversions (1-8)
+ * @return array The new job
+ */
+function ccm_tools_webp_start_bulk_job($failed_mode, $total, $workers = 2) {
+    $settings = ccm_tools_webp_get_settings();
+    $now = time();
+    
+    $job = array(
+        'id'           => strtolower(wp_generate_password(12, false)),
+        'status'       => 'running',   // running | paused | completed
+        'phase'        => 'main',      // main | retry | done
+        'failed_mode'  => $failed_mode === 'skip' ? 'skip' : 'retry',
+        'quality'      => intval($settings['quality']),
+        'avif'         => !empty($settings['avif_enabled']) && ccm_tools_webp_avif_is_available(),
+        'avif_quality' => intval($settings['avif_quality']),
+        'extension'    => $settings['preferred_extension'],
+        'workers'      => min(8, max(1, intval($workers))),
+        'total'        => max(0, intval($total)),
+        'converted'    => 0,
+        'failed'       => 0,
+        'retry_cursor' => 0,           // Last attachment ID tried in the retry phase
+        'started'      => $now,
+        'updated'      => $now,
+    );
+    
+    update_option('ccm_tools_webp_bulk_job', $job, false);
+    return $job;
+}
+
+/**
+ * Update progress fields on the current bulk job
+ * 
+ * @param string $job_id Job ID the caller is working on
+ * @param array $fields Fields to update (status, phase, converted, failed, retry_cursor)
+ * @return array|null Updated job, or null if the job no longer exists / was replaced
+ */
+function ccm_tools_webp_update_bulk_job($job_id, $fields) {
+    $job = ccm_tools_webp_get_bulk_job();
+    if (!$job || $job['id'] !== $job_id) {
+        return null;
+    }
+    
+    if (isset($fields['status']) && in_array($fields['status'], array('running', 'paused', 'completed'), true)) {
+        $job['status'] = $fields['status'];
+    }
+    if (isset($fields['phase']) && in_array($fields['phase'], array('main', 'retry', 'done'), true)) {
+        $job['phase'] = $fields['phase'];
+    }
+    foreach (array('converted', 'failed', 'retry_cursor') as $key) {
+        if (isset($fields[$key])) {
+            $job[$key] = max(0, intval($fields[$key]));
+        }
+    }
+    $job['updated'] = time();
+    
+    update_option('ccm_tools_webp_bulk_job', $job, false);
+    return $job;
+}
+
+/**
+ * Record a failed conversion against an attachment
+ * 
+ * Failed attachments are excluded from the main bulk pass so they are not
+ * refetched forever, and are retried (once per job) at the end instead.
+ * 
+ * @param int $attachment_id Attachment ID
+ * @param string $message Error message
+ * @param string $job_id Bulk job ID (empty for one-off conversions)
+ */
+function ccm_tools_webp_record_failure($attachment_id, $message, $job_id = '') {
+    $previous = get_post_meta($attachment_id, '_ccm_webp_error', true);
+    
+    update_post_meta($attachment_id, '_ccm_webp_error', array(
+        'message'  => (string) $message,
+        'job'      => (string) $job_id,
+        'attempts' => (is_array($previous) ? intval($previous['attempts'] ?? 0) : 0) + 1,
+        'time'     => time(),
+    ));
+}
+
+/**
+ * Count attachments with a recorded conversion failure
+ * 
+ * @return int
+ */
+function ccm_tools_webp_count_failed() {
+    global $wpdb;
+    
+    return (int) $wpdb->get_var(
+        "SELECT COUNT(DISTINCT pm.post_id)
+         FROM {$wpdb->postmeta} pm
+         LEFT JOIN {$wpdb->postmeta} done ON done.post_id = pm.post_id AND done.meta_key = '_ccm_webp_converted'
+         WHERE pm.meta_key = '_ccm_webp_error'
+         AND done.meta_id IS NULL"
+    );
+}
+
+/**
+ * Build the FROM/WHERE clause shared by the conversion report and its CSV export
+ * 
+ * Status is derived from post meta, so the report survives reloads and covers
+ * uploads, bulk runs and one-off conversions alike: `_ccm_webp_error` means
+ * failed (it is cleared on success), `_ccm_webp_converted` means converted,
+ * neither means pending.
+ * 
+ * @param string $status processed | converted | failed | pending | all
+ * @param string $search Matches the file path or title
+ * @return string SQL fragment (already escaped — do not pass through prepare())
+ */
+function ccm_tools_webp_report_sql($status = 'processed', $search = '') {
+    global $wpdb;
+    
+    $sql = "FROM {$wpdb->posts} p
+         LEFT JOIN {$wpdb->postmeta} pm ON p.ID = pm.post_id AND pm.meta_key = '_ccm_webp_converted'
+         LEFT JOIN {$wpdb->postmeta} err ON p.ID = err.post_id AND err.meta_key = '_ccm_webp_error'
+         LEFT JOIN {$wpdb->postmeta} file ON p.ID = file.post_id AND file.meta_key = '_wp_attached_file'
+         WHERE p.post_type = 'attachment'
+         AND p.post_mime_type IN ('image/jpeg', 'image/png', 'image/gif')";
+    
+    switch ($status) {
+        case 'converted':
+            $sql .= ' AND pm.meta_id IS NOT NULL AND err.meta_id IS NULL';
+            break;
+        case 'failed':
+            $sql .= ' AND err.meta_id IS NOT NULL';
+            break;
+        case 'pending':
+            $sql .= ' AND pm.meta_id IS NULL AND err.meta_id IS NULL';
+            break;
+        case 'all':
+            break;
+        default:
+            $sql .= ' AND (pm.meta_id IS NOT NULL OR err.meta_id IS NOT NULL)';
+    }
+    
+    if ($search !== '') {
+        $like = '%' . $wpdb->esc_like($search) . '%';
+        $sql .= $wpdb->prepare(' AND (file.meta_value LIKE %s OR p.post_title LIKE %s)', $like, $like);
+    }
+    
+    return $sql;
+}
+
+/**
+ * Build one conversion report row for an attachment
+ * 
+ * Sizes are summed over every converted file (full size plus thumbnails).
+ * Images without a WebP yet report the size of the full-size original only.
+ * 
+ * @param int $attachment_id Attachment ID
+ * @return array Row data
+ */
+function ccm_tools_webp_report_row($attachment_id) {
+    $webp = get_post_meta($attachment_id, '_ccm_webp_converted', true);
+    $avif = get_post_meta($attachment_id, '_ccm_avif_converted', true);
+    $error = get_post_meta($attachment_id, '_ccm_webp_error', true);
+    
+    $original_size = 0;
+    $webp_size = 0;
+    $avif_size = 0;
+    
+    if (is_array($webp)) {
+        foreach ($webp as $converted) {
+            $original_size += intval($converted['source_size'] ?? 0);
+            $webp_size += intval($converted['dest_size'] ?? 0);
+        }
+    }
+    if (is_array($avif)) {
+        foreach ($avif as $converted) {
+            $avif_size += intval($converted['dest_size'] ?? 0);
+        }
+    }
+    if (!$original_size) {
+        $file_path = get_attached_file($attachment_id);
+        $original_size = $file_path && file_exists($file_path) ? filesize($file_path) : 0;
+    }
+    
+    if (is_array($error)) {
+        $status = 'failed';
+    } elseif (is_array($webp) && !empty($webp)) {
+        $status = 'converted';
+    } else {
+        $status = 'pending';
+    }
+    
+    return array(
+        'id' => (int) $attachment_id,
+        'title' => get_the_title($attachment_id),
+        'file' => (string) get_post_meta($attachment_id, '_wp_attached_file', true),
+        'edit_url' => get_edit_post_link($attachment_id, 'raw'),
+        'status' => $status,
+        'files' => is_array($webp) ? count($webp) : 0,
+        'original_size' => $original_size,
+        'webp_size' => $webp_size,
+        'avif_size' => $avif_size,
+        'savings_percent' => ($webp_size && $original_size) ? round((($original_size - $webp_size) / $original_size) * 100, 1) : null,
+        'quality' => is_array($webp) && isset($webp['full']['quality']) ? intval($webp['full']['quality']) : null,
+        'error' => is_array($error) ? (string) ($error['message'] ?? '') : '',
+        'attempts' => is_array($error) ? intval($error['attempts'] ?? 0) : 0,
+        'failed_at' => is_array($error) ? intval($error['time'] ?? 0) : 0,
+    );
+}
+
+/**
+ * Delete the generated WebP/AVIF files for an attachment and forget them
+ * 
+ * Only the files recorded in `_ccm_webp_converted` / `_ccm_avif_converted`
+ * are removed, so natively uploaded WebP images are never touched.
+ * 
+ * @param int $attachment_id Attachment ID
+ * @return int Number of files deleted
+ */
+function ccm_tools_webp_delete_attachment_files($attachment_id) {
+    $deleted = 0;
+    
+    foreach (array('_ccm_webp_converted', '_ccm_avif_converted') as $meta_key) {
+        $files = get_post_meta($attachment_id, $meta_key, true);
+        if (is_array($files)) {
+            foreach ($files as $converted) {
+                $path = $converted['dest_path'] ?? '';
+                if ($path && preg_match('/\.(webp|avif)$/i', $path) && file_exists($path) && @unlink($path)) {
+                    $deleted++;
+                }
+            }
+        }
+        delete_post_meta($attachment_id, $meta_key);
+    }
+    delete_post_meta($attachment_id, '_ccm_webp_error');
+    
+    return $deleted;
+}
+
 /**
  * Initialize WebP converter hooks when enabled
  */
@@ -1320,6 +1755,7 @@ function ccm_tools_render_webp_page() {
     $settings = ccm_tools_webp_get_settings();
     $stats = ccm_tools_webp_get_statistics();
     $best_extension = ccm_tools_webp_get_best_extension();
+    $avif_available = ccm_tools_webp_avif_is_available();
     
     ?>
     <div class="wrap ccm-tools">
@@ -1362,6 +1798,7 @@ function ccm_tools_render_webp_page() {
                                         <span class="<?php echo $ext['jpeg_support'] ? 'ccm-success' : 'ccm-error'; ?>" title="JPEG">JPEG <?php echo $ext['jpeg_support'] ? '✓' : '✗'; ?></span>
                                         <span class="<?php echo $ext['png_support'] ? 'ccm-success' : 'ccm-error'; ?>" title="PNG">PNG <?php echo $ext['png_support'] ? '✓' : '✗'; ?></span>
                                         <span class="<?php echo $ext['gif_support'] ? 'ccm-success' : 'ccm-error'; ?>" title="GIF">GIF <?php echo $ext['gif_support'] ? '✓' : '✗'; ?></span>
+                                        <span class="<?php echo !empty($ext['avif_support']) ? 'ccm-success' : 'ccm-error'; ?>" title="AVIF">AVIF <?php echo !empty($ext['avif_support']) ? '✓' : '✗'; ?></span>
                                     </div>
                                 </div>
                             </div>
@@ -1394,6 +1831,25 @@ function ccm_tools_render_webp_page() {
                     </div>
                 </div>
                 
+                <div class="ccm-stats-grid ccm-avif-stats" id="stat-avif-row" <?php echo ($stats['avif_enabled'] || $stats['avif_images'] > 0) ? '' : 'style="display:none;"'; ?>>
+                    <div class="ccm-stat-box">
+                        <span class="ccm-stat-value ccm-success" id="stat-avif-images"><?php echo esc_html($stats['avif_images']); ?></span>
+                        <span class="ccm-stat-label"><?php _e('Converted to AVIF', 'ccm-tools'); ?></span>
+                    </div>
+                    <div class="ccm-stat-box">
+                        <span class="ccm-stat-value <?php echo $stats['avif_pending'] > 0 ? 'ccm-warning' : ''; ?>" id="stat-avif-pending"><?php echo esc_html($stats['avif_pending']); ?></span>
+                        <span class="ccm-stat-label"><?php _e('Pending AVIF', 'ccm-tools'); ?></span>
+                    </div>
+                    <div class="ccm-stat-box">
+                        <span class="ccm-stat-value ccm-info" id="stat-avif-savings"><?php echo esc_html($stats['avif_savings']); ?>%</span>
+                        <span class="ccm-stat-label"><?php _e('AVIF Savings', 'ccm-tools'); ?></span>
+                    </div>
+                    <div class="ccm-stat-box">
+                        <span class="ccm-stat-value" id="stat-avif-size"><?php echo esc_html(size_format($stats['total_avif_size'])); ?></span>
+                        <span class="ccm-stat-label"><?php _e('AVIF Size', 'ccm-tools'); ?></span>
+                    </div>
+                </div>
+                
                 <div class="ccm-size-comparison" id="stat-size-comparison" <?php echo $stats['total_original_size'] > 0 ? '' : 'style="display:none;"'; ?>>
                     <p>
                         <strong><?php _e('Original Size:', 'ccm-tools'); ?></strong> 
@@ -1442,6 +1898,40 @@ function ccm_tools_render_webp_page() {
                                 </div>
                             </td>
                         </tr>
+                        <tr>
+                            <th><?php _e('Also Generate AVIF', 'ccm-tools'); ?></th>
+                            <td>
+                                <label class="ccm-toggle">
+                                    <input type="checkbox" name="avif_enabled" id="avif-enabled" value="1" <?php checked($settings['avif_enabled'], true); ?> <?php disabled(!$avif_available); ?>>
+                                    <span class="ccm-toggle-slider"></span>
+                                </label>
+                                <p class="ccm-note"><?php _e('Create an AVIF copy alongside each WebP. Browsers that accept AVIF get it in preference to WebP; others still get WebP or the original. AVIF is smaller but slower to encode, so it is only created on upload and by bulk conversion — never on demand during a page load.', 'ccm-tools'); ?></p>
+                                <?php if (!$avif_available): ?>
+                                    <div class="ccm-alert ccm-alert-warning ccm-alert-small">
+                                        <span class="ccm-icon">⚠</span>
+                                        <small><?php _e('Neither GD nor ImageMagick on this server can write AVIF (GD needs PHP 8.1+ built with libavif; ImageMagick needs libheif).', 'ccm-tools'); ?></small>
+                                    </div>
+                                <?php endif; ?>
+                            </td>
+                        </tr>
+                        <tr id="avif-quality-row" <?php echo $settings['avif_enabled'] ? '' : 'style="display:none;"'; ?>>
+                            <th><?php _e('AVIF Quality', 'ccm-tools'); ?></th>
+                            <td>
+                                <div class="ccm-range-control">
+                                    <input type="range" name="avif_quality" id="avif-quality" min="1" max="100" value="<?php echo esc_attr($settings['avif_quality']); ?>">
+                                    <span class="ccm-range-value" id="avif-quality-value"><?php echo esc_html($settings['avif_quality']); ?></span>
+                                </div>
+                                <p class="ccm-note">
+                                    <?php _e('AVIF looks good at lower numbers than WebP. Recommended: 50-65.', 'ccm-tools'); ?>
+                                </p>
+                                <div class="ccm-quality-presets">
+                                    <button type="button" class="ccm-button ccm-button-small ccm-quality-preset" data-target="avif" data-quality="45"><?php _e('Low (45)', 'ccm-tools'); ?></button>
+                                    <button type="button" class="ccm-button ccm-button-small ccm-quality-preset" data-target="avif" data-quality="55"><?php _e('Medium (55)', 'ccm-tools'); ?></button>
+                                    <button type="button" class="ccm-button ccm-button-small ccm-quality-preset" data-target="avif" data-quality="60"><?php _e('Balanced (60)', 'ccm-tools'); ?></button>
+                                    <button type="button" class="ccm-button ccm-button-small ccm-quality-preset" data-target="avif" data-quality="75"><?php _e('High (75)', 'ccm-tools'); ?></button>
+                                </div>
+                            </td>
+                        </tr>
                         <tr>
                             <th><?php _e('Convert on Upload', 'ccm-tools'); ?></th>
                             <td>
@@ -1543,11 +2033,41 @@ function ccm_tools_render_webp_page() {
                         <ul>
                             <li><?php _e('This process may take a long time depending on the number of images.', 'ccm-tools'); ?></li>
                             <li><?php _e('Make sure you have a backup of your uploads folder.', 'ccm-tools'); ?></li>
-                            <li><?php _e('Keep this browser tab open during conversion.', 'ccm-tools'); ?></li>
+                            <li><?php _e('Keep this browser tab open during conversion. If the tab is closed or the browser crashes, progress is saved and the run can be resumed from this page.', 'ccm-tools'); ?></li>
                         </ul>
                     </div>
                 </div>
                 
+                <div id="webp-resume-notice" class="ccm-alert ccm-alert-warning" style="display: none;">
+                    <span class="ccm-icon">⏸</span>
+                    <div>
+                        <strong><?php _e('Unfinished Conversion', 'ccm-tools'); ?></strong>
+                        <p id="webp-resume-summary" style="margin: var(--ccm-space-xs) 0 var(--ccm-space-sm);"></p>
+                        <div style="display: flex; gap: var(--ccm-space-sm); flex-wrap: wrap;">
+                            <button type="button" id="resume-bulk-conversion" class="ccm-button ccm-button-primary ccm-button-small">
+                                <?php _e('Resume', 'ccm-tools'); ?>
+                            </button>
+                            <button type="button" id="discard-bulk-job" class="ccm-button ccm-button-small">
+                                <?php _e('Discard', 'ccm-tools'); ?>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+                
+                <p style="margin-bottom: var(--ccm-space-sm);">
+                    <label for="webp-failed-mode"><?php _e('Images that fail to convert:', 'ccm-tools'); ?></label>
+                    <select id="webp-failed-mode">
+                        <option value="retry"><?php _e('Retry once at the end of the run', 'ccm-tools'); ?></option>
+                        <option value="skip"><?php _e('Skip (leave for later)', 'ccm-tools'); ?></option>
+                    </select>
+                </p>
+                
+                <p style="margin-bottom: var(--ccm-space-sm);">
+                    <label for="webp-workers"><?php _e('Parallel conversions (max):', 'ccm-tools'); ?></label>
+                    <input type="number" id="webp-workers" min="1" max="8" value="2" class="small-text">
+                    <span class="ccm-text-muted" style="font-size: var(--ccm-text-sm);"><?php _e('Starts at 2 and adapts to server response times, backing off on errors. Use 1 on shared hosting.', 'ccm-tools'); ?></span>
+                </p>
+                
                 <div class="ccm-bulk-actions" style="display: flex; gap: var(--ccm-space-sm); flex-wrap: wrap;">
                     <button type="button" id="start-bulk-conversion" class="ccm-button ccm-button-primary" <?php echo $stats['pending_conversion'] === 0 ? 'disabled' : ''; ?>>
                         <?php echo sprintf(__('Convert %d Images', 'ccm-tools'), $stats['pending_conversion']); ?>
@@ -1570,11 +2090,74 @@ function ccm_tools_render_webp_page() {
                         <div class="ccm-progress-bar">
                             <div class="ccm-progress-fill" id="bulk-progress-bar" style="width: 0%"></div>
                         </div>
+                        <div class="ccm-bulk-metrics">
+                            <span><?php _e('Workers:', 'ccm-tools'); ?> <strong id="bulk-workers">–</strong></span>
+                            <span><?php _e('Throughput:', 'ccm-tools'); ?> <strong id="bulk-throughput">–</strong></span>
+                            <span><?php _e('ETA:', 'ccm-tools'); ?> <strong id="bulk-eta">–</strong></span>
+                        </div>
                     </div>
                     <div id="bulk-conversion-log" class="ccm-log-box"></div>
                 </div>
             </div>
             
+            <!-- Per-image Conversion Report -->
+            <div class="ccm-card" id="webp-report-card">
+                <h2><?php _e('Conversion Report', 'ccm-tools'); ?></h2>
+                <p><?php _e('Every image processed by uploads, bulk runs or one-off conversions, with its current status. Sizes include all generated thumbnail sizes.', 'ccm-tools'); ?></p>
+                
+                <div class="ccm-report-filters">
+                    <select id="webp-report-status">
+                        <option value="processed"><?php _e('Processed (converted + failed)', 'ccm-tools'); ?></option>
+                        <option value="converted"><?php _e('Converted', 'ccm-tools'); ?></option>
+                        <option value="failed"><?php _e('Failed', 'ccm-tools'); ?></option>
+                        <option value="pending"><?php _e('Pending', 'ccm-tools'); ?></option>
+                        <option value="all"><?php _e('All images', 'ccm-tools'); ?></option>
+                    </select>
+                    <input type="search" id="webp-report-search" class="regular-text" placeholder="<?php esc_attr_e('Search file name or title…', 'ccm-tools'); ?>">
+                    <span id="webp-report-counts" class="ccm-text-muted"></span>
+                </div>
+                
+                <div class="ccm-report-actions">
+                    <button type="button" id="webp-report-retry-failed" class="ccm-button ccm-button-small"><?php _e('Retry All Failed', 'ccm-tools'); ?></button>
+                    <span class="ccm-report-separator"></span>
+                    <span><?php _e('Selected:', 'ccm-tools'); ?> <strong id="webp-report-selected">0</strong></span>
+                    <label for="webp-report-quality"><?php _e('Reconvert at', 'ccm-tools'); ?></label>
+                    <input type="number" id="webp-report-quality" min="1" max="100" value="<?php echo esc_attr($settings['quality']); ?>" class="small-text">
+                    <select id="webp-report-format">
+                        <option value="webp">WebP</option>
+                        <?php if ($avif_available): ?>
+                            <option value="avif">AVIF</option>
+                        <?php endif; ?>
+                    </select>
+                    <button type="button" id="webp-report-reconvert" class="ccm-button ccm-button-small" disabled><?php _e('Reconvert', 'ccm-tools'); ?></button>
+                    <button type="button" id="webp-report-delete" class="ccm-button ccm-button-small ccm-button-danger" disabled><?php _e('Delete WebP/AVIF', 'ccm-tools'); ?></button>
+                    <button type="button" id="webp-report-export" class="ccm-button ccm-button-small"><?php _e('Export CSV', 'ccm-tools'); ?></button>
+                </div>
+                
+                <div id="webp-report-progress" class="ccm-text-muted" style="display: none;"></div>
+                
+                <div class="ccm-report-table-wrap">
+                    <table class="ccm-table ccm-report-table" id="webp-report-table">
+                        <thead>
+                            <tr>
+                                <th class="ccm-report-check"><input type="checkbox" id="webp-report-select-all" aria-label="<?php esc_attr_e('Select all on this page', 'ccm-tools'); ?>"></th>
+                                <th><?php _e('Image', 'ccm-tools'); ?></th>
+                                <th><?php _e('Status', 'ccm-tools'); ?></th>
+                                <th><?php _e('Original', 'ccm-tools'); ?></th>
+                                <th><?php _e('WebP', 'ccm-tools'); ?></th>
+                                <th><?php _e('Savings', 'ccm-tools'); ?></th>
+                                <th><?php _e('Error', 'ccm-tools'); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr><td colspan="7"><div class="ccm-spinner ccm-spinner-small"></div></td></tr>
+                        </tbody>
+                    </table>
+                </div>
+                
+                <div id="webp-report-pager" class="ccm-report-pager"></div>
+            </div>
+            
             <!-- Import/Export Settings -->
             <div class="ccm-card">
                 <h2><?php _e('Import / Export Settings', 'ccm-tools'); ?></h2>
@@ -1625,6 +2208,19 @@ function ccm_tools_render_webp_page() {
                     </button>
                 </div>
                 
+                <div class="ccm-test-options">
+                    <label for="test-qualities"><?php _e('Also compare at qualities:', 'ccm-tools'); ?></label>
+                    <input type="text" id="test-qualities" value="60, 75, 85" class="regular-text" placeholder="60, 75, 85">
+                    <label for="test-compare-format"><?php _e('Format:', 'ccm-tools'); ?></label>
+                    <select id="test-compare-format">
+                        <option value="webp">WebP</option>
+                        <?php if ($avif_available): ?>
+                            <option value="avif">AVIF</option>
+                        <?php endif; ?>
+                    </select>
+                    <p class="ccm-note"><?php _e('Up to 5 comma-separated values. Each is shown in a before/after viewer with SSIM and PSNR scores so you can pick the lowest quality that still looks right.', 'ccm-tools'); ?></p>
+                </div>
+                
                 <div id="test-conversion-result" style="display: none;">
                     <div id="test-result-content"></div>
                 </div>
@@ -1,7 +1,7 @@
 /**
  * CCM Tools - Modern Vanilla JavaScript
  * Pure JS without jQuery or other dependencies
- * Version: 7.44.0
+ * Version: 7.69.1
  */
 
 (function() {
@@ -187,8 +187,8 @@
      * @param {string} cancelText - Text for cancel button (default: 'Cancel')
      */
     function showConfirmModal(message, onConfirm, confirmText = 'Confirm', cancelText = 'Cancel') {
-        // Remove any existing modal
-        const existingModal = $('.ccm-modal-overlay');
+        // Remove any existing modal (but never the session-expired prompt)
+        const existingModal = $('.ccm-modal-overlay:not(.ccm-session-modal)');
         if (existingModal) existingModal.remove();
         
         const modal = createElement('div', {
@@ -262,18 +262,183 @@
     // ===================================
 
     /**
-     * Make AJAX request to WordPress admin-ajax.php
+     * Central request queue behind ajax().
+     * Caps concurrent admin-ajax requests, orders waiting requests by
+     * priority, and lets read-only calls retry transient failures with backoff.
+     */
+    const ajaxQueue = {
+        maxInFlight: 4,      // Concurrent admin-ajax requests allowed
+        inFlight: 0,
+        pending: [],         // Waiting slots, highest priority first
+        seq: 0,              // Tie-breaker so equal priorities stay FIFO
+        retries: 2,          // Default retries for AJAX_READ_ONLY_ACTIONS (on top of the first attempt)
+        backoffBase: 500,    // ms — first retry waits up to this long
+        backoffMax: 8000     // ms — cap for a single backoff wait
+    };
+
+    /**
+     * Actions that only read, so a timed-out or 5xx attempt can safely be
+     * sent again. Anything else may still be running on the server when the
+     * browser gives up, so it is not retried unless the caller passes
+     * `retries` itself.
+     */
+    const AJAX_READ_ONLY_ACTIONS = new Set([
+        'ccm_tools_get_optimization_options',
+        'ccm_tools_get_tables_to_optimize',
+        'ccm_tools_get_tables_to_convert',
+        'ccm_tools_get_orphaned_meta',
+        'ccm_tools_get_autoload_report',
+        'ccm_tools_get_db_tables',
+        'ccm_tools_get_db_backup',
+        'ccm_tools_get_db_jobs',
+        'ccm_tools_get_backup_status',
+        'ccm_tools_preview_optimization',
+        'ccm_tools_preview_orphaned_meta',
+        'ccm_tools_db_backup_plan',
+        'ccm_tools_sr_tables',
+        'ccm_tools_get_error_log',
+        'ccm_tools_tail_error_log',
+        'ccm_tools_error_log_stats',
+        'ccm_tools_get_log_rotation',
+        'ccm_tools_get_log_alerts',
+        'ccm_tools_preview_htaccess',
+        'ccm_tools_get_htaccess_history',
+        'ccm_tools_get_htaccess_version',
+        'ccm_tools_generate_server_config',
+        'ccm_tools_csp_get',
+        'ccm_tools_csp_scan_page',
+        'ccm_tools_get_webp_stats',
+        'ccm_tools_get_unconverted_images',
+        'ccm_tools_webp_get_bulk_job',
+        'ccm_tools_export_webp_settings',
+        'ccm_tools_get_perf_settings',
+        'ccm_tools_export_perf_settings',
+        'ccm_tools_detect_external_origins',
+        'ccm_tools_detect_scripts',
+        'ccm_tools_search_pages',
+        'ccm_tools_check_zip_available',
+        'ccm_tools_redis_get_stats',
+        'ccm_tools_cf_get_status',
+        'ccm_tools_cf_analytics',
+        'ccm_tools_cf_dns_records',
+        'ccm_tools_ai_get_known_bad',
+        'ccm_tools_ai_hub_get_results',
+        'ccm_tools_ai_hub_get_latest_scores'
+    ]);
+
+    /**
+     * HTTP statuses worth retrying — everything else is a definitive answer
+     */
+    const AJAX_RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504, 520, 521, 522, 523, 524]);
+
+    /**
+     * Build the error thrown when a caller's AbortSignal cancels a request
+     * @returns {Error}
+     */
+    function ajaxCancelledError() {
+        const err = new Error('Request cancelled');
+        err.name = 'AbortError';
+        err.cancelled = true;
+        return err;
+    }
+
+    /**
+     * Wait for a free in-flight slot
+     * @param {number} priority - Higher runs first
+     * @param {AbortSignal|null} signal - Optional cancellation signal
+     * @returns {Promise<void>}
+     */
+    function ajaxAcquireSlot(priority, signal) {
+        if (ajaxQueue.inFlight < ajaxQueue.maxInFlight && ajaxQueue.pending.length === 0) {
+            ajaxQueue.inFlight++;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = { priority, seq: ajaxQueue.seq++, resolve, reject, signal, onAbort: null };
+
+            if (signal) {
+                entry.onAbort = () => {
+                    const idx = ajaxQueue.pending.indexOf(entry);
+                    if (idx !== -1) ajaxQueue.pending.splice(idx, 1);
+                    reject(ajaxCancelledError());
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            // Insert keeping the list sorted: priority desc, then arrival order
+            let i = ajaxQueue.pending.findIndex(p => p.priority < priority);
+            if (i === -1) i = ajaxQueue.pending.length;
+            ajaxQueue.pending.splice(i, 0, entry);
+        });
+    }
+
+    /**
+     * Release an in-flight slot and hand it to the next waiting request
+     */
+    function ajaxReleaseSlot() {
+        const next = ajaxQueue.pending.shift();
+        if (next) {
+            if (next.signal && next.onAbort) {
+                next.signal.removeEventListener('abort', next.onAbort);
+            }
+            // Slot passes straight to the next request; inFlight is unchanged
+            next.resolve();
+        } else {
+            ajaxQueue.inFlight = Math.max(0, ajaxQueue.inFlight - 1);
+        }
+    }
+
+    /**
+     * Exponential backoff with full jitter
+     * @param {number} attempt - Zero-based retry number
+     * @param {number} retryAfterMs - Server-provided Retry-After in ms (0 = none)
+     * @returns {number} Delay in ms
+     */
+    function ajaxBackoffDelay(attempt, retryAfterMs = 0) {
+        const ceiling = Math.min(ajaxQueue.backoffMax, ajaxQueue.backoffBase * Math.pow(2, attempt));
+        const jittered = Math.round(Math.random() * ceiling);
+        return Math.max(jittered, Math.min(retryAfterMs, ajaxQueue.backoffMax * 4));
+    }
+
+    /**
+     * Sleep that rejects early if the signal aborts
+     * @param {number} ms - Delay in ms
+     * @param {AbortSignal|null} signal - Optional cancellation signal
+     * @returns {Promise<void>}
+     */
+    function ajaxSleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(ajaxCancelledError());
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(tid);
+                reject(ajaxCancelledError());
+            };
+            const tid = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Single fetch attempt against admin-ajax.php
+     * @param {string} url - admin-ajax.php URL
      * @param {string} action - WordPress action name
-     * @param {Object} data - Additional data to send
-     * @param {Object} options - Request options
-     * @returns {Promise}
+     * @param {Object} data - Request data
+     * @param {number} timeout - Timeout in ms
+     * @param {AbortSignal|null} signal - Optional caller cancellation signal
+     * @returns {Promise<Object>} Parsed success response
      */
-    async function ajax(action, data = {}, options = {}) {
-        const url = typeof ajaxurl !== 'undefined' ? ajaxurl : ccmToolsData.ajax_url;
-        
+    async function ajaxAttempt(url, action, data, timeout, signal) {
         const formData = new FormData();
+        const nonce = ccmToolsData.nonce;
         formData.append('action', action);
-        formData.append('nonce', ccmToolsData.nonce);
+        formData.append('nonce', nonce);
         
         Object.entries(data).forEach(([key, value]) => {
             if (Array.isArray(value)) {
@@ -285,8 +450,13 @@
         });
         
         const controller = new AbortController();
-        const timeout = options.timeout || 30000;
-        const timeoutId = setTimeout(() => controller.abort(), timeout);
+        let timedOut = false;
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onCallerAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onCallerAbort, { once: true });
         
         try {
             const response = await fetch(url, {
@@ -295,10 +465,26 @@
                 signal: controller.signal
             });
             
-            clearTimeout(timeoutId);
-            
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                const err = new Error(`HTTP error! status: ${response.status}`);
+                err.status = response.status;
+                err.retryable = AJAX_RETRYABLE_STATUS.has(response.status);
+                const retryAfter = parseInt(response.headers.get('Retry-After') || '', 10);
+                err.retryAfterMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : 0;
+                
+                // check_ajax_referer() dies with "-1" (403) on a stale nonce;
+                // admin-ajax.php answers "0" (400) once the login cookie is gone
+                if (response.status === 403 || response.status === 400) {
+                    const body = (await response.text().catch(() => '')).trim();
+                    if (body === '-1' || body === '0') {
+                        err.auth = body === '-1' ? 'nonce' : 'session';
+                        err.nonceUsed = nonce;
+                        err.message = body === '-1'
+                            ? 'Security check failed. Please reload the page.'
+                            : 'Your session has expired. Please log in again.';
+                    }
+                }
+                throw err;
             }
             
             const result = await response.json();
@@ -306,14 +492,248 @@
             if (result && result.success) {
                 return result;
             } else {
+                // The server answered — this is a definitive failure, never retried
                 throw new Error(result?.data?.message || result?.data || 'Unknown error occurred');
             }
         } catch (error) {
             if (error.name === 'AbortError') {
-                throw new Error('Request timeout');
+                if (signal?.aborted && !timedOut) {
+                    throw ajaxCancelledError();
+                }
+                const err = new Error('Request timeout');
+                err.retryable = true;
+                throw err;
+            }
+            if (error instanceof TypeError) {
+                // fetch() network failure (connection reset, DNS, offline)
+                error.retryable = true;
             }
             throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) signal.removeEventListener('abort', onCallerAbort);
+        }
+    }
+
+    /**
+     * Make AJAX request to WordPress admin-ajax.php
+     *
+     * Requests go through a shared queue: at most `ajaxQueue.maxInFlight`
+     * run at once. For read-only actions (AJAX_READ_ONLY_ACTIONS), timeouts,
+     * network errors and 5xx/429 responses are retried with exponential
+     * backoff; other actions are sent once unless `options.retries` is set. A `success: false` reply from
+     * WordPress is a real answer and is never retried. An expired nonce or
+     * login is recovered once (silent nonce refresh or re-login prompt) and
+     * the request replayed.
+     *
+     * @param {string} action - WordPress action name
+     * @param {Object} data - Additional data to send
+     * @param {Object} options - Request options
+     * @param {number} [options.timeout=30000] - Per-attempt timeout in ms
+     * @param {number} [options.retries] - Retries after the first attempt (default: 2 for read-only actions, else 0)
+     * @param {number} [options.priority=0] - Queue priority; higher runs first
+     * @param {AbortSignal} [options.signal] - Cancels the request (queued, in flight or backing off)
+     * @returns {Promise}
+     */
+    async function ajax(action, data = {}, options = {}) {
+        const url = typeof ajaxurl !== 'undefined' ? ajaxurl : ccmToolsData.ajax_url;
+        const timeout = options.timeout || 30000;
+        const retries = Number.isInteger(options.retries)
+            ? Math.max(0, options.retries)
+            : (AJAX_READ_ONLY_ACTIONS.has(action) ? ajaxQueue.retries : 0);
+        const priority = Number(options.priority) || 0;
+        const signal = options.signal || null;
+        
+        if (signal?.aborted) {
+            throw ajaxCancelledError();
+        }
+        
+        let attempt = 0;
+        let sessionReplayed = false;
+        
+        for (;;) {
+            await ajaxAcquireSlot(priority, signal);
+            
+            let error;
+            try {
+                return await ajaxAttempt(url, action, data, timeout, signal);
+            } catch (e) {
+                error = e;
+            } finally {
+                ajaxReleaseSlot();
+            }
+            
+            // Stale nonce or expired login: recover once, then replay without
+            // spending one of the transient-failure retries
+            if (error.auth && !sessionReplayed) {
+                sessionReplayed = true;
+                await ajaxRecoverSession(error.nonceUsed, signal);
+                continue;
+            }
+            
+            if (error.cancelled || !error.retryable || attempt >= retries) {
+                throw error;
+            }
+            
+            console.debug(`CCM: ${action} failed (${error.message}), retry ${attempt + 1}/${retries}`);
+            await ajaxSleep(ajaxBackoffDelay(attempt, error.retryAfterMs || 0), signal);
+            attempt++;
+        }
+    }
+
+    // ===================================
+    // Session Recovery
+    // ===================================
+
+    /**
+     * Shared in-progress recovery so a burst of failed requests triggers a
+     * single nonce refresh / login prompt
+     */
+    let ajaxSessionRecovery = null;
+
+    /**
+     * Ask the server for a fresh nonce.
+     * Bypasses the queue and ajax() itself — the whole point is that the
+     * current nonce (or login) is no longer valid.
+     * @returns {Promise<{nonce?: string, loggedOut?: boolean, loginUrl?: string}>}
+     */
+    async function ajaxFetchFreshNonce() {
+        const url = typeof ajaxurl !== 'undefined' ? ajaxurl : ccmToolsData.ajax_url;
+        const formData = new FormData();
+        formData.append('action', 'ccm_tools_refresh_nonce');
+        
+        const response = await fetch(url, {
+            method: 'POST',
+            body: formData,
+            credentials: 'same-origin',
+            cache: 'no-store'
+        });
+        const result = await response.json().catch(() => null);
+        
+        if (result?.success && result.data?.nonce) {
+            return { nonce: result.data.nonce };
+        }
+        if (result?.data?.logged_out) {
+            return { loggedOut: true, loginUrl: result.data.login_url || ccmToolsData.login_url };
+        }
+        throw new Error(result?.data?.message || `Could not refresh the security token (HTTP ${response.status})`);
+    }
+
+    /**
+     * Restore a usable nonce after an auth failure.
+     * Refreshes the nonce silently when still logged in, otherwise prompts
+     * the user to log in again and waits until they have.
+     * @param {string} nonceUsed - Nonce the failed request was sent with
+     * @param {AbortSignal|null} signal - Optional cancellation signal
+     * @returns {Promise<void>} Resolves once ccmToolsData.nonce is fresh
+     */
+    function ajaxRecoverSession(nonceUsed, signal) {
+        // Another request already refreshed it — just replay
+        if (nonceUsed && ccmToolsData.nonce !== nonceUsed) {
+            return Promise.resolve();
+        }
+        
+        if (!ajaxSessionRecovery) {
+            ajaxSessionRecovery = (async () => {
+                const state = await ajaxFetchFreshNonce();
+                if (state.nonce) {
+                    ccmToolsData.nonce = state.nonce;
+                    return;
+                }
+                await promptReLogin(state.loginUrl);
+            })().finally(() => {
+                ajaxSessionRecovery = null;
+            });
         }
+        
+        if (!signal) return ajaxSessionRecovery;
+        
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                reject(ajaxCancelledError());
+                return;
+            }
+            const onAbort = () => reject(ajaxCancelledError());
+            signal.addEventListener('abort', onAbort, { once: true });
+            ajaxSessionRecovery.then(resolve, reject).finally(() => {
+                signal.removeEventListener('abort', onAbort);
+            });
+        });
+    }
+
+    /**
+     * Show the "session expired" modal and wait for the user to log back in.
+     * Polls for a fresh nonce while open, so logging in from another tab
+     * resumes queued work automatically.
+     * @param {string} loginUrl - Interim login URL
+     * @returns {Promise<void>} Resolves with a fresh nonce installed; rejects if dismissed
+     */
+    function promptReLogin(loginUrl) {
+        return new Promise((resolve, reject) => {
+            const modal = createElement('div', {
+                className: 'ccm-modal-overlay ccm-session-modal'
+            }, `
+                <div class="ccm-modal">
+                    <div class="ccm-modal-body">
+                        <p><strong>Your WordPress session has expired.</strong></p>
+                        <p>Log in again in the new tab — anything in progress here is paused and will carry on once you're back.</p>
+                        <p class="ccm-session-status ccm-text-muted"></p>
+                    </div>
+                    <div class="ccm-modal-footer">
+                        <button class="ccm-button ccm-modal-cancel">Cancel</button>
+                        <button class="ccm-button ccm-session-check">I've Logged In</button>
+                        <button class="ccm-button ccm-button-primary ccm-session-login">Log In</button>
+                    </div>
+                </div>
+            `);
+            
+            document.body.appendChild(modal);
+            requestAnimationFrame(() => modal.classList.add('ccm-modal-show'));
+            
+            const statusEl = $('.ccm-session-status', modal);
+            let pollId = null;
+            let checking = false;
+            
+            const close = () => {
+                clearInterval(pollId);
+                window.removeEventListener('focus', check);
+                modal.classList.remove('ccm-modal-show');
+                setTimeout(() => modal.remove(), 200);
+            };
+            
+            async function check(manual = false) {
+                if (checking) return;
+                checking = true;
+                try {
+                    const state = await ajaxFetchFreshNonce();
+                    if (state.nonce) {
+                        ccmToolsData.nonce = state.nonce;
+                        close();
+                        showNotification('Session restored — resuming.', 'success');
+                        resolve();
+                    } else if (manual === true) {
+                        statusEl.textContent = 'Still logged out — finish logging in, then try again.';
+                    }
+                } catch (e) {
+                    if (manual === true) statusEl.textContent = e.message;
+                } finally {
+                    checking = false;
+                }
+            }
+            
+            $('.ccm-session-login', modal).addEventListener('click', () => {
+                window.open(loginUrl || ccmToolsData.login_url, '_blank', 'noopener');
+                statusEl.textContent = 'Waiting for you to log in…';
+            });
+            $('.ccm-session-check', modal).addEventListener('click', () => check(true));
+            $('.ccm-modal-cancel', modal).addEventListener('click', () => {
+                close();
+                reject(new Error('Your session has expired. Please log in again.'));
+            });
+            
+            pollId = setInterval(check, 5000);
+            window.addEventListener('focus', check);
+        });
     }
 
     /**
@@ -687,7 +1107,18 @@
                 html += '</div></div>';
             }
             
+            // Orphaned metadata by meta_key (loaded separately, the scan can be slow)
+            html += `
+                <div class="ccm-opt-group moderate ccm-opt-group-meta" id="orphaned-meta-group">
+                    <div class="ccm-opt-group-header">🧩 Orphaned Metadata</div>
+                    <div class="ccm-opt-group-items" id="orphaned-meta-items">
+                        <div class="ccm-loading"><div class="ccm-spinner ccm-spinner-small"></div> <span>Scanning post, term, user and comment meta...</span></div>
+                    </div>
+                </div>
+            `;
+            
             optionsContainer.innerHTML = html;
+            loadOrphanedMeta();
             
             // Disable and annotate options that are already applied or have nothing to do
             const nothingToDo = {
@@ -718,6 +1149,7 @@
                 if (!cb) continue;
                 cb.checked = false;
                 cb.disabled = true;
+                cb.dataset.applied = '1';
                 const descEl = cb.closest('.ccm-opt-item')?.querySelector('.ccm-opt-item-desc');
                 if (descEl) {
                     descEl.innerHTML = '<span style="color:var(--ccm-success)">✓ Already applied</span>';
@@ -735,11 +1167,14 @@
                 runButton.disabled = false;
             }
             
-            // Event handlers
+            // Event handlers (bound once; the options are reloaded after every run)
+            if (optionsContainer.dataset.bound) return;
+            optionsContainer.dataset.bound = '1';
+            
             if (runButton) {
                 runButton.addEventListener('click', async (e) => {
                     e.preventDefault();
-                    await runSelectedOptimizations();
+                    await previewSelectedOptimizations();
                 });
             }
             
@@ -799,43 +1234,311 @@
     }
     
     /**
-     * Run selected optimization tasks progressively (one at a time with live updates)
+     * Get the checked optimization tasks with their labels and risk level
+     * @returns {Array<{key: string, label: string, risk: string}>}
      */
-    async function runSelectedOptimizations() {
+    function getSelectedOptimizations() {
         const optionsContainer = $('#optimization-options');
-        const resultsBox = $('#optimization-results');
-        const runButton = $('#run-optimizations');
-        
-        if (!optionsContainer || !resultsBox) return;
+        if (!optionsContainer) return [];
         
-        // Get selected options with their labels
-        const selected = [];
-        optionsContainer.querySelectorAll('input[type="checkbox"]:checked').forEach(cb => {
+        const tasks = Array.from(optionsContainer.querySelectorAll('input[name="optimization[]"]:checked')).map(cb => {
             const label = optionsContainer.querySelector(`label[for="${cb.id}"]`);
-            selected.push({
+            const group = cb.closest('.ccm-opt-group');
+            return {
                 key: cb.value,
-                label: label ? label.textContent : cb.value.replace(/_/g, ' ')
+                label: label ? label.textContent : cb.value.replace(/_/g, ' '),
+                risk: group?.classList.contains('high') ? 'high' : (group?.classList.contains('moderate') ? 'moderate' : 'safe')
+            };
+        });
+        
+        // Orphaned metadata groups: one task per meta_key, deleted in batches
+        optionsContainer.querySelectorAll('input[name="orphan_meta[]"]:checked').forEach(cb => {
+            const group = orphanedMetaState.groups.find(g => g.id === cb.value);
+            if (!group) return;
+            const meta = { type: group.type, kind: group.kind, meta_key: group.meta_key };
+            if (group.kind === 'plugin') meta.confirm_key = group.meta_key;
+            tasks.push({
+                key: group.id,
+                label: `${group.type_label}: ${group.meta_key}${group.kind === 'plugin' ? ` (${group.owner})` : ' (orphaned)'}`,
+                risk: group.kind === 'plugin' ? 'high' : 'moderate',
+                meta,
+                backupKey: `orphan_meta_${group.type}`
             });
         });
         
+        return tasks;
+    }
+    
+    const orphanedMetaState = { groups: [], confirmed: new Set() };
+    
+    /**
+     * Ask before a "left by a removed plugin" key can be selected.
+     * The owner is guessed from the key's name and the group includes rows on
+     * objects that still exist, so every key is confirmed on its own.
+     * @param {HTMLInputElement} cb - The group checkbox that was just checked
+     */
+    function confirmPluginMetaGroup(cb) {
+        const group = orphanedMetaState.groups.find(g => g.id === cb.value);
+        const key = group ? `${group.type}:${group.meta_key}` : '';
+        if (!group || group.kind !== 'plugin' || orphanedMetaState.confirmed.has(key)) return;
+        
+        cb.checked = false;
+        showConfirmModal(
+            `Delete every ${group.type_label.toLowerCase()} row with the key "${group.meta_key}", including rows on objects that still exist? The key looks like it belongs to ${group.owner}, which is not installed, but that is a guess from its name: make sure no active plugin or theme still uses it.`,
+            () => {
+                orphanedMetaState.confirmed.add(key);
+                cb.checked = true;
+            },
+            'Include This Key'
+        );
+    }
+    
+    /**
+     * Load orphaned metadata groups into the optimization options list
+     */
+    async function loadOrphanedMeta() {
+        const items = $('#orphaned-meta-items');
+        if (!items) return;
+        
+        try {
+            const { data } = await ajax('ccm_tools_get_orphaned_meta', {}, { timeout: 120000 });
+            orphanedMetaState.groups = data.groups;
+            
+            if (!items.dataset.bound) {
+                items.dataset.bound = '1';
+                items.addEventListener('change', (e) => {
+                    if (e.target.matches('input[name="orphan_meta[]"]') && e.target.checked) {
+                        confirmPluginMetaGroup(e.target);
+                    }
+                });
+            }
+            
+            if (!data.groups.length) {
+                items.innerHTML = '<div class="ccm-opt-item"><span class="ccm-opt-item-desc"><span style="color:var(--ccm-success)">✓ No orphaned metadata found</span></span></div>';
+                return;
+            }
+            
+            const types = [...new Set(data.groups.map(g => g.type_label))];
+            items.innerHTML = types.map(typeLabel => `
+                <div class="ccm-opt-meta-type">${escapeHtml(typeLabel)}</div>
+                ${data.groups.filter(g => g.type_label === typeLabel).map(g => `
+                    <div class="ccm-opt-item">
+                        <input type="checkbox" id="opt-${g.id}" name="orphan_meta[]" value="${g.id}">
+                        <div class="ccm-opt-item-content">
+                            <label class="ccm-opt-item-label" for="opt-${g.id}"><code>${escapeHtml(g.meta_key || '(empty key)')}</code></label>
+                            <span class="ccm-opt-item-desc">${g.kind === 'plugin'
+                                ? `⚠️ Key looks like ${escapeHtml(g.owner)}'s (not installed) — all rows with this key, also on existing objects`
+                                : 'Parent no longer exists'} · ${formatBytes(g.bytes)}</span>
+                        </div>
+                        <span class="ccm-opt-item-stat ${g.kind === 'plugin' ? 'warning' : 'has-items'}">${g.count.toLocaleString()}</span>
+                    </div>
+                `).join('')}
+            `).join('');
+        } catch (error) {
+            items.innerHTML = `<p class="ccm-error">Error scanning metadata: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+    
+    /**
+     * Dry-run the selected tasks and show what each would change.
+     * Nothing is deleted until the preview is confirmed.
+     */
+    async function previewSelectedOptimizations() {
+        const optionsContainer = $('#optimization-options');
+        const resultsBox = $('#optimization-results');
+        const runButton = $('#run-optimizations');
+        
+        if (!optionsContainer || !resultsBox) return;
+        
+        const selected = getSelectedOptimizations();
         if (selected.length === 0) {
             showNotification('Please select at least one optimization option', 'warning');
             return;
         }
         
-        // Check for high-risk options and confirm
-        const highRiskSelected = selected.filter(opt => {
-            const checkbox = optionsContainer.querySelector(`#opt-${opt.key}`);
-            return checkbox && checkbox.closest('.ccm-opt-group.high');
+        const setLocked = (locked) => {
+            if (runButton) runButton.disabled = locked;
+            optionsContainer.querySelectorAll('input[type="checkbox"]:not([data-applied])').forEach(cb => {
+                cb.disabled = locked;
+            });
+        };
+        setLocked(true);
+        
+        resultsBox.style.display = 'block';
+        resultsBox.innerHTML = `
+            <div class="ccm-optimization-progress">
+                <p><span class="ccm-icon ccm-info">🔍</span> <strong>Dry run — nothing is changed yet</strong> <span id="opt-preview-progress">0/${selected.length} previewed</span></p>
+            </div>
+            <div id="opt-preview-tasks"></div>
+        `;
+        const tasksEl = $('#opt-preview-tasks');
+        
+        const previews = [];
+        for (const task of selected) {
+            tasksEl.insertAdjacentHTML('beforeend', `
+                <div class="ccm-opt-preview ${task.risk}" id="opt-preview-${task.key}">
+                    <div class="ccm-opt-preview-header">
+                        <strong>${escapeHtml(task.label)}</strong>
+                        <span class="ccm-status-running"><div class="ccm-spinner ccm-spinner-small"></div> Checking</span>
+                    </div>
+                </div>
+            `);
+            
+            try {
+                const { data } = task.meta
+                    ? await ajax('ccm_tools_preview_orphaned_meta', task.meta, { timeout: 120000 })
+                    : await ajax('ccm_tools_preview_optimization', { task: task.key }, { timeout: 120000 });
+                previews.push(data);
+                $(`#opt-preview-${task.key}`).outerHTML = renderOptimizationPreview(task, data);
+            } catch (error) {
+                previews.push(null);
+                $(`#opt-preview-${task.key}`).outerHTML = `
+                    <div class="ccm-opt-preview ${task.risk}" id="opt-preview-${task.key}">
+                        <div class="ccm-opt-preview-header">
+                            <strong>${escapeHtml(task.label)}</strong>
+                            <span class="ccm-status-error"><span class="ccm-icon ccm-error">✗</span> ${escapeHtml(error.message)}</span>
+                        </div>
+                    </div>
+                `;
+            }
+            
+            const progress = $('#opt-preview-progress');
+            if (progress) progress.textContent = `${previews.length}/${selected.length} previewed`;
+        }
+        
+        const deleteRows = previews.reduce((sum, p) => sum + (p && p.action === 'delete' ? p.count : 0), 0);
+        const bytes = previews.reduce((sum, p) => sum + (p ? p.bytes : 0), 0);
+        const failed = previews.filter(p => p === null).length;
+        const highRisk = selected.filter(t => t.risk === 'high');
+        
+        const progressDiv = $('.ccm-optimization-progress', resultsBox);
+        if (progressDiv) {
+            progressDiv.innerHTML = `
+                <p><span class="ccm-icon ccm-info">🔍</span> <strong>Dry run complete:</strong> ${deleteRows.toLocaleString()} rows would be deleted, about ${formatBytes(bytes)} reclaimed${failed ? ` — <span class="ccm-error">${failed} preview(s) failed</span>` : ''}</p>
+            `;
+        }
+        
+        // Tables the run changes, for the optional backup
+        let backupPlan = null;
+        try {
+            ({ data: backupPlan } = await ajax('ccm_tools_db_backup_plan', { tasks: selected.map(t => t.backupKey || t.key) }));
+        } catch (error) {
+            backupPlan = null;
+        }
+        
+        resultsBox.insertAdjacentHTML('beforeend', `
+            <div class="ccm-opt-preview-confirm">
+                ${backupPlan?.tables.length ? `
+                    <label class="ccm-opt-preview-backup">
+                        <input type="checkbox" id="opt-preview-backup" ${backupPlan.protected ? 'checked' : 'disabled'}>
+                        <span>
+                            Back up the ${backupPlan.tables.length} affected table${backupPlan.tables.length === 1 ? '' : 's'} first (about ${escapeHtml(backupPlan.size)} before compression):
+                            <span class="ccm-text-muted">${escapeHtml(backupPlan.tables.map(t => t.name).join(', '))}</span>
+                            ${backupPlan.low_space ? '<br><span class="ccm-warning">Free disk space may not be enough for an uncompressed copy.</span>' : ''}
+                            ${backupPlan.protected ? '' : `<br><span class="ccm-error">Backups are disabled: ${escapeHtml(backupPlan.warning)}</span>`}
+                        </span>
+                    </label>
+                    <div id="opt-preview-backup-status"></div>
+                ` : ''}
+                ${highRisk.length ? `
+                    <label class="ccm-opt-preview-ack">
+                        <input type="checkbox" id="opt-preview-ack">
+                        I have reviewed the rows above and understand that ${escapeHtml(highRisk.map(t => t.label).join(', '))} cannot be undone.
+                    </label>
+                ` : ''}
+                <div class="ccm-buttons">
+                    <button type="button" id="opt-preview-run" class="ccm-button ${highRisk.length ? 'ccm-button-danger' : 'ccm-button-primary'}"${highRisk.length ? ' disabled' : ''}>Confirm &amp; Run ${selected.length} Task${selected.length === 1 ? '' : 's'}</button>
+                    <button type="button" id="opt-preview-cancel" class="ccm-button ccm-button-secondary">Cancel</button>
+                </div>
+            </div>
+        `);
+        
+        $('#opt-preview-ack')?.addEventListener('change', (e) => {
+            $('#opt-preview-run').disabled = !e.target.checked;
         });
         
-        if (highRiskSelected.length > 0) {
-            const highRiskNames = highRiskSelected.map(o => o.label).join('\n• ');
-            if (!confirm('⚠️ You have selected high-risk operations that cannot be undone. Are you sure you want to continue?\n\nSelected high-risk options:\n• ' + highRiskNames)) {
-                return;
+        $('#opt-preview-cancel').addEventListener('click', () => {
+            resultsBox.style.display = 'none';
+            resultsBox.innerHTML = '';
+            setLocked(false);
+        });
+        
+        $('#opt-preview-run').addEventListener('click', async (e) => {
+            if ($('#opt-preview-backup')?.checked) {
+                e.currentTarget.disabled = true;
+                $('#opt-preview-cancel').disabled = true;
+                const backedUp = await backupTablesForTasks(selected.map(t => t.backupKey || t.key), $('#opt-preview-backup-status'));
+                if (!backedUp) {
+                    $('#opt-preview-cancel').disabled = false;
+                    return;
+                }
+            }
+            setLocked(false);
+            runSelectedOptimizations(selected);
+        });
+    }
+    
+    /**
+     * Render one task's dry-run result
+     * @param {Object} task - Selected task {key, label, risk}
+     * @param {Object} preview - Response from ccm_tools_preview_optimization
+     * @returns {string} HTML
+     */
+    function renderOptimizationPreview(task, preview) {
+        const verbs = { delete: 'rows would be deleted', modify: 'tables would be changed', index: 'index changes' };
+        let summary = preview.count === 0
+            ? '<span class="ccm-success">Nothing to do</span>'
+            : `<strong>${preview.count.toLocaleString()}</strong> ${verbs[preview.action] || 'items affected'}`;
+        if (preview.bytes > 0) {
+            summary += ` · ${formatBytes(preview.bytes)} ${preview.action === 'delete' ? 'of data' : 'reclaimable'}`;
+        }
+        
+        const related = (preview.related || []).filter(r => r.count > 0).map(r =>
+            `<li>+ ${r.count.toLocaleString()} ${escapeHtml(r.label)}${r.bytes ? ` (${formatBytes(r.bytes)})` : ''}</li>`
+        ).join('');
+        
+        let samples = '';
+        if (preview.samples.length) {
+            samples = `
+                <div class="ccm-table-responsive">
+                    <table class="ccm-table ccm-opt-preview-samples">
+                        <thead><tr>${preview.columns.map(c => `<th>${escapeHtml(c)}</th>`).join('')}</tr></thead>
+                        <tbody>
+                            ${preview.samples.map(row => `<tr>${row.map(v => `<td>${escapeHtml(String(v ?? ''))}</td>`).join('')}</tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+            const more = preview.count - preview.samples.length;
+            if (more > 0 && preview.action !== 'index') {
+                samples += `<p class="ccm-text-muted">…and ${more.toLocaleString()} more</p>`;
             }
         }
         
+        return `
+            <div class="ccm-opt-preview ${task.risk}" id="opt-preview-${task.key}">
+                <div class="ccm-opt-preview-header">
+                    <strong>${escapeHtml(task.label)}</strong>
+                    <span>${summary}</span>
+                </div>
+                ${related ? `<ul class="ccm-opt-preview-related">${related}</ul>` : ''}
+                ${preview.note ? `<p class="ccm-text-muted">${escapeHtml(preview.note)}</p>` : ''}
+                ${samples}
+            </div>
+        `;
+    }
+    
+    /**
+     * Run selected optimization tasks progressively (one at a time with live updates)
+     * @param {Array<{key: string, label: string}>} selected - Tasks confirmed in the dry-run preview
+     */
+    async function runSelectedOptimizations(selected) {
+        const optionsContainer = $('#optimization-options');
+        const resultsBox = $('#optimization-results');
+        const runButton = $('#run-optimizations');
+        
+        if (!optionsContainer || !resultsBox || !selected.length) return;
+        
         // Disable UI during processing
         if (runButton) runButton.disabled = true;
         optionsContainer.querySelectorAll('input[type="checkbox"]').forEach(cb => cb.disabled = true);
@@ -843,7 +1546,8 @@
         // Identify table-intensive tasks that need per-table progressive processing
         const TABLE_TASKS = new Set(['optimize_tables', 'update_collation', 'convert_innodb']);
         const tableTasks = selected.filter(t => TABLE_TASKS.has(t.key));
-        const regularTasks = selected.filter(t => !TABLE_TASKS.has(t.key));
+        const metaTasks = selected.filter(t => t.meta);
+        const regularTasks = selected.filter(t => !TABLE_TASKS.has(t.key) && !t.meta);
         
         // Build initial results table
         resultsBox.style.display = 'block';
@@ -935,6 +1639,56 @@
             if (progressText) progressText.textContent = `${completed}/${selected.length} completed`;
         }
         
+        // Helper: delete one orphaned meta group in batches until none are left
+        async function processMetaTask(task) {
+            const row = $(`#opt-row-${task.key}`);
+            let deleted = 0;
+            let done = false;
+            
+            try {
+                while (!done) {
+                    if (row) {
+                        row.innerHTML = `
+                            <td>${escapeHtml(task.label)}</td>
+                            <td><span class="ccm-status-running"><div class="ccm-spinner ccm-spinner-small"></div> Running</span></td>
+                            <td>${deleted.toLocaleString()} rows deleted so far</td>
+                            <td>${deleted}</td>
+                        `;
+                    }
+                    const { data } = await ajax('ccm_tools_clean_orphaned_meta_batch', { ...task.meta, deleted }, { timeout: 120000, retries: 0 });
+                    deleted += data.deleted;
+                    done = data.done;
+                }
+                
+                successCount++;
+                totalItems += deleted;
+                if (row) {
+                    row.innerHTML = `
+                        <td>${escapeHtml(task.label)}</td>
+                        <td><span class="ccm-status-success"><span class="ccm-icon ccm-success">✓</span> Done</span></td>
+                        <td>${deleted.toLocaleString()} rows deleted</td>
+                        <td>${deleted}</td>
+                    `;
+                }
+            } catch (error) {
+                if (row) {
+                    row.innerHTML = `
+                        <td>${escapeHtml(task.label)}</td>
+                        <td><span class="ccm-status-error"><span class="ccm-icon ccm-error">✗</span> Error</span></td>
+                        <td>${escapeHtml(error.message)} (${deleted.toLocaleString()} rows deleted before the error)</td>
+                        <td>${deleted}</td>
+                    `;
+                }
+            }
+            
+            completed++;
+            const progressPercent = Math.round((completed / selected.length) * 100);
+            const progressBar = $('#opt-progress-bar');
+            const progressText = $('#opt-progress-text');
+            if (progressBar) progressBar.style.width = `${progressPercent}%`;
+            if (progressText) progressText.textContent = `${completed}/${selected.length} completed`;
+        }
+        
         // Helper: process table-intensive tasks progressively (table by table)
         async function processTableTasks(tasks) {
             if (tasks.length === 0) return;
@@ -1100,6 +1854,11 @@
             await processRegularTask(task);
         }
         
+        // Orphaned metadata groups, batch by batch
+        for (const task of metaTasks) {
+            await processMetaTask(task);
+        }
+        
         // Run table-intensive tasks progressively
         if (tableTasks.length > 0) {
             await processTableTasks(tableTasks);
@@ -1127,717 +1886,3693 @@
         setTimeout(() => initOptimizationOptions(), 1000);
     }
 
+    // ===================================
+    // Database Table Explorer
+    // ===================================
+    
+    const dbExplorerState = { tables: [], sort: 'size', dir: -1 };
+    
     /**
-     * Initialize .htaccess options and event handlers
+     * Initialize the Table Explorer card on the database page
      */
-    function initHtaccessOptions() {
-        // Add change listeners to htaccess checkboxes for dynamic status updates
-        const optionsContainer = document.querySelector('#htaccess-options');
-        if (optionsContainer) {
-            optionsContainer.addEventListener('change', (e) => {
-                if (e.target.matches('input[name="htaccess_options[]"]')) {
-                    updateHtaccessOptionStatus(e.target);
-                }
+    function initDbExplorer() {
+        const table = $('#db-explorer');
+        if (!table) return;
+        
+        $$('th[data-sort]', table).forEach(th => {
+            th.addEventListener('click', () => {
+                const key = th.dataset.sort;
+                // Text columns start A→Z, numeric columns largest first
+                const text = ['name', 'engine', 'collation'].includes(key);
+                dbExplorerState.dir = dbExplorerState.sort === key ? -dbExplorerState.dir : (text ? 1 : -1);
+                dbExplorerState.sort = key;
+                renderDbExplorer();
             });
-        }
+        });
         
-        // .htaccess Tools (using event delegation)
-        document.addEventListener('click', async (e) => {
-            // Add htaccess
-            if (e.target.id === 'htadd' || e.target.closest('#htadd')) {
-                e.preventDefault();
-                showConfirmModal(
-                    'Add selected optimizations to your .htaccess file?',
-                    () => {
-                        const options = getSelectedHtaccessOptions();
-                        makeAjaxRequest('ccm_tools_add_htaccess', null, { options: options });
-                    },
-                    'Add Optimizations'
-                );
-            }
+        $('#db-explorer-search').addEventListener('input', renderDbExplorer);
+        $('#db-explorer-filter').addEventListener('change', renderDbExplorer);
+        $('#db-explorer-refresh').addEventListener('click', loadDbExplorer);
+        
+        $('tbody', table).addEventListener('click', (e) => {
+            const button = e.target.closest('[data-table-action]');
+            if (!button) return;
             
-            // Update htaccess
-            if (e.target.id === 'htupdate' || e.target.closest('#htupdate')) {
-                e.preventDefault();
-                showConfirmModal(
-                    'Update .htaccess with your selected options?',
-                    () => {
-                        const options = getSelectedHtaccessOptions();
-                        makeAjaxRequest('ccm_tools_update_htaccess', null, { options: options });
-                    },
-                    'Update'
-                );
-            }
+            const name = button.dataset.table;
+            const action = button.dataset.tableAction;
+            const labels = { optimize: 'Optimize', convert: 'Convert', analyze: 'Analyze' };
             
-            // Remove htaccess
-            if (e.target.id === 'htremove' || e.target.closest('#htremove')) {
-                e.preventDefault();
-                showConfirmModal(
-                    'Remove all CCM optimizations from .htaccess?',
-                    () => {
-                        makeAjaxRequest('ccm_tools_remove_htaccess');
-                    },
-                    'Remove'
-                );
+            if (action === 'analyze') {
+                runDbExplorerAction(name, action, button);
+                return;
             }
+            
+            const warning = action === 'convert'
+                ? `Convert ${name} to InnoDB / ${dbExplorerState.collation}? The table is rebuilt and locked while this runs.`
+                : `Optimize ${name}? The table is rebuilt and may be locked while this runs.`;
+            showConfirmModal(warning, () => runDbExplorerAction(name, action, button), labels[action]);
         });
+        
+        loadDbExplorer();
     }
     
     /**
-     * Update the status indicator for a htaccess option based on checkbox state
-     * @param {HTMLInputElement} checkbox - The checkbox element
+     * Load every table with its sizes and index analysis
      */
-    function updateHtaccessOptionStatus(checkbox) {
-        const optItem = checkbox.closest('.ccm-opt-item');
-        if (!optItem) return;
-        
-        const statusEl = optItem.querySelector('.ccm-opt-item-status');
-        if (!statusEl) return;
-        
-        const isApplied = optItem.dataset.applied === '1';
-        const hasOptimizations = optItem.dataset.hasOptimizations === '1';
-        const isChecked = checkbox.checked;
-        
-        let statusClass, statusIcon, statusText;
+    async function loadDbExplorer() {
+        const tbody = $('#db-explorer tbody');
+        tbody.innerHTML = '<tr><td colspan="10"><div class="ccm-spinner ccm-spinner-small"></div></td></tr>';
         
-        if (hasOptimizations) {
-            // Optimizations exist in .htaccess
-            if (isApplied && isChecked) {
-                // Currently applied and staying applied
-                statusClass = 'ccm-status-applied';
-                statusIcon = '✓';
-                statusText = 'Applied';
-            } else if (isApplied && !isChecked) {
-                // Currently applied but will be removed
-                statusClass = 'ccm-status-will-remove';
-                statusIcon = '−';
-                statusText = 'Will be removed';
-            } else if (!isApplied && isChecked) {
-                // Not applied but will be added
-                statusClass = 'ccm-status-pending';
-                statusIcon = '+';
-                statusText = 'Will be applied';
-            } else {
-                // Not applied and staying not applied
-                statusClass = 'ccm-status-not-applied';
-                statusIcon = '○';
-                statusText = 'Not applied';
-            }
-        } else {
-            // No optimizations yet (fresh install)
-            if (isChecked) {
-                statusClass = 'ccm-status-pending';
-                statusIcon = '○';
-                statusText = 'Will be applied';
-            } else {
-                statusClass = 'ccm-status-not-applied';
-                statusIcon = '○';
-                statusText = 'Will not be applied';
-            }
+        try {
+            const { data } = await ajax('ccm_tools_get_db_tables', {}, { timeout: 60000 });
+            dbExplorerState.tables = data.tables;
+            dbExplorerState.collation = data.collation;
+            renderDbExplorer();
+        } catch (error) {
+            tbody.innerHTML = `<tr><td colspan="10" class="ccm-error">${escapeHtml(error.message)}</td></tr>`;
         }
-        
-        // Update classes
-        optItem.classList.remove('ccm-status-applied', 'ccm-status-not-applied', 'ccm-status-pending', 'ccm-status-will-remove');
-        optItem.classList.add(statusClass);
-        statusEl.classList.remove('ccm-status-applied', 'ccm-status-not-applied', 'ccm-status-pending', 'ccm-status-will-remove');
-        statusEl.classList.add(statusClass);
-        
-        // Update content
-        statusEl.innerHTML = statusIcon + ' <small>' + statusText + '</small>';
     }
     
     /**
-     * Get selected htaccess options from checkboxes
+     * Issues for a table, as short labels
+     * @param {Object} t - Table from ccm_tools_get_db_tables
+     * @returns {Array<{text: string, level: string}>}
      */
-    function getSelectedHtaccessOptions() {
-        const options = [];
-        const checkboxes = document.querySelectorAll('#htaccess-options input[name="htaccess_options[]"]:checked');
-        checkboxes.forEach(cb => {
-            options.push(cb.value);
-        });
-        return options;
+    function dbExplorerIssues(t) {
+        const issues = [];
+        if (t.orphaned) {
+            issues.push({ text: t.owner ? `Possibly orphaned (${t.owner.name} not installed)` : 'Possibly orphaned', level: 'warning' });
+        } else if (t.owner && !t.owner.active) {
+            issues.push({ text: `${t.owner.name} inactive`, level: 'info' });
+        }
+        t.missing.forEach(m => issues.push({ text: m, level: 'warning' }));
+        t.duplicates.forEach(d => issues.push({ text: `Index ${d.index} duplicates ${d.covered_by}`, level: 'info' }));
+        if (t.needs_convert) {
+            issues.push({ text: 'Not InnoDB / utf8mb4', level: 'info' });
+        }
+        if (t.headroom && t.headroom.used >= 50) {
+            issues.push({ text: `Auto-increment ${t.headroom.used}% used`, level: t.headroom.used >= 80 ? 'error' : 'warning' });
+        }
+        return issues;
     }
-
-    // ===================================
-    // Event Handlers Setup
-    // ===================================
-
+    
     /**
-     * Initialize all event handlers
+     * Render the filtered, sorted table list and summary
      */
-    function initEventHandlers() {
-        // Initialize optimization options if on database page
-        initOptimizationOptions();
+    function renderDbExplorer() {
+        const search = $('#db-explorer-search').value.trim().toLowerCase();
+        const filter = $('#db-explorer-filter').value;
+        const { sort, dir } = dbExplorerState;
+        
+        const tables = dbExplorerState.tables.filter(t => {
+            if (search && !t.name.toLowerCase().includes(search)) return false;
+            if (filter === 'issues') return dbExplorerIssues(t).length > 0;
+            if (filter === 'orphaned') return t.orphaned;
+            if (filter === 'core') return t.core;
+            if (filter === 'plugin') return !t.core;
+            return true;
+        });
         
-        // Initialize htaccess options
-        initHtaccessOptions();
+        const value = (t) => sort === 'headroom' ? (t.headroom ? t.headroom.used : -1) : t[sort];
+        tables.sort((a, b) => {
+            const va = value(a);
+            const vb = value(b);
+            return (typeof va === 'string' ? va.localeCompare(vb) : va - vb) * dir;
+        });
         
-        // Debug mode toggles
-        initDebugToggles();
+        $$('#db-explorer th[data-sort]').forEach(th => {
+            th.classList.toggle('ccm-sorted-asc', th.dataset.sort === sort && dir === 1);
+            th.classList.toggle('ccm-sorted-desc', th.dataset.sort === sort && dir === -1);
+        });
         
-        // Redis controls
-        initRedisControls();
+        const all = dbExplorerState.tables;
+        const total = all.reduce((sum, t) => sum + t.size, 0);
+        const overhead = all.reduce((sum, t) => sum + t.overhead, 0);
+        const orphaned = all.filter(t => t.orphaned).length;
+        $('#db-explorer-summary').innerHTML = `
+            ${all.length} tables · ${formatBytes(total)} · ${formatBytes(overhead)} overhead
+            ${orphaned ? ` · <span class="ccm-warning">${orphaned} possibly orphaned</span>` : ''}
+            ${tables.length !== all.length ? ` · showing ${tables.length}` : ''}
+        `;
         
-        // Memory limit
-        initMemoryLimit();
+        const tbody = $('#db-explorer tbody');
+        if (!tables.length) {
+            tbody.innerHTML = '<tr><td colspan="10" class="ccm-text-muted">No tables match.</td></tr>';
+            return;
+        }
         
-        // TTFB refresh
-        initTTFBRefresh();
+        tbody.innerHTML = tables.map(t => {
+            const issues = dbExplorerIssues(t);
+            const owner = t.core ? 'WordPress' : (t.foreign ? 'Other prefix' : (t.owner ? t.owner.name : 'Unknown'));
+            return `
+                <tr class="${t.orphaned ? 'ccm-db-explorer-orphaned' : ''}">
+                    <td><strong>${escapeHtml(t.name)}</strong><br><small class="ccm-text-muted">${escapeHtml(owner)}</small></td>
+                    <td>${escapeHtml(t.engine)}</td>
+                    <td><small>${escapeHtml(t.collation)}</small></td>
+                    <td>${t.rows.toLocaleString()}</td>
+                    <td>${formatBytes(t.data)}</td>
+                    <td>${formatBytes(t.index)}<br><small class="ccm-text-muted">${t.indexes} index(es)</small></td>
+                    <td>${t.overhead ? formatBytes(t.overhead) : '-'}</td>
+                    <td>${t.headroom ? `${t.headroom.used}%<br><small class="ccm-text-muted">${escapeHtml(t.headroom.type)}</small>` : '-'}</td>
+                    <td>${issues.length ? `<ul class="ccm-db-explorer-issues">${issues.map(i => `<li class="ccm-${i.level}">${escapeHtml(i.text)}</li>`).join('')}</ul>` : '<span class="ccm-success">✓</span>'}</td>
+                    <td class="ccm-log-alert-row-actions">
+                        <button type="button" class="ccm-button ccm-button-small" data-table-action="optimize" data-table="${escapeHtml(t.name)}">Optimize</button>
+                        ${t.needs_convert ? `<button type="button" class="ccm-button ccm-button-small" data-table-action="convert" data-table="${escapeHtml(t.name)}">Convert</button>` : ''}
+                        <button type="button" class="ccm-button ccm-button-small" data-table-action="analyze" data-table="${escapeHtml(t.name)}">Analyze</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Run a per-table action through the single-table endpoint, then reload
+     * @param {string} name - Table name
+     * @param {string} action - optimize | convert | analyze
+     * @param {HTMLButtonElement} button - The clicked button
+     */
+    async function runDbExplorerAction(name, action, button) {
+        const flags = {
+            optimize: { optimize: 1 },
+            convert: { engine: 1, collation: 1 },
+            analyze: { analyze: 1 }
+        };
         
-        // WooCommerce controls
-        initWooCommerceControls();
+        button.disabled = true;
+        button.innerHTML = '<div class="ccm-spinner ccm-spinner-small"></div>';
         
-        // Error log controls
-        initErrorLogControls();
+        try {
+            const { data } = await ajax('ccm_tools_optimize_table_task', { table_name: name, ...flags[action] }, { timeout: 300000, retries: 0 });
+            showNotification(`${name}: ${data.message}`, data.success ? 'success' : 'warning');
+            loadDbExplorer();
+        } catch (error) {
+            showNotification(error.message, 'error');
+            button.disabled = false;
+            button.textContent = action.charAt(0).toUpperCase() + action.slice(1);
+        }
     }
-
+    
+    // ===================================
+    // Autoloaded Options Auditor
+    // ===================================
+    
+    const autoloadState = { report: null };
+    
     /**
-     * Initialize debug mode toggles
+     * Initialize the Autoloaded Options card on the database page
      */
-    function initDebugToggles() {
-        const debugToggle = $('#toggle-debug');
-        const debugLogToggle = $('#toggle-debug-log');
-        const debugDisplayToggle = $('#toggle-debug-display');
+    function initAutoloadAuditor() {
+        const card = $('#autoload-card');
+        if (!card) return;
+        
+        const tbody = $('#autoload-options tbody');
+        const disableButton = $('#autoload-disable');
+        const updateButton = () => {
+            disableButton.disabled = !$$('input[name="autoload_option"]:checked', tbody).length;
+        };
         
-        if (debugToggle) {
-            debugToggle.addEventListener('click', async () => {
-                const isEnabled = debugToggle.dataset.enabled === 'true';
-                
-                if (!isEnabled && !confirm(ccmToolsData.i18n.confirmEnableDebug)) {
-                    return;
-                }
-                
-                debugToggle.disabled = true;
-                const resultBox = $('#resultBox');
-                if (resultBox) {
-                    resultBox.innerHTML = '<div class="ccm-spinner"></div><p class="ccm-info">Updating debug settings in wp-config.php...</p>';
-                }
-                
-                try {
-                    const response = await ajax('ccm_tools_update_debug_mode', { enable: !isEnabled });
-                    showNotification(response.data.message, 'success');
-                    setTimeout(() => {
-                        window.location.href = window.location.href.split('#')[0] + '&nocache=' + Date.now();
-                    }, 1000);
-                } catch (error) {
-                    if (resultBox) {
-                        resultBox.innerHTML = `<p class="ccm-error"><span class="ccm-icon">✗</span>${escapeHtml(error.message)}</p>`;
-                    }
-                    showNotification(error.message, 'error');
-                    debugToggle.disabled = false;
-                }
+        tbody.addEventListener('change', updateButton);
+        
+        $('#autoload-select-all').addEventListener('change', (e) => {
+            $$('input[name="autoload_option"]:not(:disabled)', tbody).forEach(cb => {
+                cb.checked = e.target.checked;
             });
-        }
+            updateButton();
+        });
         
-        if (debugLogToggle) {
-            debugLogToggle.addEventListener('click', async () => {
-                const isEnabled = debugLogToggle.dataset.enabled === 'true';
-                debugLogToggle.disabled = true;
-                
-                const resultBox = $('#resultBox');
-                if (resultBox) {
-                    resultBox.innerHTML = '<div class="ccm-spinner"></div><p class="ccm-info">Updating debug log settings in wp-config.php...</p>';
-                }
-                
+        $('#autoload-group-filter').addEventListener('change', () => {
+            renderAutoloadOptions();
+            updateButton();
+        });
+        $('#autoload-refresh').addEventListener('click', loadAutoloadReport);
+        
+        // Clicking an owner in the summary filters to it
+        $('#autoload-groups').addEventListener('click', (e) => {
+            const group = e.target.closest('[data-group]');
+            if (!group) return;
+            $('#autoload-group-filter').value = group.dataset.group;
+            renderAutoloadOptions();
+            updateButton();
+        });
+        
+        disableButton.addEventListener('click', () => {
+            const checked = Array.from($$('input[name="autoload_option"]:checked', tbody));
+            const bytes = checked.reduce((sum, cb) => sum + Number(cb.dataset.bytes), 0);
+            showConfirmModal(
+                `Switch ${checked.length} option(s) (${formatBytes(bytes)}) to autoload=no? Values are kept and the change can be undone from the log.`,
+                async () => {
+                    disableButton.disabled = true;
+                    try {
+                        const { data } = await ajax('ccm_tools_disable_autoload', { options: checked.map(cb => cb.value) }, { retries: 0 });
+                        showNotification(data.message, 'success');
+                        renderAutoloadReport(data);
+                    } catch (error) {
+                        showNotification(error.message, 'error');
+                        updateButton();
+                    }
+                },
+                'Switch Off'
+            );
+        });
+        
+        $('#autoload-log').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-undo]');
+            if (!button) return;
+            
+            showConfirmModal('Restore the previous autoload values for these options?', async () => {
+                button.disabled = true;
                 try {
-                    const response = await ajax('ccm_tools_update_debug_log', { enable: !isEnabled });
-                    showNotification(response.data.message, 'success');
-                    setTimeout(() => {
-                        window.location.href = window.location.href.split('#')[0] + '&nocache=' + Date.now();
-                    }, 1000);
+                    const { data } = await ajax('ccm_tools_undo_autoload', { id: button.dataset.undo }, { retries: 0 });
+                    showNotification(data.message, 'success');
+                    renderAutoloadReport(data);
                 } catch (error) {
-                    if (resultBox) {
-                        resultBox.innerHTML = `<p class="ccm-error"><span class="ccm-icon">✗</span>${escapeHtml(error.message)}</p>`;
-                    }
                     showNotification(error.message, 'error');
-                    debugLogToggle.disabled = false;
+                    button.disabled = false;
                 }
-            });
-        }
+            }, 'Undo');
+        });
         
-        if (debugDisplayToggle) {
-            debugDisplayToggle.addEventListener('click', async () => {
-                const isEnabled = debugDisplayToggle.dataset.enabled === 'true';
-                
-                if (!isEnabled && !confirm(ccmToolsData.i18n.confirmEnableDebugDisplay)) {
-                    return;
-                }
-                
-                debugDisplayToggle.disabled = true;
-                
-                const resultBox = $('#resultBox');
-                if (resultBox) {
-                    resultBox.innerHTML = '<div class="ccm-spinner"></div><p class="ccm-info">Updating debug display settings in wp-config.php...</p>';
-                }
-                
-                try {
-                    const response = await ajax('ccm_tools_update_debug_display', { enable: !isEnabled });
-                    showNotification(response.data.message, 'success');
-                    setTimeout(() => {
-                        window.location.href = window.location.href.split('#')[0] + '&nocache=' + Date.now();
-                    }, 1000);
-                } catch (error) {
-                    if (resultBox) {
-                        resultBox.innerHTML = `<p class="ccm-error"><span class="ccm-icon">✗</span>${escapeHtml(error.message)}</p>`;
-                    }
-                    showNotification(error.message, 'error');
-                    debugDisplayToggle.disabled = false;
-                }
-            });
+        loadAutoloadReport();
+    }
+    
+    /**
+     * Load the autoload report and undo log
+     */
+    async function loadAutoloadReport() {
+        try {
+            const { data } = await ajax('ccm_tools_get_autoload_report');
+            renderAutoloadReport(data);
+        } catch (error) {
+            $('#autoload-summary').innerHTML = `<span class="ccm-error">${escapeHtml(error.message)}</span>`;
         }
     }
-
+    
     /**
-     * Initialize Redis controls
+     * Render the summary, owner groups, option list and undo log
+     * @param {Object} data - Response from ccm_tools_get_autoload_report
      */
-    function initRedisControls() {
-        const configureRedis = $('#configure-redis');
-        const installRedisPlugin = $('#install-redis-plugin');
-        const enableRedisCache = $('#enable-redis-cache');
-        const disableRedisCache = $('#disable-redis-cache');
-        const showRedisConfig = $('#show-redis-config');
+    function renderAutoloadReport(data) {
+        const report = data.report;
+        autoloadState.report = report;
+        
+        const over = report.total_bytes > report.threshold;
+        $('#autoload-summary').innerHTML = `
+            <strong class="${over ? 'ccm-warning' : ''}">${formatBytes(report.total_bytes)}</strong> autoloaded in ${report.total_count.toLocaleString()} options
+            ${over ? ` · <span class="ccm-warning">above the ${formatBytes(report.threshold)} Site Health limit</span>` : ''}
+            ${report.options.length < report.total_count ? ` · largest ${report.options.length} listed` : ''}
+        `;
         
-        if (configureRedis) {
-            configureRedis.addEventListener('click', async () => {
-                if (!confirm(ccmToolsData.i18n.confirmRedisConfig)) return;
-                
-                configureRedis.disabled = true;
-                configureRedis.textContent = 'Configuring...';
-                
-                try {
-                    const response = await ajax('ccm_tools_configure_redis');
-                    showNotification(response.data.message, 'success');
-                    setTimeout(() => location.reload(), 1500);
-                } catch (error) {
-                    showNotification(error.message, 'error');
-                    configureRedis.disabled = false;
-                    configureRedis.textContent = 'Add to wp-config.php';
-                }
+        $('#autoload-groups').innerHTML = `
+            <div class="ccm-autoload-groups">
+                ${report.groups.slice(0, 12).map(g => `
+                    <button type="button" class="ccm-autoload-group" data-group="${escapeHtml(g.key)}">
+                        <strong>${escapeHtml(g.name)}</strong>${g.type === 'plugin' && !g.active ? ' <small class="ccm-warning">(inactive or removed)</small>' : ''}
+                        <span>${formatBytes(g.bytes)} · ${g.count}</span>
+                        <span class="ccm-autoload-group-bar" style="width: ${Math.max(1, Math.round((g.bytes / report.total_bytes) * 100))}%"></span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+        
+        const filter = $('#autoload-group-filter');
+        const current = filter.value;
+        filter.innerHTML = '<option value="">All owners</option>' + report.groups.map(g =>
+            `<option value="${escapeHtml(g.key)}">${escapeHtml(g.name)} (${formatBytes(g.bytes)})</option>`
+        ).join('');
+        filter.value = report.groups.some(g => g.key === current) ? current : '';
+        
+        renderAutoloadOptions();
+        $('#autoload-select-all').checked = false;
+        $('#autoload-disable').disabled = true;
+        
+        const logBody = $('#autoload-log tbody');
+        logBody.innerHTML = data.log.length ? data.log.map(entry => `
+            <tr>
+                <td>${escapeHtml(entry.time_label)}</td>
+                <td>${escapeHtml(entry.user)}</td>
+                <td><code>${entry.names.map(escapeHtml).join('</code>, <code>')}</code></td>
+                <td>${formatBytes(entry.bytes)}</td>
+                <td>${entry.undone
+                    ? '<span class="ccm-text-muted">Undone</span>'
+                    : `<button type="button" class="ccm-button ccm-button-small" data-undo="${escapeHtml(entry.id)}">Undo</button>`}</td>
+            </tr>
+        `).join('') : '<tr><td colspan="5" class="ccm-text-muted">No changes yet.</td></tr>';
+    }
+    
+    /**
+     * Render the option list for the selected owner
+     */
+    function renderAutoloadOptions() {
+        const report = autoloadState.report;
+        if (!report) return;
+        
+        const group = $('#autoload-group-filter').value;
+        const groups = Object.fromEntries(report.groups.map(g => [g.key, g]));
+        const options = report.options.filter(o => !group || o.group === group);
+        
+        $('#autoload-options tbody').innerHTML = options.length ? options.map(o => `
+            <tr>
+                <td><input type="checkbox" name="autoload_option" value="${escapeHtml(o.name)}" data-bytes="${o.bytes}" ${o.protected ? 'disabled title="WordPress core option"' : ''}></td>
+                <td><code>${escapeHtml(o.name)}</code></td>
+                <td>${escapeHtml(groups[o.group] ? groups[o.group].name : o.group)}</td>
+                <td>${formatBytes(o.bytes)}</td>
+            </tr>
+        `).join('') : '<tr><td colspan="4" class="ccm-text-muted">No options in the listed set for this owner.</td></tr>';
+    }
+    
+    // ===================================
+    // Database Search & Replace
+    // ===================================
+    
+    const searchReplaceState = { dryRun: null, running: false };
+    
+    /**
+     * Initialize the Search & Replace card on the database page
+     */
+    function initSearchReplace() {
+        const form = $('#search-replace-form');
+        if (!form) return;
+        
+        const runButton = $('#sr-run');
+        
+        // Any change after a dry run means it has to be repeated before replacing
+        form.addEventListener('input', () => {
+            searchReplaceState.dryRun = null;
+            runButton.disabled = true;
+        });
+        form.addEventListener('change', () => {
+            searchReplaceState.dryRun = null;
+            runButton.disabled = true;
+        });
+        
+        $$('[data-sr-select]', form).forEach(button => {
+            button.addEventListener('click', () => {
+                const mode = button.dataset.srSelect;
+                $$('input[name="sr_tables[]"]', form).forEach(cb => {
+                    cb.checked = mode === 'all' || (mode === 'prefixed' && cb.dataset.prefixed === '1');
+                });
+                searchReplaceState.dryRun = null;
+                runButton.disabled = true;
             });
+        });
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            runSearchReplace(false);
+        });
+        
+        runButton.addEventListener('click', () => {
+            const dryRun = searchReplaceState.dryRun;
+            if (!dryRun) return;
+            showConfirmModal(
+                `Replace "${dryRun.params.search}" with "${dryRun.params.replace}" in ${dryRun.rows.toLocaleString()} row(s) across ${dryRun.tables.length} table(s)? This cannot be undone without a backup. If the site URL changes you may be logged out.`,
+                () => runSearchReplace(true),
+                'Replace'
+            );
+        });
+        
+        loadSearchReplaceTables();
+    }
+    
+    /**
+     * Load the table list for selection
+     */
+    async function loadSearchReplaceTables() {
+        const container = $('#sr-tables');
+        try {
+            const { data } = await ajax('ccm_tools_sr_tables');
+            container.innerHTML = data.tables.map(t => `
+                <label>
+                    <input type="checkbox" name="sr_tables[]" value="${escapeHtml(t.name)}" data-prefixed="${t.prefixed ? '1' : '0'}"${t.prefixed ? ' checked' : ''}>
+                    ${escapeHtml(t.name)} <small class="ccm-text-muted">${formatBytes(t.size)}</small>
+                </label>
+            `).join('');
+        } catch (error) {
+            container.innerHTML = `<p class="ccm-error">${escapeHtml(error.message)}</p>`;
         }
+    }
+    
+    /**
+     * Dry-run or replace across the selected tables, table by table and chunk by chunk
+     * @param {boolean} apply - False for a dry run
+     */
+    async function runSearchReplace(apply) {
+        if (searchReplaceState.running) return;
+        
+        const form = $('#search-replace-form');
+        const results = $('#sr-results');
+        const runButton = $('#sr-run');
+        const submitButton = form.querySelector('button[type="submit"]');
+        
+        // A replace always uses exactly what was dry-run
+        const params = apply ? searchReplaceState.dryRun.params : {
+            search: form.elements.search.value,
+            replace: form.elements.replace.value,
+            skip_guid: form.elements.skip_guid.checked ? 1 : 0
+        };
+        const tables = apply
+            ? searchReplaceState.dryRun.tables
+            : Array.from($$('input[name="sr_tables[]"]:checked', form)).map(cb => cb.value);
         
-        if (installRedisPlugin) {
-            installRedisPlugin.addEventListener('click', async () => {
-                installRedisPlugin.disabled = true;
-                installRedisPlugin.textContent = ccmToolsData.i18n.installing;
-                
-                try {
-                    const response = await ajax('ccm_tools_install_redis_plugin');
-                    showNotification(response.data.message, 'success');
-                    setTimeout(() => location.reload(), 1500);
-                } catch (error) {
-                    showNotification(ccmToolsData.i18n.installFailed + ' ' + error.message, 'error');
-                    installRedisPlugin.disabled = false;
-                    installRedisPlugin.textContent = ccmToolsData.i18n.installRedis;
-                }
-            });
+        if (!params.search) {
+            showNotification('Enter a string to search for.', 'warning');
+            return;
+        }
+        if (!tables.length) {
+            showNotification('Select at least one table.', 'warning');
+            return;
         }
         
-        if (enableRedisCache) {
-            enableRedisCache.addEventListener('click', async () => {
-                enableRedisCache.disabled = true;
-                enableRedisCache.textContent = ccmToolsData.i18n.enabling;
-                
-                try {
-                    const response = await ajax('ccm_tools_enable_redis_cache');
-                    showNotification(response.data.message, 'success');
-                    setTimeout(() => location.reload(), 1500);
-                } catch (error) {
-                    showNotification(ccmToolsData.i18n.enableFailed + ' ' + error.message, 'error');
-                    enableRedisCache.disabled = false;
-                    enableRedisCache.textContent = ccmToolsData.i18n.enableRedis;
+        searchReplaceState.running = true;
+        submitButton.disabled = true;
+        runButton.disabled = true;
+        
+        results.style.display = 'block';
+        results.innerHTML = `
+            <p id="sr-progress"><span class="ccm-icon ccm-info">${apply ? '⏳' : '🔍'}</span> <strong>${apply ? 'Replacing...' : 'Dry run — nothing is changed yet'}</strong> <span id="sr-progress-text">0/${tables.length} tables</span></p>
+            <div class="ccm-progress-bar"><div class="ccm-progress-fill" id="sr-progress-bar" style="width: 0%"></div></div>
+            <table class="ccm-table">
+                <thead><tr><th>Table</th><th>Status</th><th>Rows ${apply ? 'updated' : 'matched'}</th><th>Replacements</th></tr></thead>
+                <tbody>
+                    ${tables.map((t, i) => `<tr data-sr-row="${i}"><td>${escapeHtml(t)}</td><td><span class="ccm-status-pending">⏳ Pending</span></td><td>-</td><td>-</td></tr>`).join('')}
+                </tbody>
+            </table>
+            <div id="sr-samples"></div>
+        `;
+        
+        let totalRows = 0;
+        let totalReplacements = 0;
+        let failures = 0;
+        const matchedTables = [];
+        const samples = [];
+        
+        for (let i = 0; i < tables.length; i++) {
+            const row = $(`[data-sr-row="${i}"]`, results);
+            const stats = { matched: 0, updated: 0, replacements: 0, skipped: 0, failed: 0, note: '' };
+            let cursor = '';
+            let done = false;
+            
+            try {
+                while (!done) {
+                    row.cells[1].innerHTML = '<span class="ccm-status-running"><div class="ccm-spinner ccm-spinner-small"></div> Running</span>';
+                    const { data } = await ajax('ccm_tools_sr_table', { ...params, table: tables[i], cursor, apply: apply ? 1 : '' }, { timeout: 120000, retries: apply ? 0 : 2 });
+                    ['matched', 'updated', 'replacements', 'skipped', 'failed'].forEach(key => stats[key] += data[key]);
+                    stats.note = data.note || stats.note;
+                    data.samples.forEach(sample => samples.length < 20 && samples.push({ table: tables[i], ...sample }));
+                    cursor = data.cursor;
+                    done = data.done;
+                    row.cells[2].textContent = (apply ? stats.updated : stats.matched).toLocaleString();
+                    row.cells[3].textContent = stats.replacements.toLocaleString();
                 }
-            });
+                
+                const notes = [
+                    stats.note,
+                    stats.skipped ? `${stats.skipped} row(s) with serialized objects or broken serialized data left unchanged` : '',
+                    stats.failed ? `${stats.failed} update(s) failed` : ''
+                ].filter(Boolean).join('; ');
+                row.cells[1].innerHTML = `<span class="ccm-status-${stats.failed ? 'error' : 'success'}"><span class="ccm-icon ccm-${stats.failed ? 'error' : 'success'}">${stats.failed ? '✗' : '✓'}</span> ${notes ? escapeHtml(notes) : 'Done'}</span>`;
+            } catch (error) {
+                failures++;
+                row.cells[1].innerHTML = `<span class="ccm-status-error"><span class="ccm-icon ccm-error">✗</span> ${escapeHtml(error.message)}</span>`;
+            }
+            
+            totalRows += apply ? stats.updated : stats.matched;
+            totalReplacements += stats.replacements;
+            failures += stats.failed;
+            if (stats.matched) matchedTables.push(tables[i]);
+            
+            $('#sr-progress-bar').style.width = `${Math.round(((i + 1) / tables.length) * 100)}%`;
+            $('#sr-progress-text').textContent = `${i + 1}/${tables.length} tables`;
         }
         
-        if (disableRedisCache) {
-            disableRedisCache.addEventListener('click', async () => {
-                disableRedisCache.disabled = true;
-                disableRedisCache.textContent = ccmToolsData.i18n.disabling;
-                
-                try {
-                    const response = await ajax('ccm_tools_disable_redis_cache');
-                    showNotification(response.data.message, 'success');
-                    setTimeout(() => location.reload(), 1500);
-                } catch (error) {
-                    showNotification(ccmToolsData.i18n.disableFailed + ' ' + error.message, 'error');
-                    disableRedisCache.disabled = false;
-                    disableRedisCache.textContent = ccmToolsData.i18n.disableRedis;
-                }
-            });
+        if (samples.length) {
+            $('#sr-samples').innerHTML = `
+                <h4>${apply ? 'Changed' : 'Sample matches'}</h4>
+                <div class="ccm-table-responsive">
+                    <table class="ccm-table ccm-opt-preview-samples">
+                        <thead><tr><th>Table</th><th>Key</th><th>Column</th><th>Before</th><th>After</th></tr></thead>
+                        <tbody>
+                            ${samples.map(s => `<tr><td>${escapeHtml(s.table)}</td><td>${escapeHtml(String(s.key))}</td><td>${escapeHtml(s.column)}</td><td><code>${escapeHtml(s.before)}</code></td><td><code>${escapeHtml(s.after)}</code></td></tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
         }
         
-        if (showRedisConfig) {
-            showRedisConfig.addEventListener('click', () => {
-                const configDetails = $('#redis-config-details');
-                const isShown = showRedisConfig.dataset.shown === 'true';
-                
-                if (configDetails) {
-                    configDetails.style.display = isShown ? 'none' : 'block';
-                }
-                
-                showRedisConfig.dataset.shown = isShown ? 'false' : 'true';
-                showRedisConfig.textContent = isShown ? ccmToolsData.i18n.showConfig : ccmToolsData.i18n.hideConfig;
-            });
+        let summary = apply
+            ? `<strong>Done:</strong> ${totalRows.toLocaleString()} row(s) updated, ${totalReplacements.toLocaleString()} replacement(s)`
+            : `<strong>Dry run complete:</strong> ${totalRows.toLocaleString()} row(s) in ${matchedTables.length} table(s) would change, ${totalReplacements.toLocaleString()} replacement(s)`;
+        if (failures) summary += ` — <span class="ccm-error">${failures} error(s)</span>`;
+        $('#sr-progress').innerHTML = `<span class="ccm-icon ccm-${failures ? 'warning' : 'success'}">${failures ? '⚠' : '✓'}</span> ${summary}`;
+        
+        if (apply) {
+            searchReplaceState.dryRun = null;
+            try {
+                const { data } = await ajax('ccm_tools_sr_finish', { ...params, tables: matchedTables, updated: totalRows }, { retries: 0 });
+                showNotification(data.message, failures ? 'warning' : 'success');
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        } else {
+            searchReplaceState.dryRun = totalRows > 0 ? { params, tables: matchedTables, rows: totalRows } : null;
+            runButton.disabled = !searchReplaceState.dryRun;
         }
+        
+        submitButton.disabled = false;
+        searchReplaceState.running = false;
     }
-
+    
+    // ===================================
+    // Database Backups
+    // ===================================
+    
+    const dbBackupState = { backup: null };
+    
     /**
-     * Initialize memory limit control
+     * Initialize the Last Backup card on the database page
      */
-    function initMemoryLimit() {
-        const updateMemoryLimit = $('#update-memory-limit');
+    function initDbBackup() {
+        const summary = $('#db-backup-summary');
+        if (!summary) return;
         
-        if (updateMemoryLimit) {
-            updateMemoryLimit.addEventListener('click', async () => {
-                const memorySelect = $('#memory-limit');
-                if (!memorySelect) return;
-                
-                const newLimit = memorySelect.value;
-                updateMemoryLimit.disabled = true;
-                updateMemoryLimit.textContent = 'Updating...';
-                
-                try {
-                    // Note: PHP expects 'limit' not 'memory_limit'
-                    const response = await ajax('ccm_tools_update_memory_limit', { limit: newLimit });
-                    showNotification(response.data.message, 'success');
-                    if (response.data.reload !== false) {
-                        setTimeout(() => location.reload(), 1500);
-                    } else {
-                        updateMemoryLimit.disabled = false;
-                        updateMemoryLimit.textContent = 'Update';
+        summary.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-backup-action]');
+            if (!button || !dbBackupState.backup) return;
+            
+            if (button.dataset.backupAction === 'restore') {
+                showConfirmModal(
+                    `Restore ${dbBackupState.backup.tables.length} table(s) to how they were on ${dbBackupState.backup.created_label}? Anything written to these tables since then is lost.`,
+                    () => restoreDbBackup(dbBackupState.backup),
+                    'Restore'
+                );
+            } else if (button.dataset.backupAction === 'delete') {
+                showConfirmModal('Delete the last backup?', async () => {
+                    try {
+                        const { data } = await ajax('ccm_tools_delete_db_backup');
+                        showNotification(data.message, 'success');
+                        renderDbBackup(data);
+                    } catch (error) {
+                        showNotification(error.message, 'error');
                     }
-                } catch (error) {
-                    showNotification(error.message, 'error');
-                    updateMemoryLimit.disabled = false;
-                    updateMemoryLimit.textContent = 'Update';
+                }, 'Delete');
+            }
+        });
+        
+        loadDbBackup();
+    }
+    
+    /**
+     * Load the last backup summary
+     */
+    async function loadDbBackup() {
+        try {
+            const { data } = await ajax('ccm_tools_get_db_backup');
+            renderDbBackup(data);
+        } catch (error) {
+            const summary = $('#db-backup-summary');
+            if (summary) summary.innerHTML = `<p class="ccm-error">${escapeHtml(error.message)}</p>`;
+        }
+    }
+    
+    /**
+     * Render the last backup summary
+     * @param {Object} data - Response from ccm_tools_get_db_backup
+     */
+    function renderDbBackup(data) {
+        const summary = $('#db-backup-summary');
+        if (!summary) return;
+        
+        const backup = data.backup;
+        dbBackupState.backup = backup;
+        const warning = data.storage && !data.storage.protected
+            ? `<p class="ccm-error">⚠ ${escapeHtml(data.storage.message)}</p>`
+            : '';
+        
+        if (!backup) {
+            summary.innerHTML = `${warning}<p class="ccm-text-muted">No backup yet.</p>`;
+            return;
+        }
+        
+        summary.innerHTML = `${warning}
+            <p>
+                <strong>${escapeHtml(backup.created_label)}</strong> by ${escapeHtml(backup.user)}, before: ${escapeHtml(backup.tasks.join(', '))}
+                <br><span class="ccm-text-muted">${backup.tables.length} table(s), ${escapeHtml(backup.total_size)} compressed${backup.restored_label ? ` · last restored ${escapeHtml(backup.restored_label)}` : ''}</span>
+            </p>
+            <div class="ccm-table-responsive">
+                <table class="ccm-table">
+                    <thead><tr><th>Table</th><th>Rows</th><th>Table size</th><th>Backup</th><th>Restore</th></tr></thead>
+                    <tbody>
+                        ${backup.tables.map(t => `
+                            <tr>
+                                <td>${escapeHtml(t.name)}</td>
+                                <td>${escapeHtml(t.rows)}</td>
+                                <td>${escapeHtml(t.size)}</td>
+                                <td>${escapeHtml(t.file_size)}</td>
+                                <td data-restore-table="${escapeHtml(t.name)}">-</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="ccm-buttons">
+                <button type="button" class="ccm-button ccm-button-primary" data-backup-action="restore">Restore Last Backup</button>
+                <button type="button" class="ccm-button ccm-button-danger" data-backup-action="delete">Delete Backup</button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Export every table the given tasks touch, chunk by chunk
+     * @param {string[]} tasks - Optimization option keys
+     * @param {HTMLElement|null} statusEl - Where to show progress
+     * @returns {Promise<boolean>} True when the backup completed
+     */
+    async function backupTablesForTasks(tasks, statusEl) {
+        const setStatus = (html) => {
+            if (statusEl) statusEl.innerHTML = html;
+        };
+        
+        try {
+            const { data: run } = await ajax('ccm_tools_db_backup_start', { tasks });
+            
+            for (let i = 0; i < run.tables.length; i++) {
+                const table = run.tables[i];
+                let done = false;
+                while (!done) {
+                    const { data } = await ajax('ccm_tools_db_backup_table', { id: run.id, table }, { timeout: 120000 });
+                    done = data.done;
+                    setStatus(`
+                        <div class="ccm-status-running"><div class="ccm-spinner ccm-spinner-small"></div> Backing up <strong>${escapeHtml(table)}</strong> (${i + 1}/${run.tables.length}) — ${data.rows.toLocaleString()} rows</div>
+                        <div class="ccm-progress-bar ccm-progress-bar-sm"><div class="ccm-progress-fill" style="width: ${Math.round((i / run.tables.length) * 100)}%"></div></div>
+                    `);
                 }
-            });
+            }
+            
+            const { data } = await ajax('ccm_tools_db_backup_finish', { id: run.id });
+            renderDbBackup(data);
+            setStatus(`<p><span class="ccm-icon ccm-success">✓</span> Backed up ${run.tables.length} table(s) (${escapeHtml(data.backup.total_size)})</p>`);
+            return true;
+        } catch (error) {
+            setStatus(`<p class="ccm-error">Backup failed, nothing was changed: ${escapeHtml(error.message)}</p>`);
+            showNotification(`Backup failed: ${error.message}`, 'error');
+            return false;
         }
     }
-
+    
     /**
-     * Initialize TTFB refresh and auto-load
+     * Restore every table of the last backup, chunk by chunk
+     * @param {Object} backup - Backup summary from renderDbBackup
      */
-    function initTTFBRefresh() {
-        const refreshTTFB = $('#refresh-ttfb');
-        const ttfbResult = $('#ttfb-result');
+    async function restoreDbBackup(backup) {
+        const buttons = $$('#db-backup-summary [data-backup-action]');
+        buttons.forEach(b => b.disabled = true);
         
-        /**
-         * Load TTFB measurement via AJAX
-         */
-        async function loadTTFB() {
-            if (!ttfbResult) return;
+        let failed = null;
+        for (const table of backup.tables) {
+            const cell = $(`#db-backup-summary [data-restore-table="${CSS.escape(table.name)}"]`);
+            let offset = 0;
+            let done = false;
             
-            if (refreshTTFB) refreshTTFB.disabled = true;
-            ttfbResult.innerHTML = `<div class="ccm-spinner ccm-spinner-small"></div> <span class="ccm-text-muted">${ccmToolsData.i18n.measuring || 'Measuring...'}</span>`;
+            try {
+                while (!done) {
+                    if (cell) cell.innerHTML = '<div class="ccm-spinner ccm-spinner-small"></div>';
+                    const { data } = await ajax('ccm_tools_restore_db_backup_table', { id: backup.id, table: table.name, offset }, { timeout: 120000, retries: 0 });
+                    offset = data.offset;
+                    done = data.done;
+                }
+                if (cell) cell.innerHTML = '<span class="ccm-icon ccm-success">✓</span>';
+            } catch (error) {
+                failed = error.message;
+                if (cell) cell.innerHTML = `<span class="ccm-error">${escapeHtml(error.message)}</span>`;
+                break;
+            }
+        }
+        
+        buttons.forEach(b => b.disabled = false);
+        
+        if (failed) {
+            showNotification(`Restore stopped: ${failed}`, 'error');
+            return;
+        }
+        
+        showNotification('Backup restored.', 'success');
+        loadDbBackup();
+        initOptimizationOptions();
+    }
+
+    // ===================================
+    // Scheduled Database Maintenance
+    // ===================================
+    
+    const dbJobsState = { jobs: [] };
+    
+    /**
+     * Initialize the Scheduled Maintenance card on the database page
+     */
+    function initDbJobs() {
+        const card = $('#db-jobs-card');
+        if (!card) return;
+        
+        const form = $('#db-job-form');
+        
+        $('#db-job-add').addEventListener('click', () => openDbJobForm(null));
+        $('#db-job-cancel').addEventListener('click', () => {
+            form.style.display = 'none';
+        });
+        
+        $('#db-job-use-selection').addEventListener('click', () => {
+            const selected = getSelectedOptimizations().map(o => o.key);
+            $$('input[name="tasks[]"]', form).forEach(cb => {
+                cb.checked = selected.includes(cb.value);
+            });
+        });
+        
+        form.elements.frequency.addEventListener('change', () => updateDbJobFormFields(form));
+        form.elements.notify.addEventListener('change', () => updateDbJobFormFields(form));
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = form.querySelector('button[type="submit"]');
+            button.disabled = true;
             
             try {
-                const response = await ajax('ccm_tools_measure_ttfb');
-                const data = response.data;
-                
-                if (data.time) {
-                    let ttfbClass = 'ccm-success';
-                    let ttfbLabel = 'Fast';
-                    
-                    if (data.time > 1800) {
-                        ttfbClass = 'ccm-error';
-                        ttfbLabel = 'Slow';
-                    } else if (data.time > 800) {
-                        ttfbClass = 'ccm-warning';
-                        ttfbLabel = 'Average';
-                    }
-                    
-                    ttfbResult.innerHTML = `
-                        <span class="${ttfbClass}">${data.time} ${data.unit || 'ms'}</span>
-                        <span class="ccm-note">(${ttfbLabel})</span>
-                    `;
-                    
-                    if (data.measurement_note) {
-                        ttfbResult.innerHTML += `<br><small class="ccm-note">${escapeHtml(data.measurement_note)}</small>`;
+                const { data } = await ajax('ccm_tools_save_db_job', {
+                    id: form.elements.id.value,
+                    name: form.elements.name.value,
+                    tasks: Array.from($$('input[name="tasks[]"]:checked', form)).map(cb => cb.value),
+                    frequency: form.elements.frequency.value,
+                    weekday: form.elements.weekday.value,
+                    time: form.elements.time.value,
+                    trigger: form.elements.trigger.value,
+                    notify: form.elements.notify.value,
+                    email: form.elements.email.value,
+                    enabled: form.elements.enabled.checked ? 1 : 0
+                }, { retries: 0 });
+                showNotification(data.message, 'success');
+                form.style.display = 'none';
+                renderDbJobs(data);
+            } catch (error) {
+                showNotification(error.message, 'error');
+            } finally {
+                button.disabled = false;
+            }
+        });
+        
+        $('#db-jobs').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-job-action]');
+            if (!button) return;
+            
+            const job = dbJobsState.jobs.find(j => j.id === button.dataset.jobId);
+            if (!job) return;
+            
+            if (button.dataset.jobAction === 'edit') {
+                openDbJobForm(job);
+            } else if (button.dataset.jobAction === 'run') {
+                showConfirmModal(
+                    `Run "${job.name}" now? ${job.tasks.length} task(s) will run without a preview or backup.`,
+                    () => runDbJob(job, button),
+                    'Run Now'
+                );
+            } else if (button.dataset.jobAction === 'delete') {
+                showConfirmModal(`Delete the job "${job.name}"?`, async () => {
+                    try {
+                        const { data } = await ajax('ccm_tools_delete_db_job', { id: job.id });
+                        showNotification(data.message, 'success');
+                        renderDbJobs(data);
+                    } catch (error) {
+                        showNotification(error.message, 'error');
                     }
-                } else {
-                    ttfbResult.innerHTML = `<span class="ccm-error">${ccmToolsData.i18n.measurementFailed || 'Measurement failed'}</span>`;
+                }, 'Delete');
+            }
+        });
+        
+        $('#db-job-clear-history').addEventListener('click', () => {
+            showConfirmModal('Clear the maintenance run history?', async () => {
+                try {
+                    const { data } = await ajax('ccm_tools_clear_db_job_history');
+                    renderDbJobs(data);
+                } catch (error) {
+                    showNotification(error.message, 'error');
                 }
-            } catch (error) {
-                ttfbResult.innerHTML = `<span class="ccm-error">${ccmToolsData.i18n.measurementFailed || 'Measurement failed'}: ${escapeHtml(error.message)}</span>`;
+            }, 'Clear');
+        });
+        
+        loadDbJobs();
+    }
+    
+    /**
+     * Load jobs, run history and cron status
+     */
+    async function loadDbJobs() {
+        try {
+            const { data } = await ajax('ccm_tools_get_db_jobs');
+            renderDbJobs(data);
+        } catch (error) {
+            const status = $('#db-jobs-status');
+            if (status) status.innerHTML = `<span class="ccm-error">${escapeHtml(error.message)}</span>`;
+        }
+    }
+    
+    /**
+     * Render the jobs table, run history and cron status
+     * @param {Object} data - Response from ccm_tools_get_db_jobs
+     */
+    function renderDbJobs(data) {
+        dbJobsState.jobs = data.jobs;
+        
+        const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        const schedule = (job) => {
+            const when = job.frequency === 'weekly' ? `Weekly on ${weekdays[job.weekday]}` : (job.frequency === 'daily' ? 'Daily' : 'Monthly on the 1st');
+            return `${when} at ${escapeHtml(job.time)} · ${job.trigger === 'server' ? 'server cron' : 'WP-Cron'}`;
+        };
+        
+        const status = $('#db-jobs-status');
+        const usesWpCron = data.jobs.some(j => j.enabled && j.trigger === 'wp_cron');
+        status.innerHTML = data.status.cron_disabled && usesWpCron
+            ? '<span class="ccm-warning">DISABLE_WP_CRON is set: WP-Cron jobs only run if a server cron calls wp-cron.php. Switch them to server cron or make sure wp-cron.php is called.</span>'
+            : `Times are in the site timezone (${escapeHtml(data.status.timezone)}).`;
+        
+        const jobsBody = $('#db-jobs tbody');
+        jobsBody.innerHTML = data.jobs.length ? data.jobs.map(job => `
+            <tr>
+                <td><strong>${escapeHtml(job.name)}</strong></td>
+                <td>${job.task_labels.map(escapeHtml).join(', ')}</td>
+                <td>
+                    ${schedule(job)}
+                    ${job.next_label ? `<br><small class="ccm-text-muted">Next: ${escapeHtml(job.next_label)}</small>` : ''}
+                    ${job.crontab ? `<code class="ccm-db-job-crontab">${escapeHtml(job.crontab)}</code><small class="ccm-text-muted">Server cron uses the server's timezone, which may differ from the site's.</small>` : ''}
+                </td>
+                <td>${job.last_run ? `<span class="${job.last_ok ? 'ccm-success' : 'ccm-error'}">${job.last_ok ? '✓' : '✗'}</span> ${escapeHtml(job.last_label)}` : '<span class="ccm-text-muted">Never</span>'}</td>
+                <td>${job.enabled ? '<span class="ccm-success">✓</span>' : '<span class="ccm-text-muted">Paused</span>'}</td>
+                <td class="ccm-log-alert-row-actions">
+                    <button type="button" class="ccm-button ccm-button-small" data-job-action="run" data-job-id="${escapeHtml(job.id)}">Run Now</button>
+                    <button type="button" class="ccm-button ccm-button-small" data-job-action="edit" data-job-id="${escapeHtml(job.id)}">Edit</button>
+                    <button type="button" class="ccm-button ccm-button-small ccm-button-danger" data-job-action="delete" data-job-id="${escapeHtml(job.id)}">Delete</button>
+                </td>
+            </tr>
+        `).join('') : '<tr><td colspan="6" class="ccm-text-muted">No maintenance jobs yet.</td></tr>';
+        
+        const historyBody = $('#db-job-history tbody');
+        historyBody.innerHTML = data.history.length ? data.history.map(run => `
+            <tr>
+                <td>${escapeHtml(run.time_label)}<br><small class="ccm-text-muted">${escapeHtml(run.trigger.replace('_', '-'))}, ${escapeHtml(String(run.duration))}s</small></td>
+                <td>${escapeHtml(run.job)}</td>
+                <td>
+                    <span class="${run.ok ? 'ccm-success' : 'ccm-error'}">${run.ok ? '✓ OK' : '✗ Failed'}</span>
+                    ${run.notified ? `<br><small class="ccm-text-muted">Email: ${escapeHtml(run.notified)}</small>` : ''}
+                </td>
+                <td>${run.rows.toLocaleString()}</td>
+                <td>${escapeHtml(run.bytes_label)}</td>
+                <td>
+                    <details>
+                        <summary>${run.tasks.length} task(s)</summary>
+                        <ul class="ccm-db-job-tasks-result">
+                            ${run.tasks.map(t => `<li><span class="${t.success ? 'ccm-success' : 'ccm-error'}">${t.success ? '✓' : '✗'}</span> <strong>${escapeHtml(t.label)}</strong>: ${escapeHtml(t.message)}</li>`).join('')}
+                        </ul>
+                    </details>
+                </td>
+            </tr>
+        `).join('') : '<tr><td colspan="6" class="ccm-text-muted">No runs yet.</td></tr>';
+    }
+    
+    /**
+     * Show the job form, filled in from a job or reset for a new one
+     * @param {Object|null} job - Job to edit, or null to add
+     */
+    function openDbJobForm(job) {
+        const form = $('#db-job-form');
+        form.reset();
+        
+        form.elements.id.value = job ? job.id : '';
+        form.elements.email.value = job && job.email ? job.email : form.elements.email.dataset.defaultEmail;
+        
+        if (job) {
+            form.elements.name.value = job.name;
+            form.elements.frequency.value = job.frequency;
+            form.elements.weekday.value = job.weekday;
+            form.elements.time.value = job.time;
+            form.elements.trigger.value = job.trigger;
+            form.elements.notify.value = job.notify;
+            form.elements.enabled.checked = job.enabled;
+        }
+        
+        $$('input[name="tasks[]"]', form).forEach(cb => {
+            cb.checked = job ? job.tasks.includes(cb.value) : false;
+        });
+        
+        updateDbJobFormFields(form);
+        form.style.display = '';
+        form.elements.name.focus();
+    }
+    
+    /**
+     * Show the weekday and email fields only when they apply
+     * @param {HTMLFormElement} form - The job form
+     */
+    function updateDbJobFormFields(form) {
+        form.elements.weekday.style.display = form.elements.frequency.value === 'weekly' ? '' : 'none';
+        form.elements.email.style.display = form.elements.notify.value === 'never' ? 'none' : '';
+    }
+    
+    /**
+     * Run a job now, one task per request, and refresh the history
+     * @param {Object} job - Job to run
+     * @param {HTMLButtonElement} button - The Run Now button
+     */
+    async function runDbJob(job, button) {
+        button.disabled = true;
+        button.innerHTML = '<div class="ccm-spinner ccm-spinner-small"></div> Running...';
+        
+        try {
+            let { data } = await ajax('ccm_tools_run_db_job', { id: job.id }, { timeout: 900000, retries: 0 });
+            while (!data.done) {
+                button.innerHTML = `<div class="ccm-spinner ccm-spinner-small"></div> Task ${data.index + 1}/${data.total}...`;
+                ({ data } = await ajax('ccm_tools_db_job_step', {}, { timeout: 900000, retries: 0 }));
+            }
+            showNotification(data.message, data.ok ? 'success' : 'warning');
+            renderDbJobs(data);
+            initOptimizationOptions();
+        } catch (error) {
+            showNotification(error.message, 'error');
+            button.disabled = false;
+            button.textContent = 'Run Now';
+        }
+    }
+
+    /**
+     * Initialize .htaccess options and event handlers
+     */
+    function initHtaccessOptions() {
+        // Add change listeners to htaccess checkboxes for dynamic status updates
+        const optionsContainer = document.querySelector('#htaccess-options');
+        if (optionsContainer) {
+            optionsContainer.addEventListener('change', (e) => {
+                if (e.target.matches('input[name="htaccess_options[]"]')) {
+                    updateHtaccessOptionStatus(e.target);
+                }
+            });
+        }
+        
+        // .htaccess Tools (using event delegation)
+        document.addEventListener('click', async (e) => {
+            // Add / update / remove: preview the change as a diff first
+            const htButton = e.target.closest('#htadd, #htupdate, #htremove');
+            if (htButton) {
+                e.preventDefault();
+                const actions = { htadd: 'add', htupdate: 'update', htremove: 'remove' };
+                previewHtaccessChange(actions[htButton.id], htButton);
+            }
+            
+            // Expand folded unchanged lines in any diff
+            const gap = e.target.closest('.ccm-htdiff-gap');
+            if (gap) {
+                $$(`tr[data-fold-row="${gap.dataset.fold}"]`, gap.closest('tbody')).forEach(row => { row.hidden = false; });
+                gap.remove();
+            }
+        });
+    }
+    
+    /**
+     * Update the status indicator for a htaccess option based on checkbox state
+     * @param {HTMLInputElement} checkbox - The checkbox element
+     */
+    function updateHtaccessOptionStatus(checkbox) {
+        const optItem = checkbox.closest('.ccm-opt-item');
+        if (!optItem) return;
+        
+        const statusEl = optItem.querySelector('.ccm-opt-item-status');
+        if (!statusEl) return;
+        
+        const isApplied = optItem.dataset.applied === '1';
+        const hasOptimizations = optItem.dataset.hasOptimizations === '1';
+        const isChecked = checkbox.checked;
+        
+        let statusClass, statusIcon, statusText;
+        
+        if (hasOptimizations) {
+            // Optimizations exist in .htaccess
+            if (isApplied && isChecked) {
+                // Currently applied and staying applied
+                statusClass = 'ccm-status-applied';
+                statusIcon = '✓';
+                statusText = 'Applied';
+            } else if (isApplied && !isChecked) {
+                // Currently applied but will be removed
+                statusClass = 'ccm-status-will-remove';
+                statusIcon = '−';
+                statusText = 'Will be removed';
+            } else if (!isApplied && isChecked) {
+                // Not applied but will be added
+                statusClass = 'ccm-status-pending';
+                statusIcon = '+';
+                statusText = 'Will be applied';
+            } else {
+                // Not applied and staying not applied
+                statusClass = 'ccm-status-not-applied';
+                statusIcon = '○';
+                statusText = 'Not applied';
+            }
+        } else {
+            // No optimizations yet (fresh install)
+            if (isChecked) {
+                statusClass = 'ccm-status-pending';
+                statusIcon = '○';
+                statusText = 'Will be applied';
+            } else {
+                statusClass = 'ccm-status-not-applied';
+                statusIcon = '○';
+                statusText = 'Will not be applied';
+            }
+        }
+        
+        // Update classes
+        optItem.classList.remove('ccm-status-applied', 'ccm-status-not-applied', 'ccm-status-pending', 'ccm-status-will-remove');
+        optItem.classList.add(statusClass);
+        statusEl.classList.remove('ccm-status-applied', 'ccm-status-not-applied', 'ccm-status-pending', 'ccm-status-will-remove');
+        statusEl.classList.add(statusClass);
+        
+        // Update content
+        statusEl.innerHTML = statusIcon + ' <small>' + statusText + '</small>';
+    }
+    
+    /**
+     * Get selected htaccess options from checkboxes
+     */
+    function getSelectedHtaccessOptions() {
+        const options = [];
+        const checkboxes = document.querySelectorAll('#htaccess-options input[name="htaccess_options[]"]:checked');
+        checkboxes.forEach(cb => {
+            options.push(cb.value);
+        });
+        return options;
+    }
+
+    /**
+     * Copy text to the clipboard, falling back to a hidden textarea where
+     * the async Clipboard API is unavailable (plain-http admin screens)
+     * @param {string} text - Text to copy
+     */
+    async function copyToClipboard(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(text);
+            return;
+        }
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        document.body.removeChild(textarea);
+        if (!copied) throw new Error('Copy failed');
+    }
+
+    /**
+     * Line diff between two texts (LCS). Returns ops of the form
+     * { type: 'same'|'del'|'add', a: oldIndex, b: newIndex }.
+     * @param {string[]} a - Old lines
+     * @param {string[]} b - New lines
+     */
+    function diffLines(a, b) {
+        // Trim the common head and tail so the table only covers the changed middle
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const n = endA - start;
+        const m = endB - start;
+        const table = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i * (m + 1) + j] = a[start + i] === b[start + j]
+                    ? table[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(table[(i + 1) * (m + 1) + j], table[i * (m + 1) + j + 1]);
+            }
+        }
+
+        const ops = [];
+        for (let k = 0; k < start; k++) ops.push({ type: 'same', a: k, b: k });
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && a[start + i] === b[start + j]) {
+                ops.push({ type: 'same', a: start + i++, b: start + j++ });
+            } else if (j < m && (i >= n || table[i * (m + 1) + j + 1] >= table[(i + 1) * (m + 1) + j])) {
+                ops.push({ type: 'add', b: start + j++ });
+            } else {
+                ops.push({ type: 'del', a: start + i++ });
+            }
+        }
+        for (let k = 0; k < a.length - endA; k++) ops.push({ type: 'same', a: endA + k, b: endB + k });
+        return ops;
+    }
+
+    /**
+     * Indexes of the lines inside the CCM-managed block (markers included)
+     * @param {string[]} lines - File lines
+     * @returns {Set<number>}
+     */
+    function htaccessManagedLines(lines) {
+        const managed = new Set();
+        let inside = false;
+        lines.forEach((line, index) => {
+            if (line.startsWith('# BEGIN CCM Optimise')) inside = true;
+            if (inside) managed.add(index);
+            if (line.startsWith('# END CCM Optimise')) inside = false;
+        });
+        return managed;
+    }
+
+    /**
+     * Render a side-by-side diff table. Runs of unchanged lines longer than
+     * a few lines of context are folded behind a clickable row.
+     * @param {string} current - Current text
+     * @param {string} proposed - Proposed text
+     * @param {string[]} labels - Column headings for the two sides
+     * @returns {{ html: string, added: number, removed: number }}
+     */
+    function renderSideBySideDiff(current, proposed, labels = ['Current .htaccess', 'Proposed .htaccess']) {
+        const splitLines = (text) => text === '' ? [] : text.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+        const oldLines = splitLines(current);
+        const newLines = splitLines(proposed);
+        const oldManaged = htaccessManagedLines(oldLines);
+        const newManaged = htaccessManagedLines(newLines);
+        const ops = diffLines(oldLines, newLines);
+
+        // Pair consecutive removals with additions so edits sit on one row
+        const rows = [];
+        let added = 0;
+        let removed = 0;
+        for (let k = 0; k < ops.length;) {
+            if (ops[k].type === 'same') {
+                rows.push({ same: true, left: ops[k].a, right: ops[k].b });
+                k++;
+                continue;
+            }
+            const dels = [];
+            const adds = [];
+            while (k < ops.length && ops[k].type !== 'same') {
+                if (ops[k].type === 'del') dels.push(ops[k].a);
+                else adds.push(ops[k].b);
+                k++;
+            }
+            removed += dels.length;
+            added += adds.length;
+            for (let r = 0; r < Math.max(dels.length, adds.length); r++) {
+                rows.push({ same: false, left: dels[r] ?? null, right: adds[r] ?? null });
+            }
+        }
+
+        const context = 3;
+        const changed = rows.map(row => !row.same);
+        const visible = rows.map((row, index) => {
+            for (let d = -context; d <= context; d++) {
+                if (changed[index + d]) return true;
+            }
+            return false;
+        });
+
+        const cell = (index, lines, managed, type) => {
+            if (index === null) return '<td class="ccm-htdiff-num"></td><td class="ccm-htdiff-line ccm-htdiff-empty"></td>';
+            const classes = ['ccm-htdiff-line'];
+            if (type) classes.push(`ccm-htdiff-${type}`);
+            if (managed.has(index)) classes.push('ccm-htdiff-managed');
+            return `<td class="ccm-htdiff-num">${index + 1}</td><td class="${classes.join(' ')}">${escapeHtml(lines[index]) || ' '}</td>`;
+        };
+
+        let body = '';
+        let fold = 0;
+        for (let index = 0; index < rows.length;) {
+            if (!visible[index]) {
+                let end = index;
+                while (end < rows.length && !visible[end]) end++;
+                fold++;
+                body += `<tr class="ccm-htdiff-gap" data-fold="${fold}"><td colspan="4">⋯ ${end - index} unchanged line${end - index === 1 ? '' : 's'} (click to show)</td></tr>`;
+                for (; index < end; index++) {
+                    const row = rows[index];
+                    body += `<tr data-fold-row="${fold}" hidden>${cell(row.left, oldLines, oldManaged, '')}${cell(row.right, newLines, newManaged, '')}</tr>`;
+                }
+                continue;
+            }
+            const row = rows[index];
+            body += `<tr>${cell(row.left, oldLines, oldManaged, row.same ? '' : 'del')}${cell(row.right, newLines, newManaged, row.same ? '' : 'add')}</tr>`;
+            index++;
+        }
+
+        const html = `
+            <div class="ccm-htdiff">
+                <table>
+                    <thead><tr><th colspan="2">${escapeHtml(labels[0])}</th><th colspan="2">${escapeHtml(labels[1])}</th></tr></thead>
+                    <tbody>${body || '<tr><td colspan="4">Both files are empty.</td></tr>'}</tbody>
+                </table>
+            </div>
+        `;
+        return { html, added, removed };
+    }
+
+    /**
+     * Show what an add/update/remove would write as a side-by-side diff,
+     * then let the user apply it or copy the proposed file instead
+     * @param {string} action - 'add', 'update' or 'remove'
+     * @param {HTMLElement} button - The button that was clicked
+     */
+    async function previewHtaccessChange(action, button) {
+        const resultBox = $('#htaccess-result');
+        if (!resultBox) return;
+        const options = action === 'remove' ? [] : getSelectedHtaccessOptions();
+
+        button.disabled = true;
+        resultBox.style.display = 'block';
+        resultBox.innerHTML = '<div class="ccm-spinner" style="margin: 10px 0;"></div>';
+
+        let preview;
+        try {
+            ({ data: preview } = await ajax('ccm_tools_preview_htaccess', { htaccess_action: action, options }));
+        } catch (error) {
+            resultBox.innerHTML = `<p class="ccm-error"><span class="ccm-icon">✗</span>${escapeHtml(error.message)}</p>`;
+            button.disabled = false;
+            return;
+        }
+        button.disabled = false;
+
+        const diff = renderSideBySideDiff(preview.current, preview.proposed);
+        const labels = { add: 'Add Optimizations', update: 'Update', remove: 'Remove Optimizations' };
+        const summary = diff.added || diff.removed
+            ? `<strong>+${diff.added}</strong> added, <strong>−${diff.removed}</strong> removed line${diff.removed === 1 ? '' : 's'}${preview.exists ? '' : ' (new file)'}`
+            : 'No changes — the proposed file matches the current one.';
+
+        resultBox.innerHTML = `
+            <h3>Review .htaccess Changes</h3>
+            <p class="ccm-htdiff-summary">${summary} <span class="ccm-htdiff-legend"><span class="ccm-htdiff-managed">CCM-managed block</span></span></p>
+            ${preview.writable ? '' : '<p class="ccm-warning"><span class="ccm-icon">⚠</span>.htaccess is not writable. Copy the proposed file and upload it manually.</p>'}
+            ${diff.html}
+            <div class="ccm-button-group" style="margin-top: 1rem;">
+                <button type="button" class="ccm-button ccm-button-primary" data-htdiff="apply" ${preview.writable && (diff.added || diff.removed) ? '' : 'disabled'}>${escapeHtml(labels[action])}</button>
+                <button type="button" class="ccm-button" data-htdiff="copy">Copy Proposed File</button>
+                <button type="button" class="ccm-button" data-htdiff="cancel">Cancel</button>
+            </div>
+        `;
+
+        resultBox.onclick = async (e) => {
+            const control = e.target.closest('[data-htdiff]');
+            if (!control) return;
+
+            if (control.dataset.htdiff === 'copy') {
+                try {
+                    await copyToClipboard(preview.proposed);
+                    showNotification('Proposed .htaccess copied to clipboard.', 'success');
+                } catch (error) {
+                    showNotification(error.message, 'error');
+                }
+            } else if (control.dataset.htdiff === 'cancel') {
+                resultBox.onclick = null;
+                resultBox.innerHTML = '';
+                resultBox.style.display = 'none';
+            } else if (control.dataset.htdiff === 'apply') {
+                resultBox.onclick = null;
+                applyHtaccessChange(action, options);
+            }
+        };
+    }
+
+    /**
+     * Write the change. The server checks the home page, a static asset and
+     * wp-admin before and after writing and reverts on its own if the site
+     * breaks (the browser could not reach admin-ajax.php to do it), so this
+     * only has to wait and show the result.
+     * @param {string} action - 'add', 'update' or 'remove'
+     * @param {string[]} options - Selected option keys
+     */
+    async function applyHtaccessChange(action, options) {
+        const resultBox = $('#htaccess-result');
+        resultBox.innerHTML = `
+            <div class="ccm-spinner" style="margin: 10px 0;"></div>
+            <p>Writing .htaccess, then checking the home page, a static asset and wp-admin…</p>
+        `;
+        $$('#htadd, #htupdate, #htremove').forEach(button => { button.disabled = true; });
+
+        try {
+            const { data } = await ajax(`ccm_tools_${action}_htaccess`, action === 'remove' ? {} : { options }, { timeout: 120000, retries: 0 });
+            $('#resultBox').innerHTML = data;
+        } catch (error) {
+            // Error responses carry a prebuilt HTML paragraph; show its text only
+            const message = document.createElement('div');
+            message.innerHTML = error.message;
+            resultBox.innerHTML = `<p class="ccm-error"><span class="ccm-icon">✗</span>${escapeHtml(message.textContent)}</p>`;
+            $$('#htadd, #htupdate, #htremove').forEach(button => { button.disabled = false; });
+        }
+        loadHtaccessHistory();
+    }
+
+    // ===================================
+    // .htaccess History
+    // ===================================
+
+    const htaccessHistoryState = {
+        versions: []
+    };
+
+    /**
+     * Initialize the .htaccess history card
+     */
+    function initHtaccessHistory() {
+        const card = $('#htaccess-history-card');
+        if (!card) return;
+
+        $('#htaccess-history').addEventListener('change', updateHtaccessHistoryCompare);
+        $('#htaccess-history').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-restore]');
+            if (button) restoreHtaccessVersion(button.dataset.restore);
+        });
+        $('#htaccess-history-compare').addEventListener('click', compareHtaccessVersions);
+
+        loadHtaccessHistory();
+    }
+
+    /**
+     * Load the version list
+     */
+    async function loadHtaccessHistory() {
+        if (!$('#htaccess-history-card')) return;
+        try {
+            const { data } = await ajax('ccm_tools_get_htaccess_history');
+            renderHtaccessHistory(data.versions);
+        } catch (error) {
+            $('#htaccess-history tbody').innerHTML = `<tr><td colspan="7" class="ccm-error">${escapeHtml(error.message)}</td></tr>`;
+        }
+    }
+
+    /**
+     * Render the version table. The two newest versions are preselected for comparison.
+     * @param {Array} versions - Versions, newest first
+     */
+    function renderHtaccessHistory(versions) {
+        htaccessHistoryState.versions = versions;
+        const actionLabels = { add: 'Added', update: 'Updated', remove: 'Removed', restore: 'Restored', revert: 'Auto-reverted', external: 'Snapshot' };
+
+        $('#htaccess-history tbody').innerHTML = versions.length ? versions.map((version, index) => `
+            <tr${version.is_current ? ' class="ccm-htaccess-history-current"' : ''}>
+                <td><input type="radio" name="htaccess_history_a" value="${escapeHtml(version.id)}" ${index === 1 ? 'checked' : ''}></td>
+                <td><input type="radio" name="htaccess_history_b" value="${escapeHtml(version.id)}" ${index === 0 ? 'checked' : ''}></td>
+                <td>
+                    ${escapeHtml(version.time_label)}
+                    ${version.is_current ? '<br><small class="ccm-success">✓ Live file</small>' : ''}
+                </td>
+                <td>${version.user ? escapeHtml(version.user) : '<span class="ccm-text-muted">—</span>'}</td>
+                <td><strong>${escapeHtml(actionLabels[version.action] || version.action)}</strong><br><small>${escapeHtml(version.summary)}</small></td>
+                <td>${formatBytes(version.size)}</td>
+                <td class="ccm-log-alert-row-actions">
+                    <button type="button" class="ccm-button ccm-button-small" data-restore="${escapeHtml(version.id)}" ${version.is_current ? 'disabled' : ''}>Restore</button>
+                </td>
+            </tr>
+        `).join('') : '<tr><td colspan="7" class="ccm-text-muted">No versions yet. A snapshot is taken the next time CCM Tools writes .htaccess.</td></tr>';
+
+        updateHtaccessHistoryCompare();
+    }
+
+    /**
+     * Enable Compare only when two different versions are picked
+     */
+    function updateHtaccessHistoryCompare() {
+        const a = $('input[name="htaccess_history_a"]:checked');
+        const b = $('input[name="htaccess_history_b"]:checked');
+        $('#htaccess-history-compare').disabled = !a || !b || a.value === b.value;
+    }
+
+    /**
+     * Show a side-by-side diff of the two selected versions
+     */
+    async function compareHtaccessVersions() {
+        const a = $('input[name="htaccess_history_a"]:checked')?.value;
+        const b = $('input[name="htaccess_history_b"]:checked')?.value;
+        if (!a || !b || a === b) return;
+
+        const output = $('#htaccess-history-diff');
+        const button = $('#htaccess-history-compare');
+        button.disabled = true;
+        output.style.display = 'block';
+        output.innerHTML = '<div class="ccm-spinner" style="margin: 10px 0;"></div>';
+
+        try {
+            const [{ data: from }, { data: to }] = await Promise.all([
+                ajax('ccm_tools_get_htaccess_version', { id: a }),
+                ajax('ccm_tools_get_htaccess_version', { id: b })
+            ]);
+            const label = (id) => htaccessHistoryState.versions.find(v => v.id === id)?.time_label || id;
+            const diff = renderSideBySideDiff(from.content, to.content, [`A: ${label(a)}`, `B: ${label(b)}`]);
+            output.innerHTML = `
+                <p class="ccm-htdiff-summary">${diff.added || diff.removed
+                    ? `<strong>+${diff.added}</strong> added, <strong>−${diff.removed}</strong> removed line${diff.removed === 1 ? '' : 's'} from A to B`
+                    : 'The two versions are identical.'} <span class="ccm-htdiff-legend"><span class="ccm-htdiff-managed">CCM-managed block</span></span></p>
+                ${diff.html}
+            `;
+        } catch (error) {
+            output.innerHTML = `<p class="ccm-error">${escapeHtml(error.message)}</p>`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Write a stored version back to .htaccess
+     * @param {string} id - Version ID
+     */
+    function restoreHtaccessVersion(id) {
+        const version = htaccessHistoryState.versions.find(v => v.id === id);
+        if (!version) return;
+
+        showConfirmModal(
+            `Restore the .htaccess version from ${version.time_label}? The current file is kept in the history, so this can be undone.`,
+            async () => {
+                const resultBox = $('#resultBox');
+                if (resultBox) resultBox.insertAdjacentHTML('afterbegin', '<div class="ccm-spinner" style="margin: 10px 0;"></div>');
+                try {
+                    const { data } = await ajax('ccm_tools_restore_htaccess_version', { id }, { timeout: 120000, retries: 0 });
+                    showNotification(data.message, data.healthy ? 'success' : 'warning');
+                    if (resultBox) resultBox.innerHTML = data.html;
+                } catch (error) {
+                    if (resultBox) removeSpinner(resultBox);
+                    showNotification(error.message, 'error');
+                }
+                loadHtaccessHistory();
+            },
+            'Restore'
+        );
+    }
+
+    // ===================================
+    // Server Configuration Generator
+    // ===================================
+
+    const serverConfigState = {
+        filename: '',
+        content: '',
+        timer: null
+    };
+
+    /**
+     * Initialize the Nginx / LiteSpeed config card
+     */
+    function initServerConfig() {
+        const card = $('#server-config-card');
+        if (!card) return;
+
+        $('#server-config-type').addEventListener('change', loadServerConfig);
+
+        // The option list is re-rendered after every write, so listen on the document
+        document.addEventListener('change', (e) => {
+            if (!e.target.matches('#htaccess-options input[name="htaccess_options[]"]')) return;
+            clearTimeout(serverConfigState.timer);
+            serverConfigState.timer = setTimeout(loadServerConfig, 300);
+        });
+
+        $('#server-config-copy').addEventListener('click', async () => {
+            try {
+                await copyToClipboard(serverConfigState.content);
+                showNotification('Configuration copied to clipboard.', 'success');
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+        });
+
+        $('#server-config-download').addEventListener('click', () => {
+            const blob = new Blob([serverConfigState.content], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = serverConfigState.filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        });
+
+        loadServerConfig();
+    }
+
+    /**
+     * Generate the configuration for the selected server and options
+     */
+    async function loadServerConfig() {
+        const output = $('#server-config-output');
+        const buttons = [$('#server-config-copy'), $('#server-config-download')];
+        buttons.forEach(button => { button.disabled = true; });
+
+        try {
+            const { data } = await ajax('ccm_tools_generate_server_config', {
+                server: $('#server-config-type').value,
+                options: getSelectedHtaccessOptions()
+            });
+            serverConfigState.filename = data.filename;
+            serverConfigState.content = data.content;
+            output.textContent = data.content;
+            buttons.forEach(button => { button.disabled = false; });
+        } catch (error) {
+            output.textContent = error.message;
+        }
+    }
+
+    // ===================================
+    // Content-Security-Policy Builder
+    // ===================================
+
+    const cspState = {
+        csp: null,
+        reports: []
+    };
+
+    // Directives the builder fills from scanned origins, in output order
+    const CSP_FETCH_DIRECTIVES = ['script-src', 'style-src', 'img-src', 'font-src', 'connect-src', 'media-src', 'frame-src', 'manifest-src'];
+
+    /**
+     * Initialize the CSP builder card
+     */
+    function initCspBuilder() {
+        const card = $('#csp-card');
+        if (!card) return;
+
+        $('#csp-scan').addEventListener('click', runCspScan);
+        $('#csp-report-only').addEventListener('click', () => saveCsp('report-only'));
+        $('#csp-enforce').addEventListener('click', () => saveCsp('enforce'));
+        $('#csp-off').addEventListener('click', () => saveCsp('off'));
+        $('#csp-policy').addEventListener('input', updateCspButtons);
+        $('#csp-refresh-reports').addEventListener('click', loadCsp);
+
+        $('#csp-clear-reports').addEventListener('click', () => {
+            showConfirmModal('Clear all collected violation reports?', async () => {
+                try {
+                    const { data } = await ajax('ccm_tools_csp_clear_reports', {}, { retries: 0 });
+                    showNotification(data.message, 'success');
+                    loadCsp();
+                } catch (error) {
+                    showNotification(error.message, 'error');
+                }
+            }, 'Clear');
+        });
+
+        $('#csp-reports').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-allow]');
+            if (!button) return;
+            const report = cspState.reports[parseInt(button.dataset.allow, 10)];
+            if (report) allowCspReport(report);
+        });
+
+        loadCsp();
+    }
+
+    /**
+     * Load the saved policy and the violation reports
+     */
+    async function loadCsp() {
+        try {
+            const { data } = await ajax('ccm_tools_csp_get');
+            const first = !cspState.csp;
+            cspState.csp = data.csp;
+            if (first && data.csp.policy) {
+                $('#csp-policy').value = data.csp.policy.split(/;\s*/).join(';\n');
+            }
+            renderCspStatus();
+            renderCspReports(data.reports);
+        } catch (error) {
+            $('#csp-reports tbody').innerHTML = `<tr><td colspan="6" class="ccm-error">${escapeHtml(error.message)}</td></tr>`;
+        }
+    }
+
+    /**
+     * Show the deployment state
+     */
+    function renderCspStatus() {
+        const csp = cspState.csp;
+        const status = $('#csp-status');
+        if (csp.mode === 'enforce') {
+            status.innerHTML = `<span class="ccm-success">✓ Enforced</span> since ${escapeHtml(csp.updated_label)}${csp.user ? ` by ${escapeHtml(csp.user)}` : ''}.`;
+        } else if (csp.mode === 'report-only') {
+            status.innerHTML = `<span class="ccm-warning">● Report-Only</span> since ${escapeHtml(csp.report_only_label)}. Nothing is blocked yet; browsers report what would be.`;
+        } else {
+            status.innerHTML = '<span class="ccm-text-muted">○ Not deployed.</span> No Content-Security-Policy header is sent by CCM Tools.';
+        }
+        updateCspButtons();
+    }
+
+    /**
+     * Enforce is only offered for the policy that is currently Report-Only
+     */
+    function updateCspButtons() {
+        const csp = cspState.csp;
+        if (!csp) return;
+        const policy = serializeCspPolicy(parseCspPolicy($('#csp-policy').value));
+        const deployed = serializeCspPolicy(parseCspPolicy(csp.policy));
+        const enforceButton = $('#csp-enforce');
+
+        enforceButton.disabled = csp.mode === 'off' || policy === '' || policy !== deployed;
+        enforceButton.title = enforceButton.disabled && csp.mode !== 'enforce'
+            ? 'Deploy this policy Report-Only first.'
+            : '';
+        $('#csp-off').disabled = csp.mode === 'off';
+    }
+
+    /**
+     * Parse a policy into an ordered map of directive => sources
+     * @param {string} policy - Policy text, directives separated by ";" or new lines
+     * @returns {Map<string, string[]>}
+     */
+    function parseCspPolicy(policy) {
+        const directives = new Map();
+        (policy || '').split(/[;\n]+/).forEach(part => {
+            const [name, ...sources] = part.trim().split(/\s+/);
+            if (!name || !/^[a-z-]+$/i.test(name)) return;
+            directives.set(name.toLowerCase(), [...new Set(sources)]);
+        });
+        return directives;
+    }
+
+    /**
+     * @param {Map<string, string[]>} directives
+     * @returns {string} Single-line policy
+     */
+    function serializeCspPolicy(directives) {
+        return [...directives].map(([name, sources]) => [name, ...sources].join(' ')).join('; ');
+    }
+
+    /**
+     * Scan the listed pages one by one and propose a policy from what they load
+     */
+    async function runCspScan() {
+        const urls = [...new Set($('#csp-pages').value.split(/\s+/).filter(Boolean))].slice(0, 10);
+        if (!urls.length) {
+            showNotification('Enter at least one page URL.', 'warning');
+            return;
+        }
+
+        const button = $('#csp-scan');
+        const output = $('#csp-scan-result');
+        const found = { origins: {}, inline_script: false, inline_style: false, data_img: false, data_font: false };
+        const lines = [];
+        button.disabled = true;
+        output.style.display = 'block';
+
+        for (const [index, url] of urls.entries()) {
+            output.innerHTML = `<p><span class="ccm-spinner ccm-spinner-small"></span> Scanning ${index + 1} of ${urls.length}: <code>${escapeHtml(url)}</code></p><ul>${lines.join('')}</ul>`;
+            try {
+                const { data } = await ajax('ccm_tools_csp_scan_page', { url }, { timeout: 45000 });
+                Object.entries(data.origins).forEach(([directive, origins]) => {
+                    found.origins[directive] = [...new Set([...(found.origins[directive] || []), ...origins])];
+                });
+                ['inline_script', 'inline_style', 'data_img', 'data_font'].forEach(flag => {
+                    found[flag] = found[flag] || data[flag];
+                });
+                const count = new Set(Object.values(data.origins).flat()).size;
+                lines.push(`<li><span class="ccm-success">✓</span> <code>${escapeHtml(url)}</code> — ${count} external origin${count === 1 ? '' : 's'}</li>`);
+            } catch (error) {
+                lines.push(`<li><span class="ccm-error">✗</span> <code>${escapeHtml(url)}</code> — ${escapeHtml(error.message)}</li>`);
+            }
+        }
+
+        const policy = buildCspPolicy(found);
+        const notes = [];
+        if (found.inline_script) notes.push('Inline scripts or event handlers were found, so <code>script-src</code> allows <code>\'unsafe-inline\'</code>.');
+        if (found.inline_style) notes.push('Inline styles were found, so <code>style-src</code> allows <code>\'unsafe-inline\'</code>.');
+        // A link on one page may be loaded as a resource by another
+        const loaded = new Set(Object.entries(found.origins).filter(([directive]) => directive !== 'other').flatMap(([, origins]) => origins));
+        const linkedOnly = (found.origins.other || []).filter(origin => !loaded.has(origin));
+        if (linkedOnly.length) {
+            notes.push(`Linked but not loaded (not added): ${linkedOnly.map(o => `<code>${escapeHtml(o)}</code>`).join(', ')}`);
+        }
+
+        output.innerHTML = `
+            <ul>${lines.join('')}</ul>
+            ${notes.map(note => `<p class="ccm-text-muted">${note}</p>`).join('')}
+            <p>Proposed policy written to the box below. Resources loaded by scripts and stylesheets at runtime are not visible to the scan; Report-Only mode will surface them.</p>
+        `;
+        $('#csp-policy').value = serializeCspPolicy(policy).split('; ').join(';\n');
+        updateCspButtons();
+        button.disabled = false;
+    }
+
+    /**
+     * Build a policy from scanned origins and flags
+     * @param {Object} found - Merged scan results
+     * @returns {Map<string, string[]>}
+     */
+    function buildCspPolicy(found) {
+        const origins = (directive) => found.origins[directive] || [];
+        const extra = {
+            'script-src': found.inline_script ? ["'unsafe-inline'"] : [],
+            'style-src': found.inline_style ? ["'unsafe-inline'"] : [],
+            'img-src': ['data:'],
+            'font-src': found.data_font ? ['data:'] : [],
+            // Scripts usually call back to their own origin (analytics, widgets)
+            'connect-src': origins('script-src')
+        };
+
+        // Google Fonts stylesheets load their font files from a second origin
+        if (origins('style-src').includes('https://fonts.googleapis.com')) {
+            extra['font-src'].push('https://fonts.gstatic.com');
+        }
+
+        const policy = new Map([['default-src', ["'self'"]]]);
+        CSP_FETCH_DIRECTIVES.forEach(directive => {
+            const sources = [...new Set([...origins(directive), ...(extra[directive] || [])])].sort();
+            if (sources.length || ['script-src', 'style-src', 'img-src', 'font-src', 'connect-src'].includes(directive)) {
+                policy.set(directive, ["'self'", ...sources]);
+            }
+        });
+        policy.set('object-src', origins('object-src').length ? ["'self'", ...origins('object-src')] : ["'none'"]);
+        policy.set('base-uri', ["'self'"]);
+        policy.set('form-action', ["'self'", ...origins('form-action')]);
+        policy.set('frame-ancestors', ["'self'"]);
+        return policy;
+    }
+
+    /**
+     * Map a reported blocked value to the source expression that allows it
+     * @param {string} blocked - Origin or keyword from the report
+     * @returns {string}
+     */
+    function cspSourceForBlocked(blocked) {
+        const keywords = { inline: "'unsafe-inline'", eval: "'unsafe-eval'", 'wasm-eval': "'wasm-unsafe-eval'", data: 'data:', blob: 'blob:', self: "'self'" };
+        return keywords[blocked] || blocked;
+    }
+
+    /**
+     * Whether a policy already allows a reported violation
+     * @param {Map<string, string[]>} policy
+     * @param {Object} report
+     * @returns {boolean}
+     */
+    function cspAllows(policy, report) {
+        const sources = policy.get(report.directive) || (CSP_FETCH_DIRECTIVES.includes(report.directive) ? policy.get('default-src') : null);
+        return !!sources && sources.includes(cspSourceForBlocked(report.blocked));
+    }
+
+    /**
+     * Render the aggregated violations
+     * @param {Array} reports - Reports, most recently seen first
+     */
+    function renderCspReports(reports) {
+        cspState.reports = reports;
+        const policy = parseCspPolicy($('#csp-policy').value);
+        const total = reports.reduce((sum, report) => sum + report.count, 0);
+
+        $('#csp-reports-summary').innerHTML = reports.length
+            ? `${total} report${total === 1 ? '' : 's'} across ${reports.length} distinct violation${reports.length === 1 ? '' : 's'}.`
+            : '';
+
+        $('#csp-reports tbody').innerHTML = reports.length ? reports.map((report, index) => {
+            const allowed = cspAllows(policy, report);
+            return `
+                <tr>
+                    <td><code>${escapeHtml(report.directive)}</code></td>
+                    <td>
+                        <code>${escapeHtml(report.blocked)}</code>
+                        ${report.source ? `<br><small class="ccm-text-muted">${escapeHtml(report.source)}</small>` : ''}
+                    </td>
+                    <td><code>${escapeHtml(report.document)}</code></td>
+                    <td>${report.count}</td>
+                    <td>${escapeHtml(report.last_label)}</td>
+                    <td class="ccm-log-alert-row-actions">
+                        ${allowed
+                            ? '<span class="ccm-success">✓ Allowed</span>'
+                            : `<button type="button" class="ccm-button ccm-button-small" data-allow="${index}">Allow</button>`}
+                    </td>
+                </tr>
+            `;
+        }).join('') : `<tr><td colspan="6" class="ccm-text-muted">${cspState.csp && cspState.csp.mode !== 'off'
+            ? 'No violations reported yet. Browse the site for a while, then refresh.'
+            : 'Deploy a policy Report-Only to start collecting violations.'}</td></tr>`;
+    }
+
+    /**
+     * Add a reported source to its directive in the policy box
+     * @param {Object} report
+     */
+    function allowCspReport(report) {
+        const policy = parseCspPolicy($('#csp-policy').value);
+        const sources = policy.get(report.directive) || [...(policy.get('default-src') || ["'self'"])];
+        const source = cspSourceForBlocked(report.blocked);
+        if (!sources.includes(source)) sources.push(source);
+        policy.set(report.directive, sources);
+
+        $('#csp-policy').value = serializeCspPolicy(policy).split('; ').join(';\n');
+        renderCspReports(cspState.reports);
+        updateCspButtons();
+        showNotification(`Added ${source} to ${report.directive}. Deploy Report-Only again to apply it.`, 'info');
+    }
+
+    /**
+     * Save the policy in the given mode
+     * @param {string} mode - off, report-only or enforce
+     */
+    async function saveCsp(mode) {
+        const save = async () => {
+            const buttons = [$('#csp-report-only'), $('#csp-enforce'), $('#csp-off')];
+            buttons.forEach(button => { button.disabled = true; });
+            try {
+                const { data } = await ajax('ccm_tools_csp_save', {
+                    mode,
+                    policy: $('#csp-policy').value
+                }, { retries: 0 });
+                cspState.csp = Object.assign(cspState.csp || {}, data.csp);
+                const messages = {
+                    'report-only': 'Policy deployed in Report-Only mode. Violations will appear below.',
+                    enforce: 'Policy enforced.',
+                    off: 'Content-Security-Policy header turned off.'
+                };
+                showNotification(messages[mode], 'success');
+                $('#csp-report-only').disabled = false;
+                loadCsp();
+            } catch (error) {
+                showNotification(error.message, 'error');
+                $('#csp-report-only').disabled = false;
+                updateCspButtons();
+            }
+        };
+
+        if (mode === 'enforce') {
+            const pending = cspState.reports.filter(report => !cspAllows(parseCspPolicy($('#csp-policy').value), report)).length;
+            showConfirmModal(
+                pending
+                    ? `${pending} reported violation${pending === 1 ? ' is' : 's are'} not allowed by this policy and will be blocked. Enforce anyway?`
+                    : 'Enforce this policy? Browsers will block anything it does not allow.',
+                save,
+                'Enforce'
+            );
+        } else {
+            save();
+        }
+    }
+
+    // ===================================
+    // Event Handlers Setup
+    // ===================================
+
+    /**
+     * Initialize all event handlers
+     */
+    function initEventHandlers() {
+        // Initialize optimization options if on database page
+        initOptimizationOptions();
+        initDbExplorer();
+        initAutoloadAuditor();
+        initSearchReplace();
+        initDbBackup();
+        initDbJobs();
+        
+        // Initialize htaccess options
+        initHtaccessOptions();
+        initHtaccessHistory();
+        initServerConfig();
+        initCspBuilder();
+        
+        // Debug mode toggles
+        initDebugToggles();
+        
+        // Redis controls
+        initRedisControls();
+        
+        // Memory limit
+        initMemoryLimit();
+        
+        // TTFB refresh
+        initTTFBRefresh();
+        
+        // WooCommerce controls
+        initWooCommerceControls();
+        
+        // Error log controls
+        initErrorLogControls();
+        
+        // Error log trends
+        initLogAnalytics();
+        
+        // Error log rotation and archives
+        initLogRotation();
+        
+        // Error log alert rules
+        initLogAlerts();
+    }
+
+    /**
+     * Initialize debug mode toggles
+     */
+    function initDebugToggles() {
+        const debugToggle = $('#toggle-debug');
+        const debugLogToggle = $('#toggle-debug-log');
+        const debugDisplayToggle = $('#toggle-debug-display');
+        
+        if (debugToggle) {
+            debugToggle.addEventListener('click', async () => {
+                const isEnabled = debugToggle.dataset.enabled === 'true';
+                
+                if (!isEnabled && !confirm(ccmToolsData.i18n.confirmEnableDebug)) {
+                    return;
+                }
+                
+                debugToggle.disabled = true;
+                const resultBox = $('#resultBox');
+                if (resultBox) {
+                    resultBox.innerHTML = '<div class="ccm-spinner"></div><p class="ccm-info">Updating debug settings in wp-config.php...</p>';
+                }
+                
+                try {
+                    const response = await ajax('ccm_tools_update_debug_mode', { enable: !isEnabled });
+                    showNotification(response.data.message, 'success');
+                    setTimeout(() => {
+                        window.location.href = window.location.href.split('#')[0] + '&nocache=' + Date.now();
+                    }, 1000);
+                } catch (error) {
+                    if (resultBox) {
+                        resultBox.innerHTML = `<p class="ccm-error"><span class="ccm-icon">✗</span>${escapeHtml(error.message)}</p>`;
+                    }
+                    showNotification(error.message, 'error');
+                    debugToggle.disabled = false;
+                }
+            });
+        }
+        
+        if (debugLogToggle) {
+            debugLogToggle.addEventListener('click', async () => {
+                const isEnabled = debugLogToggle.dataset.enabled === 'true';
+                debugLogToggle.disabled = true;
+                
+                const resultBox = $('#resultBox');
+                if (resultBox) {
+                    resultBox.innerHTML = '<div class="ccm-spinner"></div><p class="ccm-info">Updating debug log settings in wp-config.php...</p>';
+                }
+                
+                try {
+                    const response = await ajax('ccm_tools_update_debug_log', { enable: !isEnabled });
+                    showNotification(response.data.message, 'success');
+                    setTimeout(() => {
+                        window.location.href = window.location.href.split('#')[0] + '&nocache=' + Date.now();
+                    }, 1000);
+                } catch (error) {
+                    if (resultBox) {
+                        resultBox.innerHTML = `<p class="ccm-error"><span class="ccm-icon">✗</span>${escapeHtml(error.message)}</p>`;
+                    }
+                    showNotification(error.message, 'error');
+                    debugLogToggle.disabled = false;
+                }
+            });
+        }
+        
+        if (debugDisplayToggle) {
+            debugDisplayToggle.addEventListener('click', async () => {
+                const isEnabled = debugDisplayToggle.dataset.enabled === 'true';
+                
+                if (!isEnabled && !confirm(ccmToolsData.i18n.confirmEnableDebugDisplay)) {
+                    return;
+                }
+                
+                debugDisplayToggle.disabled = true;
+                
+                const resultBox = $('#resultBox');
+                if (resultBox) {
+                    resultBox.innerHTML = '<div class="ccm-spinner"></div><p class="ccm-info">Updating debug display settings in wp-config.php...</p>';
+                }
+                
+                try {
+                    const response = await ajax('ccm_tools_update_debug_display', { enable: !isEnabled });
+                    showNotification(response.data.message, 'success');
+                    setTimeout(() => {
+                        window.location.href = window.location.href.split('#')[0] + '&nocache=' + Date.now();
+                    }, 1000);
+                } catch (error) {
+                    if (resultBox) {
+                        resultBox.innerHTML = `<p class="ccm-error"><span class="ccm-icon">✗</span>${escapeHtml(error.message)}</p>`;
+                    }
+                    showNotification(error.message, 'error');
+                    debugDisplayToggle.disabled = false;
+                }
+            });
+        }
+    }
+
+    /**
+     * Initialize Redis controls
+     */
+    function initRedisControls() {
+        const configureRedis = $('#configure-redis');
+        const installRedisPlugin = $('#install-redis-plugin');
+        const enableRedisCache = $('#enable-redis-cache');
+        const disableRedisCache = $('#disable-redis-cache');
+        const showRedisConfig = $('#show-redis-config');
+        
+        if (configureRedis) {
+            configureRedis.addEventListener('click', async () => {
+                if (!confirm(ccmToolsData.i18n.confirmRedisConfig)) return;
+                
+                configureRedis.disabled = true;
+                configureRedis.textContent = 'Configuring...';
+                
+                try {
+                    const response = await ajax('ccm_tools_configure_redis');
+                    showNotification(response.data.message, 'success');
+                    setTimeout(() => location.reload(), 1500);
+                } catch (error) {
+                    showNotification(error.message, 'error');
+                    configureRedis.disabled = false;
+                    configureRedis.textContent = 'Add to wp-config.php';
+                }
+            });
+        }
+        
+        if (installRedisPlugin) {
+            installRedisPlugin.addEventListener('click', async () => {
+                installRedisPlugin.disabled = true;
+                installRedisPlugin.textContent = ccmToolsData.i18n.installing;
+                
+                try {
+                    const response = await ajax('ccm_tools_install_redis_plugin');
+                    showNotification(response.data.message, 'success');
+                    setTimeout(() => location.reload(), 1500);
+                } catch (error) {
+                    showNotification(ccmToolsData.i18n.installFailed + ' ' + error.message, 'error');
+                    installRedisPlugin.disabled = false;
+                    installRedisPlugin.textContent = ccmToolsData.i18n.installRedis;
+                }
+            });
+        }
+        
+        if (enableRedisCache) {
+            enableRedisCache.addEventListener('click', async () => {
+                enableRedisCache.disabled = true;
+                enableRedisCache.textContent = ccmToolsData.i18n.enabling;
+                
+                try {
+                    const response = await ajax('ccm_tools_enable_redis_cache');
+                    showNotification(response.data.message, 'success');
+                    setTimeout(() => location.reload(), 1500);
+                } catch (error) {
+                    showNotification(ccmToolsData.i18n.enableFailed + ' ' + error.message, 'error');
+                    enableRedisCache.disabled = false;
+                    enableRedisCache.textContent = ccmToolsData.i18n.enableRedis;
+                }
+            });
+        }
+        
+        if (disableRedisCache) {
+            disableRedisCache.addEventListener('click', async () => {
+                disableRedisCache.disabled = true;
+                disableRedisCache.textContent = ccmToolsData.i18n.disabling;
+                
+                try {
+                    const response = await ajax('ccm_tools_disable_redis_cache');
+                    showNotification(response.data.message, 'success');
+                    setTimeout(() => location.reload(), 1500);
+                } catch (error) {
+                    showNotification(ccmToolsData.i18n.disableFailed + ' ' + error.message, 'error');
+                    disableRedisCache.disabled = false;
+                    disableRedisCache.textContent = ccmToolsData.i18n.disableRedis;
+                }
+            });
+        }
+        
+        if (showRedisConfig) {
+            showRedisConfig.addEventListener('click', () => {
+                const configDetails = $('#redis-config-details');
+                const isShown = showRedisConfig.dataset.shown === 'true';
+                
+                if (configDetails) {
+                    configDetails.style.display = isShown ? 'none' : 'block';
+                }
+                
+                showRedisConfig.dataset.shown = isShown ? 'false' : 'true';
+                showRedisConfig.textContent = isShown ? ccmToolsData.i18n.showConfig : ccmToolsData.i18n.hideConfig;
+            });
+        }
+    }
+
+    /**
+     * Initialize memory limit control
+     */
+    function initMemoryLimit() {
+        const updateMemoryLimit = $('#update-memory-limit');
+        
+        if (updateMemoryLimit) {
+            updateMemoryLimit.addEventListener('click', async () => {
+                const memorySelect = $('#memory-limit');
+                if (!memorySelect) return;
+                
+                const newLimit = memorySelect.value;
+                updateMemoryLimit.disabled = true;
+                updateMemoryLimit.textContent = 'Updating...';
+                
+                try {
+                    // Note: PHP expects 'limit' not 'memory_limit'
+                    const response = await ajax('ccm_tools_update_memory_limit', { limit: newLimit });
+                    showNotification(response.data.message, 'success');
+                    if (response.data.reload !== false) {
+                        setTimeout(() => location.reload(), 1500);
+                    } else {
+                        updateMemoryLimit.disabled = false;
+                        updateMemoryLimit.textContent = 'Update';
+                    }
+                } catch (error) {
+                    showNotification(error.message, 'error');
+                    updateMemoryLimit.disabled = false;
+                    updateMemoryLimit.textContent = 'Update';
+                }
+            });
+        }
+    }
+
+    /**
+     * Initialize TTFB refresh and auto-load
+     */
+    function initTTFBRefresh() {
+        const refreshTTFB = $('#refresh-ttfb');
+        const ttfbResult = $('#ttfb-result');
+        
+        /**
+         * Load TTFB measurement via AJAX
+         */
+        async function loadTTFB() {
+            if (!ttfbResult) return;
+            
+            if (refreshTTFB) refreshTTFB.disabled = true;
+            ttfbResult.innerHTML = `<div class="ccm-spinner ccm-spinner-small"></div> <span class="ccm-text-muted">${ccmToolsData.i18n.measuring || 'Measuring...'}</span>`;
+            
+            try {
+                const response = await ajax('ccm_tools_measure_ttfb');
+                const data = response.data;
+                
+                if (data.time) {
+                    let ttfbClass = 'ccm-success';
+                    let ttfbLabel = 'Fast';
+                    
+                    if (data.time > 1800) {
+                        ttfbClass = 'ccm-error';
+                        ttfbLabel = 'Slow';
+                    } else if (data.time > 800) {
+                        ttfbClass = 'ccm-warning';
+                        ttfbLabel = 'Average';
+                    }
+                    
+                    ttfbResult.innerHTML = `
+                        <span class="${ttfbClass}">${data.time} ${data.unit || 'ms'}</span>
+                        <span class="ccm-note">(${ttfbLabel})</span>
+                    `;
+                    
+                    if (data.measurement_note) {
+                        ttfbResult.innerHTML += `<br><small class="ccm-note">${escapeHtml(data.measurement_note)}</small>`;
+                    }
+                } else {
+                    ttfbResult.innerHTML = `<span class="ccm-error">${ccmToolsData.i18n.measurementFailed || 'Measurement failed'}</span>`;
+                }
+            } catch (error) {
+                ttfbResult.innerHTML = `<span class="ccm-error">${ccmToolsData.i18n.measurementFailed || 'Measurement failed'}: ${escapeHtml(error.message)}</span>`;
+            }
+            
+            if (refreshTTFB) refreshTTFB.disabled = false;
+        }
+        
+        // Auto-load TTFB on page load if element has data-auto-load attribute
+        if (ttfbResult && ttfbResult.dataset.autoLoad === 'true') {
+            // Defer the measurement to allow page to render first
+            setTimeout(loadTTFB, 100);
+        }
+        
+        // Refresh button click handler
+        if (refreshTTFB) {
+            refreshTTFB.addEventListener('click', loadTTFB);
+        }
+    }
+
+    /**
+     * Initialize WooCommerce controls
+     */
+    function initWooCommerceControls() {
+        const toggleAdminPayment = $('#toggle-admin-payment');
+        
+        if (toggleAdminPayment) {
+            toggleAdminPayment.addEventListener('click', async () => {
+                const isEnabled = toggleAdminPayment.dataset.enabled === 'true';
+                toggleAdminPayment.disabled = true;
+                toggleAdminPayment.textContent = isEnabled ? ccmToolsData.i18n.disabling : ccmToolsData.i18n.enabling;
+                
+                const resultBox = $('#woocommerce-result');
+                
+                try {
+                    const response = await ajax('ccm_tools_toggle_admin_payment', { enable: !isEnabled });
+                    
+                    if (resultBox) {
+                        resultBox.innerHTML = `<p class="ccm-success"><span class="ccm-icon">✓</span>${escapeHtml(response.data.message)}</p>`;
+                    }
+                    
+                    showNotification(response.data.message, 'success');
+                    setTimeout(() => location.reload(), 1500);
+                } catch (error) {
+                    if (resultBox) {
+                        resultBox.innerHTML = `<p class="ccm-error"><span class="ccm-icon">✗</span>${ccmToolsData.i18n.wooToggleFailed || 'Failed to update setting'}</p>`;
+                    }
+                    showNotification(error.message, 'error');
+                    toggleAdminPayment.disabled = false;
+                    toggleAdminPayment.textContent = isEnabled ? 'Disable' : 'Enable';
+                }
+            });
+        }
+    }
+
+    /**
+     * Initialize Error Log controls
+     */
+    function initErrorLogControls() {
+        // Log file selector
+        const logFileSelect = $('#log-file-select');
+        if (logFileSelect) {
+            // Source labels for the merged timeline's source tags
+            $$('option[data-source]', logFileSelect).forEach(option => {
+                errorLogState.sourceLabels[option.dataset.source] = option.dataset.label;
+            });
+            
+            logFileSelect.addEventListener('change', (e) => {
+                const logFile = e.target.value;
+                if (logFile) {
+                    updateLogSourceControls(logFile);
+                    loadErrorLog(logFile);
+                }
+            });
+            
+            // Load and start tailing on page load
+            const initialLogFile = logFileSelect.value;
+            if (initialLogFile) {
+                updateLogSourceControls(initialLogFile);
+                loadErrorLog(initialLogFile);
+                startLogTail();
+            }
+        }
+        
+        // Live tail: pause/follow, "new errors" badge
+        $('#log-follow')?.addEventListener('click', () => {
+            setLogFollowing(!errorLogState.following);
+        });
+        $('#log-new-badge')?.addEventListener('click', acknowledgeNewLogErrors);
+        
+        // Scrolling back to the newest entries counts as having looked
+        $('.ccm-error-log-viewer')?.addEventListener('scroll', (e) => {
+            if (errorLogState.unseen && errorLogState.following &&
+                isLogViewerAtLiveEdge(e.currentTarget, $('#log-view-mode')?.value || 'grouped')) {
+                errorLogState.unseen = 0;
+                updateLogTailStatus();
+            }
+        }, { passive: true });
+        
+        // Poll again promptly when the tab comes back into view
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && logTailTimer) {
+                startLogTail();
+            }
+        });
+        
+        // Highlight errors toggle
+        const highlightErrors = $('#highlight-errors');
+        if (highlightErrors) {
+            highlightErrors.addEventListener('change', () => {
+                const logViewer = $('#error-log-content');
+                if (logViewer) {
+                    if (highlightErrors.checked) {
+                        logViewer.classList.add('highlight-enabled');
+                    } else {
+                        logViewer.classList.remove('highlight-enabled');
+                    }
+                }
+            });
+        }
+        
+        // Lines and view mode need a fresh read; Raw comes from a different endpoint mode
+        ['#log-lines', '#log-view-mode'].forEach(sel => {
+            $(sel)?.addEventListener('change', () => {
+                const logFile = $('#log-file-select')?.value;
+                if (logFile) {
+                    loadErrorLog(logFile);
+                }
+            });
+        });
+        
+        // Filters re-render the already parsed entries
+        let searchTimer = null;
+        $('#log-search')?.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(renderErrorLogEntries, 200);
+        });
+        ['#log-search-regex', '#log-date-from', '#log-date-to', '#log-sort'].forEach(sel => {
+            $(sel)?.addEventListener('change', renderErrorLogEntries);
+        });
+        $$('#log-severities input').forEach(cb => {
+            cb.addEventListener('change', renderErrorLogEntries);
+        });
+        
+        // Clear log button (using event delegation)
+        document.addEventListener('click', async (e) => {
+            if (e.target.id === 'clear-log' || e.target.closest('#clear-log')) {
+                e.preventDefault();
+                
+                if (!confirm(ccmToolsData.i18n.confirmClearLog || 'Are you sure you want to clear the log file?')) return;
+                
+                const logFileSelect = $('#log-file-select');
+                const logFile = logFileSelect?.value;
+                
+                if (!logFile || logFile === 'all') return;
+                
+                try {
+                    const response = await ajax('ccm_tools_clear_error_log', { log_file: logFile });
+                    showNotification(response.data.message, 'success');
+                    loadErrorLog(logFile);
+                } catch (error) {
+                    showNotification(error.message, 'error');
+                }
+            }
+            
+            // Download log button
+            if (e.target.id === 'download-log' || e.target.closest('#download-log')) {
+                e.preventDefault();
+                
+                const logFileSelect = $('#log-file-select');
+                const logFile = logFileSelect?.value;
+                
+                if (!logFile || logFile === 'all') return;
+                
+                try {
+                    const response = await ajax('ccm_tools_download_error_log', {
+                        log_file: logFile,
+                        include_archives: $('#log-download-archives')?.checked ? '1' : ''
+                    });
+                    
+                    if (response.data.download_url) {
+                        // Server returned a download URL
+                        window.location.href = response.data.download_url;
+                    } else if (response.data.content) {
+                        // Server returned content directly
+                        const blob = new Blob([response.data.content], { type: 'text/plain' });
+                        const url = URL.createObjectURL(blob);
+                        const a = document.createElement('a');
+                        a.href = url;
+                        a.download = response.data.filename || 'error.log';
+                        document.body.appendChild(a);
+                        a.click();
+                        document.body.removeChild(a);
+                        URL.revokeObjectURL(url);
+                    }
+                } catch (error) {
+                    showNotification((ccmToolsData.i18n.downloadFailed || 'Download failed') + ': ' + error.message, 'error');
+                }
+            }
+            
+            // Refresh log button
+            if (e.target.id === 'refresh-log' || e.target.closest('#refresh-log')) {
+                e.preventDefault();
+                
+                const logFileSelect = $('#log-file-select');
+                const logFile = logFileSelect?.value;
+                
+                if (logFile) {
+                    loadErrorLog(logFile);
+                }
+            }
+        });
+    }
+
+    /**
+     * Adjust controls for the selected source: the merged timeline has no
+     * raw view and can't be cleared or downloaded as one file; archives
+     * are read-only and not tailed
+     * @param {string} logFile - Log file path, or "all" for the merged timeline
+     */
+    function updateLogSourceControls(logFile) {
+        const merged = logFile === 'all';
+        const option = $('#log-file-select')?.selectedOptions[0];
+        const archive = !!option?.dataset.archive;
+        const viewMode = $('#log-view-mode');
+        const rawOption = $('#log-view-mode option[value="raw"]');
+        
+        if (rawOption) rawOption.disabled = merged;
+        if (merged && viewMode?.value === 'raw') {
+            viewMode.value = 'timeline';
+        }
+        
+        const disabled = {
+            '#download-log': merged,
+            '#log-download-archives': merged || archive,
+            '#clear-log': merged || archive,
+            '#rotate-log': !option?.dataset.rotatable
+        };
+        Object.entries(disabled).forEach(([sel, off]) => {
+            const control = $(sel);
+            if (control) control.disabled = off;
+        });
+        
+        const tailBar = $('.ccm-log-tail-bar');
+        if (tailBar) tailBar.style.display = archive ? 'none' : '';
+    }
+
+    /**
+     * Load error log content
+     * @param {string} logFile - Log file path, or "all" for the merged timeline
+     */
+    async function loadErrorLog(logFile) {
+        const logViewer = $('.ccm-error-log-viewer');
+        if (!logViewer) return;
+        
+        const highlightEnabled = $('#highlight-errors')?.checked !== false; // Default true
+        const logLines = $('#log-lines')?.value || 100;
+        const raw = $('#log-view-mode')?.value === 'raw';
+        
+        logViewer.innerHTML = '<div class="ccm-spinner"></div>';
+        $('.ccm-log-filters')?.classList.toggle('is-disabled', raw);
+        
+        // The tail resumes from wherever this read ends
+        errorLogState.logFile = logFile;
+        errorLogState.offset = null;
+        errorLogState.pending = [];
+        updateLogTailStatus();
+        if (raw && $('#log-summary')) {
+            $('#log-summary').textContent = '';
+        }
+        
+        try {
+            const response = await ajax('ccm_tools_get_error_log', { 
+                log_file: logFile,
+                lines: logLines,
+                structured: raw ? '' : '1'
+            });
+            
+            const data = response.data;
+            
+            if (logFile !== errorLogState.logFile) return;
+            errorLogState.offset = typeof data.end === 'number' || (data.end && typeof data.end === 'object') ? data.end : null;
+            
+            if (Array.isArray(data.entries)) {
+                errorLogState.entries = data.entries;
+                errorLogState.truncated = !!data.truncated;
+                renderErrorLogEntries();
+            } else if (data.formatted_content || data.content) {
+                const content = data.formatted_content || escapeHtml(data.content);
+                const highlightClass = highlightEnabled ? 'highlight-enabled' : '';
+                logViewer.innerHTML = `<pre id="error-log-content" class="${highlightClass}">${content}</pre>`;
+                logViewer.scrollTop = logViewer.scrollHeight;
+            } else if (data.error) {
+                logViewer.innerHTML = `<p class="ccm-error">${escapeHtml(data.error)}</p>`;
+            } else {
+                logViewer.innerHTML = `
+                    <div class="empty-log-message">
+                        <span>No Log Entries</span>
+                        <p class="empty-log-description">The log file is empty or contains no matching entries.</p>
+                    </div>
+                `;
+            }
+            
+            // Update log meta info
+            const logSize = $('#log-size');
+            const logModified = $('#log-modified');
+            
+            if (logSize && data.file_size) {
+                logSize.textContent = data.file_size;
+            }
+            if (logModified && data.last_modified) {
+                logModified.textContent = data.last_modified;
+            }
+        } catch (error) {
+            logViewer.innerHTML = `<p class="ccm-error">Error loading log: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    /**
+     * Severity display order and labels for the structured log viewer
+     */
+    const LOG_SEVERITIES = {
+        fatal: { label: 'Fatal', rank: 0 },
+        error: { label: 'Error', rank: 1 },
+        warning: { label: 'Warning', rank: 2 },
+        notice: { label: 'Notice', rank: 3 },
+        deprecated: { label: 'Deprecated', rank: 4 },
+        info: { label: 'Other', rank: 5 }
+    };
+    
+    /**
+     * Parsed entries from the last load, filtered and grouped client-side
+     */
+    const errorLogState = {
+        entries: [],
+        truncated: false,
+        logFile: '',
+        offset: null,        // Byte offset the live tail reads from ({sourceId: offset} when merged)
+        sourceLabels: {},    // Source ID => label, for the merged timeline
+        following: true,
+        pending: [],         // Batches received while paused
+        unseen: 0            // Fatal/error entries that arrived while not looking
+    };
+    
+    /** Maximum rows rendered at once — the rest are counted but not drawn */
+    const LOG_RENDER_LIMIT = 500;
+    
+    /**
+     * Read the current filter controls
+     * @returns {Object} Filters {severities:Set, matcher:Function|null, from:number, to:number}
+     */
+    function getErrorLogFilters() {
+        const severities = new Set(Array.from($$('#log-severities input:checked'), cb => cb.value));
+        const searchInput = $('#log-search');
+        const query = searchInput?.value.trim() || '';
+        let matcher = null;
+        
+        searchInput?.classList.remove('is-invalid');
+        if (query) {
+            if ($('#log-search-regex')?.checked) {
+                try {
+                    const re = new RegExp(query, 'i');
+                    matcher = (text) => re.test(text);
+                } catch (e) {
+                    searchInput?.classList.add('is-invalid');
+                }
+            } else {
+                const needle = query.toLowerCase();
+                matcher = (text) => text.toLowerCase().includes(needle);
+            }
+        }
+        
+        const toUnix = (value) => value ? Math.floor(new Date(value).getTime() / 1000) : 0;
+        
+        return {
+            severities,
+            matcher,
+            from: toUnix($('#log-date-from')?.value),
+            to: toUnix($('#log-date-to')?.value)
+        };
+    }
+    
+    /**
+     * Apply severity, search and date filters to parsed entries
+     * @param {Array} entries - Parsed log entries
+     * @param {Object} filters - From getErrorLogFilters()
+     * @returns {Array} Matching entries
+     */
+    function filterLogEntries(entries, filters) {
+        return entries.filter(entry => {
+            if (!filters.severities.has(entry.severity)) return false;
+            if (filters.from && (!entry.time || entry.time < filters.from)) return false;
+            if (filters.to && (!entry.time || entry.time > filters.to)) return false;
+            if (filters.matcher) {
+                const haystack = `${entry.message}\n${entry.file}:${entry.line}\n${entry.stack.join('\n')}`;
+                if (!filters.matcher(haystack)) return false;
+            }
+            return true;
+        });
+    }
+    
+    /**
+     * Group identical errors by signature
+     * @param {Array} entries - Parsed log entries (oldest first)
+     * @returns {Array} Groups {entry (latest), count, first, last, firstLabel, lastLabel}
+     */
+    function groupLogEntries(entries) {
+        const groups = new Map();
+        
+        entries.forEach(entry => {
+            const group = groups.get(entry.signature);
+            if (!group) {
+                groups.set(entry.signature, {
+                    entry,
+                    count: 1,
+                    first: entry.time,
+                    last: entry.time,
+                    firstLabel: entry.time_label,
+                    lastLabel: entry.time_label
+                });
+                return;
+            }
+            
+            group.count++;
+            if (entry.time && (!group.first || entry.time < group.first)) {
+                group.first = entry.time;
+                group.firstLabel = entry.time_label;
+            }
+            if (entry.time >= group.last) {
+                group.last = entry.time;
+                group.lastLabel = entry.time_label;
+                group.entry = entry;
+            }
+        });
+        
+        return [...groups.values()];
+    }
+    
+    /**
+     * Render one entry's message, location and stack trace
+     * @param {Object} entry - Parsed log entry
+     * @returns {string} HTML
+     */
+    function renderLogEntryBody(entry) {
+        const location = entry.file
+            ? `<div class="ccm-log-location">${escapeHtml(entry.file)}:${entry.line}</div>`
+            : '';
+        const stack = entry.stack.length
+            ? `<details class="ccm-log-stack"><summary>Stack trace (${entry.stack.length} frames)</summary><pre>${escapeHtml(entry.stack.join('\n'))}</pre></details>`
+            : '';
+        
+        return `<div class="ccm-log-message">${escapeHtml(entry.message)}</div>${location}${stack}`;
+    }
+    
+    /**
+     * Render a tag naming the entry's log source (merged timeline only)
+     * @param {Object} entry - Parsed log entry
+     * @returns {string} HTML
+     */
+    function renderLogSourceTag(entry) {
+        const label = entry.source && errorLogState.sourceLabels[entry.source];
+        return label ? `<span class="ccm-log-source">${escapeHtml(label)}</span>` : '';
+    }
+    
+    /**
+     * Render a severity badge
+     * @param {string} severity - Severity key
+     * @returns {string} HTML
+     */
+    function renderLogSeverityBadge(severity) {
+        const meta = LOG_SEVERITIES[severity] || LOG_SEVERITIES.info;
+        return `<span class="ccm-log-badge ccm-log-sev-${escapeHtml(severity)}">${meta.label}</span>`;
+    }
+    
+    /**
+     * Render a timeline row for one entry
+     * @param {Object} entry - Parsed log entry
+     * @returns {string} HTML
+     */
+    function renderLogTimelineRow(entry) {
+        return `
+            <div class="ccm-log-row">
+                <div class="ccm-log-row-meta">
+                    ${renderLogSeverityBadge(entry.severity)}
+                    ${renderLogSourceTag(entry)}
+                    <span class="ccm-log-time">${escapeHtml(entry.time_label)}</span>
+                </div>
+                <div class="ccm-log-row-body">${renderLogEntryBody(entry)}</div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render a grouped row (one signature, with counts)
+     * @param {Object} group - From groupLogEntries()
+     * @returns {string} HTML
+     */
+    function renderLogGroupRow(group) {
+        return `
+            <div class="ccm-log-row" data-signature="${escapeHtml(group.entry.signature)}" data-count="${group.count}">
+                <div class="ccm-log-row-meta">
+                    ${renderLogSeverityBadge(group.entry.severity)}
+                    ${renderLogSourceTag(group.entry)}
+                    <span class="ccm-log-count" title="Occurrences">×${group.count}</span>
+                </div>
+                <div class="ccm-log-row-body">
+                    ${renderLogEntryBody(group.entry)}
+                    <div class="ccm-log-seen">
+                        First seen <span class="ccm-log-first">${escapeHtml(group.firstLabel || '–')}</span> · Last seen <span class="ccm-log-last">${escapeHtml(group.lastLabel || '–')}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Update the severity counts and summary line for the current filters
+     * @param {Object} filters - From getErrorLogFilters()
+     * @param {string} mode - grouped | timeline
+     * @returns {Array} Entries matching the filters
+     */
+    function updateErrorLogSummary(filters, mode) {
+        const all = errorLogState.entries;
+        
+        // Severity counts reflect the search/date filters but not the severity toggles
+        const counts = {};
+        filterLogEntries(all, { ...filters, severities: new Set(Object.keys(LOG_SEVERITIES)) })
+            .forEach(entry => { counts[entry.severity] = (counts[entry.severity] || 0) + 1; });
+        $$('.ccm-log-sev-count').forEach(el => {
+            el.textContent = counts[el.dataset.severity] || 0;
+        });
+        
+        const matching = filterLogEntries(all, filters);
+        const summary = $('#log-summary');
+        
+        if (summary) {
+            if (!all.length) {
+                summary.textContent = '';
+            } else {
+                const rows = mode === 'timeline' ? matching.length : groupLogEntries(matching).length;
+                const unit = mode === 'timeline' ? 'entries' : 'distinct errors';
+                const shown = rows > LOG_RENDER_LIMIT ? ` (showing ${mode === 'timeline' ? 'latest' : 'first'} ${LOG_RENDER_LIMIT})` : '';
+                const older = errorLogState.truncated ? ' Older entries exist — increase "Lines to display" to include them.' : '';
+                summary.textContent = `${matching.length} of ${all.length} entries match · ${rows} ${unit}${shown}.${older}`;
+            }
+        }
+        
+        return matching;
+    }
+    
+    /**
+     * Re-render the structured viewer from errorLogState with the current filters
+     */
+    function renderErrorLogEntries() {
+        const logViewer = $('.ccm-error-log-viewer');
+        const mode = $('#log-view-mode')?.value || 'grouped';
+        if (!logViewer || mode === 'raw') return;
+        
+        const filters = getErrorLogFilters();
+        const sort = $('#log-sort')?.value || 'severity';
+        const matching = updateErrorLogSummary(filters, mode);
+        
+        if (!errorLogState.entries.length) {
+            logViewer.innerHTML = `
+                <div class="empty-log-message">
+                    <span>No Log Entries</span>
+                    <p class="empty-log-description">The log file is empty or contains no matching entries.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        let html;
+        
+        if (mode === 'timeline') {
+            // Oldest first like a terminal tail; new entries append at the bottom
+            html = matching.slice(-LOG_RENDER_LIMIT).map(renderLogTimelineRow).join('');
+        } else {
+            const groups = groupLogEntries(matching);
+            groups.sort((a, b) => {
+                if (sort === 'count') return b.count - a.count || b.last - a.last;
+                if (sort === 'recent') return b.last - a.last;
+                return LOG_SEVERITIES[a.entry.severity].rank - LOG_SEVERITIES[b.entry.severity].rank || b.last - a.last;
+            });
+            html = groups.slice(0, LOG_RENDER_LIMIT).map(renderLogGroupRow).join('');
+        }
+        
+        logViewer.innerHTML = html
+            ? `<div class="ccm-log-entries">${html}</div>`
+            : '<p class="ccm-log-empty">No entries match the current filters.</p>';
+        
+        if (mode === 'timeline') {
+            logViewer.scrollTop = logViewer.scrollHeight;
+        }
+    }
+
+    // ===================================
+    // Error Log Live Tail
+    // ===================================
+
+    /** Poll interval while the tab is visible / hidden */
+    const LOG_TAIL_INTERVAL = 5000;
+    const LOG_TAIL_HIDDEN_INTERVAL = 20000;
+    
+    /** Entries kept in memory before the oldest are dropped */
+    const LOG_TAIL_MAX_ENTRIES = 20000;
+    
+    let logTailTimer = null;
+    let logTailInFlight = false;
+    const documentTitle = document.title;
+    
+    /**
+     * Whether the viewer is scrolled to where new entries appear
+     * (bottom for timeline/raw, top for grouped)
+     * @param {HTMLElement} logViewer - Scroll container
+     * @param {string} mode - grouped | timeline | raw
+     * @returns {boolean}
+     */
+    function isLogViewerAtLiveEdge(logViewer, mode) {
+        if (mode === 'grouped') {
+            return logViewer.scrollTop < 8;
+        }
+        return logViewer.scrollHeight - logViewer.scrollTop - logViewer.clientHeight < 24;
+    }
+    
+    /**
+     * Scroll the viewer to where new entries appear
+     * @param {HTMLElement} logViewer - Scroll container
+     * @param {string} mode - grouped | timeline | raw
+     */
+    function scrollLogViewerToLiveEdge(logViewer, mode) {
+        logViewer.scrollTop = mode === 'grouped' ? 0 : logViewer.scrollHeight;
+    }
+    
+    /**
+     * Start (or restart) polling for appended log entries
+     */
+    function startLogTail() {
+        stopLogTail();
+        
+        const tick = async () => {
+            let more = false;
+            if (!logTailInFlight && errorLogState.logFile && errorLogState.offset !== null) {
+                more = await pollErrorLogTail();
+            }
+            const delay = more ? 250 : (document.hidden ? LOG_TAIL_HIDDEN_INTERVAL : LOG_TAIL_INTERVAL);
+            logTailTimer = setTimeout(tick, delay);
+        };
+        
+        logTailTimer = setTimeout(tick, LOG_TAIL_INTERVAL);
+    }
+    
+    /**
+     * Stop polling for appended log entries
+     */
+    function stopLogTail() {
+        if (logTailTimer) {
+            clearTimeout(logTailTimer);
+            logTailTimer = null;
+        }
+    }
+    
+    /**
+     * Fetch bytes appended since the last offset and add them to the viewer
+     * @returns {Promise<boolean>} True when more unread bytes remain
+     */
+    async function pollErrorLogTail() {
+        const logFile = errorLogState.logFile;
+        logTailInFlight = true;
+        
+        try {
+            const offset = errorLogState.offset;
+            const { data } = await ajax('ccm_tools_tail_error_log', {
+                log_file: logFile,
+                offset: typeof offset === 'object' ? JSON.stringify(offset) : offset
+            }, { priority: -1, retries: 0 });
+            
+            // The file changed underneath us while the request was out
+            if (logFile !== errorLogState.logFile) return false;
+            
+            if (data.reset) {
+                // Cleared or rotated — start over from the new end of the file
+                loadErrorLog(logFile);
+                return false;
+            }
+            
+            errorLogState.offset = data.offset;
+            
+            const logSize = $('#log-size');
+            const logModified = $('#log-modified');
+            if (logSize && data.file_size) logSize.textContent = data.file_size;
+            if (logModified && data.last_modified) logModified.textContent = data.last_modified;
+            
+            if (data.entries?.length || data.formatted_content) {
+                receiveErrorLogEntries(data.entries || [], data.formatted_content || '');
+            }
+            
+            return !!data.more;
+        } catch (error) {
+            // Transient — the next tick tries again
+            console.warn('CCM: log tail failed:', error.message);
+            return false;
+        } finally {
+            logTailInFlight = false;
+        }
+    }
+    
+    /**
+     * Route newly tailed entries: append while following, buffer while paused,
+     * and count unseen errors for the badge
+     * @param {Array} entries - Parsed entries
+     * @param {string} formatted - Highlighted HTML for the raw view
+     */
+    function receiveErrorLogEntries(entries, formatted) {
+        const logViewer = $('.ccm-error-log-viewer');
+        const mode = $('#log-view-mode')?.value || 'grouped';
+        const looking = errorLogState.following && !document.hidden && logViewer && isLogViewerAtLiveEdge(logViewer, mode);
+        
+        if (!looking) {
+            errorLogState.unseen += entries.filter(e => e.severity === 'fatal' || e.severity === 'error').length;
+        }
+        
+        if (errorLogState.following) {
+            appendErrorLogEntries(entries, formatted);
+        } else {
+            errorLogState.pending.push({ entries, formatted });
+        }
+        
+        updateLogTailStatus();
+    }
+    
+    /**
+     * Append entries to the rendered viewer in place, keeping scroll
+     * position and any text selection intact
+     * @param {Array} entries - Parsed entries
+     * @param {string} formatted - Highlighted HTML for the raw view
+     */
+    function appendErrorLogEntries(entries, formatted) {
+        const logViewer = $('.ccm-error-log-viewer');
+        const mode = $('#log-view-mode')?.value || 'grouped';
+        if (!logViewer) return;
+        
+        const atEdge = isLogViewerAtLiveEdge(logViewer, mode);
+        
+        errorLogState.entries.push(...entries);
+        if (errorLogState.entries.length > LOG_TAIL_MAX_ENTRIES) {
+            errorLogState.entries.splice(0, errorLogState.entries.length - LOG_TAIL_MAX_ENTRIES);
+            errorLogState.truncated = true;
+        }
+        
+        if (mode === 'raw') {
+            const pre = $('#error-log-content', logViewer);
+            if (pre && formatted) {
+                pre.insertAdjacentHTML('beforeend', (pre.textContent.endsWith('\n') ? '' : '\n') + formatted);
+            }
+        } else {
+            const list = $('.ccm-log-entries', logViewer);
+            const filters = getErrorLogFilters();
+            
+            if (!list) {
+                // Empty state or "no matches" — nothing to preserve
+                renderErrorLogEntries();
+                return;
+            }
+            
+            const matching = filterLogEntries(entries, filters);
+            
+            if (mode === 'timeline') {
+                list.insertAdjacentHTML('beforeend', matching.map(renderLogTimelineRow).join(''));
+                
+                // Trim the oldest rows, compensating scroll so the reader's view doesn't jump
+                let removedHeight = 0;
+                while (list.children.length > LOG_RENDER_LIMIT) {
+                    removedHeight += list.firstElementChild.offsetHeight;
+                    list.firstElementChild.remove();
+                }
+                if (removedHeight && !atEdge) {
+                    logViewer.scrollTop -= removedHeight;
+                }
+            } else {
+                matching.forEach(entry => {
+                    const row = list.querySelector(`.ccm-log-row[data-signature="${entry.signature}"]`);
+                    if (row) {
+                        const count = Number(row.dataset.count) + 1;
+                        row.dataset.count = count;
+                        $('.ccm-log-count', row).textContent = `×${count}`;
+                        $('.ccm-log-last', row).textContent = entry.time_label || '–';
+                        row.classList.remove('is-new');
+                        void row.offsetWidth; // restart the highlight animation
+                        row.classList.add('is-new');
+                    } else {
+                        list.insertAdjacentHTML('afterbegin', renderLogGroupRow({
+                            entry,
+                            count: 1,
+                            firstLabel: entry.time_label,
+                            lastLabel: entry.time_label
+                        }));
+                        list.firstElementChild.classList.add('is-new');
+                    }
+                });
             }
             
-            if (refreshTTFB) refreshTTFB.disabled = false;
+            updateErrorLogSummary(filters, mode);
         }
         
-        // Auto-load TTFB on page load if element has data-auto-load attribute
-        if (ttfbResult && ttfbResult.dataset.autoLoad === 'true') {
-            // Defer the measurement to allow page to render first
-            setTimeout(loadTTFB, 100);
+        if (atEdge) {
+            scrollLogViewerToLiveEdge(logViewer, mode);
+        }
+    }
+    
+    /**
+     * Toggle between following new entries and paused (buffering)
+     * @param {boolean} follow - True to follow
+     */
+    function setLogFollowing(follow) {
+        errorLogState.following = follow;
+        
+        const btn = $('#log-follow');
+        if (btn) {
+            btn.textContent = follow ? 'Pause' : 'Follow';
+            btn.setAttribute('aria-pressed', follow ? 'true' : 'false');
         }
         
-        // Refresh button click handler
-        if (refreshTTFB) {
-            refreshTTFB.addEventListener('click', loadTTFB);
+        if (follow) {
+            const pending = errorLogState.pending.splice(0);
+            pending.forEach(batch => appendErrorLogEntries(batch.entries, batch.formatted));
+        }
+        
+        updateLogTailStatus();
+    }
+    
+    /**
+     * Jump to the newest entries and clear the "new errors" badge
+     */
+    function acknowledgeNewLogErrors() {
+        errorLogState.unseen = 0;
+        if (!errorLogState.following) {
+            setLogFollowing(true);
+        }
+        const logViewer = $('.ccm-error-log-viewer');
+        if (logViewer) {
+            scrollLogViewerToLiveEdge(logViewer, $('#log-view-mode')?.value || 'grouped');
         }
+        updateLogTailStatus();
     }
-
+    
     /**
-     * Initialize WooCommerce controls
+     * Refresh the tail status line, the new-errors badge and the tab title
      */
-    function initWooCommerceControls() {
-        const toggleAdminPayment = $('#toggle-admin-payment');
+    function updateLogTailStatus() {
+        const status = $('#log-tail-status');
+        const badge = $('#log-new-badge');
+        const bar = $('.ccm-log-tail-bar');
+        const pendingCount = errorLogState.pending.reduce((sum, batch) => sum + batch.entries.length, 0);
         
-        if (toggleAdminPayment) {
-            toggleAdminPayment.addEventListener('click', async () => {
-                const isEnabled = toggleAdminPayment.dataset.enabled === 'true';
-                toggleAdminPayment.disabled = true;
-                toggleAdminPayment.textContent = isEnabled ? ccmToolsData.i18n.disabling : ccmToolsData.i18n.enabling;
-                
-                const resultBox = $('#woocommerce-result');
-                
-                try {
-                    const response = await ajax('ccm_tools_toggle_admin_payment', { enable: !isEnabled });
-                    
-                    if (resultBox) {
-                        resultBox.innerHTML = `<p class="ccm-success"><span class="ccm-icon">✓</span>${escapeHtml(response.data.message)}</p>`;
-                    }
-                    
-                    showNotification(response.data.message, 'success');
-                    setTimeout(() => location.reload(), 1500);
-                } catch (error) {
-                    if (resultBox) {
-                        resultBox.innerHTML = `<p class="ccm-error"><span class="ccm-icon">✗</span>${ccmToolsData.i18n.wooToggleFailed || 'Failed to update setting'}</p>`;
-                    }
-                    showNotification(error.message, 'error');
-                    toggleAdminPayment.disabled = false;
-                    toggleAdminPayment.textContent = isEnabled ? 'Disable' : 'Enable';
-                }
-            });
+        bar?.classList.toggle('is-paused', !errorLogState.following);
+        
+        if (status) {
+            status.textContent = errorLogState.following
+                ? 'Live — following new entries'
+                : `Paused${pendingCount ? ` — ${pendingCount} new ${pendingCount === 1 ? 'entry' : 'entries'} waiting` : ''}`;
+        }
+        
+        const unseen = errorLogState.unseen;
+        if (badge) {
+            badge.style.display = unseen ? '' : 'none';
+            badge.textContent = `${unseen} new ${unseen === 1 ? 'error' : 'errors'} since you looked`;
         }
+        
+        document.title = unseen ? `(${unseen}) ${documentTitle}` : documentTitle;
     }
 
+    // ===================================
+    // Error Log Analytics
+    // ===================================
+    
+    let logAnalyticsRequest = 0;
+    
     /**
-     * Initialize Error Log controls
+     * Initialize the error trends card on the error log page
      */
-    function initErrorLogControls() {
-        // Log file selector
-        const logFileSelect = $('#log-file-select');
-        if (logFileSelect) {
-            logFileSelect.addEventListener('change', (e) => {
-                const logFile = e.target.value;
-                if (logFile) {
-                    loadErrorLog(logFile);
-                    // Restart auto-refresh with new file
-                    startAutoRefresh(30, () => loadErrorLog(logFile));
-                }
-            });
+    function initLogAnalytics() {
+        if (!$('#log-analytics-card')) return;
+        
+        $('#log-analytics-range')?.addEventListener('change', loadLogAnalytics);
+        $('#log-analytics-refresh')?.addEventListener('click', loadLogAnalytics);
+        $('#log-file-select')?.addEventListener('change', loadLogAnalytics);
+        
+        // "Show" on a top error narrows the viewer to that message
+        $('#log-top-errors')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-log-search]');
+            if (!button) return;
+            
+            const search = $('#log-search');
+            const regex = $('#log-search-regex');
+            if (!search) return;
+            
+            if (regex) regex.checked = false;
+            search.value = button.dataset.logSearch;
+            renderErrorLogEntries();
+            $('.ccm-error-log-viewer')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+        
+        loadLogAnalytics();
+    }
+    
+    /**
+     * Fetch analytics for the selected log and period
+     */
+    async function loadLogAnalytics() {
+        const logFile = $('#log-file-select')?.value;
+        const chart = $('#log-analytics-chart');
+        if (!logFile || !chart) return;
+        
+        const request = ++logAnalyticsRequest;
+        chart.innerHTML = '<div class="ccm-spinner"></div>';
+        
+        try {
+            const { data } = await ajax('ccm_tools_error_log_stats', {
+                log_file: logFile,
+                range: $('#log-analytics-range')?.value || '24h'
+            }, { timeout: 60000 });
             
-            // Start auto-refresh on page load
-            const initialLogFile = logFileSelect.value;
-            if (initialLogFile) {
-                startAutoRefresh(30, () => loadErrorLog(initialLogFile));
-            }
+            // A newer request (source or period changed) wins
+            if (request !== logAnalyticsRequest) return;
+            renderLogAnalytics(data);
+        } catch (error) {
+            if (request !== logAnalyticsRequest) return;
+            chart.innerHTML = `<p class="ccm-error">Error loading analytics: ${escapeHtml(error.message)}</p>`;
         }
-        
-        // Highlight errors toggle
-        const highlightErrors = $('#highlight-errors');
-        if (highlightErrors) {
-            highlightErrors.addEventListener('change', () => {
-                const logViewer = $('#error-log-content');
-                if (logViewer) {
-                    if (highlightErrors.checked) {
-                        logViewer.classList.add('highlight-enabled');
-                    } else {
-                        logViewer.classList.remove('highlight-enabled');
-                    }
-                }
-            });
+    }
+    
+    /**
+     * Render the summary, chart and top-N tables
+     * @param {Object} data - Response from ccm_tools_error_log_stats
+     */
+    function renderLogAnalytics(data) {
+        const severities = Object.keys(LOG_SEVERITIES);
+        const total = severities.reduce((sum, sev) => sum + (data.totals[sev] || 0), 0);
+        
+        const summary = $('#log-analytics-summary');
+        if (summary) {
+            const parts = severities
+                .filter(sev => data.totals[sev])
+                .map(sev => `${renderLogSeverityBadge(sev)} ${data.totals[sev]}`);
+            let text = `${total} entries · ${data.distinct} distinct ${parts.length ? '· ' + parts.join(' ') : ''}`;
+            text += ` <span class="ccm-text-muted">(scanned ${formatBytes(data.scanned_bytes)})</span>`;
+            if (data.partial) {
+                text += ` <span class="ccm-warning">Only covers entries since ${escapeHtml(data.covered_since || 'the scan limit')} — older parts of the log were not scanned.</span>`;
+            }
+            summary.innerHTML = text;
+        }
+        
+        renderLogAnalyticsChart(data.buckets, data.granularity);
+        
+        const errorsBody = $('#log-top-errors tbody');
+        if (errorsBody) {
+            errorsBody.innerHTML = data.top_errors.length
+                ? data.top_errors.map(error => `
+                    <tr>
+                        <td><strong>${error.count}</strong></td>
+                        <td>
+                            ${renderLogSeverityBadge(error.severity)}
+                            <span class="ccm-log-top-message">${escapeHtml(error.message)}</span>
+                            ${error.file ? `<div class="ccm-text-muted ccm-log-top-location">${escapeHtml(error.file)}:${error.line}</div>` : ''}
+                        </td>
+                        <td title="First seen ${escapeHtml(error.first_label)}">${escapeHtml(error.last_label)}</td>
+                        <td><button type="button" class="ccm-button ccm-button-small" data-log-search="${escapeHtml(error.message.split('\n')[0].slice(0, 120))}">Show</button></td>
+                    </tr>
+                `).join('')
+                : '<tr><td colspan="4" class="ccm-text-muted">No entries in this period.</td></tr>';
+        }
+        
+        const componentsBody = $('#log-top-components tbody');
+        if (componentsBody) {
+            const typeLabels = { plugin: 'Plugin', 'mu-plugin': 'Must-use plugin', theme: 'Theme', core: 'Core' };
+            componentsBody.innerHTML = data.components.length
+                ? data.components.map(component => `
+                    <tr>
+                        <td>
+                            <strong>${escapeHtml(component.name)}</strong>
+                            <div class="ccm-text-muted">${typeLabels[component.type] || escapeHtml(component.type)}${component.type !== 'core' ? ` · ${escapeHtml(component.slug)}` : ''}</div>
+                        </td>
+                        <td>${component.count}</td>
+                        <td>${severities
+                            .filter(sev => component.severities[sev])
+                            .map(sev => `${renderLogSeverityBadge(sev)} ${component.severities[sev]}`)
+                            .join(' ')}</td>
+                        <td>${component.distinct}</td>
+                    </tr>
+                `).join('')
+                : '<tr><td colspan="4" class="ccm-text-muted">No entries could be traced to a plugin or theme.</td></tr>';
         }
+    }
+    
+    /**
+     * Draw a stacked bar per hour/day, split by severity
+     * @param {Array} buckets - [{label, counts, total}]
+     * @param {string} granularity - hour | day
+     */
+    function renderLogAnalyticsChart(buckets, granularity) {
+        const chart = $('#log-analytics-chart');
+        if (!chart) return;
         
-        // Errors only toggle
-        const showErrorsOnly = $('#show-errors-only');
-        if (showErrorsOnly) {
-            showErrorsOnly.addEventListener('change', () => {
-                const logFileSelect = $('#log-file-select');
-                const logFile = logFileSelect?.value;
-                if (logFile) {
-                    loadErrorLog(logFile);
-                }
-            });
+        const max = Math.max(...buckets.map(b => b.total), 0);
+        if (!max) {
+            chart.innerHTML = '<p class="ccm-log-empty">No log entries in this period.</p>';
+            return;
         }
         
-        // Clear log button (using event delegation)
-        document.addEventListener('click', async (e) => {
-            if (e.target.id === 'clear-log' || e.target.closest('#clear-log')) {
-                e.preventDefault();
-                
-                if (!confirm(ccmToolsData.i18n.confirmClearLog || 'Are you sure you want to clear the log file?')) return;
-                
-                const logFileSelect = $('#log-file-select');
-                const logFile = logFileSelect?.value;
-                
-                if (!logFile) return;
-                
+        // Most severe at the bottom of each stack
+        const order = Object.keys(LOG_SEVERITIES).reverse();
+        const labelEvery = Math.max(1, Math.ceil(buckets.length / 12));
+        
+        const bars = buckets.map((bucket, i) => {
+            const segments = order
+                .filter(sev => bucket.counts[sev])
+                .map(sev => `<div class="ccm-log-chart-seg ccm-log-sev-${sev}" style="height: ${(bucket.counts[sev] / max) * 100}%;"></div>`)
+                .join('');
+            const breakdown = Object.keys(LOG_SEVERITIES)
+                .filter(sev => bucket.counts[sev])
+                .map(sev => `${LOG_SEVERITIES[sev].label}: ${bucket.counts[sev]}`)
+                .join(', ');
+            const title = `${bucket.label} — ${bucket.total} ${bucket.total === 1 ? 'entry' : 'entries'}${breakdown ? ` (${breakdown})` : ''}`;
+            
+            return `
+                <div class="ccm-log-chart-col" title="${escapeHtml(title)}">
+                    <div class="ccm-log-chart-bar">${segments}</div>
+                    <div class="ccm-log-chart-label">${i % labelEvery === 0 ? escapeHtml(bucket.label) : ''}</div>
+                </div>
+            `;
+        }).join('');
+        
+        const legend = Object.keys(LOG_SEVERITIES)
+            .map(sev => `<span class="ccm-log-chart-key"><span class="ccm-log-chart-seg ccm-log-sev-${sev}"></span>${LOG_SEVERITIES[sev].label}</span>`)
+            .join('');
+        
+        chart.innerHTML = `
+            <div class="ccm-log-chart-plot ccm-log-chart-${granularity}">
+                <div class="ccm-log-chart-max">${max}</div>
+                ${bars}
+            </div>
+            <div class="ccm-log-chart-legend">${legend}</div>
+        `;
+    }
+
+    // ===================================
+    // Error Log Rotation & Archives
+    // ===================================
+    
+    /**
+     * Initialize the rotation card and the Archive Now button
+     */
+    function initLogRotation() {
+        const card = $('#log-rotation-card');
+        if (!card) return;
+        
+        const form = $('#log-rotation-form');
+        form?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submit = form.querySelector('[type="submit"]');
+            submit.disabled = true;
+            try {
+                const { data } = await ajax('ccm_tools_save_log_rotation', {
+                    enabled: form.elements.enabled.checked ? 1 : 0,
+                    max_size_mb: form.elements.max_size_mb.value,
+                    schedule: form.elements.schedule.value,
+                    keep: form.elements.keep.value
+                });
+                showNotification(data.message, 'success');
+                renderLogRotation(data);
+            } catch (error) {
+                showNotification(error.message, 'error');
+            } finally {
+                submit.disabled = false;
+            }
+        });
+        
+        $('#rotate-log')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            const logFile = $('#log-file-select')?.value;
+            if (!logFile) return;
+            
+            showConfirmModal('Archive this log to a .gz file and empty it?', async () => {
+                const button = $('#rotate-log');
+                if (button) button.disabled = true;
                 try {
-                    const response = await ajax('ccm_tools_clear_error_log', { log_file: logFile });
-                    showNotification(response.data.message, 'success');
+                    const { data } = await ajax('ccm_tools_rotate_log_now', { log_file: logFile }, { timeout: 120000 });
+                    showNotification(data.message, 'success');
+                    renderLogRotation(data);
                     loadErrorLog(logFile);
                 } catch (error) {
                     showNotification(error.message, 'error');
+                } finally {
+                    updateLogSourceControls($('#log-file-select')?.value || '');
                 }
-            }
-            
-            // Download log button
-            if (e.target.id === 'download-log' || e.target.closest('#download-log')) {
-                e.preventDefault();
-                
-                const logFileSelect = $('#log-file-select');
-                const logFile = logFileSelect?.value;
-                
-                if (!logFile) return;
-                
-                try {
-                    const response = await ajax('ccm_tools_download_error_log', { log_file: logFile });
-                    
-                    if (response.data.download_url) {
-                        // Server returned a download URL
-                        window.location.href = response.data.download_url;
-                    } else if (response.data.content) {
-                        // Server returned content directly
-                        const blob = new Blob([response.data.content], { type: 'text/plain' });
-                        const url = URL.createObjectURL(blob);
-                        const a = document.createElement('a');
-                        a.href = url;
-                        a.download = response.data.filename || 'error.log';
-                        document.body.appendChild(a);
-                        a.click();
-                        document.body.removeChild(a);
-                        URL.revokeObjectURL(url);
+            }, 'Archive');
+        });
+        
+        $('#log-archives')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-archive-action]');
+            if (!button) return;
+            
+            const path = button.dataset.path;
+            const action = button.dataset.archiveAction;
+            
+            if (action === 'open') {
+                const select = $('#log-file-select');
+                if (!select) return;
+                select.value = path;
+                select.dispatchEvent(new Event('change'));
+                $('.ccm-error-log-viewer')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            } else if (action === 'download') {
+                downloadLogArchive(path);
+            } else if (action === 'delete') {
+                showConfirmModal('Delete this archive permanently?', async () => {
+                    try {
+                        const { data } = await ajax('ccm_tools_delete_log_archive', { id: button.dataset.id });
+                        showNotification(data.message, 'success');
+                        renderLogRotation(data);
+                    } catch (error) {
+                        showNotification(error.message, 'error');
                     }
-                } catch (error) {
-                    showNotification((ccmToolsData.i18n.downloadFailed || 'Download failed') + ': ' + error.message, 'error');
-                }
-            }
-            
-            // Refresh log button
-            if (e.target.id === 'refresh-log' || e.target.closest('#refresh-log')) {
-                e.preventDefault();
-                
-                const logFileSelect = $('#log-file-select');
-                const logFile = logFileSelect?.value;
-                
-                if (logFile) {
-                    loadErrorLog(logFile);
-                    // Reset auto-refresh timer
-                    startAutoRefresh(30, () => loadErrorLog(logFile));
-                }
+                }, 'Delete');
             }
         });
+        
+        loadLogRotation();
     }
-
+    
     /**
-     * Load error log content
-     * @param {string} logFile - Log file path
+     * Load rotation settings and archives
      */
-    async function loadErrorLog(logFile) {
-        const logViewer = $('.ccm-error-log-viewer');
-        if (!logViewer) return;
-        
-        const showErrorsOnly = $('#show-errors-only')?.checked || false;
-        const highlightEnabled = $('#highlight-errors')?.checked !== false; // Default true
-        const logLines = $('#log-lines')?.value || 100;
-        
-        logViewer.innerHTML = '<div class="ccm-spinner"></div>';
-        
+    async function loadLogRotation() {
         try {
-            const response = await ajax('ccm_tools_get_error_log', { 
-                log_file: logFile,
-                errors_only: showErrorsOnly,
-                lines: logLines
-            });
-            
-            const data = response.data;
-            
-            if (data.formatted_content || data.content) {
-                const content = data.formatted_content || data.content;
-                const highlightClass = highlightEnabled ? 'highlight-enabled' : '';
-                logViewer.innerHTML = `<pre id="error-log-content" class="${highlightClass}">${content}</pre>`;
-            } else if (data.error) {
-                logViewer.innerHTML = `<p class="ccm-error">${escapeHtml(data.error)}</p>`;
-            } else {
-                logViewer.innerHTML = `
-                    <div class="empty-log-message">
-                        <span>No Log Entries</span>
-                        <p class="empty-log-description">The log file is empty or contains no matching entries.</p>
-                    </div>
-                `;
-            }
-            
-            // Update log meta info
-            const logSize = $('#log-size');
-            const logModified = $('#log-modified');
-            
-            if (logSize && data.file_size) {
-                logSize.textContent = data.file_size;
+            const { data } = await ajax('ccm_tools_get_log_rotation');
+            renderLogRotation(data);
+        } catch (error) {
+            const tbody = $('#log-archives tbody');
+            if (tbody) {
+                tbody.innerHTML = `<tr><td colspan="4" class="ccm-error">${escapeHtml(error.message)}</td></tr>`;
             }
-            if (logModified && data.last_modified) {
-                logModified.textContent = data.last_modified;
+        }
+    }
+    
+    /**
+     * Render the archive table and keep the log selector's archive list in sync
+     * @param {Object} data - Response from ccm_tools_get_log_rotation
+     */
+    function renderLogRotation(data) {
+        const warning = $('#log-rotation-warning');
+        if (warning) {
+            warning.textContent = data.warning ? `⚠ Rotation is paused: ${data.warning}` : '';
+            warning.hidden = !data.warning;
+        }
+        
+        const next = $('#log-rotation-next');
+        if (next) {
+            next.textContent = data.settings.enabled && data.next ? `Next check ${data.next}` : '';
+        }
+        
+        const tbody = $('#log-archives tbody');
+        if (tbody) {
+            tbody.innerHTML = data.archives.length
+                ? data.archives.map(archive => `
+                    <tr>
+                        <td>${escapeHtml(archive.source_label)}<div class="ccm-text-muted ccm-log-top-location">${escapeHtml(archive.file)}</div></td>
+                        <td>${escapeHtml(archive.created_label)}</td>
+                        <td>${escapeHtml(archive.size)} <span class="ccm-text-muted">(${escapeHtml(archive.original_size)} uncompressed)</span></td>
+                        <td class="ccm-log-alert-row-actions">
+                            <button type="button" class="ccm-button ccm-button-small" data-archive-action="open" data-path="${escapeHtml(archive.path)}">Open</button>
+                            <button type="button" class="ccm-button ccm-button-small" data-archive-action="download" data-path="${escapeHtml(archive.path)}">Download</button>
+                            <button type="button" class="ccm-button ccm-button-small ccm-button-danger" data-archive-action="delete" data-id="${escapeHtml(archive.id)}">Delete</button>
+                        </td>
+                    </tr>
+                `).join('')
+                : '<tr><td colspan="4" class="ccm-text-muted">No archives yet.</td></tr>';
+        }
+        
+        renderLogArchiveOptions(data.archives);
+    }
+    
+    /**
+     * Rebuild the "Archives" group of the log selector
+     * @param {Array} archives - Archives from the server
+     */
+    function renderLogArchiveOptions(archives) {
+        const select = $('#log-file-select');
+        const group = $('#log-archive-options');
+        if (!select || !group) return;
+        
+        const selected = select.value;
+        group.innerHTML = archives.map(archive => `
+            <option value="${escapeHtml(archive.path)}" data-archive="1">${escapeHtml(`${archive.source_label} — ${archive.created_label} (${archive.size})`)}</option>
+        `).join('');
+        group.hidden = !archives.length;
+        
+        // The open archive was deleted: fall back to the first log
+        if (selected && select.value !== selected) {
+            select.selectedIndex = 0;
+            select.dispatchEvent(new Event('change'));
+        }
+    }
+    
+    /**
+     * Download a single archive (zipped like a live log)
+     * @param {string} path - Archive path
+     */
+    async function downloadLogArchive(path) {
+        try {
+            const { data } = await ajax('ccm_tools_download_error_log', { log_file: path });
+            if (data.download_url) {
+                window.location.href = data.download_url;
             }
         } catch (error) {
-            logViewer.innerHTML = `<p class="ccm-error">Error loading log: ${escapeHtml(error.message)}</p>`;
+            showNotification((ccmToolsData.i18n.downloadFailed || 'Download failed') + ': ' + error.message, 'error');
         }
     }
 
     // ===================================
-    // Auto-refresh Functionality
+    // Error Log Alert Rules
     // ===================================
-
-    let refreshInterval = null;
-    let refreshCountdown = 0;
-
+    
+    let logAlertRules = [];
+    
     /**
-     * Start auto-refresh timer
-     * @param {number} seconds - Refresh interval in seconds
-     * @param {Function} callback - Refresh callback
+     * Initialize the alert rules card on the error log page
      */
-    function startAutoRefresh(seconds, callback) {
-        stopAutoRefresh();
+    function initLogAlerts() {
+        const card = $('#log-alerts-card');
+        if (!card) return;
+        
+        const form = $('#log-alert-form');
+        const channel = $('#log-alert-channel');
         
-        refreshCountdown = seconds;
+        $('#log-alert-add')?.addEventListener('click', () => openLogAlertForm());
+        $('#log-alert-cancel')?.addEventListener('click', () => {
+            form.style.display = 'none';
+        });
+        channel?.addEventListener('change', updateLogAlertTargetField);
         
-        const updateTimer = () => {
-            const countdownEl = $('#refresh-countdown');
-            const progressEl = $('.ccm-refresh-progress');
+        form?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submit = form.querySelector('[type="submit"]');
+            const fields = new FormData(form);
+            const data = {
+                id: fields.get('id'),
+                name: fields.get('name'),
+                severities: fields.getAll('severities[]'),
+                pattern: fields.get('pattern'),
+                threshold: fields.get('threshold'),
+                window: fields.get('window'),
+                cooldown: fields.get('cooldown'),
+                channel: fields.get('channel'),
+                target: fields.get('target'),
+                enabled: fields.get('enabled') ? 1 : 0
+            };
             
-            if (countdownEl) {
-                countdownEl.textContent = refreshCountdown;
+            submit.disabled = true;
+            try {
+                const { data: result } = await ajax('ccm_tools_save_log_alert_rule', data);
+                showNotification(result.message, 'success');
+                form.style.display = 'none';
+                renderLogAlerts(result);
+            } catch (error) {
+                showNotification(error.message, 'error');
+            } finally {
+                submit.disabled = false;
             }
-            
-            if (progressEl) {
-                const percent = ((seconds - refreshCountdown) / seconds) * 100;
-                progressEl.style.width = `${percent}%`;
+        });
+        
+        $('#log-alert-run')?.addEventListener('click', async (e) => {
+            const button = e.currentTarget;
+            button.disabled = true;
+            try {
+                const { data } = await ajax('ccm_tools_run_log_alerts', {}, { timeout: 120000 });
+                showNotification(data.message, 'success');
+                renderLogAlerts(data);
+            } catch (error) {
+                showNotification(error.message, 'error');
+            } finally {
+                button.disabled = false;
             }
-            
-            if (refreshCountdown <= 0) {
-                if (progressEl) progressEl.classList.add('loading');
-                callback();
-                refreshCountdown = seconds;
-                if (progressEl) {
-                    setTimeout(() => progressEl.classList.remove('loading'), 500);
+        });
+        
+        $('#log-alert-clear-history')?.addEventListener('click', () => {
+            showConfirmModal('Clear the alert history?', async () => {
+                try {
+                    const { data } = await ajax('ccm_tools_clear_log_alert_history');
+                    renderLogAlerts(data);
+                } catch (error) {
+                    showNotification(error.message, 'error');
                 }
+            }, 'Clear');
+        });
+        
+        $('#log-alert-rules')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-alert-action]');
+            if (!button) return;
+            
+            const rule = logAlertRules.find(r => r.id === button.dataset.id);
+            if (!rule) return;
+            
+            if (button.dataset.alertAction === 'edit') {
+                openLogAlertForm(rule);
+            } else if (button.dataset.alertAction === 'test') {
+                testLogAlertRule(rule, button);
+            } else if (button.dataset.alertAction === 'delete') {
+                showConfirmModal(`Delete the alert rule "${rule.name}"?`, async () => {
+                    try {
+                        const { data } = await ajax('ccm_tools_delete_log_alert_rule', { id: rule.id });
+                        showNotification(data.message, 'success');
+                        renderLogAlerts(data);
+                    } catch (error) {
+                        showNotification(error.message, 'error');
+                    }
+                }, 'Delete');
+            }
+        });
+        
+        loadLogAlerts();
+    }
+    
+    /**
+     * Load rules, history and watcher status
+     */
+    async function loadLogAlerts() {
+        try {
+            const { data } = await ajax('ccm_tools_get_log_alerts');
+            renderLogAlerts(data);
+        } catch (error) {
+            const tbody = $('#log-alert-rules tbody');
+            if (tbody) {
+                tbody.innerHTML = `<tr><td colspan="5" class="ccm-error">${escapeHtml(error.message)}</td></tr>`;
+            }
+        }
+    }
+    
+    /**
+     * Describe what a rule matches in one line
+     * @param {Object} rule - Alert rule
+     * @returns {string} HTML
+     */
+    function describeLogAlertRule(rule) {
+        const parts = [];
+        parts.push(rule.severities.length
+            ? rule.severities.map(renderLogSeverityBadge).join(' ')
+            : 'Any severity');
+        if (rule.pattern) {
+            parts.push(`matching <code>${escapeHtml(rule.pattern)}</code>`);
+        }
+        parts.push(rule.threshold > 1
+            ? `${rule.threshold}+ in ${rule.window} min`
+            : 'any occurrence');
+        return parts.join(' ');
+    }
+    
+    /**
+     * Render the rules table, history table and status line
+     * @param {Object} data - Response from ccm_tools_get_log_alerts
+     */
+    function renderLogAlerts(data) {
+        logAlertRules = data.rules || [];
+        
+        const rulesBody = $('#log-alert-rules tbody');
+        if (rulesBody) {
+            rulesBody.innerHTML = logAlertRules.length
+                ? logAlertRules.map(rule => `
+                    <tr>
+                        <td><strong>${escapeHtml(rule.name)}</strong></td>
+                        <td>${describeLogAlertRule(rule)}</td>
+                        <td>${rule.channel === 'webhook' ? 'Webhook' : 'Email'}<br><span class="ccm-text-muted">${escapeHtml(rule.target)}</span></td>
+                        <td>${rule.enabled ? '<span class="ccm-success">Yes</span>' : '<span class="ccm-text-muted">No</span>'}</td>
+                        <td class="ccm-log-alert-row-actions">
+                            <button type="button" class="ccm-button ccm-button-small" data-alert-action="edit" data-id="${escapeHtml(rule.id)}">Edit</button>
+                            <button type="button" class="ccm-button ccm-button-small" data-alert-action="test" data-id="${escapeHtml(rule.id)}">Test</button>
+                            <button type="button" class="ccm-button ccm-button-small ccm-button-danger" data-alert-action="delete" data-id="${escapeHtml(rule.id)}">Delete</button>
+                        </td>
+                    </tr>
+                `).join('')
+                : '<tr><td colspan="5" class="ccm-text-muted">No alert rules yet.</td></tr>';
+        }
+        
+        const history = data.history || [];
+        const historyBody = $('#log-alert-history tbody');
+        if (historyBody) {
+            historyBody.innerHTML = history.length
+                ? history.map(item => `
+                    <tr>
+                        <td>${escapeHtml(item.time_label)}</td>
+                        <td>${escapeHtml(item.rule)}${item.test ? ' <span class="ccm-badge ccm-badge-info">Test</span>' : ''}</td>
+                        <td>${item.count} in ${item.window} min</td>
+                        <td>${item.channel === 'webhook' ? 'Webhook' : 'Email'}
+                            ${item.ok
+                                ? '<span class="ccm-success">✓</span>'
+                                : `<span class="ccm-error" title="${escapeHtml(item.error)}">✗ ${escapeHtml(item.error)}</span>`}</td>
+                        <td class="ccm-log-alert-sample">${escapeHtml(item.sample)}</td>
+                    </tr>
+                `).join('')
+                : '<tr><td colspan="5" class="ccm-text-muted">No alerts sent yet.</td></tr>';
+        }
+        
+        const status = $('#log-alerts-status');
+        const info = data.status || {};
+        if (status) {
+            const parts = [];
+            if (!logAlertRules.some(rule => rule.enabled)) {
+                parts.push('Background checks are off — no enabled rules.');
             } else {
-                refreshCountdown--;
+                parts.push(info.checked ? `Last checked ${escapeHtml(info.checked)}.` : 'Not checked yet.');
+                if (info.next) parts.push(`Next check ${escapeHtml(info.next)}.`);
+                if (info.cron_disabled) {
+                    parts.push('<span class="ccm-warning">DISABLE_WP_CRON is set — make sure a real cron job calls wp-cron.php.</span>');
+                }
             }
-        };
+            if (info.last_error) {
+                parts.push(`<span class="ccm-error">${escapeHtml(info.last_error)}</span>`);
+            }
+            status.innerHTML = parts.join(' ');
+        }
+    }
+    
+    /**
+     * Show the rule form, filled from an existing rule or with defaults
+     * @param {Object|null} rule - Rule to edit, or null for a new one
+     */
+    function openLogAlertForm(rule = null) {
+        const form = $('#log-alert-form');
+        if (!form) return;
+        
+        const target = $('#log-alert-target');
+        form.elements.id.value = rule?.id || '';
+        form.elements.name.value = rule?.name || '';
+        form.elements.pattern.value = rule?.pattern || '';
+        form.elements.threshold.value = rule?.threshold ?? 1;
+        form.elements.window.value = rule?.window ?? 5;
+        form.elements.cooldown.value = rule?.cooldown ?? 60;
+        form.elements.channel.value = rule?.channel || 'email';
+        form.elements.enabled.checked = rule ? !!rule.enabled : true;
+        target.value = rule?.target || target.dataset.defaultEmail || '';
+        
+        const severities = rule ? rule.severities : ['fatal'];
+        $$('input[name="severities[]"]', form).forEach(input => {
+            input.checked = severities.includes(input.value);
+        });
         
-        updateTimer();
-        refreshInterval = setInterval(updateTimer, 1000);
+        updateLogAlertTargetField();
+        form.style.display = '';
+        form.elements.name.focus();
     }
-
+    
+    /**
+     * Switch the recipient field between email and webhook URL
+     */
+    function updateLogAlertTargetField() {
+        const channel = $('#log-alert-channel')?.value;
+        const target = $('#log-alert-target');
+        const help = $('#log-alert-target-help');
+        if (!target) return;
+        
+        if (channel === 'webhook') {
+            target.placeholder = 'https://example.com/hooks/errors';
+            if (target.value === target.dataset.defaultEmail) target.value = '';
+            if (help) help.textContent = 'Receives a JSON POST with the rule, match count and latest entries.';
+        } else {
+            target.placeholder = target.dataset.defaultEmail || '';
+            if (!target.value) target.value = target.dataset.defaultEmail || '';
+            if (help) help.textContent = 'Comma-separated email addresses.';
+        }
+    }
+    
     /**
-     * Stop auto-refresh timer
+     * Send a test notification for a rule
+     * @param {Object} rule - Alert rule
+     * @param {HTMLElement} button - Clicked button
      */
-    function stopAutoRefresh() {
-        if (refreshInterval) {
-            clearInterval(refreshInterval);
-            refreshInterval = null;
+    async function testLogAlertRule(rule, button) {
+        button.disabled = true;
+        try {
+            const { data } = await ajax('ccm_tools_test_log_alert_rule', { id: rule.id }, { timeout: 60000 });
+            showNotification(data.message, 'success');
+            renderLogAlerts(data);
+        } catch (error) {
+            showNotification(error.message, 'error');
+            loadLogAlerts();
+        } finally {
+            button.disabled = false;
         }
     }
 
@@ -1848,6 +5583,7 @@
     let webpConversionRunning = false;
     let webpConversionStopped = false;
     let webpStatsRefreshInterval = null;
+    let webpBulkJob = null;        // Persisted job the running bulk conversion reports to
 
     /**
      * Refresh WebP conversion statistics
@@ -1893,6 +5629,23 @@
                     if (sizeComparisonEl) sizeComparisonEl.style.display = 'none';
                 }
                 
+                // Per-format AVIF stats
+                const avifRow = $('#stat-avif-row');
+                if (avifRow) {
+                    avifRow.style.display = (data.avif_enabled || data.avif_images > 0) ? '' : 'none';
+                    const avifImagesEl = $('#stat-avif-images');
+                    const avifPendingEl = $('#stat-avif-pending');
+                    const avifSavingsEl = $('#stat-avif-savings');
+                    const avifSizeEl = $('#stat-avif-size');
+                    if (avifImagesEl) avifImagesEl.textContent = data.avif_images;
+                    if (avifPendingEl) {
+                        avifPendingEl.textContent = data.avif_pending;
+                        avifPendingEl.classList.toggle('ccm-warning', data.avif_pending > 0);
+                    }
+                    if (avifSavingsEl) avifSavingsEl.textContent = data.avif_savings + '%';
+                    if (avifSizeEl) avifSizeEl.textContent = formatBytes(data.total_avif_size);
+                }
+                
                 // Update button states and text (only if not currently converting)
                 if (!webpConversionRunning) {
                     const startBulkBtn = $('#start-bulk-conversion');
@@ -1960,13 +5713,34 @@
             });
         }
         
-        // Quality presets
+        // AVIF quality slider + toggle
+        const avifSlider = $('#avif-quality');
+        const avifValue = $('#avif-quality-value');
+        const avifToggle = $('#avif-enabled');
+        const avifRow = $('#avif-quality-row');
+        
+        if (avifSlider && avifValue) {
+            avifSlider.addEventListener('input', () => {
+                avifValue.textContent = avifSlider.value;
+            });
+        }
+        
+        if (avifToggle && avifRow) {
+            avifToggle.addEventListener('change', () => {
+                avifRow.style.display = avifToggle.checked ? '' : 'none';
+            });
+        }
+        
+        // Quality presets (data-target="avif" drives the AVIF slider)
         $$('.ccm-quality-preset').forEach(btn => {
             btn.addEventListener('click', () => {
                 const quality = btn.dataset.quality;
-                if (qualitySlider && qualityValue) {
-                    qualitySlider.value = quality;
-                    qualityValue.textContent = quality;
+                const isAvif = btn.dataset.target === 'avif';
+                const slider = isAvif ? avifSlider : qualitySlider;
+                const value = isAvif ? avifValue : qualityValue;
+                if (slider && value) {
+                    slider.value = quality;
+                    value.textContent = quality;
                 }
             });
         });
@@ -2022,6 +5796,35 @@
             });
         }
         
+        // Resume / discard an interrupted bulk run
+        const resumeBulkBtn = $('#resume-bulk-conversion');
+        const discardBulkBtn = $('#discard-bulk-job');
+        
+        if (resumeBulkBtn) {
+            resumeBulkBtn.addEventListener('click', async () => {
+                if (webpBulkJob && !webpConversionRunning) {
+                    await startBulkConversion(webpBulkJob);
+                }
+            });
+        }
+        
+        if (discardBulkBtn) {
+            discardBulkBtn.addEventListener('click', async () => {
+                if (!webpBulkJob) return;
+                try {
+                    await ajax('ccm_tools_webp_update_bulk_job', { job_id: webpBulkJob.id, discard: 1 });
+                    webpBulkJob = null;
+                    const notice = $('#webp-resume-notice');
+                    if (notice) notice.style.display = 'none';
+                } catch (error) {
+                    showNotification(error.message, 'error');
+                }
+            });
+        }
+        
+        checkWebPBulkJob();
+        initWebPReport();
+        
         if (stopBulkBtn) {
             stopBulkBtn.addEventListener('click', () => {
                 webpConversionStopped = true;
@@ -2196,7 +5999,9 @@
                 convert_on_demand: $('#webp-convert-on-demand')?.checked ? '1' : '0',
                 convert_bg_images: $('#webp-bg-images')?.checked ? '1' : '0',
                 keep_originals: $('#webp-keep-originals')?.checked ? '1' : '0',
-                preferred_extension: $('#webp-preferred-extension')?.value || 'auto'
+                preferred_extension: $('#webp-preferred-extension')?.value || 'auto',
+                avif_enabled: $('#avif-enabled')?.checked ? '1' : '0',
+                avif_quality: $('#avif-quality')?.value || '60'
             };
             
             const response = await ajax('ccm_tools_save_webp_settings', formData);
@@ -2235,67 +6040,569 @@
             resultDiv.style.display = 'block';
         }
         
-        if (resultContent) {
-            resultContent.innerHTML = '<div class="ccm-spinner"></div>';
+        if (resultContent) {
+            resultContent.innerHTML = '<div class="ccm-spinner"></div>';
+        }
+        
+        try {
+            const formData = new FormData();
+            formData.append('action', 'ccm_tools_test_webp_conversion');
+            formData.append('nonce', ccmToolsData.nonce);
+            formData.append('test_image', testInput.files[0]);
+            formData.append('quality', $('#webp-quality')?.value || '');
+            formData.append('avif_quality', $('#avif-quality')?.value || '');
+            formData.append('compare_format', $('#test-compare-format')?.value || 'webp');
+            ($('#test-qualities')?.value || '')
+                .split(/[\s,]+/)
+                .map(q => parseInt(q, 10))
+                .filter(q => q >= 1 && q <= 100)
+                .slice(0, 5)
+                .forEach(q => formData.append('qualities[]', q));
+            
+            const response = await fetch(ccmToolsData.ajax_url, {
+                method: 'POST',
+                body: formData
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                resultContent.innerHTML = `
+                    <div class="ccm-test-result ccm-success">
+                        <h4><span class="ccm-icon">✓</span> Conversion Successful</h4>
+                        ${renderFormatComparison(result.data)}
+                        <div class="ccm-quality-compare"></div>
+                    </div>
+                `;
+                renderQualityCompare($('.ccm-quality-compare', resultContent), result.data);
+            } else {
+                resultContent.innerHTML = `
+                    <div class="ccm-test-result ccm-error">
+                        <h4><span class="ccm-icon">✗</span> Conversion Failed</h4>
+                        <p>${escapeHtml(result.data?.message || 'Unknown error')}</p>
+                    </div>
+                `;
+            }
+            
+        } catch (error) {
+            if (resultContent) {
+                resultContent.innerHTML = `
+                    <div class="ccm-test-result ccm-error">
+                        <h4><span class="ccm-icon">✗</span> Error</h4>
+                        <p>${escapeHtml(error.message)}</p>
+                    </div>
+                `;
+            }
+        } finally {
+            if (runTestBtn) {
+                runTestBtn.disabled = false;
+                runTestBtn.innerHTML = ccmToolsData.i18n?.testConversion || 'Test Conversion';
+            }
+        }
+    }
+
+    /**
+     * Render the Original / WebP / AVIF comparison table for a test conversion
+     * @param {Object} data - Test conversion response data
+     * @returns {string} HTML
+     */
+    function renderFormatComparison(data) {
+        const formats = data.formats || {};
+        const original = formats.original || { size: data.source_size, type: '' };
+        const webp = formats.webp || {
+            success: true,
+            size: data.dest_size,
+            savings_percent: data.savings_percent,
+            extension_used: data.extension_used,
+            quality: data.quality
+        };
+        const avif = formats.avif || { success: false, message: 'Not available' };
+        
+        // Highlight whichever output is smallest
+        const candidates = [webp, avif].filter(f => f.success && f.bytes);
+        const smallest = candidates.length ? Math.min(...candidates.map(f => f.bytes)) : null;
+        
+        const cell = (f, key, suffix = '') => f.success
+            ? escapeHtml(String(f[key] ?? '')) + suffix
+            : '<span class="ccm-text-muted">—</span>';
+        const sizeCell = (f) => {
+            if (!f.success) return `<span class="ccm-error" title="${escapeHtml(f.message || '')}">Failed</span>`;
+            const best = smallest !== null && f.bytes === smallest ? ' <span class="ccm-badge ccm-badge-primary">Smallest</span>' : '';
+            return escapeHtml(f.size) + best;
+        };
+        
+        return `
+            <table class="ccm-table ccm-format-compare">
+                <thead>
+                    <tr><th></th><th>Original${original.type ? ' (' + escapeHtml(original.type.toUpperCase()) + ')' : ''}</th><th>WebP</th><th>AVIF</th></tr>
+                </thead>
+                <tbody>
+                    <tr><th>Size</th><td>${escapeHtml(original.size)}</td><td>${sizeCell(webp)}</td><td>${sizeCell(avif)}</td></tr>
+                    <tr><th>Savings</th><td>—</td><td class="ccm-success">${cell(webp, 'savings_percent', '%')}</td><td class="ccm-success">${cell(avif, 'savings_percent', '%')}</td></tr>
+                    <tr><th>Quality Setting</th><td>—</td><td>${cell(webp, 'quality')}</td><td>${cell(avif, 'quality')}</td></tr>
+                    <tr><th>Extension Used</th><td>—</td><td>${cell(webp, 'extension_used')}</td><td>${cell(avif, 'extension_used')}</td></tr>
+                    <tr><th>Dimensions</th><td colspan="3">${escapeHtml(data.dimensions)}</td></tr>
+                </tbody>
+            </table>
+            ${!avif.success && avif.message ? `<p class="ccm-note">AVIF: ${escapeHtml(avif.message)}</p>` : ''}
+        `;
+    }
+
+    /**
+     * Load an image element from a URL / data URI
+     * @param {string} src - Image source
+     * @returns {Promise<HTMLImageElement>}
+     */
+    function loadImageElement(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Image failed to decode'));
+            img.src = src;
+        });
+    }
+
+    /**
+     * Compute SSIM and PSNR of a converted image against its original.
+     * Both are drawn onto white at the same size (longest side capped at
+     * 1024px to keep it quick), then compared on RGB (PSNR) and luma (SSIM,
+     * mean over 8×8 windows with a stride of 4).
+     * @param {string} originalSrc - Original image source
+     * @param {string} convertedSrc - Converted image source
+     * @returns {Promise<{ssim: number, psnr: number}>}
+     */
+    async function computeImageQualityMetrics(originalSrc, convertedSrc) {
+        const [a, b] = await Promise.all([loadImageElement(originalSrc), loadImageElement(convertedSrc)]);
+        
+        const scale = Math.min(1, 1024 / Math.max(a.naturalWidth, a.naturalHeight));
+        const w = Math.max(1, Math.round(a.naturalWidth * scale));
+        const h = Math.max(1, Math.round(a.naturalHeight * scale));
+        
+        const pixels = (img) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = w;
+            canvas.height = h;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, w, h);
+            ctx.drawImage(img, 0, 0, w, h);
+            return ctx.getImageData(0, 0, w, h).data;
+        };
+        const pa = pixels(a);
+        const pb = pixels(b);
+        
+        // PSNR over RGB
+        let sqErr = 0;
+        const lumaA = new Float32Array(w * h);
+        const lumaB = new Float32Array(w * h);
+        for (let i = 0, p = 0; i < pa.length; i += 4, p++) {
+            for (let c = 0; c < 3; c++) {
+                const d = pa[i + c] - pb[i + c];
+                sqErr += d * d;
+            }
+            lumaA[p] = 0.299 * pa[i] + 0.587 * pa[i + 1] + 0.114 * pa[i + 2];
+            lumaB[p] = 0.299 * pb[i] + 0.587 * pb[i + 1] + 0.114 * pb[i + 2];
+        }
+        const mse = sqErr / (w * h * 3);
+        const psnr = mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse);
+        
+        // SSIM over luma windows
+        const C1 = (0.01 * 255) ** 2;
+        const C2 = (0.03 * 255) ** 2;
+        const win = Math.min(8, w, h);
+        const stride = Math.max(1, win >> 1);
+        let ssimSum = 0;
+        let windows = 0;
+        
+        for (let y = 0; y + win <= h; y += stride) {
+            for (let x = 0; x + win <= w; x += stride) {
+                let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+                for (let dy = 0; dy < win; dy++) {
+                    let idx = (y + dy) * w + x;
+                    for (let dx = 0; dx < win; dx++, idx++) {
+                        const va = lumaA[idx];
+                        const vb = lumaB[idx];
+                        sumA += va;
+                        sumB += vb;
+                        sumAA += va * va;
+                        sumBB += vb * vb;
+                        sumAB += va * vb;
+                    }
+                }
+                const n = win * win;
+                const muA = sumA / n;
+                const muB = sumB / n;
+                const varA = sumAA / n - muA * muA;
+                const varB = sumBB / n - muB * muB;
+                const cov = sumAB / n - muA * muB;
+                ssimSum += ((2 * muA * muB + C1) * (2 * cov + C2)) /
+                    ((muA * muA + muB * muB + C1) * (varA + varB + C2));
+                windows++;
+            }
+        }
+        
+        return { ssim: windows ? ssimSum / windows : 1, psnr };
+    }
+
+    /**
+     * Describe an SSIM score in plain words
+     * @param {number} ssim - SSIM (0–1)
+     * @returns {{label: string, cls: string}}
+     */
+    function describeSsim(ssim) {
+        if (ssim >= 0.98) return { label: 'Visually identical', cls: 'ccm-success' };
+        if (ssim >= 0.95) return { label: 'Excellent', cls: 'ccm-success' };
+        if (ssim >= 0.90) return { label: 'Good', cls: 'ccm-info' };
+        if (ssim >= 0.80) return { label: 'Noticeable loss', cls: 'ccm-warning' };
+        return { label: 'Poor', cls: 'ccm-error' };
+    }
+
+    /**
+     * Render the before/after viewer and per-quality variants for a test conversion
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} data - Test conversion response data
+     */
+    function renderQualityCompare(container, data) {
+        if (!container) return;
+        
+        if (data.previews_skipped) {
+            container.innerHTML = '<p class="ccm-note">Image is too large for an in-browser visual comparison (over 8 MB).</p>';
+            return;
+        }
+        
+        const variants = (data.variants || []).filter(v => v.success && v.preview);
+        if (!data.original_preview || variants.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const formatLabel = variants[0].format === 'avif' ? 'AVIF' : 'WebP';
+        
+        container.innerHTML = `
+            <h4>Visual Comparison</h4>
+            <div class="ccm-compare" data-mode="slider">
+                <div class="ccm-compare-toolbar">
+                    <div class="ccm-compare-modes">
+                        <button type="button" class="ccm-button ccm-button-small ccm-compare-mode is-active" data-mode="slider">Slider</button>
+                        <button type="button" class="ccm-button ccm-button-small ccm-compare-mode" data-mode="split">Side by Side</button>
+                    </div>
+                    <label>Zoom
+                        <select class="ccm-compare-zoom">
+                            <option value="fit">Fit</option>
+                            <option value="1">100%</option>
+                            <option value="2">200%</option>
+                            <option value="4">400%</option>
+                        </select>
+                    </label>
+                    <span class="ccm-compare-caption"></span>
+                </div>
+                <div class="ccm-compare-viewport ccm-compare-slider-view">
+                    <div class="ccm-compare-stage">
+                        <img class="ccm-compare-before" alt="Original" src="${escapeHtml(data.original_preview)}">
+                        <img class="ccm-compare-after" alt="${formatLabel}">
+                        <div class="ccm-compare-handle"></div>
+                        <span class="ccm-compare-tag ccm-compare-tag-left">Original</span>
+                        <span class="ccm-compare-tag ccm-compare-tag-right">${formatLabel}</span>
+                    </div>
+                </div>
+                <input type="range" class="ccm-compare-range" min="0" max="100" value="50" aria-label="Split position">
+                <div class="ccm-compare-split-view">
+                    <div class="ccm-compare-viewport ccm-compare-pane">
+                        <div class="ccm-compare-stage"><img class="ccm-compare-before" alt="Original" src="${escapeHtml(data.original_preview)}"></div>
+                    </div>
+                    <div class="ccm-compare-viewport ccm-compare-pane">
+                        <div class="ccm-compare-stage"><img class="ccm-compare-after" alt="${formatLabel}"></div>
+                    </div>
+                </div>
+            </div>
+            <table class="ccm-table ccm-variant-table">
+                <thead>
+                    <tr><th>${formatLabel} Quality</th><th>Size</th><th>Savings</th><th>SSIM</th><th>PSNR</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${variants.map((v, i) => `
+                        <tr data-index="${i}">
+                            <td>${escapeHtml(String(v.quality))}</td>
+                            <td>${escapeHtml(v.size)}</td>
+                            <td class="ccm-success">${escapeHtml(String(v.savings_percent))}%</td>
+                            <td class="ccm-variant-ssim"><span class="ccm-text-muted">…</span></td>
+                            <td class="ccm-variant-psnr"><span class="ccm-text-muted">…</span></td>
+                            <td class="ccm-variant-actions">
+                                <button type="button" class="ccm-button ccm-button-small ccm-variant-view">View</button>
+                                <button type="button" class="ccm-button ccm-button-small ccm-variant-use">Use ${escapeHtml(String(v.quality))}</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="ccm-note">SSIM: 1.0 = identical, ≥ 0.95 is usually indistinguishable. PSNR above ~40 dB is very hard to tell apart.</p>
+        `;
+        
+        const root = $('.ccm-compare', container);
+        const range = $('.ccm-compare-range', root);
+        const sliderStage = $('.ccm-compare-slider-view .ccm-compare-stage', root);
+        const caption = $('.ccm-compare-caption', root);
+        
+        const setSplit = (percent) => {
+            root.style.setProperty('--ccm-compare-pos', `${percent}%`);
+        };
+        setSplit(50);
+        
+        const showVariant = (index) => {
+            const v = variants[index];
+            $$('.ccm-compare-after', root).forEach(img => { img.src = v.preview; });
+            if (caption) caption.textContent = `${formatLabel} quality ${v.quality} — ${v.size} (${v.savings_percent}% smaller)`;
+            $$('.ccm-variant-table tbody tr', container).forEach(tr => {
+                tr.classList.toggle('is-selected', Number(tr.dataset.index) === index);
+            });
+        };
+        
+        // Default to the variant at the current setting (it's always included)
+        const current = Number(variants[0].format === 'avif' ? data.formats?.avif?.quality : data.quality);
+        const defaultIndex = Math.max(0, variants.findIndex(v => v.quality === current));
+        showVariant(defaultIndex);
+        
+        range.addEventListener('input', () => setSplit(range.value));
+        
+        // Drag directly on the image too
+        let dragging = false;
+        const dragTo = (e) => {
+            const rect = sliderStage.getBoundingClientRect();
+            const pct = Math.min(100, Math.max(0, ((e.clientX - rect.left) / rect.width) * 100));
+            range.value = pct;
+            setSplit(pct);
+        };
+        sliderStage.addEventListener('pointerdown', (e) => {
+            dragging = true;
+            sliderStage.setPointerCapture(e.pointerId);
+            dragTo(e);
+        });
+        sliderStage.addEventListener('pointermove', (e) => { if (dragging) dragTo(e); });
+        sliderStage.addEventListener('pointerup', () => { dragging = false; });
+        
+        $$('.ccm-compare-mode', root).forEach(btn => {
+            btn.addEventListener('click', () => {
+                root.dataset.mode = btn.dataset.mode;
+                $$('.ccm-compare-mode', root).forEach(b => b.classList.toggle('is-active', b === btn));
+            });
+        });
+        
+        $('.ccm-compare-zoom', root).addEventListener('change', (e) => {
+            const zoom = e.target.value;
+            $$('.ccm-compare-stage', root).forEach(stage => {
+                const img = $('img', stage);
+                stage.style.width = zoom === 'fit' || !img?.naturalWidth ? '' : `${img.naturalWidth * Number(zoom)}px`;
+            });
+            root.classList.toggle('is-zoomed', zoom !== 'fit');
+        });
+        
+        // Keep the two side-by-side panes scrolled to the same spot
+        const panes = $$('.ccm-compare-pane', root);
+        let syncing = false;
+        panes.forEach((pane, i) => {
+            pane.addEventListener('scroll', () => {
+                if (syncing) return;
+                syncing = true;
+                const other = panes[1 - i];
+                other.scrollLeft = pane.scrollLeft;
+                other.scrollTop = pane.scrollTop;
+                requestAnimationFrame(() => { syncing = false; });
+            });
+        });
+        
+        $$('.ccm-variant-table tbody tr', container).forEach(tr => {
+            const index = Number(tr.dataset.index);
+            $('.ccm-variant-view', tr).addEventListener('click', () => showVariant(index));
+            $('.ccm-variant-use', tr).addEventListener('click', () => {
+                const v = variants[index];
+                const isAvif = v.format === 'avif';
+                const slider = $(isAvif ? '#avif-quality' : '#webp-quality');
+                const value = $(isAvif ? '#avif-quality-value' : '#webp-quality-value');
+                if (slider) slider.value = v.quality;
+                if (value) value.textContent = v.quality;
+                showNotification(`${formatLabel} quality set to ${v.quality} — save settings to apply it.`, 'info');
+            });
+        });
+        
+        // Score each variant one at a time so the page stays responsive
+        (async () => {
+            for (let i = 0; i < variants.length; i++) {
+                const tr = $(`.ccm-variant-table tbody tr[data-index="${i}"]`, container);
+                try {
+                    const { ssim, psnr } = await computeImageQualityMetrics(data.original_preview, variants[i].preview);
+                    const rating = describeSsim(ssim);
+                    $('.ccm-variant-ssim', tr).innerHTML = `<span class="${rating.cls}" title="${rating.label}">${ssim.toFixed(4)}</span> <small class="ccm-text-muted">${rating.label}</small>`;
+                    $('.ccm-variant-psnr', tr).textContent = Number.isFinite(psnr) ? `${psnr.toFixed(1)} dB` : '∞ (identical)';
+                } catch (error) {
+                    $('.ccm-variant-ssim', tr).innerHTML = '<span class="ccm-text-muted" title="Your browser could not decode this format">n/a</span>';
+                    $('.ccm-variant-psnr', tr).innerHTML = '<span class="ccm-text-muted">n/a</span>';
+                }
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        })();
+    }
+
+    /**
+     * Upper bound for parallel bulk conversions
+     */
+    const WEBP_MAX_WORKERS = 8;
+
+    /**
+     * Adaptive concurrency controller for bulk conversion.
+     * Adds a worker while response times hold steady and halves the pool on
+     * server errors (timeouts, 5xx, 429) or when latency climbs well past
+     * the baseline measured at the start of the run.
+     * @param {number} maxWorkers - Configured upper bound
+     * @returns {Object} Pool state with record()
+     */
+    function createWebPWorkerPool(maxWorkers) {
+        return {
+            max: maxWorkers,
+            target: Math.min(2, maxWorkers),
+            active: 0,
+            samples: [],
+            baseline: null,
+            sinceAdjust: 0,
+            
+            /**
+             * Record a finished conversion and adjust the target worker count
+             * @param {number} ms - Request duration
+             * @param {boolean} serverError - The server failed to answer
+             * @returns {string|null} Log message when the worker count changed
+             */
+            record(ms, serverError) {
+                if (serverError) {
+                    const before = this.target;
+                    this.target = Math.max(1, Math.floor(this.target / 2));
+                    this.sinceAdjust = 0;
+                    this.samples = [];
+                    return this.target < before
+                        ? `Server is struggling — reducing to ${this.target} parallel conversion(s).`
+                        : null;
+                }
+                
+                this.samples.push(ms);
+                if (this.samples.length > 10) this.samples.shift();
+                this.sinceAdjust++;
+                
+                const avg = this.samples.reduce((sum, v) => sum + v, 0) / this.samples.length;
+                if (this.baseline === null) {
+                    if (this.samples.length >= 5) this.baseline = avg;
+                    return null;
+                }
+                
+                // Judge a full window at the current concurrency before moving again
+                if (this.sinceAdjust < this.target * 4) return null;
+                this.sinceAdjust = 0;
+                
+                if (avg > this.baseline * 2 && this.target > 1) {
+                    this.target--;
+                    return `Response times rising — reducing to ${this.target} parallel conversion(s).`;
+                }
+                if (avg < this.baseline * 1.3 && this.target < this.max) {
+                    this.target++;
+                    this.baseline = Math.min(this.baseline, avg);
+                    return `Server keeping up — increasing to ${this.target} parallel conversion(s).`;
+                }
+                return null;
+            }
+        };
+    }
+
+    /**
+     * Rolling throughput over the last minute
+     * @returns {{tick: Function, perMinute: Function}}
+     */
+    function createThroughputMeter() {
+        const started = Date.now();
+        const stamps = [];
+        
+        return {
+            tick() {
+                const now = Date.now();
+                stamps.push(now);
+                while (stamps.length && now - stamps[0] > 60000) stamps.shift();
+            },
+            perMinute() {
+                if (stamps.length < 2) return 0;
+                const windowMs = Math.min(60000, Date.now() - started);
+                return windowMs > 0 ? (stamps.length / windowMs) * 60000 : 0;
+            }
+        };
+    }
+
+    /**
+     * Format an ETA in seconds as "2h 05m" / "4m 30s" / "20s"
+     * @param {number} seconds - Seconds remaining
+     * @returns {string}
+     */
+    function formatEta(seconds) {
+        seconds = Math.max(0, Math.round(seconds));
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const s = seconds % 60;
+        if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+        if (m > 0) return `${m}m ${String(s).padStart(2, '0')}s`;
+        return `${s}s`;
+    }
+
+    /**
+     * Persist bulk job progress.
+     * Best effort — a failed save never stops the run.
+     * @param {Object} fields - Job fields to update (status, phase, converted, failed, retry_cursor)
+     */
+    async function saveWebPBulkJob(fields) {
+        if (!webpBulkJob) return;
+        
+        try {
+            const response = await ajax('ccm_tools_webp_update_bulk_job', { job_id: webpBulkJob.id, ...fields }, { priority: 1 });
+            if (response.data?.job) webpBulkJob = response.data.job;
+        } catch (error) {
+            console.warn('CCM: could not save WebP job progress:', error.message);
         }
+    }
+
+    /**
+     * Show the Resume notice when an unfinished bulk job exists
+     */
+    async function checkWebPBulkJob() {
+        const notice = $('#webp-resume-notice');
+        const summary = $('#webp-resume-summary');
+        if (!notice || webpConversionRunning) return;
         
         try {
-            const formData = new FormData();
-            formData.append('action', 'ccm_tools_test_webp_conversion');
-            formData.append('nonce', ccmToolsData.nonce);
-            formData.append('test_image', testInput.files[0]);
+            const response = await ajax('ccm_tools_webp_get_bulk_job');
+            const job = response.data?.job;
             
-            const response = await fetch(ccmToolsData.ajax_url, {
-                method: 'POST',
-                body: formData
-            });
+            if (!job || job.status === 'completed') {
+                notice.style.display = 'none';
+                return;
+            }
             
-            const result = await response.json();
+            webpBulkJob = job;
+            const started = new Date(job.started * 1000).toLocaleString();
+            const phaseText = job.phase === 'retry'
+                ? 'It had finished the main pass and was retrying failed images.'
+                : `${job.failed_mode === 'retry' ? 'Failed images will be retried at the end.' : 'Failed images will be skipped.'}`;
             
-            if (result.success) {
-                resultContent.innerHTML = `
-                    <div class="ccm-test-result ccm-success">
-                        <h4><span class="ccm-icon">✓</span> Conversion Successful</h4>
-                        <table class="ccm-table">
-                            <tr><th>Original Size</th><td>${escapeHtml(result.data.source_size)}</td></tr>
-                            <tr><th>WebP Size</th><td>${escapeHtml(result.data.dest_size)}</td></tr>
-                            <tr><th>Savings</th><td class="ccm-success">${escapeHtml(result.data.savings_percent)}%</td></tr>
-                            <tr><th>Extension Used</th><td>${escapeHtml(result.data.extension_used)}</td></tr>
-                            <tr><th>Quality Setting</th><td>${escapeHtml(result.data.quality)}</td></tr>
-                            <tr><th>Dimensions</th><td>${escapeHtml(result.data.dimensions)}</td></tr>
-                        </table>
-                    </div>
-                `;
-            } else {
-                resultContent.innerHTML = `
-                    <div class="ccm-test-result ccm-error">
-                        <h4><span class="ccm-icon">✗</span> Conversion Failed</h4>
-                        <p>${escapeHtml(result.data?.message || 'Unknown error')}</p>
-                    </div>
-                `;
+            if (summary) {
+                summary.textContent = `Conversion started ${started} (quality ${job.quality}) stopped after ${job.converted + job.failed} of ${job.total} images — ${job.converted} converted, ${job.failed} failed. ${phaseText}`;
             }
-            
+            notice.style.display = 'flex';
         } catch (error) {
-            if (resultContent) {
-                resultContent.innerHTML = `
-                    <div class="ccm-test-result ccm-error">
-                        <h4><span class="ccm-icon">✗</span> Error</h4>
-                        <p>${escapeHtml(error.message)}</p>
-                    </div>
-                `;
-            }
-        } finally {
-            if (runTestBtn) {
-                runTestBtn.disabled = false;
-                runTestBtn.innerHTML = ccmToolsData.i18n?.testConversion || 'Test Conversion';
-            }
+            console.warn('CCM: could not load WebP job:', error.message);
         }
     }
 
     /**
-     * Start bulk conversion
+     * Start (or resume) bulk conversion.
+     * Progress is persisted server-side so a closed tab or crashed browser
+     * can pick up where it left off. Images that fail are recorded on the
+     * attachment and excluded from the main pass, then retried once at the
+     * end (or skipped) depending on the job's failed-image mode.
+     * @param {Object|null} resumeJob - Persisted job to resume, or null for a new run
      */
-    async function startBulkConversion() {
+    async function startBulkConversion(resumeJob = null) {
         const startBtn = $('#start-bulk-conversion');
         const stopBtn = $('#stop-bulk-conversion');
         const progressDiv = $('#bulk-conversion-progress');
@@ -2303,11 +6610,17 @@
         const currentSpan = $('#bulk-current');
         const totalSpan = $('#bulk-total');
         const logBox = $('#bulk-conversion-log');
+        const resumeNotice = $('#webp-resume-notice');
+        const workersSpan = $('#bulk-workers');
+        const throughputSpan = $('#bulk-throughput');
+        const etaSpan = $('#bulk-eta');
+        const previousMaxInFlight = ajaxQueue.maxInFlight;
         
         webpConversionRunning = true;
         webpConversionStopped = false;
         
         if (startBtn) startBtn.style.display = 'none';
+        if (resumeNotice) resumeNotice.style.display = 'none';
         if (stopBtn) {
             stopBtn.style.display = 'inline-flex';
             stopBtn.disabled = false;
@@ -2316,82 +6629,290 @@
         if (progressDiv) progressDiv.style.display = 'block';
         if (logBox) logBox.innerHTML = '';
         
-        let offset = 0;
-        const batchSize = 5;
-        let totalConverted = 0;
-        let totalErrors = 0;
+        let processedCount = 0;
+        let lastSave = Date.now();
         
         try {
-            // Get first batch to determine total
-            const firstBatch = await ajax('ccm_tools_get_unconverted_images', { offset: 0, limit: batchSize });
-            const total = firstBatch.data?.total || 0;
+            let job = resumeJob;
             
-            if (totalSpan) totalSpan.textContent = total;
+            if (job) {
+                addLogEntry(logBox, `Resuming conversion started ${new Date(job.started * 1000).toLocaleString()} (quality ${job.quality}, up to ${job.workers || 2} parallel)...`, 'info');
+            } else {
+                const failedMode = $('#webp-failed-mode')?.value || 'retry';
+                
+                // Count the main pass and any earlier failures separately
+                const [pending, failed] = await Promise.all([
+                    ajax('ccm_tools_get_unconverted_images', { offset: 0, limit: 1, exclude_failed: 1 }),
+                    ajax('ccm_tools_get_unconverted_images', { offset: 0, limit: 1, failed_only: 1 })
+                ]);
+                const pendingTotal = pending.data?.total || 0;
+                const failedTotal = failed.data?.total || 0;
+                const total = pendingTotal + (failedMode === 'retry' ? failedTotal : 0);
+                
+                if (total === 0) {
+                    if (totalSpan) totalSpan.textContent = 0;
+                    addLogEntry(logBox, failedTotal > 0
+                        ? `No new images to convert. ${failedTotal} previously failed image(s) skipped.`
+                        : 'No images found to convert.', 'info');
+                    return;
+                }
+                
+                const workers = Math.min(WEBP_MAX_WORKERS, Math.max(1, parseInt($('#webp-workers')?.value, 10) || 2));
+                const started = await ajax('ccm_tools_webp_start_bulk_job', { failed_mode: failedMode, total, workers });
+                job = started.data.job;
+                
+                addLogEntry(logBox, `Starting conversion of ${total} images...`, 'info');
+                if (failedTotal > 0) {
+                    addLogEntry(logBox, failedMode === 'retry'
+                        ? `${failedTotal} image(s) failed in an earlier run — they will be retried at the end.`
+                        : `${failedTotal} image(s) failed in an earlier run — skipping them.`, 'info');
+                }
+            }
             
-            if (total === 0) {
-                addLogEntry(logBox, 'No images found to convert.', 'info');
-                return;
+            webpBulkJob = job;
+            if (resumeJob) {
+                await saveWebPBulkJob({ status: 'running' });
             }
+            let totalConverted = job.converted;
+            let totalErrors = job.failed;
+            const total = job.total;
             
-            addLogEntry(logBox, `Starting conversion of ${total} images...`, 'info');
+            if (totalSpan) totalSpan.textContent = total;
             
-            let processedCount = 0;
+            const pool = createWebPWorkerPool(Math.min(WEBP_MAX_WORKERS, Math.max(1, parseInt(job.workers, 10) || 2)));
+            const meter = createThroughputMeter();
             
-            while (!webpConversionStopped) {
-                const batchResponse = await ajax('ccm_tools_get_unconverted_images', { offset: 0, limit: batchSize });
-                const images = batchResponse.data?.images || [];
-                
-                if (images.length === 0) {
-                    break;
+            // Leave room in the shared request queue for job saves and stats refreshes
+            ajaxQueue.maxInFlight = Math.max(previousMaxInFlight, pool.max + 2);
+            
+            const updateProgress = () => {
+                const done = totalConverted + totalErrors;
+                if (currentSpan) currentSpan.textContent = done;
+                if (progressBar) {
+                    const percent = total > 0 ? Math.min(100, Math.round((done / total) * 100)) : 100;
+                    progressBar.style.width = `${percent}%`;
                 }
                 
-                for (const image of images) {
-                    if (webpConversionStopped) break;
+                const perMinute = meter.perMinute();
+                if (workersSpan) workersSpan.textContent = `${pool.target} / ${pool.max}`;
+                if (throughputSpan) throughputSpan.textContent = perMinute > 0 ? `${perMinute.toFixed(1)} images/min` : '–';
+                if (etaSpan) {
+                    const remaining = Math.max(0, total - done);
+                    etaSpan.textContent = perMinute > 0 ? formatEta((remaining / perMinute) * 60) : '–';
+                }
+            };
+            updateProgress();
+            
+            const progressFields = () => ({
+                converted: totalConverted,
+                failed: totalErrors,
+                retry_cursor: webpBulkJob.retry_cursor || 0
+            });
+            
+            /**
+             * Convert one attachment and log the outcome
+             * @returns {Promise<{ok: boolean, serverError: boolean}>}
+             */
+            const convertOne = async (image) => {
+                try {
+                    // One request encodes WebP and AVIF for every size: allow it time, and
+                    // never re-send while the first encode may still be running
+                    const convertResponse = await ajax('ccm_tools_convert_single_image', { attachment_id: image.id, job_id: webpBulkJob.id }, { timeout: 120000, retries: 0 });
+                    addLogEntry(logBox, `✓ ${image.title || 'Image #' + image.id}: ${convertResponse.data?.message || 'Converted'}`, 'success');
+                    return { ok: true, serverError: false };
+                } catch (error) {
+                    if (error.cancelled) throw error;
+                    addLogEntry(logBox, `✗ ${image.title || 'Image #' + image.id}: ${error.message}`, 'error');
                     
-                    try {
-                        const convertResponse = await ajax('ccm_tools_convert_single_image', { attachment_id: image.id });
-                        totalConverted++;
-                        addLogEntry(logBox, `✓ ${image.title || 'Image #' + image.id}: ${convertResponse.data?.message || 'Converted'}`, 'success');
-                    } catch (error) {
-                        totalErrors++;
-                        addLogEntry(logBox, `✗ ${image.title || 'Image #' + image.id}: ${error.message}`, 'error');
+                    // No answer from the converter (timeout, fatal error) — record the
+                    // failure ourselves so the main pass doesn't fetch it again
+                    const noAnswer = Boolean(error.status || error.retryable || error.auth);
+                    if (noAnswer) {
+                        await ajax('ccm_tools_webp_mark_failed', {
+                            attachment_id: image.id,
+                            job_id: webpBulkJob.id,
+                            message: error.message
+                        }).catch(() => {});
                     }
+                    return { ok: false, serverError: noAnswer && !error.auth };
+                }
+            };
+            
+            let saving = false;
+            
+            /**
+             * Bookkeeping after each image: persist progress, refresh stats
+             */
+            const afterImage = async () => {
+                processedCount++;
+                meter.tick();
+                updateProgress();
+                
+                // Persist progress every 5 images or 5 seconds (one save at a time)
+                if (!saving && (processedCount % 5 === 0 || Date.now() - lastSave > 5000)) {
+                    saving = true;
+                    lastSave = Date.now();
+                    await saveWebPBulkJob(progressFields());
+                    saving = false;
+                }
+                
+                // Refresh stats every 10 images
+                if (processedCount % 10 === 0) {
+                    refreshWebPStats();
+                }
+            };
+            
+            /**
+             * Run one pass through the worker pool.
+             * Images are fetched ahead by ID cursor so parallel workers never
+             * pick up an attachment that's already queued or in flight.
+             * @param {string} phase - 'main' (unconverted, failures excluded) or 'retry' (failures only)
+             * @param {Function} onResult - (image, ok) => void, updates the counters
+             * @returns {Promise<boolean>} True when the pass ran out of images
+             */
+            const runPass = async (phase, onResult) => {
+                const queue = [];
+                const inFlight = new Set();
+                let cursor = phase === 'retry' ? (webpBulkJob.retry_cursor || 0) : 0;
+                let exhausted = false;
+                let halted = false;
+                let fetching = null;
+                
+                const fetchMore = async () => {
+                    const response = await ajax('ccm_tools_get_unconverted_images', {
+                        offset: 0,
+                        limit: Math.min(50, Math.max(5, pool.max * 3)),
+                        after_id: cursor,
+                        ...(phase === 'retry' ? { failed_only: 1 } : { exclude_failed: 1 })
+                    }, { priority: 1 });
+                    const images = response.data?.images || [];
                     
-                    processedCount++;
-                    
-                    // Update progress
-                    if (currentSpan) currentSpan.textContent = totalConverted + totalErrors;
-                    if (progressBar) {
-                        const percent = Math.round(((totalConverted + totalErrors) / total) * 100);
-                        progressBar.style.width = `${percent}%`;
+                    if (images.length === 0) {
+                        exhausted = true;
+                        return;
                     }
-                    
-                    // Refresh stats every 10 images
-                    if (processedCount % 10 === 0) {
-                        refreshWebPStats();
+                    queue.push(...images);
+                    cursor = parseInt(images[images.length - 1].id, 10);
+                };
+                
+                const nextImage = async () => {
+                    while (queue.length === 0 && !exhausted && !halted && !webpConversionStopped) {
+                        if (!fetching) {
+                            fetching = fetchMore().finally(() => { fetching = null; });
+                        }
+                        await fetching;
                     }
-                    
-                    // Minimal delay to allow UI updates
-                    await new Promise(resolve => setTimeout(resolve, 50));
+                    return halted || webpConversionStopped ? null : (queue.shift() || null);
+                };
+                
+                // Everything below the lowest unfinished ID is done — safe resume point
+                const safeCursor = () => {
+                    const pendingIds = [...inFlight, ...queue.map(img => parseInt(img.id, 10))];
+                    return pendingIds.length ? Math.min(...pendingIds) - 1 : cursor;
+                };
+                
+                const worker = async () => {
+                    while (!halted && !webpConversionStopped) {
+                        // Park while the pool is throttled below this worker
+                        if (pool.active >= pool.target) {
+                            await new Promise(resolve => setTimeout(resolve, 100));
+                            continue;
+                        }
+                        
+                        pool.active++;
+                        let image = null;
+                        try {
+                            image = await nextImage();
+                            if (!image) return;
+                            
+                            const id = parseInt(image.id, 10);
+                            inFlight.add(id);
+                            const startedAt = performance.now();
+                            const result = await convertOne(image);
+                            inFlight.delete(id);
+                            
+                            const change = pool.record(performance.now() - startedAt, result.serverError);
+                            if (change) addLogEntry(logBox, change, 'info');
+                            
+                            onResult(image, result.ok);
+                            if (phase === 'retry') webpBulkJob.retry_cursor = safeCursor();
+                        } catch (error) {
+                            halted = true;
+                            throw error;
+                        } finally {
+                            pool.active--;
+                        }
+                        
+                        await afterImage();
+                    }
+                };
+                
+                const results = await Promise.allSettled(Array.from({ length: pool.max }, worker));
+                const failure = results.find(r => r.status === 'rejected');
+                if (failure) throw failure.reason;
+                
+                return exhausted && !webpConversionStopped;
+            };
+            
+            // Main pass — failed images are excluded so they're never refetched
+            if (webpBulkJob.phase === 'main') {
+                const finished = await runPass('main', (image, ok) => {
+                    if (ok) totalConverted++; else totalErrors++;
+                });
+                
+                if (finished) {
+                    const nextPhase = webpBulkJob.failed_mode === 'retry' ? 'retry' : 'done';
+                    webpBulkJob.phase = nextPhase;
+                    webpBulkJob.retry_cursor = 0;
+                    await saveWebPBulkJob({ ...progressFields(), phase: nextPhase, retry_cursor: 0 });
                 }
             }
             
+            // Retry pass — each failed image gets one more attempt, walked by ID cursor
+            if (!webpConversionStopped && webpBulkJob.phase === 'retry') {
+                addLogEntry(logBox, 'Retrying failed images...', 'info');
+                
+                const finished = await runPass('retry', (image, ok) => {
+                    // Images that failed earlier in this job are already counted
+                    const countedThisJob = image.failed_job === webpBulkJob.id;
+                    if (ok) {
+                        totalConverted++;
+                        if (countedThisJob) totalErrors = Math.max(0, totalErrors - 1);
+                    } else if (!countedThisJob) {
+                        totalErrors++;
+                    }
+                });
+                
+                if (finished) webpBulkJob.phase = 'done';
+            }
+            
+            await saveWebPBulkJob({
+                ...progressFields(),
+                status: webpConversionStopped ? 'paused' : 'completed',
+                phase: webpBulkJob.phase
+            });
+            
             // Summary
             const summaryType = webpConversionStopped ? 'warning' : 'success';
             const summaryMsg = webpConversionStopped 
-                ? `Conversion stopped. Converted: ${totalConverted}, Errors: ${totalErrors}`
+                ? `Conversion paused — you can resume it later. Converted: ${totalConverted}, Errors: ${totalErrors}`
                 : `Conversion complete! Converted: ${totalConverted}, Errors: ${totalErrors}`;
             addLogEntry(logBox, summaryMsg, summaryType);
             
         } catch (error) {
             addLogEntry(logBox, `Error: ${error.message}`, 'error');
+            await saveWebPBulkJob({ status: 'paused' });
         } finally {
             webpConversionRunning = false;
+            ajaxQueue.maxInFlight = previousMaxInFlight;
             if (startBtn) startBtn.style.display = 'inline-flex';
             if (stopBtn) stopBtn.style.display = 'none';
+            if (etaSpan) etaSpan.textContent = '–';
             
-            // Refresh stats
+            // Refresh stats, the report, and offer Resume if the run didn't finish
             refreshWebPStats();
+            checkWebPBulkJob();
+            loadWebPReport();
         }
     }
 
@@ -2408,6 +6929,348 @@
         logBox.scrollTop = logBox.scrollHeight;
     }
 
+    // ===================================
+    // WebP Conversion Report
+    // ===================================
+    
+    /**
+     * Conversion report state (current filter, page and selection)
+     */
+    const webpReport = {
+        status: 'processed',
+        search: '',
+        page: 1,
+        pages: 1,
+        rows: [],
+        selected: new Set(),
+        busy: false
+    };
+    
+    const WEBP_REPORT_STATUS = {
+        converted: { label: 'Converted', cls: 'ccm-badge-success' },
+        failed: { label: 'Failed', cls: 'ccm-badge-error' },
+        pending: { label: 'Pending', cls: 'ccm-badge-warning' }
+    };
+    
+    /**
+     * Wire up the conversion report card and load the first page
+     */
+    function initWebPReport() {
+        if (!$('#webp-report-card')) return;
+        
+        const statusSelect = $('#webp-report-status');
+        const searchInput = $('#webp-report-search');
+        let searchTimer = null;
+        
+        statusSelect?.addEventListener('change', () => {
+            webpReport.status = statusSelect.value;
+            loadWebPReport(1);
+        });
+        
+        searchInput?.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                webpReport.search = searchInput.value.trim();
+                loadWebPReport(1);
+            }, 350);
+        });
+        
+        $('#webp-report-select-all')?.addEventListener('change', (e) => {
+            webpReport.rows.forEach(row => {
+                if (e.target.checked) {
+                    webpReport.selected.add(row.id);
+                } else {
+                    webpReport.selected.delete(row.id);
+                }
+            });
+            $$('#webp-report-table tbody input[type="checkbox"]').forEach(cb => { cb.checked = e.target.checked; });
+            updateWebPReportSelection();
+        });
+        
+        $('#webp-report-table tbody')?.addEventListener('change', (e) => {
+            const cb = e.target.closest('input[type="checkbox"][data-id]');
+            if (!cb) return;
+            const id = Number(cb.dataset.id);
+            if (cb.checked) {
+                webpReport.selected.add(id);
+            } else {
+                webpReport.selected.delete(id);
+            }
+            updateWebPReportSelection();
+        });
+        
+        $('#webp-report-pager')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-page]');
+            if (btn && !btn.disabled) loadWebPReport(Number(btn.dataset.page));
+        });
+        
+        $('#webp-report-retry-failed')?.addEventListener('click', retryFailedWebPImages);
+        
+        $('#webp-report-reconvert')?.addEventListener('click', () => {
+            const ids = [...webpReport.selected];
+            const quality = parseInt($('#webp-report-quality')?.value, 10);
+            const format = $('#webp-report-format')?.value || 'webp';
+            if (!ids.length || !(quality >= 1 && quality <= 100)) {
+                showNotification('Choose a quality between 1 and 100.', 'warning');
+                return;
+            }
+            runWebPReportConversions(ids, { force: 1, format, quality }, `Reconverting at ${format.toUpperCase()} quality ${quality}`);
+        });
+        
+        $('#webp-report-delete')?.addEventListener('click', () => {
+            const ids = [...webpReport.selected];
+            if (!ids.length) return;
+            showConfirmModal(
+                `Delete the generated WebP/AVIF files for ${ids.length} image(s)? The originals are not touched and the images return to pending.`,
+                () => deleteWebPReportFiles(ids),
+                'Delete Files'
+            );
+        });
+        
+        $('#webp-report-export')?.addEventListener('click', exportWebPReport);
+        
+        loadWebPReport(1);
+    }
+    
+    /**
+     * Load one page of the conversion report
+     * @param {number} page - Page number (1-based)
+     */
+    async function loadWebPReport(page = webpReport.page) {
+        const tbody = $('#webp-report-table tbody');
+        if (!tbody) return;
+        
+        try {
+            const { data } = await ajax('ccm_tools_webp_report', {
+                status: webpReport.status,
+                search: webpReport.search,
+                page
+            });
+            
+            webpReport.page = data.page;
+            webpReport.pages = data.pages;
+            webpReport.rows = data.rows || [];
+            renderWebPReport(data);
+        } catch (error) {
+            tbody.innerHTML = `<tr><td colspan="7" class="ccm-error">${escapeHtml(error.message)}</td></tr>`;
+        }
+    }
+    
+    /**
+     * Render the report table, status counts and pager
+     * @param {Object} data - ccm_tools_webp_report response data
+     */
+    function renderWebPReport(data) {
+        const tbody = $('#webp-report-table tbody');
+        const counts = data.counts || {};
+        
+        const countsEl = $('#webp-report-counts');
+        if (countsEl) {
+            countsEl.textContent = `${counts.converted || 0} converted · ${counts.failed || 0} failed · ${counts.pending || 0} pending`;
+        }
+        
+        const retryBtn = $('#webp-report-retry-failed');
+        if (retryBtn) {
+            retryBtn.disabled = webpReport.busy || !counts.failed;
+            retryBtn.textContent = counts.failed ? `Retry All Failed (${counts.failed})` : 'Retry All Failed';
+        }
+        
+        if (!webpReport.rows.length) {
+            tbody.innerHTML = '<tr><td colspan="7" class="ccm-text-muted">No images match this filter.</td></tr>';
+        } else {
+            tbody.innerHTML = webpReport.rows.map(row => {
+                const status = WEBP_REPORT_STATUS[row.status] || WEBP_REPORT_STATUS.pending;
+                const name = row.file ? row.file.split('/').pop() : (row.title || `#${row.id}`);
+                const webpSize = row.webp_size ? formatBytes(row.webp_size) : '–';
+                const avifSize = row.avif_size ? `<br><small class="ccm-text-muted">AVIF ${formatBytes(row.avif_size)}</small>` : '';
+                const quality = row.quality ? `<br><small class="ccm-text-muted">q${row.quality} · ${row.files} file(s)</small>` : '';
+                const savings = row.savings_percent === null ? '–' : `${row.savings_percent}%`;
+                const error = row.error
+                    ? `${escapeHtml(row.error)}<br><small class="ccm-text-muted">${row.attempts} attempt(s)${row.failed_at ? ' · ' + new Date(row.failed_at * 1000).toLocaleString() : ''}</small>`
+                    : '';
+                
+                return `
+                    <tr>
+                        <td class="ccm-report-check"><input type="checkbox" data-id="${row.id}" ${webpReport.selected.has(row.id) ? 'checked' : ''}></td>
+                        <td class="ccm-report-file">
+                            <a href="${escapeHtml(row.edit_url || '#')}" target="_blank" rel="noopener" title="${escapeHtml(row.file)}">${escapeHtml(name)}</a>
+                            <br><small class="ccm-text-muted">ID ${row.id}</small>
+                        </td>
+                        <td><span class="ccm-badge ${status.cls}">${status.label}</span></td>
+                        <td>${row.original_size ? formatBytes(row.original_size) : '–'}</td>
+                        <td>${webpSize}${quality}${avifSize}</td>
+                        <td class="${row.savings_percent > 0 ? 'ccm-success' : ''}">${savings}</td>
+                        <td class="ccm-report-error">${error}</td>
+                    </tr>
+                `;
+            }).join('');
+        }
+        
+        const pager = $('#webp-report-pager');
+        if (pager) {
+            pager.innerHTML = data.pages > 1 ? `
+                <button type="button" class="ccm-button ccm-button-small" data-page="${data.page - 1}" ${data.page <= 1 ? 'disabled' : ''}>‹ Prev</button>
+                <span>Page ${data.page} of ${data.pages} (${data.total} images)</span>
+                <button type="button" class="ccm-button ccm-button-small" data-page="${data.page + 1}" ${data.page >= data.pages ? 'disabled' : ''}>Next ›</button>
+            ` : `<span class="ccm-text-muted">${data.total} image(s)</span>`;
+        }
+        
+        updateWebPReportSelection();
+    }
+    
+    /**
+     * Sync the select-all checkbox and bulk action buttons with the selection
+     */
+    function updateWebPReportSelection() {
+        const count = webpReport.selected.size;
+        const countEl = $('#webp-report-selected');
+        if (countEl) countEl.textContent = count;
+        
+        ['#webp-report-reconvert', '#webp-report-delete'].forEach(sel => {
+            const btn = $(sel);
+            if (btn) btn.disabled = webpReport.busy || count === 0;
+        });
+        
+        const selectAll = $('#webp-report-select-all');
+        if (selectAll) {
+            const onPage = webpReport.rows.filter(row => webpReport.selected.has(row.id)).length;
+            selectAll.checked = onPage > 0 && onPage === webpReport.rows.length;
+            selectAll.indeterminate = onPage > 0 && onPage < webpReport.rows.length;
+        }
+    }
+    
+    /**
+     * Show a progress line under the report actions (empty string hides it)
+     * @param {string} text - Progress text
+     */
+    function setWebPReportProgress(text) {
+        const el = $('#webp-report-progress');
+        if (!el) return;
+        el.textContent = text;
+        el.style.display = text ? '' : 'none';
+    }
+    
+    /**
+     * Convert attachments from the report through the shared request queue
+     * @param {number[]} ids - Attachment IDs
+     * @param {Object} extra - Extra POST fields (force, format, quality)
+     * @param {string} label - Progress label
+     */
+    async function runWebPReportConversions(ids, extra, label) {
+        if (webpReport.busy) return;
+        if (webpConversionRunning) {
+            showNotification('Wait for the bulk conversion to finish first.', 'warning');
+            return;
+        }
+        
+        webpReport.busy = true;
+        updateWebPReportSelection();
+        
+        let done = 0;
+        let failed = 0;
+        const chunkSize = 20;
+        
+        try {
+            // The queue caps concurrency; chunks keep the pending list short
+            for (let i = 0; i < ids.length; i += chunkSize) {
+                setWebPReportProgress(`${label}: ${done}/${ids.length}${failed ? ` (${failed} failed)` : ''}`);
+                await Promise.all(ids.slice(i, i + chunkSize).map(async (id) => {
+                    try {
+                        await ajax('ccm_tools_convert_single_image', { attachment_id: id, ...extra }, { timeout: 120000, retries: 0 });
+                    } catch (error) {
+                        if (error.cancelled) throw error;
+                        failed++;
+                    }
+                    done++;
+                }));
+            }
+            
+            showNotification(`${label}: ${done - failed} converted, ${failed} failed.`, failed ? 'warning' : 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        } finally {
+            webpReport.busy = false;
+            webpReport.selected.clear();
+            setWebPReportProgress('');
+            loadWebPReport();
+            refreshWebPStats();
+        }
+    }
+    
+    /**
+     * Retry every image with a recorded failure (all pages, not just this one)
+     */
+    async function retryFailedWebPImages() {
+        try {
+            const { data } = await ajax('ccm_tools_webp_report', { status: 'failed', ids_only: 1 });
+            if (!data.ids?.length) {
+                showNotification('There are no failed images to retry.', 'info');
+                return;
+            }
+            await runWebPReportConversions(data.ids, {}, 'Retrying failed images');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    }
+    
+    /**
+     * Delete generated WebP/AVIF files for the selected attachments
+     * @param {number[]} ids - Attachment IDs
+     */
+    async function deleteWebPReportFiles(ids) {
+        webpReport.busy = true;
+        updateWebPReportSelection();
+        
+        let images = 0;
+        let files = 0;
+        
+        try {
+            for (let i = 0; i < ids.length; i += 200) {
+                setWebPReportProgress(`Deleting converted files: ${i}/${ids.length}`);
+                const { data } = await ajax('ccm_tools_webp_delete_converted', { ids: ids.slice(i, i + 200) });
+                images += data.images;
+                files += data.deleted_files;
+            }
+            showNotification(`Removed converted files for ${images} image(s) (${files} file(s) deleted).`, 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        } finally {
+            webpReport.busy = false;
+            webpReport.selected.clear();
+            setWebPReportProgress('');
+            loadWebPReport();
+            refreshWebPStats();
+        }
+    }
+    
+    /**
+     * Download the report (current filter and search) as CSV
+     */
+    function exportWebPReport() {
+        const form = document.createElement('form');
+        form.method = 'POST';
+        form.action = ccmToolsData.ajax_url;
+        form.style.display = 'none';
+        
+        const fields = {
+            action: 'ccm_tools_webp_export_report',
+            nonce: ccmToolsData.nonce,
+            status: webpReport.status,
+            search: webpReport.search
+        };
+        Object.entries(fields).forEach(([name, value]) => {
+            const input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = name;
+            input.value = value;
+            form.appendChild(input);
+        });
+        
+        document.body.appendChild(form);
+        form.submit();
+        document.body.removeChild(form);
+    }
+
     // ===================================
     // Performance Optimizer Handlers
     // ===================================
@@ -6339,12 +11202,13 @@
                 if (tools.htaccess && !tools.htaccess.applied && tools.htaccess.writable) {
                     aiLog('.htaccess optimizations not applied — enabling caching, compression & security…', 'warn');
                     try {
-                        const htRes = await ajax('ccm_tools_ai_enable_tool', { tool: 'htaccess' }, { timeout: 15000 });
+                        // Runs the .htaccess health check before and after the write
+                        const htRes = await ajax('ccm_tools_ai_enable_tool', { tool: 'htaccess' }, { timeout: 120000, retries: 0 });
                         if (htRes.data?.success) {
                             aiLog(`.htaccess: ${htRes.data.message}`, 'success');
                             toolsEnabled++;
                         } else {
-                            aiLog(`.htaccess: ${htRes.data?.message || 'Failed'}`, 'warn');
+                            aiLog(`.htaccess${htRes.data?.reverted ? ' (reverted)' : ''}: ${htRes.data?.message || 'Failed'}`, 'warn');
                         }
                     } catch (e) { aiLog(`.htaccess enable failed: ${e.message}`, 'warn'); }
                 } else if (tools.htaccess?.applied) {